@@ -0,0 +1,279 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * lib/backfill.js: planning remediation for missing, late, or unpacked dumps
+ *
+ * When a dump is missing, late, corrupt, or not (fully or correctly) unpacked,
+ * or when some of its tables were unpacked late, repairing the damage involves
+ * re-running each stage of the pipeline from the first one that went wrong:
+ *
+ *     dump		Re-run the dump upload on the shard's Manatee async
+ *     			peer.
+ *
+ *     unpack		Re-run the Mola job that unpacks the dump into
+ *     			per-table objects.
+ *
+ *     downstream	Re-run the jobs that consume the unpacked dumps of
+ *     			every shard for that day (garbage collection, audit,
+ *     			cruft, and metering).
+ *
+ * The first two stages are per-shard, but the downstream jobs process all
+ * shards' dumps for a day at once, so they only need to be run once per day,
+ * after all of that day's dumps have been repaired.
+ */
+
+var mod_assertplus = require('assert-plus');
+var mod_extsprintf = require('extsprintf');
+var sprintf = mod_extsprintf.sprintf;
+
+var mod_verify = require('./verify');
+
+/* public interface */
+exports.backfillPlan = backfillPlan;
+
+/*
+ * Commands used to re-run each step.  These correspond to the cron jobs that
+ * normally run each step (see "System Crons" in the Mola documentation).
+ * In these templates, "%DAY%" is replaced with the day (YYYY-MM-DD), "%SHARD%"
+ * with the shard name, and "%DIR%" with the Manta directory containing the
+ * dump.
+ */
+var backfillSteps = {
+    'dump': {
+	'label': 'dump upload',
+	'where': 'on the Manatee async peer for %SHARD%',
+	'command': '/opt/smartdc/manatee/pg_dump/pg_dump.sh'
+    },
+    'unpack': {
+	'label': 'unpack',
+	'where': 'in the "ops" zone',
+	'command': '/opt/smartdc/mola/bin/kick_off_pg_transform.js -b "%DIR%"'
+    },
+    'gc': {
+	'label': 'garbage collection job',
+	'where': 'in the "ops" zone',
+	'command': '/opt/smartdc/mola/bin/kick_off_gc.js -d %DAY%'
+    },
+    'audit': {
+	'label': 'audit job',
+	'where': 'in the "ops" zone',
+	'command': '/opt/smartdc/mola/bin/kick_off_audit.js -d %DAY%'
+    },
+    'cruft': {
+	'label': 'cruft job',
+	'where': 'in the "ops" zone',
+	'command': '/opt/smartdc/mola/bin/kick_off_cruft.js -d %DAY%'
+    },
+    'storage': {
+	'label': 'metering "storage" job',
+	'where': 'in the "ops" zone',
+	'command': '/opt/smartdc/mackerel/bin/meter -j storage -d %DAY%'
+    },
+    'summarizeDaily': {
+	'label': 'metering "summarizeDaily" job',
+	'where': 'in the "ops" zone',
+	'command': '/opt/smartdc/mackerel/bin/meter -j summarizeDaily -d %DAY%'
+    }
+};
+
+/*
+ * Conditions (see lib/verify.js) that are repaired by unpacking the dump again,
+ * in the order they're described.
+ */
+var reunpackProblems = [ 'empty-table', 'small-table', 'early-unpack' ];
+
+/* downstream steps, in the order they must be run */
+var downstreamSteps = [ 'gc', 'audit', 'cruft', 'storage', 'summarizeDaily' ];
+
+/*
+ * Given a DumpLister whose listDumps() operation has completed, returns a list
+ * of the steps needed to repair each day that had missing, late, or unpacked
+ * dumps.  The result is a list of objects, one for each affected day in order
+ * by date, with properties:
+ *
+ *     date (string)	affected day (YYYY-MM-DD)
+ *
+ *     steps (array)	steps to run, in order, each with:
+ *
+ *         step		name of the step (e.g., "dump", "unpack", or "gc")
+ *         label	human-readable name of the step
+ *         shard	shard name (null for downstream steps)
+ *         problem	human-readable description of the problem that
+ *         		triggered this step (only for per-shard steps)
+ *         where	human-readable description of where to run the
+ *         		command
+ *         command	command to run
+ *         reason	human-readable explanation of why the step is needed
+ */
+function backfillPlan(lister)
+{
+	var byday, dumps, plans;
+
+	byday = {};
+	dumps = lister.dumps();
+	mod_verify.dumpProblems(lister).forEach(function (p) {
+		var timestamp, day;
+
+		timestamp = p.date.toISOString();
+		day = timestamp.substr(0, '2015-07-10'.length);
+		if (!byday.hasOwnProperty(day)) {
+			byday[day] = {
+			    'date': p.date,
+			    'shards': {}
+			};
+		}
+
+		if (!byday[day].shards.hasOwnProperty(p.what)) {
+			byday[day].shards[p.what] = {
+			    'dump': dumps[timestamp].hasOwnProperty(p.what) ?
+				dumps[timestamp][p.what] : null,
+			    'problems': []
+			};
+		}
+
+		byday[day].shards[p.what].problems.push(p);
+	});
+
+	plans = Object.keys(byday).sort().map(function (day) {
+		var steps, reasons;
+
+		steps = [];
+		reasons = [];
+		Object.keys(byday[day].shards).sort().forEach(function (shard) {
+			var info = byday[day].shards[shard];
+			reasons.push(shardPlan(lister, steps, byday[day].date,
+			    shard, info.dump, info.problems));
+		});
+
+		downstreamSteps.forEach(function (name) {
+			steps.push(makeStep(name, day, null, null, null,
+			    sprintf('the %s for %s ran without complete ' +
+			    'data (%s)', backfillSteps[name].label, day,
+			    reasons.join('; '))));
+		});
+
+		return ({
+		    'date': day,
+		    'steps': steps
+		});
+	});
+
+	return (plans);
+}
+
+/*
+ * Appends to "steps" the per-shard steps needed to repair the dump for shard
+ * "shard" on Date "date", given the dump itself (null if it's missing) and the
+ * problems found with it.  Returns a short explanation of why the downstream
+ * jobs need to be re-run.
+ */
+function shardPlan(lister, steps, date, shard, dump, problems)
+{
+	var day, dir, conditions, problem, reunpack;
+
+	day = date.toISOString().substr(0, '2015-07-10'.length);
+	dir = lister.dumpDirectory(shard, date);
+	conditions = {};
+	problems.forEach(function (p) { conditions[p.condition] = p; });
+
+	if (dump === null) {
+		mod_assertplus.ok(conditions.hasOwnProperty('missing-dump'));
+		problem = conditions['missing-dump'].problem;
+		steps.push(makeStep('dump', day, shard, dir, problem,
+		    'no dump was found, so there is nothing to unpack.  ' +
+		    'Note that the new dump will reflect the database as of ' +
+		    'the most recent snapshot on the async peer, not as of ' +
+		    day + '.'));
+		steps.push(makeStep('unpack', day, shard, dir, problem,
+		    'the new dump must be unpacked before the downstream ' +
+		    'jobs can use it'));
+		return (sprintf('%s: dump was missing', shard));
+	}
+
+	if (conditions.hasOwnProperty('corrupt-dump')) {
+		problem = conditions['corrupt-dump'].problem;
+		steps.push(makeStep('dump', day, shard, dir, problem,
+		    'the dump failed its integrity check, so whatever was ' +
+		    'unpacked from it can\'t be trusted.  Note that the new ' +
+		    'dump will reflect the database as of the most recent ' +
+		    'snapshot on the async peer, not as of ' + day + '.'));
+		steps.push(makeStep('unpack', day, shard, dir, problem,
+		    'the new dump must be unpacked to replace the objects ' +
+		    'unpacked from the corrupt one'));
+		return (sprintf('%s: dump was corrupt', shard));
+	}
+
+	if (conditions.hasOwnProperty('not-unpacked')) {
+		problem = conditions['not-unpacked'].problem;
+		steps.push(makeStep('unpack', day, shard, dir, problem,
+		    'the dump was never unpacked, so the downstream jobs ' +
+		    'saw none of this shard\'s data'));
+		return (sprintf('%s: dump was not unpacked', shard));
+	}
+
+	if (conditions.hasOwnProperty('partial-unpack')) {
+		problem = conditions['partial-unpack'].problem;
+		steps.push(makeStep('unpack', day, shard, dir, problem,
+		    sprintf('the dump was only partially unpacked, so the ' +
+		    'downstream jobs saw no data from table%s %s',
+		    dump.missingtables.length == 1 ? '' : 's',
+		    dump.missingtables.join(', '))));
+		return (sprintf('%s: dump was partially unpacked', shard));
+	}
+
+	/*
+	 * Empty, undersized, or stale unpacked tables mean that the unpacked
+	 * objects don't reflect the dump, so the dump needs to be unpacked
+	 * again.
+	 */
+	reunpack = reunpackProblems.filter(function (c) {
+		return (conditions.hasOwnProperty(c));
+	});
+	if (reunpack.length > 0) {
+		problem = reunpack.map(function (c) {
+			return (conditions[c].problem);
+		}).join('; ');
+		steps.push(makeStep('unpack', day, shard, dir, problem,
+		    sprintf('the unpacked objects don\'t match the dump ' +
+		    '(%s), so the downstream jobs saw incomplete or stale ' +
+		    'data', problem)));
+		return (sprintf('%s: unpacked tables did not match the dump',
+		    shard));
+	}
+
+	/*
+	 * The dump or some of its tables were late, but everything has since
+	 * been unpacked.  Only the downstream jobs need to be re-run.
+	 */
+	if (conditions.hasOwnProperty('late-dump')) {
+		return (sprintf('%s: dump finished late, at %s', shard,
+		    dump.mtime.toISOString()));
+	}
+
+	mod_assertplus.ok(conditions.hasOwnProperty('late-unpack'));
+	return (sprintf('%s: %s', shard, conditions['late-unpack'].problem));
+}
+
+function makeStep(name, day, shard, dir, problem, reason)
+{
+	var step = backfillSteps[name];
+
+	return ({
+	    'step': name,
+	    'label': step.label,
+	    'shard': shard,
+	    'problem': problem,
+	    'where': step.where.replace(/%SHARD%/g, shard),
+	    'command': step.command.replace(/%DAY%/g, day).replace(
+		/%DIR%/g, dir),
+	    'reason': reason
+	});
+}
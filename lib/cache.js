@@ -0,0 +1,410 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * lib/cache.js: persistent local cache of Manta listings
+ *
+ * Scanning a long date range makes a lot of Manta requests: a few directory
+ * listings for each shard and day, and one request per hour for each kind of
+ * hourly metering report.  The results for days well in the past almost never
+ * change, so this module provides a wrapper around the Manta client that saves
+ * them in a local file and answers repeat requests from there.  The wrapper
+ * implements the same subset of the client interface as lib/localmanta.js
+ * (ls(), get(), info(), and unlink()), so the listers don't need to know about
+ * it.  Line counts of objects (which require fetching the whole object) are
+ * cached too, but callers must ask for those explicitly with cached().
+ *
+ * Only results for paths that name a day (i.e., that contain a ".../YYYY/MM/DD"
+ * component) are cached, and only once that day has been over for at least
+ * "minAge" days.  Everything else (including the list of shards and the jobs
+ * directory) is always fetched from Manta.  Errors are never cached, and
+ * neither are "not found" results, since a missing dump or report is exactly
+ * what an operator is likely to go back and fix.  After such a fix (or any
+ * other change to old data), use the "refresh" mode to re-fetch everything
+ * and update the cache.
+ *
+ * The cache for each Manta deployment (identified by the caller) is stored as
+ * a single JSON file in the cache directory.  It's read when the cache is
+ * created and written back by save().
+ */
+
+var mod_assertplus = require('assert-plus');
+var mod_crypto = require('crypto');
+var mod_events = require('events');
+var mod_fs = require('fs');
+var mod_path = require('path');
+var VError = require('verror');
+
+var mod_retry = require('./retry');
+
+/* public interface */
+exports.createCache = createCache;
+exports.cacheKinds = [ 'ls', 'info', 'lines' ];
+exports.mkdirp = mkdirp;
+
+/* version of the on-disk format */
+var cacheVersion = 1;
+
+/*
+ * Returns a caching wrapper around a Manta client.  Named arguments in "args":
+ *
+ *     manta		Manta client (or stand-in) to fetch uncached results
+ *
+ *     directory	local directory in which to store the cache
+ *     (string)
+ *
+ *     name (string)	identifies the Manta deployment (e.g., its URL and
+ *     			account), so that caches for different deployments
+ *     			are kept separate
+ *
+ *     minAge		only cache results for days that ended at least this
+ *     (number)		many days ago
+ *
+ *     refresh		if true, ignore existing cached results (but still
+ *     (boolean)	save new ones)
+ *
+ *     log		Bunyan logger
+ *
+ *     now (optional	current time (used to decide which days are old enough
+ *     Date)		to cache)
+ *
+ * The cache file (if any) is read synchronously, and this function throws if
+ * it cannot be read.  A cache file that cannot be parsed is ignored (with a
+ * warning), as though it were empty.
+ */
+function createCache(args)
+{
+	return (new ListingCache(args));
+}
+
+function ListingCache(args)
+{
+	var self = this;
+	var contents, parsed;
+
+	mod_assertplus.object(args, 'args');
+	mod_assertplus.object(args.manta, 'args.manta');
+	mod_assertplus.string(args.directory, 'args.directory');
+	mod_assertplus.string(args.name, 'args.name');
+	mod_assertplus.number(args.minAge, 'args.minAge');
+	mod_assertplus.bool(args.refresh, 'args.refresh');
+	mod_assertplus.object(args.log, 'args.log');
+	mod_assertplus.optionalDate(args.now, 'args.now');
+
+	this.lc_manta = args.manta;
+	this.lc_log = args.log;
+	this.lc_minage = args.minAge;
+	this.lc_refresh = args.refresh;
+	this.lc_now = args.now || new Date();
+	this.lc_path = mod_path.join(args.directory, mod_crypto.createHash(
+	    'sha1').update(args.name).digest('hex').substr(0, 16) + '.json');
+	this.lc_entries = {};
+	this.lc_dirty = false;
+
+	/* statistics, by kind */
+	this.lc_stats = {};
+	exports.cacheKinds.forEach(function (kind) {
+		self.lc_stats[kind] = {
+		    'hits': 0,
+		    'misses': 0,
+		    'uncacheable': 0
+		};
+	});
+
+	try {
+		contents = mod_fs.readFileSync(this.lc_path, 'utf8');
+	} catch (ex) {
+		if (ex.code != 'ENOENT')
+			throw (new VError(ex, 'read "%s"', this.lc_path));
+		contents = null;
+	}
+
+	if (contents !== null) {
+		/*
+		 * A cache that can't be parsed (e.g., because it was truncated
+		 * when the disk filled up) or that's in some other format is
+		 * discarded rather than treated as an error, since it's only a
+		 * cache.
+		 */
+		try {
+			parsed = JSON.parse(contents);
+		} catch (ex) {
+			this.lc_log.warn({
+			    'path': this.lc_path,
+			    'err': ex.message
+			}, 'ignoring cache that could not be parsed');
+		}
+
+		if (parsed !== undefined) {
+			if (typeof (parsed) == 'object' && parsed !== null &&
+			    parsed.v === cacheVersion &&
+			    typeof (parsed.entries) == 'object') {
+				this.lc_entries = parsed.entries;
+			} else {
+				this.lc_log.warn({ 'path': this.lc_path },
+				    'ignoring cache with unknown format');
+			}
+		}
+	}
+
+	this.lc_log.debug({
+	    'path': this.lc_path,
+	    'nentries': Object.keys(this.lc_entries).length,
+	    'refresh': this.lc_refresh
+	}, 'using listing cache');
+}
+
+/*
+ * Returns the path of the file where this cache is stored.
+ */
+ListingCache.prototype.path = function ()
+{
+	return (this.lc_path);
+};
+
+/*
+ * Returns an object mapping each kind of cached result (see cacheKinds) to an
+ * object with "hits" (requests answered from the cache), "misses" (cacheable
+ * requests that had to be fetched), and "uncacheable" (requests for paths that
+ * are too recent or don't name a day).
+ */
+ListingCache.prototype.stats = function ()
+{
+	return (JSON.parse(JSON.stringify(this.lc_stats)));
+};
+
+/*
+ * Returns true if results for Manta path "path" may be cached.
+ */
+ListingCache.prototype.cacheable = function (path)
+{
+	var match, end;
+
+	match = /\/(\d{4})\/(\d{2})\/(\d{2})(\/|$)/.exec(path);
+	if (match === null)
+		return (false);
+
+	end = Date.UTC(parseInt(match[1], 10), parseInt(match[2], 10) - 1,
+	    parseInt(match[3], 10) + 1);
+	return (!isNaN(end) &&
+	    end + this.lc_minage * 86400 * 1000 <= this.lc_now.getTime());
+};
+
+/*
+ * Invokes callback(err, result) with the cached result of kind "kind" (see
+ * cacheKinds) for Manta path "path".  If there's no cached result (or the
+ * result may not be cached), fetch(subcallback) is invoked to compute it.
+ * fetch() must invoke subcallback(err, result), where "result" can be
+ * represented in JSON.
+ */
+ListingCache.prototype.cached = function (kind, path, fetch, callback)
+{
+	var self = this;
+	var key, stats;
+
+	mod_assertplus.ok(exports.cacheKinds.indexOf(kind) != -1);
+	mod_assertplus.string(path, 'path');
+	mod_assertplus.func(fetch, 'fetch');
+	mod_assertplus.func(callback, 'callback');
+
+	stats = this.lc_stats[kind];
+	if (!this.cacheable(path)) {
+		stats.uncacheable++;
+		fetch(callback);
+		return;
+	}
+
+	key = kind + ':' + path;
+	if (!this.lc_refresh && this.lc_entries.hasOwnProperty(key)) {
+		stats.hits++;
+		/* Copy the result so that callers can't modify the cache. */
+		callback(null, JSON.parse(JSON.stringify(
+		    this.lc_entries[key].value)));
+		return;
+	}
+
+	stats.misses++;
+	fetch(function (err, result) {
+		if (!err) {
+			self.lc_entries[key] = {
+			    'fetched': new Date().toISOString(),
+			    'value': result
+			};
+			self.lc_dirty = true;
+		}
+
+		callback(err, result);
+	});
+};
+
+/*
+ * Lists the contents of Manta directory "dir".  As with the Manta client,
+ * "callback" is invoked as callback(err, emitter), and "emitter" emits
+ * "object" or "directory" and then "entry" for each directory entry, followed
+ * by "end".  Listings that may not be cached are passed straight through.
+ */
+ListingCache.prototype.ls = function (dir, callback)
+{
+	var self = this;
+
+	if (!this.cacheable(dir)) {
+		this.lc_stats['ls'].uncacheable++;
+		this.lc_manta.ls(dir, callback);
+		return;
+	}
+
+	this.cached('ls', dir, function (subcallback) {
+		self.lc_manta.ls(dir, function (err, emitter) {
+			var entries = [];
+
+			if (err) {
+				subcallback(err);
+				return;
+			}
+
+			emitter.on('entry', function (entry) {
+				entries.push(entry);
+			});
+			emitter.on('error', function (err2) {
+				subcallback(err2);
+			});
+			emitter.on('end', function () {
+				subcallback(null, entries);
+			});
+		});
+	}, function (err, entries) {
+		var emitter;
+
+		if (err) {
+			callback(err);
+			return;
+		}
+
+		emitter = new mod_events.EventEmitter();
+		callback(null, emitter);
+		entries.forEach(function (entry) {
+			emitter.emit(entry.type, entry);
+			emitter.emit('entry', entry);
+		});
+		emitter.emit('end');
+	});
+};
+
+/*
+ * Fetches metadata about the Manta object "path".  As with the Manta client,
+ * "callback" is invoked as callback(err, info).
+ */
+ListingCache.prototype.info = function (path, callback)
+{
+	var self = this;
+
+	this.cached('info', path, function (subcallback) {
+		self.lc_manta.info(path, subcallback);
+	}, callback);
+};
+
+/*
+ * Fetches the contents of the Manta object "path", with optional "options" as
+ * for the Manta client.  Contents are never cached.
+ */
+ListingCache.prototype.get = function (path, options, callback)
+{
+	if (typeof (options) == 'function') {
+		callback = options;
+		options = {};
+	}
+
+	this.lc_manta.get(path, options, callback);
+};
+
+/*
+ * Removes the Manta object or empty directory "path", as with the Manta client,
+ * and discards any cached results for it and for the directory containing it.
+ */
+ListingCache.prototype.unlink = function (path, callback)
+{
+	var self = this;
+
+	this.lc_manta.unlink(path, function (err) {
+		if (!err || mod_retry.classifyError(err) == 'not-found') {
+			exports.cacheKinds.forEach(function (kind) {
+				self.forget(kind + ':' + path);
+			});
+			self.forget('ls:' + mod_path.dirname(path));
+		}
+
+		callback(err);
+	});
+};
+
+/*
+ * Discards the cached result with key "key", if there is one.
+ */
+ListingCache.prototype.forget = function (key)
+{
+	if (this.lc_entries.hasOwnProperty(key)) {
+		delete (this.lc_entries[key]);
+		this.lc_dirty = true;
+	}
+};
+
+/*
+ * Writes the cache back to disk (if anything has changed).  This is
+ * synchronous and throws on failure.  The file is written atomically so that
+ * concurrent invocations can't leave it corrupt (though one may overwrite the
+ * other's additions).
+ */
+ListingCache.prototype.save = function ()
+{
+	var tmppath;
+
+	if (!this.lc_dirty)
+		return;
+
+	tmppath = this.lc_path + '.' + process.pid;
+	try {
+		mkdirp(mod_path.dirname(this.lc_path));
+		mod_fs.writeFileSync(tmppath, JSON.stringify({
+		    'v': cacheVersion,
+		    'entries': this.lc_entries
+		}));
+		mod_fs.renameSync(tmppath, this.lc_path);
+	} catch (ex) {
+		throw (new VError(ex, 'write "%s"', this.lc_path));
+	}
+
+	this.lc_dirty = false;
+	this.lc_log.debug({
+	    'path': this.lc_path,
+	    'nentries': Object.keys(this.lc_entries).length
+	}, 'saved listing cache');
+};
+
+ListingCache.prototype.close = function ()
+{
+	this.lc_manta.close();
+};
+
+/*
+ * Creates directory "dir" and any missing parents.
+ */
+function mkdirp(dir)
+{
+	try {
+		mod_fs.mkdirSync(dir);
+	} catch (ex) {
+		if (ex.code == 'EEXIST')
+			return;
+		if (ex.code != 'ENOENT')
+			throw (ex);
+		mkdirp(mod_path.dirname(dir));
+		mod_fs.mkdirSync(dir);
+	}
+}
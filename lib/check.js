@@ -0,0 +1,317 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * lib/check.js: health checks in the style of Nagios monitoring plugins
+ *
+ * A health check takes a list of problems (see lib/verify.js) and maps each
+ * kind of problem ("condition") to a status level.  The overall result is the
+ * most severe level of any problem found, which is reported as a one-line
+ * summary with performance data and an exit status following the usual
+ * monitoring plugin conventions:
+ *
+ *     0	OK
+ *     1	WARNING
+ *     2	CRITICAL
+ *     3	UNKNOWN (e.g., the scan itself failed)
+ *
+ * For the overall result, the statuses are ranked in the order OK, WARNING,
+ * UNKNOWN, CRITICAL.  If the scan was incomplete, a warning alone doesn't say
+ * anything about what the scan might have missed, so the result is UNKNOWN.
+ * A critical problem that was found is still reported as CRITICAL.
+ */
+
+var mod_assertplus = require('assert-plus');
+var mod_extsprintf = require('extsprintf');
+var mod_jsprim = require('jsprim');
+var VError = require('verror');
+var sprintf = mod_extsprintf.sprintf;
+
+/* public interface */
+exports.conditions = {
+    'missing-dump': {
+	'level': 'critical',
+	'label': 'missing dump',
+	'stage': 'dump'
+    },
+    'late-dump': {
+	'level': 'warning',
+	'label': 'late dump',
+	'stage': 'dump'
+    },
+    'corrupt-dump': {
+	'level': 'critical',
+	'label': 'corrupt dump',
+	'stage': 'dump'
+    },
+    'not-unpacked': {
+	'level': 'critical',
+	'label': 'dump not unpacked',
+	'plural': 'dumps not unpacked',
+	'stage': 'unpack'
+    },
+    'partial-unpack': {
+	'level': 'critical',
+	'label': 'table not unpacked',
+	'plural': 'tables not unpacked',
+	'stage': 'unpack'
+    },
+    'empty-table': {
+	'level': 'critical',
+	'label': 'empty unpacked table',
+	'stage': 'unpack'
+    },
+    'small-table': {
+	'level': 'warning',
+	'label': 'undersized unpacked table',
+	'stage': 'unpack'
+    },
+    'late-unpack': {
+	'level': 'warning',
+	'label': 'late unpacked table',
+	'stage': 'unpack'
+    },
+    'early-unpack': {
+	'level': 'warning',
+	'label': 'stale unpacked table',
+	'stage': 'unpack'
+    },
+    'missing-report': {
+	'level': 'critical',
+	'label': 'missing daily report',
+	'stage': 'metering'
+    },
+    'small-report': {
+	'level': 'warning',
+	'label': 'undersized daily report',
+	'stage': 'metering'
+    },
+    'missing-hours': {
+	'level': 'warning',
+	'label': 'missing hourly report',
+	'stage': 'metering'
+    },
+    'suspect-hours': {
+	'level': 'warning',
+	'label': 'undersized hourly report',
+	'stage': 'metering'
+    },
+    'invalid-report': {
+	'level': 'critical',
+	'label': 'invalid report record',
+	'stage': 'metering'
+    },
+    'quiet-shard': {
+	'level': 'critical',
+	'label': 'quiet shard',
+	'stage': 'roster'
+    },
+    'new-shard': {
+	'level': 'warning',
+	'label': 'new shard',
+	'stage': 'roster'
+    }
+};
+exports.conditionsForStages = conditionsForStages;
+exports.parseLevels = parseLevels;
+exports.evaluate = evaluate;
+exports.unknown = unknown;
+
+var levels = [ 'ignore', 'warning', 'critical' ];
+var statuses = {
+    'ok': { 'name': 'OK', 'exitStatus': 0, 'rank': 0 },
+    'warning': { 'name': 'WARNING', 'exitStatus': 1, 'rank': 1 },
+    'unknown': { 'name': 'UNKNOWN', 'exitStatus': 3, 'rank': 2 },
+    'critical': { 'name': 'CRITICAL', 'exitStatus': 2, 'rank': 3 }
+};
+
+/*
+ * Returns the names of conditions that apply to any of the given pipeline
+ * stages (see lib/verify.js).
+ */
+function conditionsForStages(stages)
+{
+	mod_assertplus.arrayOfString(stages, 'stages');
+	return (Object.keys(exports.conditions).filter(function (name) {
+		return (stages.indexOf(exports.conditions[name].stage) != -1);
+	}));
+}
+
+/*
+ * Given a list of strings of the form "CONDITION=LEVEL", where CONDITION is
+ * one of the keys of this_module.conditions and LEVEL is one of "ignore",
+ * "warning", or "critical", returns an object mapping each condition to its
+ * level.  Conditions that are not mentioned get their default level.  Returns
+ * an Error if any of the strings is invalid.
+ */
+function parseLevels(specs)
+{
+	var rv, i, parts;
+
+	mod_assertplus.arrayOfString(specs, 'specs');
+
+	rv = {};
+	mod_jsprim.forEachKey(exports.conditions, function (name, cond) {
+		rv[name] = cond.level;
+	});
+
+	for (i = 0; i < specs.length; i++) {
+		parts = specs[i].split('=');
+		if (parts.length != 2) {
+			return (new VError('expected CONDITION=LEVEL: "%s"',
+			    specs[i]));
+		}
+
+		if (!exports.conditions.hasOwnProperty(parts[0])) {
+			return (new VError('unknown condition: "%s" ' +
+			    '(expected one of: %s)', parts[0],
+			    Object.keys(exports.conditions).join(', ')));
+		}
+
+		if (levels.indexOf(parts[1]) == -1) {
+			return (new VError('unknown level: "%s" ' +
+			    '(expected one of: %s)', parts[1],
+			    levels.join(', ')));
+		}
+
+		rv[parts[0]] = parts[1];
+	}
+
+	return (rv);
+}
+
+/*
+ * Evaluates a list of problems.  Named arguments in "args":
+ *
+ *     name (string)	name of the check, used as the first word of the
+ *     			summary (e.g., "DUMPS")
+ *
+ *     problems		list of problems (see lib/verify.js)
+ *     (array)
+ *
+ *     conditions	list of conditions to report performance data for,
+ *     (array)		even if there were no problems of that kind
+ *
+ *     levels		mapping of condition to level, as returned by
+ *     (object)		parseLevels()
+ *
+ *     nerrors		number of non-fatal errors encountered while
+ *     (number)		scanning.  If there were any, the status will be at
+ *     			least UNKNOWN (see the ranking above).
+ *
+ * Returns an object with:
+ *
+ *     exitStatus	exit status for the program
+ *
+ *     summary		single-line summary, including performance data
+ *
+ *     brief		status and description, without the check's name or
+ *     			performance data (e.g., "OK - no problems found")
+ */
+function evaluate(args)
+{
+	var counts, status, found, brief;
+
+	mod_assertplus.object(args, 'args');
+	mod_assertplus.string(args.name, 'args.name');
+	mod_assertplus.arrayOfObject(args.problems, 'args.problems');
+	mod_assertplus.arrayOfString(args.conditions, 'args.conditions');
+	mod_assertplus.object(args.levels, 'args.levels');
+	mod_assertplus.number(args.nerrors, 'args.nerrors');
+
+	counts = {};
+	args.conditions.forEach(function (name) { counts[name] = 0; });
+	args.problems.forEach(function (p) {
+		mod_assertplus.ok(exports.conditions.hasOwnProperty(
+		    p.condition));
+		if (!counts.hasOwnProperty(p.condition))
+			counts[p.condition] = 0;
+		counts[p.condition] += p.count;
+	});
+
+	status = args.nerrors > 0 ? 'unknown' : 'ok';
+	found = [];
+	mod_jsprim.forEachKey(counts, function (name, count) {
+		var level = args.levels[name];
+
+		if (count === 0 || level == 'ignore')
+			return;
+
+		found.push(sprintf('%d %s', count,
+		    conditionLabel(name, count)));
+		status = raiseStatus(status, level);
+	});
+
+	if (args.nerrors > 0) {
+		found.push(sprintf('%d error%s', args.nerrors,
+		    args.nerrors == 1 ? '' : 's'));
+	}
+
+	brief = sprintf('%s - %s', statuses[status].name,
+	    found.length === 0 ? 'no problems found' : found.join(', '));
+	return ({
+	    'exitStatus': statuses[status].exitStatus,
+	    'summary': sprintf('%s %s | %s', args.name, brief,
+		Object.keys(counts).map(function (name) {
+			return (perfdata(name, counts[name],
+			    args.levels[name]));
+		}).join(' ')),
+	    'brief': brief
+	});
+}
+
+/*
+ * Returns the label for "count" problems with condition "name".  Labels are
+ * pluralized by appending "s" unless the condition specifies "plural".
+ */
+function conditionLabel(name, count)
+{
+	var condition = exports.conditions[name];
+
+	if (count == 1)
+		return (condition.label);
+	return (condition.hasOwnProperty('plural') ?
+	    condition.plural : condition.label + 's');
+}
+
+/*
+ * Returns the more severe of statuses "current" and "status".
+ */
+function raiseStatus(current, status)
+{
+	mod_assertplus.ok(statuses.hasOwnProperty(status));
+	return (statuses[status].rank > statuses[current].rank ?
+	    status : current);
+}
+
+/*
+ * Returns a result (like evaluate()) for a check that could not be completed
+ * because of error "err".
+ */
+function unknown(name, err)
+{
+	var brief = sprintf('%s - %s', statuses['unknown'].name, err.message);
+
+	return ({
+	    'exitStatus': statuses['unknown'].exitStatus,
+	    'summary': sprintf('%s %s', name, brief),
+	    'brief': brief
+	});
+}
+
+/*
+ * Formats performance data for a single condition.  Thresholds are expressed
+ * so that any nonzero count triggers the configured level.
+ */
+function perfdata(name, count, level)
+{
+	return (sprintf('%s=%d;%s;%s;0', name, count,
+	    level == 'warning' ? '0' : '', level == 'critical' ? '0' : ''));
+}
@@ -0,0 +1,457 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * lib/config.js: per-deployment configuration
+ *
+ * Deployments range from tiny lab regions to large production regions, so the
+ * paths and thresholds that manta-hk uses can be overridden with a JSON
+ * configuration file.  The file contains a single object with any of the
+ * properties in configProperties below.  Properties that aren't specified take
+ * their default values.  Unknown properties are errors, since they're most
+ * likely typos.
+ *
+ * The file may also describe several Manta deployments as named "profiles",
+ * each with its own Manta URL, account, and key, and with its own values for
+ * any of the other properties.  See profileConfig().
+ */
+
+var mod_extsprintf = require('extsprintf');
+var mod_fs = require('fs');
+var mod_jsprim = require('jsprim');
+var VError = require('verror');
+var sprintf = mod_extsprintf.sprintf;
+
+var mod_dumps = require('./dumps');
+var mod_jobs = require('./jobs');
+var mod_metering = require('./metering');
+var mod_roster = require('./roster');
+
+/* public interface */
+exports.loadConfig = loadConfig;
+exports.profileConfig = profileConfig;
+exports.validateExpectedTables = validateExpectedTables;
+
+/*
+ * Configuration properties, in the order they're displayed.  Each has a
+ * default value, a "check" function that returns an error message for invalid
+ * values (or null), and a one-line description.
+ */
+var configProperties = {
+    'dumpRoot': {
+	'default': mod_dumps.defaultDumpRoot,
+	'check': checkMantaPath,
+	'description': 'Manta path to database dumps'
+    },
+    'meteringRoot': {
+	'default': mod_metering.defaultMeteringRoot,
+	'check': checkMantaPath,
+	'description': 'Manta path to metering reports'
+    },
+    'jobsRoot': {
+	'default': mod_jobs.defaultJobsRoot,
+	'check': checkMantaPath,
+	'description': 'Manta path to archived housekeeping jobs'
+    },
+    'dumpDeadlineMinutes': {
+	'default': mod_dumps.defaultDumpDeadline / 60000,
+	'check': checkPositiveNumber,
+	'description': 'dumps finishing this many minutes after the start ' +
+	    'of the day are late'
+    },
+    'unpackDelayMinutes': {
+	'default': mod_dumps.defaultUnpackDelay / 60000,
+	'check': checkPositiveNumber,
+	'description': 'tables unpacked this many minutes after their dump ' +
+	    'was uploaded are late'
+    },
+    'keepDailyDumps': {
+	'default': 30,
+	'check': checkNonNegativeInteger,
+	'description': 'prune-dumps keeps every dump from this many days'
+    },
+    'keepMonthlyDumps': {
+	'default': 12,
+	'check': checkNonNegativeInteger,
+	'description': 'prune-dumps keeps the first good dump of each of ' +
+	    'this many months'
+    },
+    'minExpectedEntries': {
+	'default': 500,
+	'check': checkNonNegativeInteger,
+	'description': 'daily metering reports with fewer entries are ' +
+	    'reported as incomplete'
+    },
+    'maxMissingHours': {
+	'default': 4,
+	'check': checkPositiveInteger,
+	'description': 'number of missing hourly reports listed before ' +
+	    'summarizing the rest'
+    },
+    'suspectHourFraction': {
+	'default': mod_metering.defaultSuspectHourFraction,
+	'check': checkFraction,
+	'description': 'hourly metering reports smaller than this fraction ' +
+	    'of the usual size are suspect (0 disables the check)'
+    },
+    'concurrency': {
+	'default': 10,
+	'check': checkPositiveInteger,
+	'description': 'maximum concurrency for Manta requests (per scan)'
+    },
+    'requestTimeout': {
+	'default': 60,
+	'check': checkPositiveNumber,
+	'description': 'seconds to wait for each attempt at a Manta request'
+    },
+    'requestRetries': {
+	'default': 3,
+	'check': checkNonNegativeInteger,
+	'description': 'maximum number of times to retry a Manta request ' +
+	    'that failed with a transient error'
+    },
+    'expectedTables': {
+	'default': null,
+	'check': function (value) {
+		return (value === null ? null : validateExpectedTables(value));
+	},
+	'description': 'tables expected in each shard\'s dumps ' +
+	    '(default for --expected-tables)'
+    },
+    'expectedShards': {
+	'default': null,
+	'check': function (value) {
+		return (value === null ? null : checkExpectedShards(value));
+	},
+	'description': 'shards expected to take dumps (default: learn them ' +
+	    'from rosterBaselineDays)'
+    },
+    'rosterBaselineDays': {
+	'default': mod_roster.defaultBaselineDays,
+	'check': checkPositiveInteger,
+	'description': 'shards that dumped in this many days before the ' +
+	    'scanned range are expected'
+    },
+    'profiles': {
+	'default': {},
+	'check': checkProfiles,
+	'description': 'named Manta deployments (see --profile)'
+    },
+    'profileConcurrency': {
+	'default': 2,
+	'check': checkPositiveInteger,
+	'description': 'maximum number of profiles scanned concurrently'
+    },
+    'webhookUrl': {
+	'default': null,
+	'check': function (value) {
+		return (value === null ? null : checkHttpUrl(value));
+	},
+	'description': 'http or https URL to which "watch" POSTs the ' +
+	    'changes it finds'
+    }
+};
+exports.configProperties = configProperties;
+
+/*
+ * Properties of each profile that describe how to reach its Manta deployment.
+ * Any of these that aren't specified are taken from the usual environment
+ * variables (e.g., MANTA_USER), except that "url" is required unless
+ * "localRoot" is given.  Profiles may also override any of the properties in
+ * configProperties that aren't listed in profileGlobals.
+ */
+var profileConnection = {
+    'url': checkString,
+    'user': checkString,
+    'keyId': checkString,
+    'insecure': checkBoolean,
+    'localRoot': checkString
+};
+
+/* properties that apply to all profiles and cannot be overridden */
+var profileGlobals = [ 'profiles', 'profileConcurrency', 'webhookUrl' ];
+
+/*
+ * Loads the configuration file at "path".  If "path" is null, or if "required"
+ * is false and the file does not exist, the default configuration is used.
+ * Returns an object with:
+ *
+ *     path (string)	the path that was loaded (or null)
+ *
+ *     found (boolean)	whether the file existed
+ *
+ *     config (object)	the effective configuration, with a value for every
+ *     			property in configProperties
+ *
+ *     sources (object)	maps each property to either "file" or "default"
+ *
+ * Throws an error if the file cannot be read or parsed, or if any property is
+ * unknown or invalid.  The error's message describes every invalid property.
+ */
+function loadConfig(path, required)
+{
+	var contents, parsed, rv, problems;
+
+	contents = null;
+	if (path !== null) {
+		try {
+			contents = mod_fs.readFileSync(path, 'utf8');
+		} catch (ex) {
+			if (ex.code != 'ENOENT' || required)
+				throw (new VError(ex, 'read config "%s"',
+				    path));
+		}
+	}
+
+	if (contents === null) {
+		parsed = {};
+	} else {
+		try {
+			parsed = JSON.parse(contents);
+		} catch (ex) {
+			throw (new VError(ex, 'parse config "%s"', path));
+		}
+
+		if (typeof (parsed) != 'object' || parsed === null ||
+		    Array.isArray(parsed)) {
+			throw (new VError('config "%s": expected an object',
+			    path));
+		}
+	}
+
+	rv = {
+	    'path': path,
+	    'found': contents !== null,
+	    'config': {},
+	    'sources': {}
+	};
+
+	problems = [];
+	mod_jsprim.forEachKey(parsed, function (key, value) {
+		var problem;
+
+		if (!configProperties.hasOwnProperty(key)) {
+			problems.push('unknown property "' + key + '"');
+			return;
+		}
+
+		problem = configProperties[key].check(value);
+		if (problem !== null)
+			problems.push('property "' + key + '": ' + problem);
+	});
+
+	if (problems.length > 0) {
+		throw (new VError('config "%s": %s', path,
+		    problems.join('; ')));
+	}
+
+	mod_jsprim.forEachKey(configProperties, function (key, prop) {
+		if (parsed.hasOwnProperty(key)) {
+			rv.config[key] = mod_jsprim.deepCopy(parsed[key]);
+			rv.sources[key] = 'file';
+		} else {
+			rv.config[key] = prop['default'];
+			rv.sources[key] = 'default';
+		}
+	});
+
+	return (rv);
+}
+
+/*
+ * Given the result of loadConfig(), returns the configuration for the profile
+ * called "name" as an object with:
+ *
+ *     name (string)	the profile name
+ *
+ *     config (object)	the effective configuration for this profile: the
+ *     			profile's own values, then the file's top-level
+ *     			values, then the defaults
+ *
+ *     sources (object)	maps each property to "profile", "file", or "default"
+ *
+ *     connection	the profile's connection properties (see
+ *     (object)		profileConnection), with unspecified ones omitted
+ *
+ * Throws an error if there's no such profile.
+ */
+function profileConfig(info, name)
+{
+	var profile, rv;
+
+	if (!info.config.profiles.hasOwnProperty(name)) {
+		throw (new VError('unknown profile "%s" (%s)', name,
+		    Object.keys(info.config.profiles).length === 0 ?
+		    'no profiles are configured' : 'expected one of: ' +
+		    Object.keys(info.config.profiles).sort().join(', ')));
+	}
+
+	profile = info.config.profiles[name];
+	rv = {
+	    'name': name,
+	    'config': mod_jsprim.deepCopy(info.config),
+	    'sources': mod_jsprim.deepCopy(info.sources),
+	    'connection': {}
+	};
+
+	mod_jsprim.forEachKey(profile, function (key, value) {
+		if (profileConnection.hasOwnProperty(key)) {
+			rv.connection[key] = value;
+		} else {
+			rv.config[key] = mod_jsprim.deepCopy(value);
+			rv.sources[key] = 'profile';
+		}
+	});
+
+	return (rv);
+}
+
+/*
+ * Returns an error message if "value" is not a valid set of profiles, or null
+ * if it is.
+ */
+function checkProfiles(value)
+{
+	var problems;
+
+	if (typeof (value) != 'object' || value === null ||
+	    Array.isArray(value))
+		return ('expected an object mapping profile names to objects');
+
+	problems = [];
+	mod_jsprim.forEachKey(value, function (name, profile) {
+		if (typeof (profile) != 'object' || profile === null ||
+		    Array.isArray(profile)) {
+			problems.push(sprintf('profile "%s": expected an ' +
+			    'object', name));
+			return;
+		}
+
+		if (!profile.hasOwnProperty('url') &&
+		    !profile.hasOwnProperty('localRoot')) {
+			problems.push(sprintf('profile "%s": one of "url" ' +
+			    'or "localRoot" is required', name));
+		}
+
+		mod_jsprim.forEachKey(profile, function (key, pvalue) {
+			var problem;
+
+			if (profileConnection.hasOwnProperty(key)) {
+				problem = profileConnection[key](pvalue);
+			} else if (configProperties.hasOwnProperty(key) &&
+			    profileGlobals.indexOf(key) == -1) {
+				problem = configProperties[key].check(pvalue);
+			} else {
+				problem = 'unknown property';
+			}
+
+			if (problem !== null) {
+				problems.push(sprintf('profile "%s": ' +
+				    'property "%s": %s', name, key, problem));
+			}
+		});
+	});
+
+	return (problems.length === 0 ? null : problems.join('; '));
+}
+
+/*
+ * Returns an error message if "value" is not a valid description of the tables
+ * expected in each shard's dumps (an object mapping shard names to arrays of
+ * table names), or null if it is.
+ */
+function validateExpectedTables(value)
+{
+	if (typeof (value) != 'object' || value === null ||
+	    Array.isArray(value) ||
+	    !Object.keys(value).every(function (shard) {
+		return (Array.isArray(value[shard]) &&
+		    value[shard].every(function (t) {
+			return (typeof (t) == 'string');
+		    }));
+	    })) {
+		return ('expected an object mapping shard names to arrays ' +
+		    'of table names');
+	}
+
+	return (null);
+}
+
+/*
+ * Returns an error message if "value" is not a valid list of the shards
+ * expected to take dumps, or null if it is.
+ */
+function checkExpectedShards(value)
+{
+	if (!Array.isArray(value) || !value.every(function (shard) {
+		return (typeof (shard) == 'string' && shard.length > 0 &&
+		    shard.indexOf('/') == -1);
+	    }))
+		return ('expected an array of shard names');
+	return (null);
+}
+
+function checkString(value)
+{
+	if (typeof (value) != 'string' || value.length === 0)
+		return ('expected a non-empty string');
+	return (null);
+}
+
+function checkBoolean(value)
+{
+	if (typeof (value) != 'boolean')
+		return ('expected a boolean');
+	return (null);
+}
+
+function checkMantaPath(value)
+{
+	if (typeof (value) != 'string' || value.charAt(0) != '/')
+		return ('expected an absolute Manta path');
+	return (null);
+}
+
+function checkHttpUrl(value)
+{
+	if (typeof (value) != 'string' || !/^https?:\/\/[^\/]/.test(value))
+		return ('expected an http or https URL');
+	return (null);
+}
+
+function checkPositiveNumber(value)
+{
+	if (typeof (value) != 'number' || !isFinite(value) || value <= 0)
+		return ('expected a positive number');
+	return (null);
+}
+
+function checkFraction(value)
+{
+	if (typeof (value) != 'number' || !(value >= 0 && value < 1))
+		return ('expected a number at least 0 and less than 1');
+	return (null);
+}
+
+function checkPositiveInteger(value)
+{
+	if (typeof (value) != 'number' || Math.floor(value) !== value ||
+	    value <= 0)
+		return ('expected a positive integer');
+	return (null);
+}
+
+function checkNonNegativeInteger(value)
+{
+	if (typeof (value) != 'number' || Math.floor(value) !== value ||
+	    value < 0)
+		return ('expected a non-negative integer');
+	return (null);
+}
@@ -15,15 +15,42 @@
 var mod_assertplus = require('assert-plus');
 var mod_extsprintf = require('extsprintf');
 var mod_jsprim = require('jsprim');
+var mod_path = require('path');
 var mod_strsplit = require('strsplit');
 var mod_vasync = require('vasync');
 var VError = require('verror');
 var sprintf = mod_extsprintf.sprintf;
 
+var mod_integrity = require('./integrity');
+var mod_retry = require('./retry');
+
 /* public interface */
 exports.listDumps = listDumps;
+exports.isDumpEntry = isDumpEntry;
 exports.defaultDumpRoot = '/poseidon/stor/manatee_backups';
 
+/*
+ * By default, dumps that finish more than this long (in milliseconds) after the
+ * start of the day are likely too late for normal processing.
+ */
+exports.defaultDumpDeadline = 120 * 60 * 1000;
+
+/*
+ * By default, objects unpacked from a dump more than this long (in
+ * milliseconds) after the dump was uploaded are likely too late for the jobs
+ * that consume them.
+ */
+exports.defaultUnpackDelay = 60 * 60 * 1000;
+
+/*
+ * Unpacked objects smaller than this fraction of the median size of the same
+ * table's objects (among the same shard's dumps over the scanned date range)
+ * are reported as suspiciously small, as long as there are at least
+ * smallTableMinimum objects to compare with.
+ */
+var smallTableFraction = 0.1;
+var smallTableMinimum = 3;
+
 /*
  * Fetches information about database dumps and their associated unpacked
  * objects.  Named arguments in "args":
@@ -37,19 +64,48 @@ exports.defaultDumpRoot = '/poseidon/stor/manatee_backups';
  *     shards (optional	Only examine dumps for named shards.  The default is
  *     array of string)	to show dump information for all shards.
  *
+ *     expectedShards	Shards expected to take dumps (see lib/roster.js).
+ *     (optional	These are examined along with the shards found in
+ *     array of string)	Manta, so that a shard whose directory is missing
+ *     			altogether has all of its dumps reported missing.
+ *
  *     dumpRoot		Manta path to database dumps
  *     (string)		(Use default: this_module.defaultDumpRoot)
  *
  *     concurrency	Maximum concurrency for Manta operations
  *     (number)
  *
+ *     deadline		Dumps that finish more than this many milliseconds
+ *     (optional	after the start of the day are considered late.
+ *     number)		(Default: this_module.defaultDumpDeadline)
+ *
+ *     unpackDelay	Objects unpacked from a dump more than this many
+ *     (optional	milliseconds after the dump was uploaded are
+ *     number)		considered late.
+ *     			(Default: this_module.defaultUnpackDelay)
+ *
+ *     integrity	If specified, check the integrity of each dump found
+ *     (optional	using this mode (see lib/integrity.js).  The default
+ *     string)		is not to check.
+ *
+ *     expectedTables	Object mapping shard names to the list of tables
+ *     (optional	expected to be unpacked from each of that shard's
+ *     object)		dumps.  The key "*" applies to shards not otherwise
+ *     			listed.  For shards with no configured list, the
+ *     			expected list is inferred as the most common set of
+ *     			tables unpacked from that shard's dumps over the
+ *     			scanned date range.
+ *
  *     log		Bunyan logger
  *
  *     manta		Manta client
  *
  * callback() is invoked with the usual callback(err, result), where if there
  * was no error, then "result" is an object with methods for accessing
- * information about the dumps that were found.  See DumpLister below.
+ * information about the dumps that were found.  See DumpLister below.  Only a
+ * failure to list the shards themselves fails the whole operation.  Failures to
+ * list a particular shard's dumps are recorded (see DumpLister.errors()) and
+ * the rest of the scan continues.
  *
  * This method itself synchronously returns an object that may be useful in a
  * debugger to understand the current state.  You should not use this object
@@ -81,6 +137,26 @@ function DumpLister(args)
 	mod_assertplus.string(args.dumpRoot, 'args.dumpRoot');
 	mod_assertplus.number(args.concurrency, 'args.concurrency');
 	mod_assertplus.ok(args.concurrency > 0, 'args.concurrency > 0');
+	mod_assertplus.optionalNumber(args.deadline, 'args.deadline');
+	mod_assertplus.optionalNumber(args.unpackDelay, 'args.unpackDelay');
+	if (args.integrity !== undefined && args.integrity !== null) {
+		mod_assertplus.string(args.integrity, 'args.integrity');
+		mod_assertplus.ok(mod_integrity.integrityModes.indexOf(
+		    args.integrity) != -1, 'args.integrity is a valid mode');
+	}
+	if (args.expectedShards) {
+		mod_assertplus.arrayOfString(args.expectedShards,
+		    'args.expectedShards');
+	}
+	mod_assertplus.optionalObject(args.expectedTables,
+	    'args.expectedTables');
+	if (args.expectedTables) {
+		mod_jsprim.forEachKey(args.expectedTables,
+		    function (shard, tables) {
+			mod_assertplus.arrayOfString(tables,
+			    'args.expectedTables[' + shard + ']');
+		    });
+	}
 
 	/* configuration */
 	this.dl_end = new Date(args.endDate.getTime());
@@ -89,8 +165,17 @@ function DumpLister(args)
 	this.dl_log = args.log;
 	this.dl_manta = args.manta;
 	this.dl_shards = args.shards === null ? null : args.shards.slice(0);
+	this.dl_roster = args.expectedShards ?
+	    args.expectedShards.slice(0) : [];
 	this.dl_dumproot = args.dumpRoot;
 	this.dl_concurrency = args.concurrency;
+	this.dl_deadline = typeof (args.deadline) == 'number' ?
+	    args.deadline : exports.defaultDumpDeadline;
+	this.dl_unpackdelay = typeof (args.unpackDelay) == 'number' ?
+	    args.unpackDelay : exports.defaultUnpackDelay;
+	this.dl_integrity = args.integrity || null;
+	this.dl_tablesconf = args.expectedTables ?
+	    mod_jsprim.deepCopy(args.expectedTables) : {};
 
 	/* vasync queue for fetching a single dump */
 	this.dl_queue = mod_vasync.queuev({
@@ -101,13 +186,26 @@ function DumpLister(args)
 	/* dumps, indexed by date timestamp and then by shard name */
 	this.dl_dumps = {};
 
+	/*
+	 * additional (ad-hoc or duplicate) dumps, indexed by date timestamp and
+	 * then by shard name
+	 */
+	this.dl_extras = {};
+
 	/* vasync waterfall (for debugging) */
 	this.dl_waterfall = null;
 
 	/* list of shard names found in Manta */
 	this.dl_foundshards = [];
 
-	/* accumulated errors */
+	/*
+	 * expected tables for each shard, as objects with "tables" (a sorted
+	 * array of table names, or null if unknown) and "source" (either
+	 * "configured" or "inferred")
+	 */
+	this.dl_expected = {};
+
+	/* accumulated errors (see errors()) */
 	this.dl_errors = [];
 
 	/* start and completion times */
@@ -146,20 +244,26 @@ DumpLister.prototype.listDumps = function (callback)
 
 	    function selectShards(wfcallback) {
 		/*
-		 * Of the shards we found, pick out the ones that the user asked
-		 * for.  It's an error if any of these don't exist.  It's also
-		 * an error if we're left with zero shards.
+		 * Of the shards we found (plus any expected shards that we
+		 * didn't find), pick out the ones that the user asked for.
+		 * It's an error if any of these don't exist.  It's also an
+		 * error if we're left with zero shards.
 		 */
+		var known;
+
 		self.dl_log.debug(self.dl_foundshards, 'found shards');
+		known = self.dl_foundshards.concat(setCompare(self.dl_roster,
+		    self.dl_foundshards).lhsonly);
 		if (self.dl_shards === null) {
-			self.dl_log.debug('using %d found shards',
-			    self.dl_foundshards.length);
-			self.dl_shards = self.dl_foundshards;
+			self.dl_log.debug('using %d found shards (%d ' +
+			    'expected but not found)', known.length,
+			    known.length - self.dl_foundshards.length);
+			self.dl_shards = known;
 			wfcallback();
 			return;
 		}
 
-		var sets = setCompare(self.dl_shards, self.dl_foundshards);
+		var sets = setCompare(self.dl_shards, known);
 		if (sets.lhsonly.length > 0) {
 			wfcallback(new VError('requested shard%s not found: ' +
 			    '"%s"', sets.lhsonly.length == 1 ? '' : 's',
@@ -193,14 +297,70 @@ DumpLister.prototype.listDumps = function (callback)
 
 		self.dl_queue.on('end', function () { wfcallback(); });
 		self.dl_queue.close();
+	    },
+
+	    function checkTables(wfcallback) {
+		/*
+		 * Dumps for shards with a configured list of tables were
+		 * checked as they were found.  For the rest, infer the expected
+		 * list now that we've seen all of the shard's dumps.
+		 */
+		self.dl_shards.forEach(function (shard) {
+			if (self.configuredTables(shard) !== null)
+				return;
+
+			self.dl_expected[shard] = {
+			    'tables': self.inferTables(shard),
+			    'source': 'inferred'
+			};
+
+			mod_jsprim.forEachKey(self.dl_dumps,
+			    function (_, dayresults) {
+				if (dayresults.hasOwnProperty(shard)) {
+					compareTables(dayresults[shard],
+					    self.dl_expected[shard].tables);
+				}
+			    });
+
+			mod_jsprim.forEachKey(self.dl_extras,
+			    function (_, dayresults) {
+				if (!dayresults.hasOwnProperty(shard))
+					return;
+
+				dayresults[shard].forEach(function (dump) {
+					compareTables(dump,
+					    self.dl_expected[shard].tables);
+				});
+			    });
+		});
+
+		wfcallback();
+	    },
+
+	    function checkSizes(wfcallback) {
+		/*
+		 * Whether an unpacked object is suspiciously small depends on
+		 * the sizes of the same table's other objects, so this can
+		 * only be checked once we've seen all of the shard's dumps.
+		 */
+		self.dl_shards.forEach(function (shard) {
+			checkObjectSizes(self.shardDumps(shard));
+		});
+
+		wfcallback();
+	    },
+
+	    function checkIntegrity(wfcallback) {
+		if (self.dl_integrity === null) {
+			wfcallback();
+			return;
+		}
+
+		self.checkIntegrity(wfcallback);
 	    }
 	], function (err) {
 		self.dl_done = new Date();
 
-		if (!err && self.dl_errors.length > 0) {
-			err = new VError(self.dl_errors[0], 'first error');
-		}
-
 		if (err) {
 			callback(new VError(err, 'failed to list dumps'));
 		} else {
@@ -209,6 +369,245 @@ DumpLister.prototype.listDumps = function (callback)
 	});
 };
 
+/*
+ * Returns the list of shard names that were examined.
+ */
+DumpLister.prototype.shards = function ()
+{
+	mod_assertplus.ok(this.dl_done !== null, 'listDumps() not finished');
+	return (this.dl_shards.slice(0));
+};
+
+/*
+ * Returns the dumps that were found, organized as described above
+ * doFetchShardDumpsForDay() below.  Callers must not modify the result.
+ */
+DumpLister.prototype.dumps = function ()
+{
+	mod_assertplus.ok(this.dl_done !== null, 'listDumps() not finished');
+	return (this.dl_dumps);
+};
+
+/*
+ * Returns the additional (ad-hoc or duplicate) dumps that were found, organized
+ * as described above doFetchShardDumpsForDay() below.  Callers must not modify
+ * the result.
+ */
+DumpLister.prototype.extras = function ()
+{
+	mod_assertplus.ok(this.dl_done !== null, 'listDumps() not finished');
+	return (this.dl_extras);
+};
+
+/*
+ * Returns the list of errors encountered while listing dumps for particular
+ * shards and days.  Each has "shard", "date" (the day's timestamp), "method",
+ * "path", "category" (see lib/retry.js), and "error".
+ */
+DumpLister.prototype.errors = function ()
+{
+	mod_assertplus.ok(this.dl_done !== null, 'listDumps() not finished');
+	return (this.dl_errors.slice(0));
+};
+
+/*
+ * Returns the first error encountered while listing the dumps for shard
+ * "shard" on the day with timestamp "timestamp", or null if there was none.
+ * If there was one, a dump that wasn't found may exist anyway.
+ */
+DumpLister.prototype.dumpError = function (timestamp, shard)
+{
+	var i;
+
+	mod_assertplus.ok(this.dl_done !== null, 'listDumps() not finished');
+	for (i = 0; i < this.dl_errors.length; i++) {
+		if (this.dl_errors[i].date == timestamp &&
+		    this.dl_errors[i].shard == shard)
+			return (this.dl_errors[i].error);
+	}
+
+	return (null);
+};
+
+/*
+ * Returns the deadline (in milliseconds after the start of the day) after which
+ * dumps are considered late.
+ */
+DumpLister.prototype.deadline = function ()
+{
+	return (this.dl_deadline);
+};
+
+/*
+ * Returns the Manta directory that should contain the dump of shard "shard"
+ * taken at Date "when" (which must be on an hour boundary).
+ */
+DumpLister.prototype.dumpDirectory = function (shard, when)
+{
+	return ([
+	    this.dl_dumproot,
+	    shard,
+	    sprintf('%4d', when.getUTCFullYear()),
+	    sprintf('%02d', when.getUTCMonth() + 1),
+	    sprintf('%02d', when.getUTCDate()),
+	    sprintf('%02d', when.getUTCHours())
+	].join('/'));
+};
+
+/*
+ * Returns the delay (in milliseconds after a dump was uploaded) after which
+ * objects unpacked from it are considered late.
+ */
+DumpLister.prototype.unpackDelay = function ()
+{
+	return (this.dl_unpackdelay);
+};
+
+/*
+ * Returns the mode used to check the integrity of each dump (see
+ * lib/integrity.js), or null if dumps were not checked.
+ */
+DumpLister.prototype.integrityMode = function ()
+{
+	return (this.dl_integrity);
+};
+
+/*
+ * Checks the integrity of every dump found (both scheduled and additional
+ * ones), storing the result in each dump's "integrity" property.  Dumps that
+ * couldn't be checked are recorded as errors (see recordError()), so
+ * "callback" is always invoked without an error.
+ */
+DumpLister.prototype.checkIntegrity = function (callback)
+{
+	var self = this;
+	var queue;
+
+	queue = mod_vasync.queuev({
+	    'concurrency': this.dl_concurrency,
+	    'worker': function (task, qcallback) {
+		mod_integrity.checkIntegrity({
+		    'manta': self.dl_manta,
+		    'path': task.dump.path,
+		    'size': task.dump.size,
+		    'mode': self.dl_integrity
+		}, function (err, result) {
+			if (err) {
+				self.recordError(task.shard, task.whenkey,
+				    'get', task.dump.path, err);
+			} else {
+				task.dump.integrity = result;
+				if (result.problems.length > 0) {
+					self.dl_log.warn({
+					    'path': task.dump.path,
+					    'problems': result.problems
+					}, 'dump failed integrity check');
+				}
+			}
+
+			qcallback();
+		});
+	    }
+	});
+
+	queue.on('end', function () { callback(); });
+	mod_jsprim.forEachKey(this.dl_dumps, function (whenkey, dayresults) {
+		mod_jsprim.forEachKey(dayresults, function (shard, dump) {
+			queue.push({
+			    'whenkey': whenkey,
+			    'shard': shard,
+			    'dump': dump
+			});
+		});
+	});
+	mod_jsprim.forEachKey(this.dl_extras, function (whenkey, dayresults) {
+		mod_jsprim.forEachKey(dayresults, function (shard, dumps) {
+			dumps.forEach(function (dump) {
+				queue.push({
+				    'whenkey': whenkey,
+				    'shard': shard,
+				    'dump': dump
+				});
+			});
+		});
+	});
+	queue.close();
+};
+
+/*
+ * Returns all of the dumps found for shard "shard" (both scheduled and
+ * additional ones), in no particular order.
+ */
+DumpLister.prototype.shardDumps = function (shard)
+{
+	var rv = [];
+
+	mod_jsprim.forEachKey(this.dl_dumps, function (_, dayresults) {
+		if (dayresults.hasOwnProperty(shard))
+			rv.push(dayresults[shard]);
+	});
+
+	mod_jsprim.forEachKey(this.dl_extras, function (_, dayresults) {
+		if (dayresults.hasOwnProperty(shard))
+			rv = rv.concat(dayresults[shard]);
+	});
+
+	return (rv);
+};
+
+/*
+ * Returns the tables expected to be unpacked from each dump of shard "shard"
+ * as an object with "tables" (a sorted array of table names, or null if there
+ * was no configured list and none could be inferred) and "source" (either
+ * "configured" or "inferred").
+ */
+DumpLister.prototype.expectedTables = function (shard)
+{
+	mod_assertplus.ok(this.dl_done !== null, 'listDumps() not finished');
+	mod_assertplus.ok(this.dl_expected.hasOwnProperty(shard));
+	return (this.dl_expected[shard]);
+};
+
+/*
+ * Returns the most common set of tables unpacked from the dumps we found for
+ * shard "shard", or null if none of them were unpacked.  Ties are broken in
+ * favor of the larger set, since it's far more likely for a dump to be
+ * partially unpacked than to contain extra tables.
+ */
+DumpLister.prototype.inferTables = function (shard)
+{
+	var counts, best;
+
+	counts = {};
+	mod_jsprim.forEachKey(this.dl_dumps, function (_, dayresults) {
+		var key;
+
+		if (!dayresults.hasOwnProperty(shard) ||
+		    !dayresults[shard].unpacked)
+			return;
+
+		key = dayresults[shard].tables.join(',');
+		if (!counts.hasOwnProperty(key)) {
+			counts[key] = {
+			    'count': 0,
+			    'tables': dayresults[shard].tables
+			};
+		}
+
+		counts[key].count++;
+	});
+
+	best = null;
+	mod_jsprim.forEachKey(counts, function (_, entry) {
+		if (best === null || entry.count > best.count ||
+		    (entry.count == best.count &&
+		    entry.tables.length > best.tables.length))
+			best = entry;
+	});
+
+	return (best === null ? null : best.tables.slice(0));
+};
+
 /*
  * Fetch information about database dumps for the given shard and date.
  * "arg" has named properties:
@@ -216,7 +615,11 @@ DumpLister.prototype.listDumps = function (callback)
  *     shard (string)	shard name
  *     date (Date)	date of dump to look for
  *
- * Results are stored into this.dl_dumps, which is organized as:
+ * Manta takes dumps automatically at the 00 hour, but operators sometimes take
+ * dumps manually or re-run failed ones, and those may appear under any hour's
+ * directory for that day.  We list all of them.  The first dump (by name) in
+ * the 00 hour directory is the regularly scheduled dump.  Results for it are
+ * stored into this.dl_dumps, which is organized as:
  *
  *     date -> shard name -> {
  *	    path (string):  full path to the dump
@@ -231,19 +634,48 @@ DumpLister.prototype.listDumps = function (callback)
  *			    (hours, minutes, seconds, ms part of "mtime")
  *	    unpacked (bool): whether the dump appears to have been unpacked
  *	    objects (array of names): list of unpacked objects
+ *	    unpackedobjects (array): details about each unpacked object, in
+ *			     the same order as "objects" (see
+ *			     checkObjects())
+ *	    tables (array of names): sorted list of tables that were unpacked
+ *			     (derived from the names of unpacked objects)
+ *	    missingtables (array of names): expected tables that were not
+ *			     unpacked (empty if the expected tables are unknown)
+ *	    extratables (array of names): unpacked tables that were not
+ *			     expected (empty if the expected tables are unknown)
  *	    waslate (bool):  indicates whether this dump was likely too late
  *			     for normal processing
+ *	    integrity (object): result of checking the dump's integrity (see
+ *			     checkIntegrity() in lib/integrity.js), or null if
+ *			     it wasn't checked
  *     }
+ *
+ * Any other dumps are stored into this.dl_extras, which is organized as:
+ *
+ *     date -> shard name -> list of dumps
+ *
+ * where each dump has the same properties as above plus:
+ *
+ *	    hour (number):   hour of the directory containing the dump
+ *	    kind (string):   "duplicate" for additional dumps in the 00 hour
+ *			     directory, or "ad-hoc" for dumps in other hours'
+ *			     directories
+ *
+ * and "waslate" is always false, since the deadline only applies to the
+ * scheduled dump.
+ *
+ * When a directory contains more than one dump, unpacked objects are
+ * attributed to the dump whose timestamp they share.  Others are attributed to
+ * the first dump in the directory.
+ *
+ * The expected tables come from the "expectedTables" configuration.  If there
+ * isn't one for this shard, "missingtables" and "extratables" are filled in
+ * after all dumps have been found (see listDumps()).
  */
 DumpLister.prototype.doFetchShardDumpsForDay = function (arg, callback)
 {
-	var self, when, whenkey, path;
+	var self, when, whenkey, daypath;
 
-	/*
-	 * We currently only look for dumps at the 00 hour, since that's what
-	 * Manta does automatically.  It may be useful to extend this to search
-	 * for more dumps and notify if they're found.
-	 */
 	mod_assertplus.string(arg.shard, 'arg.shard');
 	mod_assertplus.object(arg.date, 'arg.date');
 	mod_assertplus.equal(arg.date.getUTCHours(), 0);
@@ -251,40 +683,90 @@ DumpLister.prototype.doFetchShardDumpsForDay = function (arg, callback)
 	self = this;
 	when = arg.date;
 	whenkey = when.toISOString();
-	path = [
-	    self.dl_dumproot,
-	    arg.shard,
-	    sprintf('%4d', when.getUTCFullYear()),
-	    sprintf('%02d', when.getUTCMonth() + 1),
-	    sprintf('%02d', when.getUTCDate()),
-	    sprintf('%02d', when.getUTCHours())
-	].join('/');
+	daypath = mod_path.dirname(self.dumpDirectory(arg.shard, when));
 
 	if (!self.dl_dumps.hasOwnProperty(whenkey))
 		self.dl_dumps[whenkey] = {};
 
+	self.dl_manta.ls(daypath, function (err, emitter) {
+		var hours = [];
+
+		if (err && mod_retry.classifyError(err) == 'not-found') {
+			self.dl_log.warn('no dump found', { 'path': daypath });
+			callback();
+			return;
+		}
+
+		if (err) {
+			self.recordError(arg.shard, whenkey, 'ls', daypath,
+			    err);
+			callback();
+			return;
+		}
+
+		emitter.on('entry', function (entry) {
+			if (entry.type == 'directory' &&
+			    /^\d{2}$/.test(entry.name) &&
+			    parseInt(entry.name, 10) < 24)
+				hours.push(parseInt(entry.name, 10));
+		});
+
+		emitter.on('end', function () {
+			hours.sort(function (a, b) { return (a - b); });
+			if (hours.length === 0 || hours[0] !== 0) {
+				self.dl_log.warn('directory "%s": no dump ' +
+				    'found', self.dumpDirectory(arg.shard,
+				    when));
+			}
+
+			mod_vasync.forEachPipeline({
+			    'inputs': hours,
+			    'func': function (hour, subcallback) {
+				var hourdate = new Date(when.getTime());
+				hourdate.setUTCHours(hour);
+				self.doFetchShardDumpsForHour(arg.shard,
+				    whenkey, hourdate, subcallback);
+			    }
+			}, function () { callback(); });
+		});
+	});
+};
+
+/*
+ * Fetch information about the dumps for shard "shard" in the directory for
+ * Date "hourdate", which is part of the day identified by "whenkey".  See
+ * doFetchShardDumpsForDay() above.  Errors are recorded with recordError(),
+ * so "callback" is always invoked without an error.
+ */
+DumpLister.prototype.doFetchShardDumpsForHour = function (shard, whenkey,
+    hourdate, callback)
+{
+	var self = this;
+	var path = this.dumpDirectory(shard, hourdate);
+
 	self.dl_manta.ls(path, function (err, emitter) {
-		if (err && err.name == 'NotFoundError') {
+		if (err && mod_retry.classifyError(err) == 'not-found') {
 			self.dl_log.warn('no dump found', { 'path': path });
 			callback();
 			return;
 		}
 
 		if (err) {
-			self.dl_log.error(err, 'ls ' + path);
-			self.dl_errors.push(new VError(err, 'ls "%s"', path));
+			self.recordError(shard, whenkey, 'ls', path, err);
 			callback();
 			return;
 		}
 
-		var dump = null;
+		var found = [];
 		var unpacked = [];
 		emitter.on('entry', function (entry) {
 			var what;
 
-			what = parseDumpDirent(when, self.dl_log, path, entry);
+			what = parseDumpDirent(hourdate, self.dl_log, path,
+			    entry);
 			if (what === null) {
-				unpacked.push(entry.name);
+				if (entry.type == 'object')
+					unpacked.push(entry);
 				return;
 			}
 
@@ -292,42 +774,286 @@ DumpLister.prototype.doFetchShardDumpsForDay = function (arg, callback)
 			 * If the encoded date is more than a day off, there's
 			 * something wrong.
 			 */
-			if (Math.abs(what.stime.getTime() - when.getTime()) >
-			    86400000) {
+			if (Math.abs(what.stime.getTime() -
+			    hourdate.getTime()) > 86400000) {
 				self.dl_log.warn(
 				    { 'path': path, 'name': entry.name },
 				    'garbled date in name (too far off)');
 				return;
 			}
 
-			if (dump !== null) {
-				self.dl_log.warn('directory "%s": found ' +
-				    'unexpected match "%s" (already saw "%s")',
-				    path, entry.name, dump.name);
-				return;
-			}
-
-			dump = what;
+			found.push(what);
 		});
 
 		emitter.on('end', function () {
-			if (dump === null) {
+			if (found.length === 0) {
 				self.dl_log.warn(
 				    'directory "%s": no dump found', path);
-			} else {
-				mod_assertplus.ok(!self.dl_dumps[
-				    whenkey].hasOwnProperty(arg.shard));
-				self.dl_dumps[whenkey][arg.shard] = dump;
-				dump.unpacked = unpacked.length > 0;
-				dump.objects = unpacked;
-				dump.waslate = dump.ended >= 120 * 60 * 1000;
+				callback();
+				return;
 			}
 
+			found.sort(function (a, b) {
+				return (a.name < b.name ? -1 :
+				    a.name > b.name ? 1 : 0);
+			});
+			attributeObjects(found, unpacked);
+			found.forEach(function (dump, i) {
+				self.recordDump(shard, whenkey, hourdate, dump,
+				    i);
+			});
 			callback();
 		});
 	});
 };
 
+/*
+ * Records dump "dump", the "index"th dump found in the directory for shard
+ * "shard" and Date "hourdate", which is part of the day identified by
+ * "whenkey".  See doFetchShardDumpsForDay() above.
+ */
+DumpLister.prototype.recordDump = function (shard, whenkey, hourdate, dump,
+    index)
+{
+	var hour = hourdate.getUTCHours();
+
+	dump.unpacked = dump.objects.length > 0;
+	dump.tables = uniqueTables(dump.objects);
+	checkObjects(dump, this.dl_unpackdelay);
+	dump.integrity = null;
+	dump.missingtables = [];
+	dump.extratables = [];
+	if (this.configuredTables(shard) !== null)
+		compareTables(dump, this.dl_expected[shard].tables);
+
+	if (hour === 0 && index === 0) {
+		mod_assertplus.ok(
+		    !this.dl_dumps[whenkey].hasOwnProperty(shard));
+		dump.waslate = dump.ended >= this.dl_deadline;
+		this.dl_dumps[whenkey][shard] = dump;
+		return;
+	}
+
+	this.dl_log.warn('directory "%s": found additional dump "%s"',
+	    mod_path.dirname(dump.path), dump.name);
+	dump.waslate = false;
+	dump.hour = hour;
+	dump.kind = hour === 0 ? 'duplicate' : 'ad-hoc';
+
+	if (!this.dl_extras.hasOwnProperty(whenkey))
+		this.dl_extras[whenkey] = {};
+	if (!this.dl_extras[whenkey].hasOwnProperty(shard))
+		this.dl_extras[whenkey][shard] = [];
+	this.dl_extras[whenkey][shard].push(dump);
+};
+
+/*
+ * Records an error from a "method" request for Manta path "path" while
+ * examining the dumps for shard "shard" on the day identified by "whenkey".
+ */
+DumpLister.prototype.recordError = function (shard, whenkey, method, path,
+    err)
+{
+	this.dl_log.warn(err, method + ' ' + path);
+	this.dl_errors.push({
+	    'shard': shard,
+	    'date': whenkey,
+	    'method': method,
+	    'path': path,
+	    'category': mod_retry.classifyError(err),
+	    'error': new VError(err, '%s "%s"', method, path)
+	});
+};
+
+/*
+ * If there's a configured list of tables for shard "shard", record it in
+ * this.dl_expected and return it.  Otherwise, return null.
+ */
+DumpLister.prototype.configuredTables = function (shard)
+{
+	var tables;
+
+	if (this.dl_tablesconf.hasOwnProperty(shard))
+		tables = this.dl_tablesconf[shard];
+	else if (this.dl_tablesconf.hasOwnProperty('*'))
+		tables = this.dl_tablesconf['*'];
+	else
+		return (null);
+
+	if (!this.dl_expected.hasOwnProperty(shard)) {
+		this.dl_expected[shard] = {
+		    'tables': tables.slice(0).sort(),
+		    'source': 'configured'
+		};
+	}
+
+	return (this.dl_expected[shard].tables);
+};
+
+/*
+ * Given a dump (as stored in this.dl_dumps) and the sorted list of tables
+ * expected to be unpacked from it (or null if unknown), fill in the dump's
+ * "missingtables" and "extratables".  A dump that hasn't been unpacked at all
+ * is reported separately, so we don't list every table as missing.
+ */
+function compareTables(dump, expected)
+{
+	var sets;
+
+	if (expected === null || !dump.unpacked)
+		return;
+
+	sets = setCompare(expected, dump.tables);
+	dump.missingtables = sets.lhsonly.sort();
+	dump.extratables = sets.rhsonly.sort();
+}
+
+/*
+ * Given the names of objects unpacked from a dump, return the sorted list of
+ * distinct tables that they contain.
+ */
+function uniqueTables(objnames)
+{
+	return (objnames.map(tableName).sort().filter(function (t, i, tables) {
+		return (i === 0 || tables[i - 1] != t);
+	}));
+}
+
+/*
+ * Given a list of dumps found in the same directory (sorted by name) and the
+ * directory entries for the other objects in that directory, set each dump's
+ * "objects" to the names of the objects unpacked from it and
+ * "unpackedobjects" to the corresponding details.  Objects are matched to
+ * dumps using the timestamp in their names.  Objects that don't match any dump
+ * are attributed to the first one.
+ */
+function attributeObjects(dumps, entries)
+{
+	var bytimestamp = {};
+
+	dumps.forEach(function (dump) {
+		dump.objects = [];
+		dump.unpackedobjects = [];
+		bytimestamp[dumpTimestamp(dump.name)] = dump;
+	});
+
+	entries.forEach(function (entry) {
+		var ts, dump;
+
+		ts = dumpTimestamp(entry.name);
+		dump = ts !== null && bytimestamp.hasOwnProperty(ts) ?
+		    bytimestamp[ts] : dumps[0];
+		dump.objects.push(entry.name);
+		dump.unpackedobjects.push({
+		    'name': entry.name,
+		    'table': tableName(entry.name),
+		    'size': entry.size,
+		    'mtime': new Date(entry.mtime)
+		});
+	});
+}
+
+/*
+ * Checks each of the objects unpacked from "dump" (see attributeObjects()),
+ * filling in its "delay" (how long after the dump was uploaded the object was
+ * written, in milliseconds, which is negative if it was written first) and
+ * "issues", a list of any of:
+ *
+ *     "empty"	the object is empty
+ *
+ *     "late"	the object was written more than "unpackdelay" milliseconds
+ *     		after the dump was uploaded, so the jobs that consume it may
+ *     		have already run
+ *
+ *     "early"	the object was written before the dump was uploaded, so it
+ *     		was most likely left over from an earlier dump
+ *
+ *     "small"	the object is much smaller than the same table usually is (see
+ *     		checkObjectSizes(), which adds this later)
+ */
+function checkObjects(dump, unpackdelay)
+{
+	dump.unpackedobjects.forEach(function (obj) {
+		obj.delay = obj.mtime.getTime() - dump.mtime.getTime();
+		obj.issues = [];
+		if (obj.size === 0)
+			obj.issues.push('empty');
+		if (obj.delay > unpackdelay)
+			obj.issues.push('late');
+		else if (obj.delay < 0)
+			obj.issues.push('early');
+	});
+}
+
+/*
+ * Given all of the dumps for one shard, flags unpacked objects that are
+ * non-empty but much smaller than the median size of the same table's objects.
+ * (Empty objects are already flagged by checkObjects().)
+ */
+function checkObjectSizes(dumps)
+{
+	var bytable = {};
+
+	dumps.forEach(function (dump) {
+		dump.unpackedobjects.forEach(function (obj) {
+			if (!bytable.hasOwnProperty(obj.table))
+				bytable[obj.table] = [];
+			bytable[obj.table].push(obj);
+		});
+	});
+
+	mod_jsprim.forEachKey(bytable, function (_, objects) {
+		var sizes, mid, median;
+
+		if (objects.length < smallTableMinimum)
+			return;
+
+		sizes = objects.map(function (obj) {
+			return (obj.size);
+		}).sort(function (a, b) { return (a - b); });
+		mid = Math.floor(sizes.length / 2);
+		median = sizes.length % 2 == 1 ? sizes[mid] :
+		    (sizes[mid - 1] + sizes[mid]) / 2;
+
+		objects.forEach(function (obj) {
+			if (obj.size > 0 &&
+			    obj.size < smallTableFraction * median)
+				obj.issues.push('small');
+		});
+	});
+}
+
+/*
+ * Given the name of a dump or an object unpacked from a dump, return the
+ * timestamp part of the name (e.g., "2015-07-13-00-00-01"), or null if there
+ * isn't one.
+ */
+function dumpTimestamp(objname)
+{
+	var match;
+
+	match = /-(\d{4}-\d{2}-\d{2}-\d{2}-\d{2}-\d{2})(\..*)?$/.exec(objname);
+	return (match === null ? null : match[1]);
+}
+
+/*
+ * Given the name of an object unpacked from a dump, return the name of the
+ * table it contains.  Unpacked objects are named for the table and the dump's
+ * timestamp, as in "manta_delete_log-2015-07-13-00-00-01.gz".  Names that
+ * don't look like that are returned without any extension.
+ */
+function tableName(objname)
+{
+	var match;
+
+	match = /^(.*)-\d{4}-\d{2}-\d{2}-\d{2}-\d{2}-\d{2}(\..*)?$/.exec(
+	    objname);
+	if (match !== null)
+		return (match[1]);
+
+	return (objname.split('.')[0]);
+}
+
 /*
  * Given the path to a dump directory (including shard name and date
  * components) and a directory entry from that directory (as returned by
@@ -347,13 +1073,7 @@ function parseDumpDirent(start, log, path, entry)
 	 * should be exactly one file in each directory that looks like this.
 	 * Our caller will issue a warning if it finds more than one.
 	 */
-	if (entry.type != 'object')
-		return (null);
-
-	if (!mod_jsprim.startsWith(entry.name, 'moray-'))
-		return (null);
-
-	if (!mod_jsprim.endsWith(entry.name, '.gz'))
+	if (!isDumpEntry(entry))
 		return (null);
 
 	/*
@@ -391,6 +1111,18 @@ function parseDumpDirent(start, log, path, entry)
 	return (dump);
 }
 
+/*
+ * Returns true if the directory entry "entry" (as returned by manta.ls()) is
+ * named like a Manatee dump (see parseDumpDirent()), without checking the date
+ * encoded in its name.
+ */
+function isDumpEntry(entry)
+{
+	return (entry.type == 'object' &&
+	    mod_jsprim.startsWith(entry.name, 'moray-') &&
+	    mod_jsprim.endsWith(entry.name, '.gz'));
+}
+
 /*
  * Compares the values of two lists of strings.  Returns an object with:
  *
@@ -0,0 +1,590 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * lib/html.js: standalone HTML reports with inline SVG charts
+ *
+ * The report is a single HTML file with no external references (no scripts,
+ * stylesheets, fonts, or images), so that it can be attached to a ticket or
+ * mailed around and still render the same way anywhere.  It contains:
+ *
+ *     o a chart of when each shard's dump finished, relative to the deadline
+ *     o a chart of each shard's dump size
+ *     o a shard-by-day grid showing the status of each dump, using the same
+ *       markers as "manta-hk dumps"
+ *     o a day-by-hour grid showing which metering reports are present
+ *     o a list of the problems found (as reported by "manta-hk verify")
+ */
+
+var mod_assertplus = require('assert-plus');
+var mod_extsprintf = require('extsprintf');
+var sprintf = mod_extsprintf.sprintf;
+
+var mod_check = require('./check');
+var mod_verify = require('./verify');
+
+/* public interface */
+exports.htmlReport = htmlReport;
+
+/*
+ * Colors used for each shard's series, in order.  These are chosen to be
+ * distinguishable from each other and from the deadline line.
+ */
+var seriesColors = [
+    '#1f77b4', '#2ca02c', '#9467bd', '#8c564b', '#e377c2', '#17becf',
+    '#bcbd22', '#7f7f7f', '#ff7f0e', '#aec7e8', '#98df8a', '#c5b0d5'
+];
+
+/*
+ * Colors (and legend labels) for each cell status in the two grids.
+ */
+var statusStyles = {
+    'ok': { 'color': '#7bc96f', 'label': 'ok' },
+    'late': { 'color': '#f5b041', 'label': 'late (*)' },
+    'unpack': { 'color': '#e74c3c', 'label': 'unpacking problem (!)' },
+    'corrupt': { 'color': '#8e44ad', 'label': 'corrupt dump (!)' },
+    'missing': { 'color': '#7b241c', 'label': 'missing' },
+    'unknown': { 'color': '#aab7b8', 'label': 'unknown (request failed)' },
+    'present': { 'color': '#7bc96f', 'label': 'present' },
+    'small': { 'color': '#f5b041', 'label': 'looks too small' },
+    'absent': { 'color': '#7b241c', 'label': 'missing' },
+    'pending': { 'color': '#d5d8dc', 'label': 'not yet due' }
+};
+
+/* chart dimensions, in pixels */
+var chartWidth = 960;
+var chartHeight = 320;
+var chartMargins = { 'top': 20, 'right': 220, 'bottom': 40, 'left': 70 };
+var gridCell = 24;
+
+/*
+ * Returns the text of an HTML report.  Named arguments in "args":
+ *
+ *     dumps		DumpLister whose listDumps() operation has completed
+ *     (object)
+ *
+ *     metering		result of listMeteringReports()
+ *     (object)
+ *
+ *     minEntries	Daily reports with fewer entries than this are shown as
+ *     (number)		too small.
+ *
+ *     now (Date)	Current time.  Hourly reports for hours that have not
+ *     			yet finished are shown as not yet due.
+ */
+function htmlReport(args)
+{
+	var shards, dates, title, problems, html;
+
+	mod_assertplus.object(args, 'args');
+	mod_assertplus.object(args.dumps, 'args.dumps');
+	mod_assertplus.object(args.metering, 'args.metering');
+	mod_assertplus.number(args.minEntries, 'args.minEntries');
+	mod_assertplus.date(args.now, 'args.now');
+
+	shards = args.dumps.shards().sort();
+	dates = Object.keys(args.dumps.dumps()).sort();
+	title = dates.length === 0 ? 'Manta housekeeping report' :
+	    sprintf('Manta housekeeping report: %s to %s',
+	    dates[0].substr(0, '2015-07-10'.length),
+	    dates[dates.length - 1].substr(0, '2015-07-10'.length));
+	problems = mod_verify.dumpProblems(args.dumps).concat(
+	    mod_verify.meteringProblems(args.metering, args.minEntries,
+	    args.now));
+
+	html = [];
+	html.push('<!DOCTYPE html>');
+	html.push('<html>');
+	html.push('<head>');
+	html.push('<meta charset="utf-8">');
+	html.push(sprintf('<title>%s</title>', escape(title)));
+	html.push('<style>');
+	html.push('body { font-family: sans-serif; margin: 2em; }');
+	html.push('svg { display: block; margin-bottom: 1em; }');
+	html.push('svg text { font-size: 12px; }');
+	html.push('table { border-collapse: collapse; }');
+	html.push('td, th { text-align: left; padding: 2px 8px; ' +
+	    'vertical-align: top; }');
+	html.push('</style>');
+	html.push('</head>');
+	html.push('<body>');
+	html.push(sprintf('<h1>%s</h1>', escape(title)));
+	html.push(sprintf('<p>Generated %s by manta-hk.</p>',
+	    escape(args.now.toISOString())));
+
+	if (shards.length === 0) {
+		html.push('<p>No dumps were found.</p>');
+	} else {
+		html.push('<h2>Dump time</h2>');
+		html.push(lineChart({
+		    'shards': shards,
+		    'dates': dates,
+		    'dumps': args.dumps.dumps(),
+		    'ylabel': 'Minutes after start of day',
+		    'value': function (dump) { return (dump.ended / 60000); },
+		    'describe': function (dump) {
+			return (sprintf('finished at %s',
+			    dump.mtime.toISOString()));
+		    },
+		    'deadline': args.dumps.deadline() / 60000
+		}));
+
+		html.push('<h2>Dump size</h2>');
+		html.push(lineChart({
+		    'shards': shards,
+		    'dates': dates,
+		    'dumps': args.dumps.dumps(),
+		    'ylabel': 'Megabytes',
+		    'value': function (dump) { return (dump.sizemb); },
+		    'describe': function (dump) {
+			return (sprintf('%d MB', dump.sizemb));
+		    },
+		    'deadline': null
+		}));
+
+		html.push('<h2>Dump status</h2>');
+		html.push(dumpGrid(shards, dates, args.dumps));
+	}
+
+	html.push('<h2>Metering reports</h2>');
+	html.push(meteringGrid(args.metering, args.minEntries, args.now));
+
+	html.push('<h2>Problems</h2>');
+	html.push(problemList(problems,
+	    args.dumps.errors().concat(args.metering.errors)));
+
+	html.push('</body>');
+	html.push('</html>');
+	return (html.join('\n') + '\n');
+}
+
+/*
+ * Returns an SVG chart with one series for each shard, plotting the value
+ * returned by args.value(dump) for each day's dump.  If args.deadline is not
+ * null, a horizontal line is drawn at that value.
+ */
+function lineChart(args)
+{
+	var svg, plotw, ploth, ymax, xpos, ypos, ticks;
+
+	plotw = chartWidth - chartMargins.left - chartMargins.right;
+	ploth = chartHeight - chartMargins.top - chartMargins.bottom;
+
+	ymax = args.deadline === null ? 0 : args.deadline;
+	args.dates.forEach(function (timestamp) {
+		args.shards.forEach(function (shard) {
+			var dumps = args.dumps[timestamp];
+			if (dumps.hasOwnProperty(shard))
+				ymax = Math.max(ymax, args.value(dumps[shard]));
+		});
+	});
+	ticks = axisTicks(ymax);
+	ymax = ticks[ticks.length - 1];
+
+	xpos = function (i) {
+		return (chartMargins.left + (args.dates.length == 1 ?
+		    plotw / 2 : i * plotw / (args.dates.length - 1)));
+	};
+	ypos = function (v) {
+		return (chartMargins.top + ploth - v * ploth / ymax);
+	};
+
+	svg = [];
+	svg.push(sprintf('<svg xmlns="http://www.w3.org/2000/svg" ' +
+	    'width="%d" height="%d">', chartWidth, chartHeight));
+
+	/* y axis: gridlines and labels */
+	ticks.forEach(function (v) {
+		svg.push(sprintf('<line x1="%d" y1="%d" x2="%d" y2="%d" ' +
+		    'stroke="#e5e5e5"/>', chartMargins.left, ypos(v),
+		    chartMargins.left + plotw, ypos(v)));
+		svg.push(sprintf('<text x="%d" y="%d" text-anchor="end">' +
+		    '%s</text>', chartMargins.left - 6, ypos(v) + 4,
+		    String(v)));
+	});
+	svg.push(sprintf('<text transform="translate(14,%d) rotate(-90)" ' +
+	    'text-anchor="middle">%s</text>', chartMargins.top + ploth / 2,
+	    escape(args.ylabel)));
+
+	/* x axis: labels for at most about 10 days */
+	args.dates.forEach(function (timestamp, i) {
+		if (i % Math.ceil(args.dates.length / 10) !== 0)
+			return;
+		svg.push(sprintf('<text x="%d" y="%d" text-anchor="middle">' +
+		    '%s</text>', xpos(i), chartMargins.top + ploth + 20,
+		    timestamp.substr('2015-'.length, '07-10'.length)));
+	});
+	svg.push(sprintf('<line x1="%d" y1="%d" x2="%d" y2="%d" ' +
+	    'stroke="#000"/>', chartMargins.left, chartMargins.top + ploth,
+	    chartMargins.left + plotw, chartMargins.top + ploth));
+
+	if (args.deadline !== null) {
+		svg.push(sprintf('<line x1="%d" y1="%d" x2="%d" y2="%d" ' +
+		    'stroke="#d62728" stroke-width="2" ' +
+		    'stroke-dasharray="6,4"/>', chartMargins.left,
+		    ypos(args.deadline), chartMargins.left + plotw,
+		    ypos(args.deadline)));
+		legendEntry(svg, 0, '#d62728', 'Deadline');
+	}
+
+	/* one series per shard: a line through its dumps, and a point each */
+	args.shards.forEach(function (shard, s) {
+		var color, points;
+
+		color = seriesColors[s % seriesColors.length];
+		points = [];
+		args.dates.forEach(function (timestamp, i) {
+			var dump;
+
+			if (!args.dumps[timestamp].hasOwnProperty(shard))
+				return;
+
+			dump = args.dumps[timestamp][shard];
+			points.push({
+			    'x': xpos(i),
+			    'y': ypos(args.value(dump)),
+			    'title': sprintf('%s %s: %s', shard,
+				timestamp.substr(0, '2015-07-10'.length),
+				args.describe(dump))
+			});
+		});
+
+		if (points.length > 1) {
+			svg.push(sprintf('<polyline fill="none" stroke="%s" ' +
+			    'stroke-width="1.5" points="%s"/>', color,
+			    points.map(function (p) {
+				return (sprintf('%d,%d', p.x, p.y));
+			    }).join(' ')));
+		}
+
+		points.forEach(function (p) {
+			svg.push(sprintf('<circle cx="%d" cy="%d" r="3" ' +
+			    'fill="%s"><title>%s</title></circle>', p.x, p.y,
+			    color, escape(p.title)));
+		});
+
+		legendEntry(svg, s + (args.deadline === null ? 0 : 1), color,
+		    shard);
+	});
+
+	svg.push('</svg>');
+	return (svg.join('\n'));
+}
+
+/*
+ * Appends to "svg" the "index"th entry of a chart's legend.
+ */
+function legendEntry(svg, index, color, label)
+{
+	var x, y;
+
+	x = chartWidth - chartMargins.right + 16;
+	y = chartMargins.top + index * 18;
+	svg.push(sprintf('<rect x="%d" y="%d" width="12" height="12" ' +
+	    'fill="%s"/>', x, y, color));
+	svg.push(sprintf('<text x="%d" y="%d">%s</text>', x + 18, y + 10,
+	    escape(label)));
+}
+
+/*
+ * Returns evenly-spaced values for the y axis of a chart whose largest value
+ * is "max", starting at 0 and ending at or above "max".
+ */
+function axisTicks(max)
+{
+	var step, magnitude, rv, v;
+
+	if (max <= 0)
+		return ([ 0, 1 ]);
+
+	/* pick a step of 1, 2, or 5 times a power of 10 for about 5 ticks */
+	magnitude = Math.pow(10, Math.floor(Math.log(max / 5) / Math.LN10));
+	step = [ 1, 2, 5, 10 ].map(function (m) {
+		return (m * magnitude);
+	}).filter(function (s) {
+		return (max / s <= 6);
+	})[0];
+
+	rv = [];
+	for (v = 0; v < max + step; v += step)
+		rv.push(Math.round(v * 1000) / 1000);
+	return (rv);
+}
+
+/*
+ * Returns an SVG grid with one row per shard and one column per day, with each
+ * cell colored by the status of that shard's dump on that day.  Cells are
+ * marked the same way as the rows printed by "manta-hk dumps".
+ */
+function dumpGrid(shards, dates, lister)
+{
+	var dumps, extras, conditions, labelw, cellw, svg, legend;
+
+	dumps = lister.dumps();
+	extras = lister.extras();
+	conditions = {};
+	mod_verify.dumpProblems(lister).forEach(function (p) {
+		var key = p.date.toISOString() + ' ' + p.what;
+		if (!conditions.hasOwnProperty(key))
+			conditions[key] = {};
+		conditions[key][p.condition] = p.problem;
+	});
+
+	labelw = 8 * Math.max.apply(null, shards.map(function (shard) {
+		return (shard.length);
+	})) + 10;
+	cellw = Math.max(4, Math.min(gridCell,
+	    Math.floor((chartWidth - labelw) / dates.length)));
+
+	svg = [];
+	svg.push(sprintf('<svg xmlns="http://www.w3.org/2000/svg" ' +
+	    'width="%d" height="%d">', Math.max(chartWidth,
+	    labelw + cellw * dates.length), gridCell * (shards.length + 3)));
+	dates.forEach(function (timestamp, i) {
+		if (i % Math.ceil(40 / cellw) !== 0)
+			return;
+		svg.push(sprintf('<text x="%d" y="%d">%s</text>',
+		    labelw + i * cellw, 14,
+		    timestamp.substr('2015-'.length, '07-10'.length)));
+	});
+
+	shards.forEach(function (shard, row) {
+		var y = gridCell * (row + 1);
+
+		svg.push(sprintf('<text x="0" y="%d">%s</text>', y + 16,
+		    escape(shard)));
+		dates.forEach(function (timestamp, i) {
+			var found, error, cond, status, marker, notes;
+			var nextras;
+
+			found = dumps[timestamp].hasOwnProperty(shard);
+			cond = conditions[timestamp + ' ' + shard] || {};
+			nextras = extras.hasOwnProperty(timestamp) &&
+			    extras[timestamp].hasOwnProperty(shard) ?
+			    extras[timestamp][shard].length : 0;
+			notes = Object.keys(cond).map(function (c) {
+				return (cond[c]);
+			});
+
+			error = found ? null :
+			    lister.dumpError(timestamp, shard);
+			if (error !== null) {
+				status = 'unknown';
+				marker = '?';
+				notes.push(error.message);
+			} else if (!found) {
+				status = 'missing';
+				marker = '*';
+			} else if (cond.hasOwnProperty('corrupt-dump')) {
+				status = 'corrupt';
+				marker = cond.hasOwnProperty('late-dump') ?
+				    '!*' : '!';
+			} else if (Object.keys(cond).some(function (c) {
+				return (mod_check.conditions[c].stage ==
+				    'unpack');
+			    })) {
+				status = 'unpack';
+				marker = cond.hasOwnProperty('late-dump') ?
+				    '!*' : '!';
+			} else if (cond.hasOwnProperty('late-dump')) {
+				status = 'late';
+				marker = '*';
+			} else {
+				status = 'ok';
+				marker = '';
+				notes.push('ok');
+			}
+
+			if (nextras > 0) {
+				marker = '+' + marker;
+				notes.push(sprintf('%d extra dump%s', nextras,
+				    nextras == 1 ? '' : 's'));
+			}
+
+			drawCell(svg, labelw + i * cellw, y, cellw, status,
+			    cellw >= 16 ? marker : '', sprintf('%s %s: %s',
+			    shard, timestamp.substr(0, '2015-07-10'.length),
+			    notes.join('; ')));
+		});
+	});
+
+	legend = [ 'ok', 'late', 'unpack', 'missing' ];
+	if (lister.integrityMode() !== null)
+		legend.push('corrupt');
+	if (lister.errors().length > 0)
+		legend.push('unknown');
+	gridLegend(svg, gridCell * (shards.length + 1) + 8, legend);
+	svg.push('</svg>');
+	return (svg.join('\n'));
+}
+
+/*
+ * Returns an SVG grid with two rows per day (one each for the hourly compute
+ * and request reports) and one column per hour, plus columns for that day's
+ * storage and summary reports.
+ */
+function meteringGrid(results, minentries, now)
+{
+	var dates, labelw, dailyx, svg, hour;
+
+	dates = Object.keys(results.byday).sort();
+	labelw = 160;
+	dailyx = labelw + 25 * gridCell;
+
+	svg = [];
+	svg.push(sprintf('<svg xmlns="http://www.w3.org/2000/svg" ' +
+	    'width="%d" height="%d">', Math.max(chartWidth,
+	    dailyx + 2 * gridCell * 3), gridCell * (2 * dates.length + 3)));
+	for (hour = 0; hour < 24; hour += 3) {
+		svg.push(sprintf('<text x="%d" y="%d">%02d</text>',
+		    labelw + hour * gridCell + 4, 14, hour));
+	}
+	svg.push(sprintf('<text x="%d" y="14">storage</text>', dailyx));
+	svg.push(sprintf('<text x="%d" y="14">summary</text>',
+	    dailyx + 3 * gridCell));
+
+	dates.forEach(function (timestamp, d) {
+		var day, dayresults, start;
+
+		day = timestamp.substr(0, '2015-07-10'.length);
+		dayresults = results.byday[timestamp];
+		start = new Date(timestamp).getTime();
+
+		[ 'compute', 'request' ].forEach(function (kind, k) {
+			var y, h, status, suspect;
+
+			y = gridCell * (2 * d + k + 1);
+			suspect = dayresults[kind + '_suspect'].map(
+			    function (s) { return (s.hour); });
+
+			svg.push(sprintf('<text x="0" y="%d">%s %s</text>',
+			    y + 16, day, kind));
+			for (h = 0; h < 24; h++) {
+				if (suspect.indexOf(h) != -1)
+					status = 'small';
+				else if (dayresults[kind + '_missing'].indexOf(
+				    h) == -1)
+					status = 'present';
+				else if (start + (h + 1) * 3600 * 1000 >
+				    now.getTime())
+					status = 'pending';
+				else
+					status = 'absent';
+
+				drawCell(svg, labelw + h * gridCell, y,
+				    gridCell, status, '', sprintf(
+				    '%s %s report for hour %02d: %s', day, kind,
+				    h, statusStyles[status].label));
+			}
+		});
+
+		[ 'storage', 'summary' ].forEach(function (kind, k) {
+			var count, status, desc;
+
+			count = dayresults[kind];
+			if (count === null) {
+				status = 'absent';
+				desc = 'missing';
+			} else {
+				status = count < minentries ? 'small' :
+				    'present';
+				desc = sprintf('%d entries', count);
+			}
+
+			drawCell(svg, dailyx + 3 * gridCell * k,
+			    gridCell * (2 * d + 1), 2 * gridCell, status, '',
+			    sprintf('%s %s report: %s', day, kind, desc));
+		});
+	});
+
+	gridLegend(svg, gridCell * (2 * dates.length + 1) + 8,
+	    [ 'present', 'small', 'absent', 'pending' ]);
+	svg.push('</svg>');
+	return (svg.join('\n'));
+}
+
+/*
+ * Appends to "svg" one cell of a grid, colored according to "status", with
+ * optional text "marker" and a tooltip "title".
+ */
+function drawCell(svg, x, y, width, status, marker, title)
+{
+	svg.push(sprintf('<g><title>%s</title>', escape(title)));
+	svg.push(sprintf('<rect x="%d" y="%d" width="%d" height="%d" ' +
+	    'fill="%s" stroke="#fff"/>', x, y, width, gridCell,
+	    statusStyles[status].color));
+	if (marker !== '') {
+		svg.push(sprintf('<text x="%d" y="%d" text-anchor="middle">' +
+		    '%s</text>', x + width / 2, y + 16, escape(marker)));
+	}
+	svg.push('</g>');
+}
+
+/*
+ * Appends to "svg" a legend for the given statuses at vertical position "y".
+ */
+function gridLegend(svg, y, statuses)
+{
+	var x = 0;
+
+	statuses.forEach(function (status) {
+		var style = statusStyles[status];
+		svg.push(sprintf('<rect x="%d" y="%d" width="12" height="12" ' +
+		    'fill="%s"/>', x, y, style.color));
+		svg.push(sprintf('<text x="%d" y="%d">%s</text>', x + 18,
+		    y + 10, escape(style.label)));
+		x += 18 + 8 * style.label.length + 16;
+	});
+}
+
+/*
+ * Returns an HTML table describing each of the problems found (see
+ * lib/verify.js), followed by any errors encountered while scanning.
+ */
+function problemList(problems, errors)
+{
+	var html = [];
+
+	if (problems.length === 0) {
+		html.push('<p>No problems found.</p>');
+	} else {
+		html.push('<table>');
+		html.push('<tr><th>Date</th><th>Shard or report</th>' +
+		    '<th>Problem</th><th>Suggestion</th></tr>');
+		problems.forEach(function (p) {
+			html.push(sprintf('<tr><td>%s</td><td>%s</td>' +
+			    '<td>%s</td><td>%s</td></tr>',
+			    p.date.toISOString().substr(0,
+			    '2015-07-10'.length), escape(p.what),
+			    escape(p.problem), escape(p.suggestion)));
+		});
+		html.push('</table>');
+	}
+
+	if (errors.length > 0) {
+		html.push(sprintf('<p>%d error%s encountered while ' +
+		    'scanning:</p>', errors.length,
+		    errors.length == 1 ? '' : 's'));
+		html.push('<ul>');
+		errors.forEach(function (err) {
+			html.push(sprintf('<li>%s (%s)</li>',
+			    escape(err.error.message), escape(err.category)));
+		});
+		html.push('</ul>');
+	}
+
+	return (html.join('\n'));
+}
+
+function escape(str)
+{
+	return (String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').
+	    replace(/>/g, '&gt;').replace(/"/g, '&quot;'));
+}
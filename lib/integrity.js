@@ -0,0 +1,320 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * lib/integrity.js: integrity checks for database dumps
+ *
+ * A dump that was truncated or corrupted on its way into Manta looks just like
+ * a good one in a directory listing, and the problem usually isn't noticed
+ * until the unpack job fails on it.  This module checks a dump object more
+ * directly, in one of two modes:
+ *
+ *     header	Compare the object's stored Content-Length with the size in
+ *     		the directory listing and make sure it has a stored
+ *     		Content-MD5.  Then fetch just the first and last few bytes of
+ *     		the object (with ranged reads) and make sure they look like a
+ *     		gzip header and trailer.  This is cheap, but it only catches
+ *     		some truncated objects: the last 8 bytes of a truncated
+ *     		object are just as likely to look like a plausible trailer.
+ *
+ *     full	Do all of the above, then fetch the whole object, computing its
+ *     		MD5 checksum and decompressing it as it arrives.  This catches
+ *     		any truncation or corruption (since the gzip trailer includes
+ *     		a CRC of the uncompressed data), but it reads every byte of
+ *     		every dump.
+ */
+
+var mod_assertplus = require('assert-plus');
+var mod_crypto = require('crypto');
+var mod_extsprintf = require('extsprintf');
+var mod_zlib = require('zlib');
+var VError = require('verror');
+var sprintf = mod_extsprintf.sprintf;
+
+/* public interface */
+exports.checkIntegrity = checkIntegrity;
+exports.integrityModes = [ 'header', 'full' ];
+
+/*
+ * Sizes of the fixed parts of a gzip stream (see RFC 1952).  The smallest valid
+ * stream is a header, an empty deflate block (2 bytes), and a trailer.
+ */
+var gzipHeaderSize = 10;
+var gzipTrailerSize = 8;
+var gzipMinimumSize = gzipHeaderSize + 2 + gzipTrailerSize;
+
+/*
+ * Errors emitted by the Manta client's stream when the contents it received
+ * don't match the object's stored length or checksum.  These indicate a problem
+ * with the object, not the request.
+ */
+var contentErrors = [ 'ChecksumError', 'DownloadError' ];
+
+/*
+ * Checks the integrity of the dump object at "path".  Named arguments in
+ * "args":
+ *
+ *     manta		Manta client
+ *
+ *     path (string)	Manta path of the dump
+ *
+ *     size (number)	size of the object according to its directory listing
+ *
+ *     mode (string)	one of integrityModes (see above)
+ *
+ * callback() is invoked as callback(err, result), where "err" is only set if
+ * the object couldn't be examined (e.g., because a request failed).  Problems
+ * with the object itself are described by "result", which has:
+ *
+ *     mode (string)	the mode used
+ *
+ *     md5 (string)	the object's stored Content-MD5, or null if it has none
+ *
+ *     usize (number)	for "full" mode, the number of bytes of uncompressed
+ *     			data.  For "header" mode, the uncompressed size
+ *     			recorded in the gzip trailer (modulo 2^32).  Null if it
+ *     			couldn't be determined.
+ *
+ *     problems		list of human-readable descriptions of problems found
+ *     (array of	with the object.  If this is empty, the object passed
+ *     string)		the check.
+ */
+function checkIntegrity(args, callback)
+{
+	var result;
+
+	mod_assertplus.object(args, 'args');
+	mod_assertplus.object(args.manta, 'args.manta');
+	mod_assertplus.string(args.path, 'args.path');
+	mod_assertplus.number(args.size, 'args.size');
+	mod_assertplus.ok(exports.integrityModes.indexOf(args.mode) != -1,
+	    'args.mode is a valid mode');
+	mod_assertplus.func(callback, 'callback');
+
+	result = {
+	    'mode': args.mode,
+	    'md5': null,
+	    'usize': null,
+	    'problems': []
+	};
+
+	args.manta.info(args.path, function (err, info) {
+		if (err) {
+			callback(err);
+			return;
+		}
+
+		result.md5 = info.md5 || null;
+		if (result.md5 === null) {
+			result.problems.push(
+			    'object has no stored Content-MD5');
+		}
+
+		if (info.size !== args.size) {
+			result.problems.push(sprintf('stored Content-Length ' +
+			    '(%d) does not match the listing (%d)', info.size,
+			    args.size));
+		}
+
+		if (info.size < gzipMinimumSize) {
+			result.problems.push(sprintf('object is too small ' +
+			    'to be a gzip stream (%d bytes)', info.size));
+			callback(null, result);
+			return;
+		}
+
+		checkEnds(args.manta, args.path, info.size, result,
+		    function (err2) {
+			if (err2 || args.mode != 'full') {
+				callback(err2 || null, result);
+				return;
+			}
+
+			checkContents(args.manta, args.path, info.size,
+			    result, function (err3) {
+				callback(err3 || null, result);
+			    });
+		    });
+	});
+}
+
+/*
+ * Fetches the first and last few bytes of the object at "path" (which is
+ * "size" bytes long) and checks that they look like a gzip header and trailer,
+ * recording problems in "result".
+ */
+function checkEnds(manta, path, size, result, callback)
+{
+	readRange(manta, path, 0, gzipHeaderSize - 1, function (err, header) {
+		if (err) {
+			callback(err);
+			return;
+		}
+
+		if (header.length != gzipHeaderSize) {
+			result.problems.push(sprintf('expected %d bytes of ' +
+			    'gzip header, but read %d', gzipHeaderSize,
+			    header.length));
+		} else if (header[0] != 0x1f || header[1] != 0x8b) {
+			result.problems.push('object does not start with ' +
+			    'the gzip magic number');
+		} else if (header[2] != 8) {
+			result.problems.push(sprintf('unsupported gzip ' +
+			    'compression method (%d)', header[2]));
+		} else if ((header[3] & 0xe0) !== 0) {
+			result.problems.push('gzip header has reserved ' +
+			    'flags set');
+		}
+
+		readRange(manta, path, size - gzipTrailerSize, size - 1,
+		    function (err2, trailer) {
+			if (err2) {
+				callback(err2);
+				return;
+			}
+
+			if (trailer.length != gzipTrailerSize) {
+				result.problems.push(sprintf('expected %d ' +
+				    'bytes of gzip trailer, but read %d',
+				    gzipTrailerSize, trailer.length));
+				callback();
+				return;
+			}
+
+			/*
+			 * The trailer ends with the uncompressed size (modulo
+			 * 2^32).  Since that wraps around for large dumps, it
+			 * can't be compared with the compressed size, but a
+			 * dump never legitimately records none at all.
+			 */
+			result.usize = trailer.readUInt32LE(4);
+			if (result.usize === 0) {
+				result.problems.push('gzip trailer records ' +
+				    'no uncompressed data');
+			}
+
+			callback();
+		    });
+	});
+}
+
+/*
+ * Reads bytes "start" through "end" (inclusive) of the object at "path" and
+ * invokes callback(err, buffer).
+ */
+function readRange(manta, path, start, end, callback)
+{
+	var range = sprintf('bytes=%d-%d', start, end);
+
+	manta.get(path, { 'headers': { 'range': range } },
+	    function (err, stream) {
+		var chunks, done;
+
+		if (err) {
+			callback(new VError(err, 'read %s', range));
+			return;
+		}
+
+		chunks = [];
+		done = false;
+		stream.on('data', function (chunk) { chunks.push(chunk); });
+		stream.on('error', function (err2) {
+			if (!done) {
+				done = true;
+				callback(new VError(err2, 'read %s', range));
+			}
+		});
+		stream.on('end', function () {
+			if (!done) {
+				done = true;
+				callback(null, Buffer.concat(chunks));
+			}
+		});
+	    });
+}
+
+/*
+ * Fetches the whole object at "path" (which should be "size" bytes long),
+ * computing its MD5 checksum and decompressing it, and records problems in
+ * "result".
+ */
+function checkContents(manta, path, size, result, callback)
+{
+	manta.get(path, function (err, stream) {
+		var hash, gunzip, nbytes, done;
+
+		if (err) {
+			callback(err);
+			return;
+		}
+
+		hash = mod_crypto.createHash('md5');
+		gunzip = mod_zlib.createGunzip();
+		nbytes = 0;
+		done = false;
+		result.usize = 0;
+
+		function finish(err2) {
+			if (done)
+				return;
+
+			done = true;
+			stream.unpipe(gunzip);
+			stream.resume();
+			callback(err2);
+		}
+
+		stream.on('data', function (chunk) {
+			nbytes += chunk.length;
+			hash.update(chunk);
+		});
+
+		stream.on('error', function (err2) {
+			if (contentErrors.indexOf(err2.name) == -1) {
+				finish(err2);
+				return;
+			}
+
+			result.problems.push(err2.message);
+			finish();
+		});
+
+		gunzip.on('data', function (chunk) {
+			result.usize += chunk.length;
+		});
+
+		gunzip.on('error', function (err2) {
+			result.problems.push('decompression failed: ' +
+			    err2.message);
+			finish();
+		});
+
+		gunzip.on('end', function () {
+			var md5;
+
+			if (done)
+				return;
+
+			md5 = hash.digest('base64');
+			if (nbytes != size) {
+				result.problems.push(sprintf('read %d bytes, ' +
+				    'but expected %d', nbytes, size));
+			} else if (result.md5 !== null && md5 != result.md5) {
+				result.problems.push(sprintf('contents have ' +
+				    'MD5 %s, but the stored Content-MD5 is %s',
+				    md5, result.md5));
+			}
+
+			finish();
+		});
+
+		stream.pipe(gunzip);
+	});
+}
@@ -0,0 +1,421 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * lib/jobs.js: working with housekeeping jobs
+ *
+ * Housekeeping operations (garbage collection, auditing, metering, and so on)
+ * run as Manta jobs under the operator account.  When a job completes, Manta
+ * archives it into the account's jobs directory (e.g., /poseidon/jobs/$jobid),
+ * which contains "job.json" (the job record, including its name, state, times,
+ * and stats), "in.txt" (the job's inputs, one per line), "out.txt", and
+ * "err.txt" (the job's errors, one JSON object per line).  We find the jobs of
+ * interest by listing that directory and identifying housekeeping jobs by
+ * name.
+ */
+
+var mod_assertplus = require('assert-plus');
+var mod_vasync = require('vasync');
+var VError = require('verror');
+
+var mod_retry = require('./retry');
+
+/* public interface */
+exports.listJobs = listJobs;
+exports.defaultJobsRoot = '/poseidon/jobs';
+exports.jobKinds = {
+    'audit': /^manta_audit/,
+    'cruft': /^manta_cruft/,
+    'gc': /^manta_gc/,
+    'metering': /^metering-/,
+    'rebalance': /^manta_rebalance/
+};
+
+/*
+ * Jobs are archived some time after they complete, and we only look at archived
+ * jobs whose directory was modified within the date range plus this much slack
+ * (so that we still find long-running jobs that started in the range).
+ */
+var jobSlackMs = 86400 * 1000;
+
+/* Maximum number of error messages saved for each job. */
+var maxErrorMessages = 5;
+
+/*
+ * Fetches information about housekeeping jobs of a particular kind.  Named
+ * arguments in "args":
+ *
+ *     endDate (Date)	Find jobs created up to and including endDate,
+ *     			interpreted in UTC.  The time-of-day part of this Date
+ *     			is ignored.
+ *
+ *     ndays (int > 0)	Find jobs created in the "ndays" leading up to (and
+ *     			including) endDate.
+ *
+ *     kind (string)	Kind of job to look for (one of the keys of
+ *     			this_module.jobKinds)
+ *
+ *     jobsRoot		Manta path to archived jobs
+ *     (string)		(Use default: this_module.defaultJobsRoot)
+ *
+ *     concurrency	Maximum concurrency for Manta operations
+ *     (number)
+ *
+ *     log		Bunyan logger
+ *
+ *     manta		Manta client
+ *
+ * callback() is invoked with the usual callback(err, result), where if there
+ * was no error, then "result" is an object with methods for accessing
+ * information about the jobs that were found.  See JobLister below.
+ *
+ * This method itself synchronously returns an object that may be useful in a
+ * debugger to understand the current state.  You should not use this object
+ * in any way (calling methods or reading or writing properties) from
+ * JavaScript.
+ */
+function listJobs(args, callback)
+{
+	var lister;
+
+	lister = new JobLister(args);
+	lister.listJobs(function (err) { callback(err, lister); });
+	return (lister);
+}
+
+function JobLister(args)
+{
+	mod_assertplus.object(args, 'args');
+	mod_assertplus.object(args.endDate, 'args.endDate');
+	mod_assertplus.ok(args.endDate instanceof Date,
+	    'args.endDate is a Date');
+	mod_assertplus.number(args.ndays, 'args.ndays');
+	mod_assertplus.ok(args.ndays > 0, 'args.ndays > 0');
+	mod_assertplus.string(args.kind, 'args.kind');
+	mod_assertplus.ok(exports.jobKinds.hasOwnProperty(args.kind),
+	    'unsupported job kind: ' + args.kind);
+	mod_assertplus.object(args.log, 'args.log');
+	mod_assertplus.object(args.manta, 'args.manta');
+	mod_assertplus.string(args.jobsRoot, 'args.jobsRoot');
+	mod_assertplus.number(args.concurrency, 'args.concurrency');
+	mod_assertplus.ok(args.concurrency > 0, 'args.concurrency > 0');
+
+	/* configuration */
+	this.jl_end = new Date(args.endDate.getTime());
+	this.jl_end.setUTCHours(0, 0, 0, 0);
+	this.jl_end.setUTCDate(this.jl_end.getUTCDate() + 1);
+	this.jl_start = new Date(this.jl_end.getTime());
+	this.jl_start.setUTCDate(this.jl_start.getUTCDate() - args.ndays);
+	this.jl_kind = args.kind;
+	this.jl_pattern = exports.jobKinds[args.kind];
+	this.jl_log = args.log;
+	this.jl_manta = args.manta;
+	this.jl_jobsroot = args.jobsRoot;
+	this.jl_concurrency = args.concurrency;
+
+	/* vasync queue for fetching information about a single job */
+	this.jl_queue = mod_vasync.queuev({
+	    'concurrency': this.jl_concurrency,
+	    'worker': this.doFetchJob.bind(this)
+	});
+
+	/* job ids whose archived directories are in the right time range */
+	this.jl_candidates = [];
+
+	/* jobs found, as described above doFetchJob() */
+	this.jl_jobs = [];
+
+	/* vasync waterfall (for debugging) */
+	this.jl_waterfall = null;
+
+	/* accumulated errors */
+	this.jl_errors = [];
+
+	/* start and completion times */
+	this.jl_started = null;
+	this.jl_done = null;
+}
+
+JobLister.prototype.listJobs = function (callback)
+{
+	mod_assertplus.ok(this.jl_waterfall === null,
+	    'listJobs() already called');
+
+	var self = this;
+	this.jl_started = new Date();
+	this.jl_waterfall = mod_vasync.waterfall([
+	    function listArchivedJobs(wfcallback) {
+		/*
+		 * Each job's directory is modified when the job is archived,
+		 * which is always after the job was created.  Skip any that
+		 * can't possibly contain jobs created in our date range.
+		 */
+		self.jl_manta.ls(self.jl_jobsroot, function (err, lister) {
+			if (err) {
+				wfcallback(new VError(err,
+				    'failed to list jobs at "%s"',
+				    self.jl_jobsroot));
+				return;
+			}
+
+			lister.on('entry', function (entry) {
+				var mtime;
+
+				if (entry.type != 'directory')
+					return;
+
+				mtime = Date.parse(entry.mtime);
+				if (mtime < self.jl_start.getTime() ||
+				    mtime > self.jl_end.getTime() + jobSlackMs)
+					return;
+
+				self.jl_candidates.push(entry.name);
+			});
+
+			lister.on('end', function () { wfcallback(); });
+		});
+	    },
+
+	    function fetchJobs(wfcallback) {
+		self.jl_log.debug('found %d candidate jobs',
+		    self.jl_candidates.length);
+		self.jl_candidates.forEach(function (jobid) {
+			self.jl_queue.push(jobid);
+		});
+
+		self.jl_queue.on('end', function () { wfcallback(); });
+		self.jl_queue.close();
+	    }
+	], function (err) {
+		self.jl_done = new Date();
+
+		if (!err && self.jl_errors.length > 0) {
+			err = new VError(self.jl_errors[0], 'first error');
+		}
+
+		if (err) {
+			callback(new VError(err, 'failed to list jobs'));
+		} else {
+			self.jl_jobs.sort(function (j1, j2) {
+				return (j1.start.getTime() -
+				    j2.start.getTime());
+			});
+			callback(null, self);
+		}
+	});
+};
+
+/*
+ * Returns the jobs that were found, sorted by creation time.  Callers must not
+ * modify the result.
+ */
+JobLister.prototype.jobs = function ()
+{
+	mod_assertplus.ok(this.jl_done !== null, 'listJobs() not finished');
+	return (this.jl_jobs);
+};
+
+/*
+ * Fetch information about the archived job "jobid".  If it's a job of the kind
+ * we're looking for and it was created in our date range, an object is saved
+ * into this.jl_jobs with:
+ *
+ *	    id (string):	job id
+ *	    name (string):	job name
+ *	    state (string):	job state (e.g., "done")
+ *	    cancelled (bool):	whether the job was cancelled
+ *	    start (Date):	time the job was created
+ *	    end (Date):		time the job finished, or null if it hasn't
+ *	    duration (number):	time (in milliseconds) the job took to run, or
+ *				null if it hasn't finished
+ *	    ninputs (number):	number of inputs to the job
+ *	    noutputs (number):	number of outputs from the job
+ *	    nerrors (number):	number of errors from the job
+ *	    errors (array):	messages for the first few errors
+ */
+JobLister.prototype.doFetchJob = function (jobid, callback)
+{
+	var self = this;
+	var jobdir = this.jl_jobsroot + '/' + jobid;
+
+	this.fetchLines(jobdir + '/job.json', -1, function (err, lines) {
+		var record, job;
+
+		if (err) {
+			self.recordError(err, jobdir + '/job.json');
+			callback();
+			return;
+		}
+
+		try {
+			record = JSON.parse(lines.join('\n'));
+		} catch (ex) {
+			self.recordError(ex, jobdir + '/job.json');
+			callback();
+			return;
+		}
+
+		if (typeof (record.name) != 'string' ||
+		    !self.jl_pattern.test(record.name)) {
+			callback();
+			return;
+		}
+
+		job = {
+		    'id': jobid,
+		    'name': record.name,
+		    'state': record.state,
+		    'cancelled': record.cancelled === true,
+		    'start': new Date(record.timeCreated),
+		    'end': record.timeDone ? new Date(record.timeDone) : null,
+		    'duration': null,
+		    'ninputs': 0,
+		    'noutputs': 0,
+		    'nerrors': 0,
+		    'errors': []
+		};
+
+		if (isNaN(job.start.getTime()) ||
+		    job.start.getTime() < self.jl_start.getTime() ||
+		    job.start.getTime() >= self.jl_end.getTime()) {
+			callback();
+			return;
+		}
+
+		if (job.end !== null)
+			job.duration = job.end.getTime() - job.start.getTime();
+		if (record.stats) {
+			job.noutputs = record.stats.outputs || 0;
+			job.nerrors = record.stats.errors || 0;
+		}
+
+		self.jl_jobs.push(job);
+		self.fetchJobDetails(jobdir, job, callback);
+	});
+};
+
+/*
+ * Fill in the number of inputs and the first few error messages for "job",
+ * whose archived directory is "jobdir".
+ */
+JobLister.prototype.fetchJobDetails = function (jobdir, job, callback)
+{
+	var self = this;
+
+	mod_vasync.parallel({
+	    'funcs': [
+		function countInputs(subcallback) {
+			self.fetchLines(jobdir + '/in.txt', 0,
+			    function (err, lines, nlines) {
+				if (err) {
+					self.recordError(err,
+					    jobdir + '/in.txt');
+				} else {
+					job.ninputs = nlines;
+				}
+				subcallback();
+			    });
+		},
+		function fetchErrors(subcallback) {
+			if (job.nerrors === 0) {
+				subcallback();
+				return;
+			}
+
+			self.fetchLines(jobdir + '/err.txt', maxErrorMessages,
+			    function (err, lines) {
+				if (err) {
+					self.recordError(err,
+					    jobdir + '/err.txt');
+					subcallback();
+					return;
+				}
+
+				lines.forEach(function (line) {
+					var joberr;
+					try {
+						joberr = JSON.parse(line);
+					} catch (ex) {
+						job.errors.push(line);
+						return;
+					}
+
+					job.errors.push(joberr.message ||
+					    joberr.code || line);
+				});
+				subcallback();
+			    });
+		}
+	    ]
+	}, function () { callback(); });
+};
+
+/*
+ * Fetches the object at "path" and invokes callback(err, lines, nlines), where
+ * "nlines" is the number of newline-terminated lines in the object and "lines"
+ * contains the first "maxlines" of them (or all of them, if "maxlines" is -1).
+ * A missing object is treated as empty, since jobs with no inputs or errors may
+ * not have the corresponding files.
+ */
+JobLister.prototype.fetchLines = function (path, maxlines, callback)
+{
+	this.jl_manta.get(path, function (err, stream) {
+		var lines, nlines, partial, done;
+
+		if (err) {
+			if (mod_retry.classifyError(err) == 'not-found')
+				callback(null, [], 0);
+			else
+				callback(err);
+			return;
+		}
+
+		lines = [];
+		nlines = 0;
+		partial = '';
+		done = false;
+		stream.setEncoding('utf8');
+
+		stream.on('error', function (err2) {
+			if (!done) {
+				done = true;
+				callback(err2);
+			}
+		});
+
+		stream.on('data', function (chunk) {
+			var parts;
+
+			parts = (partial + chunk).split('\n');
+			partial = parts.pop();
+			nlines += parts.length;
+			if (maxlines == -1 || lines.length < maxlines) {
+				lines = lines.concat(maxlines == -1 ? parts :
+				    parts.slice(0, maxlines - lines.length));
+			}
+		});
+
+		stream.on('end', function () {
+			if (done)
+				return;
+
+			done = true;
+			if (maxlines == -1 && partial.length > 0)
+				lines.push(partial);
+			callback(null, lines, nlines);
+		});
+	});
+};
+
+JobLister.prototype.recordError = function (err, path)
+{
+	this.jl_log.error(err, 'get ' + path);
+	this.jl_errors.push(new VError(err, 'get "%s"', path));
+};
@@ -0,0 +1,235 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * lib/linestream.js: streaming line-oriented reads of Manta objects
+ *
+ * Metering reports have one record per line, and in large deployments a single
+ * report can be hundreds of megabytes.  This module reads such objects a chunk
+ * at a time, counting lines (and optionally handing each one to the caller)
+ * without ever holding the whole object in memory.  Objects that start with
+ * the gzip magic number are decompressed on the fly, regardless of their name.
+ *
+ * Lines are split on the raw bytes, and each line is only decoded once it's
+ * complete, so multi-byte UTF-8 characters that span chunk boundaries are
+ * decoded correctly.  (The newline byte never appears inside a multi-byte UTF-8
+ * sequence.)
+ */
+
+var mod_assertplus = require('assert-plus');
+var mod_zlib = require('zlib');
+var VError = require('verror');
+
+/* public interface */
+exports.readLines = readLines;
+
+/* first two bytes of every gzip stream */
+var gzipMagic = [ 0x1f, 0x8b ];
+
+/*
+ * Reads the Manta object "path".  Named arguments in "args":
+ *
+ *     manta		Manta client
+ *
+ *     path (string)	Manta path of the object to read
+ *
+ *     online		if specified, invoked as online(line, lineidx) for
+ *     (optional	each line in the object (without its newline), in
+ *     function)	order.  A final line with no trailing newline is
+ *     			included if it's not empty.
+ *
+ * callback() is invoked as callback(err, result), where "result" has:
+ *
+ *     lines (number)		number of newline-terminated lines
+ *
+ *     bytes (number)		number of bytes read from Manta
+ *
+ *     ubytes (number)		number of bytes after decompression (the same
+ *     				as "bytes" if the object is not compressed)
+ *
+ *     compressed (boolean)	whether the object was gzip-compressed
+ */
+function readLines(args, callback)
+{
+	mod_assertplus.object(args, 'args');
+	mod_assertplus.object(args.manta, 'args.manta');
+	mod_assertplus.string(args.path, 'args.path');
+	mod_assertplus.optionalFunc(args.online, 'args.online');
+	mod_assertplus.func(callback, 'callback');
+
+	args.manta.get(args.path, function (err, stream) {
+		var reader;
+
+		if (err) {
+			callback(err);
+			return;
+		}
+
+		reader = new LineReader(args, stream, callback);
+		reader.start();
+	});
+}
+
+function LineReader(args, source, callback)
+{
+	this.lr_path = args.path;
+	this.lr_online = args.online || null;
+	this.lr_source = source;
+	this.lr_callback = callback;
+	this.lr_done = false;
+
+	/*
+	 * Until at least two bytes have arrived, we don't know whether the
+	 * object is compressed.  "lr_header" holds the bytes seen so far.
+	 */
+	this.lr_sniffing = true;
+	this.lr_header = null;
+	this.lr_gunzip = null;
+
+	/* pieces of the current incomplete line (only used with "online") */
+	this.lr_partial = [];
+
+	this.lr_result = {
+	    'lines': 0,
+	    'bytes': 0,
+	    'ubytes': 0,
+	    'compressed': false
+	};
+}
+
+LineReader.prototype.start = function ()
+{
+	this.lr_source.on('data', this.onSourceData.bind(this));
+	this.lr_source.on('end', this.onSourceEnd.bind(this));
+	this.lr_source.on('error', this.finish.bind(this));
+};
+
+LineReader.prototype.onSourceData = function (chunk)
+{
+	var self = this;
+
+	if (this.lr_done)
+		return;
+
+	this.lr_result.bytes += chunk.length;
+
+	if (this.lr_sniffing) {
+		this.lr_header = this.lr_header === null ? chunk :
+		    Buffer.concat([ this.lr_header, chunk ]);
+		if (this.lr_header.length < gzipMagic.length)
+			return;
+
+		chunk = this.lr_header;
+		this.lr_header = null;
+		this.lr_sniffing = false;
+		if (chunk[0] == gzipMagic[0] && chunk[1] == gzipMagic[1])
+			this.startGunzip();
+	}
+
+	if (this.lr_gunzip === null) {
+		this.processText(chunk);
+		return;
+	}
+
+	/*
+	 * Decompressed data can be much larger than its input, so don't read
+	 * more from Manta until the decompressor has caught up.
+	 */
+	if (!this.lr_gunzip.write(chunk)) {
+		this.lr_source.pause();
+		this.lr_gunzip.once('drain', function () {
+			self.lr_source.resume();
+		});
+	}
+};
+
+LineReader.prototype.onSourceEnd = function ()
+{
+	if (this.lr_done)
+		return;
+
+	/* The object was too short to have been compressed. */
+	if (this.lr_sniffing && this.lr_header !== null)
+		this.processText(this.lr_header);
+
+	if (this.lr_gunzip !== null)
+		this.lr_gunzip.end();
+	else
+		this.finishText();
+};
+
+LineReader.prototype.startGunzip = function ()
+{
+	var self = this;
+
+	this.lr_result.compressed = true;
+	this.lr_gunzip = mod_zlib.createGunzip();
+	this.lr_gunzip.on('data', function (chunk) {
+		if (!self.lr_done)
+			self.processText(chunk);
+	});
+	this.lr_gunzip.on('end', function () {
+		if (!self.lr_done)
+			self.finishText();
+	});
+	this.lr_gunzip.on('error', function (err) {
+		self.finish(new VError(err, 'decompress "%s"', self.lr_path));
+	});
+};
+
+/*
+ * Processes a chunk of (uncompressed) data, counting newlines and emitting any
+ * lines that are now complete.
+ */
+LineReader.prototype.processText = function (chunk)
+{
+	var start, nl;
+
+	this.lr_result.ubytes += chunk.length;
+
+	start = 0;
+	while ((nl = chunk.indexOf(0x0a, start)) != -1) {
+		if (this.lr_online !== null) {
+			this.lr_partial.push(chunk.slice(start, nl));
+			this.lr_online(Buffer.concat(this.lr_partial).toString(
+			    'utf8'), this.lr_result.lines);
+			this.lr_partial = [];
+		}
+
+		this.lr_result.lines++;
+		start = nl + 1;
+	}
+
+	if (this.lr_online !== null && start < chunk.length)
+		this.lr_partial.push(chunk.slice(start));
+};
+
+LineReader.prototype.finishText = function ()
+{
+	if (this.lr_partial.length > 0) {
+		this.lr_online(Buffer.concat(this.lr_partial).toString('utf8'),
+		    this.lr_result.lines);
+		this.lr_partial = [];
+	}
+
+	this.finish(null);
+};
+
+LineReader.prototype.finish = function (err)
+{
+	if (this.lr_done)
+		return;
+
+	this.lr_done = true;
+	if (err)
+		this.lr_callback(err);
+	else
+		this.lr_callback(null, this.lr_result);
+};
@@ -0,0 +1,466 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * lib/localmanta.js: serve Manta requests from a local directory tree
+ *
+ * This module provides a stand-in for the Manta client that implements the
+ * small subset of the client interface used by this program (ls(), get(),
+ * info(), and unlink()) using files in a local directory.  The Manta path
+ * "/poseidon/stor/x" corresponds to the local path "$root/poseidon/stor/x".
+ * This makes it possible to run manta-hk without access to Manta, e.g., to
+ * reproduce a problem using a copy of the relevant parts of a Manta
+ * deployment.
+ *
+ * Object sizes and modification times are taken from the local files.  Since
+ * it's often inconvenient to preserve those (and impractical to keep copies of
+ * multi-gigabyte database dumps), they can be overridden with a manifest file
+ * called "$root/.manifest.json".  This file contains a single JSON object
+ * whose keys are Manta paths and whose values are objects with any of:
+ *
+ *     mtime (string)	ISO 8601 timestamp to use as the object's mtime.
+ *     			This also works for directories (e.g., archived jobs
+ *     			are found by their directories' mtimes).
+ *
+ *     size (number)	size (in bytes) to report for the object in directory
+ *     			listings and from info().  get() still returns the
+ *     			contents of the local file.
+ *
+ *     md5 (string)	base64-encoded MD5 checksum to report for the object
+ *     			from info().  By default, this is computed from the
+ *     			contents of the local file.
+ *
+ * For example:
+ *
+ *     {
+ *         "/poseidon/stor/manatee_backups/1.moray/2015/07/13/00/moray-...": {
+ *             "mtime": "2015-07-13T00:05:31.578Z",
+ *             "size": 248123456
+ *         }
+ *     }
+ *
+ * Errors for nonexistent paths have the same names as the corresponding errors
+ * from the real Manta client.
+ */
+
+var mod_assertplus = require('assert-plus');
+var mod_crypto = require('crypto');
+var mod_events = require('events');
+var mod_fs = require('fs');
+var mod_path = require('path');
+var mod_vasync = require('vasync');
+var VError = require('verror');
+
+/* public interface */
+exports.createClient = createClient;
+exports.manifestName = '.manifest.json';
+
+/*
+ * Returns a Manta client stand-in.  Named arguments in "args":
+ *
+ *     root (string)	local directory corresponding to Manta's "/"
+ *
+ *     log		Bunyan logger
+ *
+ * The manifest (if any) is read synchronously, and this function throws if it
+ * cannot be parsed.
+ */
+function createClient(args)
+{
+	return (new LocalMantaClient(args));
+}
+
+function LocalMantaClient(args)
+{
+	var manifestpath, contents;
+
+	mod_assertplus.object(args, 'args');
+	mod_assertplus.string(args.root, 'args.root');
+	mod_assertplus.object(args.log, 'args.log');
+
+	this.lm_root = mod_path.resolve(args.root);
+	this.lm_log = args.log;
+	this.lm_manifest = {};
+
+	manifestpath = mod_path.join(this.lm_root, exports.manifestName);
+	try {
+		contents = mod_fs.readFileSync(manifestpath, 'utf8');
+	} catch (ex) {
+		if (ex.code != 'ENOENT')
+			throw (new VError(ex, 'read "%s"', manifestpath));
+		contents = null;
+	}
+
+	if (contents !== null) {
+		try {
+			this.lm_manifest = JSON.parse(contents);
+		} catch (ex) {
+			throw (new VError(ex, 'parse "%s"', manifestpath));
+		}
+
+		mod_assertplus.object(this.lm_manifest, manifestpath);
+	}
+
+	this.lm_log.debug({
+	    'root': this.lm_root,
+	    'nmanifest': Object.keys(this.lm_manifest).length
+	}, 'using local Manta stand-in');
+}
+
+/*
+ * Returns the local path corresponding to Manta path "mantapath".
+ */
+LocalMantaClient.prototype.localPath = function (mantapath)
+{
+	mod_assertplus.string(mantapath, 'mantapath');
+	mod_assertplus.ok(mantapath.charAt(0) == '/',
+	    'Manta path must be absolute');
+	return (mod_path.join(this.lm_root,
+	    mod_path.normalize(mantapath).substr(1)));
+};
+
+/*
+ * Returns the size and mtime for the object (or directory) at Manta path
+ * "mantapath", whose local file has fs.Stats "stat", taking the manifest into
+ * account.
+ */
+LocalMantaClient.prototype.objectMetadata = function (mantapath, stat)
+{
+	var rv, override;
+
+	rv = {
+	    'size': stat.size,
+	    'mtime': stat.mtime.toISOString()
+	};
+
+	if (this.lm_manifest.hasOwnProperty(mantapath)) {
+		override = this.lm_manifest[mantapath];
+		if (override.hasOwnProperty('size'))
+			rv.size = override.size;
+		if (override.hasOwnProperty('mtime'))
+			rv.mtime = new Date(override.mtime).toISOString();
+	}
+
+	return (rv);
+};
+
+/*
+ * Lists the contents of Manta directory "dir".  As with the Manta client,
+ * "callback" is invoked as callback(err, emitter), and "emitter" emits "entry"
+ * for each directory entry (in order by name) followed by "end".
+ */
+LocalMantaClient.prototype.ls = function (dir, callback)
+{
+	var self = this;
+	var localdir = this.localPath(dir);
+
+	mod_fs.readdir(localdir, function (err, names) {
+		if (err) {
+			callback(self.translateError(err, 'ls', dir));
+			return;
+		}
+
+		names = names.filter(function (name) {
+			return (name != exports.manifestName);
+		}).sort();
+
+		/*
+		 * Entries removed (e.g., by unlink()) since the directory was
+		 * read are left out, as if the listing had come later.
+		 */
+		mod_vasync.forEachParallel({
+		    'inputs': names,
+		    'func': function (name, subcallback) {
+			mod_fs.stat(mod_path.join(localdir, name),
+			    function (serr, stat) {
+				if (serr && serr.code == 'ENOENT')
+					subcallback(null, null);
+				else
+					subcallback(serr, stat);
+			    });
+		    }
+		}, function (err2, results) {
+			var emitter;
+
+			if (err2) {
+				callback(self.translateError(err2, 'ls', dir));
+				return;
+			}
+
+			emitter = new mod_events.EventEmitter();
+			callback(null, emitter);
+
+			results.operations.forEach(function (op, i) {
+				var entry, mantapath, stat, md;
+
+				stat = op.result;
+				if (stat === null)
+					return;
+
+				mantapath = dir.replace(/\/*$/, '/') + names[i];
+				entry = {
+				    'name': names[i],
+				    'parent': dir
+				};
+
+				md = self.objectMetadata(mantapath, stat);
+				if (stat.isDirectory()) {
+					entry.type = 'directory';
+					entry.mtime = md.mtime;
+				} else {
+					entry.type = 'object';
+					entry.size = md.size;
+					entry.mtime = md.mtime;
+				}
+
+				emitter.emit(entry.type, entry);
+				emitter.emit('entry', entry);
+			});
+
+			emitter.emit('end');
+		});
+	});
+};
+
+/*
+ * Fetches the contents of the Manta object "path".  As with the Manta client,
+ * "options" is optional, and "callback" is invoked as callback(err, stream).
+ * The only supported option is a "range" header in "options.headers" of the
+ * form "bytes=START-END" or "bytes=-COUNT", which fetches only part of the
+ * object.
+ */
+LocalMantaClient.prototype.get = function (path, options, callback)
+{
+	var self = this;
+	var localpath = this.localPath(path);
+	var range;
+
+	if (typeof (options) == 'function') {
+		callback = options;
+		options = {};
+	}
+
+	range = options.headers && options.headers.range ?
+	    parseRange(options.headers.range) : null;
+	if (range instanceof Error) {
+		setImmediate(callback, new VError(range, 'get "%s"', path));
+		return;
+	}
+
+	mod_fs.stat(localpath, function (err, stat) {
+		var stream;
+
+		if (err) {
+			callback(self.translateError(err, 'get', path));
+			return;
+		}
+
+		if (stat.isDirectory()) {
+			callback(self.makeError('NotAnObjectError', 'get',
+			    path));
+			return;
+		}
+
+		if (range === null) {
+			stream = mod_fs.createReadStream(localpath);
+		} else if (range.start === null) {
+			stream = mod_fs.createReadStream(localpath, {
+			    'start': Math.max(0, stat.size - range.count)
+			});
+		} else {
+			stream = mod_fs.createReadStream(localpath, {
+			    'start': range.start,
+			    'end': range.end
+			});
+		}
+
+		callback(null, stream);
+	});
+};
+
+/*
+ * Parses the value of an HTTP "range" header of the form "bytes=START-END" or
+ * "bytes=-COUNT".  Returns an object with "start" and "end" (inclusive), or
+ * with "start" null and "count" for the last "count" bytes, or an Error.
+ */
+function parseRange(header)
+{
+	var match;
+
+	match = /^bytes=(\d*)-(\d*)$/.exec(header);
+	if (match === null || (match[1] === '' && match[2] === ''))
+		return (new VError('unsupported range: "%s"', header));
+
+	if (match[1] === '') {
+		return ({
+		    'start': null,
+		    'count': parseInt(match[2], 10)
+		});
+	}
+
+	return ({
+	    'start': parseInt(match[1], 10),
+	    'end': match[2] === '' ? undefined : parseInt(match[2], 10)
+	});
+}
+
+/*
+ * Fetches metadata about the Manta object "path".  As with the Manta client,
+ * "callback" is invoked as callback(err, info), where "info" has properties
+ * "name", "type", "size", "md5", and "headers".
+ */
+LocalMantaClient.prototype.info = function (path, callback)
+{
+	var self = this;
+	var localpath = this.localPath(path);
+
+	mod_fs.stat(localpath, function (err, stat) {
+		var md;
+
+		if (err) {
+			callback(self.translateError(err, 'info', path));
+			return;
+		}
+
+		md = self.objectMetadata(path, stat);
+		if (stat.isDirectory()) {
+			callback(null, {
+			    'name': mod_path.basename(path),
+			    'type': 'application/x-json-stream; type=directory',
+			    'headers': {
+				'last-modified':
+				    new Date(md.mtime).toUTCString()
+			    }
+			});
+			return;
+		}
+
+		self.objectMd5(path, localpath, function (err2, md5) {
+			if (err2) {
+				callback(self.translateError(err2, 'info',
+				    path));
+				return;
+			}
+
+			callback(null, {
+			    'name': mod_path.basename(path),
+			    'type': 'application/octet-stream',
+			    'size': md.size,
+			    'md5': md5,
+			    'headers': {
+				'content-length': String(md.size),
+				'content-md5': md5,
+				'last-modified':
+				    new Date(md.mtime).toUTCString()
+			    }
+			});
+		});
+	});
+};
+
+/*
+ * Invokes callback(err, md5) with the base64-encoded MD5 checksum for the
+ * object at Manta path "mantapath" (whose local file is "localpath"), taking
+ * the manifest into account.
+ */
+LocalMantaClient.prototype.objectMd5 = function (mantapath, localpath,
+    callback)
+{
+	var hash, stream, done;
+
+	if (this.lm_manifest.hasOwnProperty(mantapath) &&
+	    this.lm_manifest[mantapath].hasOwnProperty('md5')) {
+		setImmediate(callback, null, this.lm_manifest[mantapath].md5);
+		return;
+	}
+
+	hash = mod_crypto.createHash('md5');
+	stream = mod_fs.createReadStream(localpath);
+	done = false;
+	stream.on('data', function (chunk) { hash.update(chunk); });
+	stream.on('error', function (err) {
+		if (!done) {
+			done = true;
+			callback(err);
+		}
+	});
+	stream.on('end', function () {
+		if (!done) {
+			done = true;
+			callback(null, hash.digest('base64'));
+		}
+	});
+};
+
+/*
+ * Removes the object or empty directory at Manta path "path" (by removing the
+ * local file or directory).  As with the Manta client, "callback" is invoked
+ * as callback(err).
+ */
+LocalMantaClient.prototype.unlink = function (path, callback)
+{
+	var self = this;
+	var localpath = this.localPath(path);
+
+	mod_fs.stat(localpath, function (err, stat) {
+		var func;
+
+		if (err) {
+			callback(self.translateError(err, 'unlink', path));
+			return;
+		}
+
+		func = stat.isDirectory() ? mod_fs.rmdir : mod_fs.unlink;
+		func(localpath, function (err2) {
+			if (err2 && (err2.code == 'ENOTEMPTY' ||
+			    err2.code == 'EEXIST')) {
+				callback(self.makeError(
+				    'DirectoryNotEmptyError', 'unlink', path));
+				return;
+			}
+
+			if (err2) {
+				callback(self.translateError(err2, 'unlink',
+				    path));
+				return;
+			}
+
+			delete (self.lm_manifest[path]);
+			callback();
+		});
+	});
+};
+
+LocalMantaClient.prototype.close = function ()
+{
+};
+
+/*
+ * Translates a local filesystem error into an error like the one that the
+ * Manta client would produce.  The real client reports missing paths as
+ * "NotFoundError" for directory listings and HEAD requests (which have no
+ * response body) and "ResourceNotFoundError" for GET requests.
+ */
+LocalMantaClient.prototype.translateError = function (err, method, path)
+{
+	if (err.code == 'ENOENT' || err.code == 'ENOTDIR') {
+		return (this.makeError(method == 'get' ?
+		    'ResourceNotFoundError' : 'NotFoundError', method, path));
+	}
+
+	return (new VError(err, '%s "%s"', method, path));
+};
+
+LocalMantaClient.prototype.makeError = function (name, method, path)
+{
+	var err = new VError('%s "%s": %s', method, path, name);
+	err.name = name;
+	return (err);
+};
@@ -19,9 +19,59 @@ var mod_vasync = require('vasync');
 var VError = require('verror');
 var sprintf = mod_extsprintf.sprintf;
 
+var mod_linestream = require('./linestream');
+var mod_retry = require('./retry');
+
 /* public interface */
 exports.listMeteringReports = listMeteringReports;
 exports.defaultMeteringRoot = '/poseidon/stor/usage';
+exports.defaultSuspectHourFraction = 0.1;
+exports.reportPath = reportPath;
+
+/*
+ * Each kind of report has one record per line.  Every record is an object with
+ * an "owner" (an account uuid) and a "date" (an ISO 8601 timestamp within the
+ * period covered by the report).  Each kind also has one or more properties
+ * that must be present (and must be objects).  All other values nested inside
+ * a record must be numbers or strings of decimal digits (which are used for
+ * values that may not be representable as JavaScript numbers).
+ */
+var reportSchemas = {
+    'summary': {
+	'period': 86400 * 1000,
+	'required': []
+    },
+    'storage': {
+	'period': 86400 * 1000,
+	'required': [ 'storage' ]
+    },
+    'request': {
+	'period': 3600 * 1000,
+	'required': [ 'requests' ]
+    },
+    'compute': {
+	'period': 3600 * 1000,
+	'required': [ 'jobs' ]
+    }
+};
+
+var uuidPattern =
+    /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/* Maximum number of problem descriptions saved for each day and report kind. */
+var maxValidationProblems = 10;
+
+/*
+ * Hourly reports smaller than a fraction (by default, this one) of the median
+ * size of the same kind of report for the same hour on earlier days are
+ * reported as suspect, as long as there are at least suspectHourMinimum earlier
+ * days to compare with.  When the reports are validated, their record counts
+ * are compared the same way.  So that the first days of the scanned range can
+ * be checked too, the sizes of the hourly reports for suspectHourBaselineDays
+ * days before the range are also fetched.
+ */
+var suspectHourMinimum = 3;
+var suspectHourBaselineDays = 7;
 
 /*
  * Fetches information about metering reports.  Named arguments in "args":
@@ -38,13 +88,38 @@ exports.defaultMeteringRoot = '/poseidon/stor/usage';
  *     concurrency	Maximum concurrency for Manta operations
  *     (number)
  *
+ *     validate		If true, fetch every report (including the hourly
+ *     (optional	compute and request reports, which are otherwise only
+ *     boolean)		checked for existence) and validate each record
+ *     			against the expected format.  See ReportValidator.
+ *
  *     log		Bunyan logger
  *
  *     manta		Manta client
  *
+ *     cache		Listing cache (see lib/cache.js) used to save the
+ *     (optional	number of lines in each daily report.  This is ignored
+ *     object)		when validating, since that requires the contents.
+ *
+ *     suspectHourFraction
+ *     (optional	Hourly reports smaller than this fraction of the same
+ *     number)		hour's usual size are reported as suspect.  Zero
+ *     			disables the check.
+ *     			(Default: this_module.defaultSuspectHourFraction)
+ *
  * callback() is invoked with the usual callback(err, result), where if there
  * was no error, then "result" is an object with methods for accessing
  * information about the reports that were found.  See ReportLister below.
+ * Hourly compute and request reports that exist but are far smaller than the
+ * same hour's report usually is (see "suspectHourFraction") are reported as
+ * suspect rather than present, since that's what a report built from missing
+ * logs looks like.  See checkSuspect().
+ * Reports are read a chunk at a time and may be gzip-compressed (see
+ * lib/linestream.js).  The result's "read" property describes how much was
+ * read: "objects" (the number of reports read in full), "compressed" (how
+ * many of those were compressed), "bytes" (read from Manta), and "ubytes"
+ * (after decompression).  Reports whose line counts came from the cache are
+ * not included.
  *
  * This method itself synchronously returns an object that may be useful in a
  * debugger to understand the current state.  You should not use this object
@@ -73,6 +148,10 @@ function ReportLister(args)
 	mod_assertplus.string(args.meteringRoot, 'args.meteringRoot');
 	mod_assertplus.number(args.concurrency, 'args.concurrency');
 	mod_assertplus.ok(args.concurrency > 0, 'args.concurrency > 0');
+	mod_assertplus.optionalBool(args.validate, 'args.validate');
+	mod_assertplus.optionalObject(args.cache, 'args.cache');
+	mod_assertplus.optionalNumber(args.suspectHourFraction,
+	    'args.suspectHourFraction');
 
 	/* configuration */
 	this.mrl_end = new Date(args.endDate.getTime());
@@ -82,16 +161,36 @@ function ReportLister(args)
 	this.mrl_manta = args.manta;
 	this.mrl_meteringroot = args.meteringRoot;
 	this.mrl_concurrency = args.concurrency;
+	this.mrl_validate = args.validate ? true : false;
+	this.mrl_cache = args.cache || null;
+	this.mrl_suspectfraction = typeof (args.suspectHourFraction) ==
+	    'number' ? args.suspectHourFraction :
+	    exports.defaultSuspectHourFraction;
 
 	/* for debugging */
 	this.mrl_queue = null;
 	this.mrl_results = null;
+	this.mrl_baseline = null;
 	this.mrl_errors = null;
+
+	/* counts of objects and bytes read (see readReport()) */
+	this.mrl_read = {
+	    'objects': 0,
+	    'compressed': 0,
+	    'bytes': 0,
+	    'ubytes': 0
+	};
+
+	/*
+	 * validation results, indexed by daily timestamp and then by report
+	 * kind (only used when validating)
+	 */
+	this.mrl_validation = null;
 }
 
 ReportLister.prototype.listMeteringReports = function (callback)
 {
-	var current, hour;
+	var start, current, hour;
 	var self = this;
 
 	mod_assertplus.ok(this.mrl_queue === null,
@@ -106,13 +205,19 @@ ReportLister.prototype.listMeteringReports = function (callback)
 	 * count of records found, or "null" if no object was found.
 	 *
 	 * For report kinds "compute" and "request", the "details" value is a
-	 * list of the per-hour objects that were present in Manta.
+	 * list of the per-hour objects that were present in Manta.  The size
+	 * (and, when validating, the number of records) of each one is stored
+	 * under "hourly", which maps report kind -> hour -> details.
 	 *
 	 * This whole object will be post-processed to look for incomplete or
-	 * missing reports.
+	 * missing reports.  The sizes of the hourly reports for the days
+	 * before the range, which are only used to check for suspect ones, are
+	 * stored separately in the same form as "hourly".
 	 */
 	this.mrl_results = {};
+	this.mrl_baseline = {};
 	this.mrl_errors = [];
+	this.mrl_validation = {};
 
 	/*
 	 * Steps:
@@ -135,14 +240,48 @@ ReportLister.prototype.listMeteringReports = function (callback)
 	 * concurrency, the easiest thing to do is pipe every request through a
 	 * single queue with bounded concurrency and process each response
 	 * independently as it comes in.
+	 *
+	 * Before all that, we also check the size of each hourly request and
+	 * compute report for the baseline days before the range (see
+	 * checkSuspect()).  Those are never fetched, even when validating.
 	 */
 	this.mrl_queue = mod_vasync.queuev({
 	    'concurrency': this.mrl_concurrency,
 	    'worker': this.doMakeRequest.bind(this)
 	});
 
-	current = new Date(this.mrl_end.getTime());
-	current.setUTCDate(current.getUTCDate() - this.mrl_ndays + 1);
+	start = new Date(this.mrl_end.getTime());
+	start.setUTCDate(start.getUTCDate() - this.mrl_ndays + 1);
+
+	current = new Date(start.getTime());
+	if (this.mrl_suspectfraction > 0)
+		current.setUTCDate(current.getUTCDate() -
+		    suspectHourBaselineDays);
+
+	while (current.getTime() < start.getTime()) {
+		hour = new Date(current.getTime());
+
+		if (current.getUTCHours() === 0) {
+			this.mrl_baseline[hour.toISOString()] = {
+			    'request': {},
+			    'compute': {}
+			};
+		}
+
+		this.mrl_queue.push({
+		    'kind': 'request',
+		    'date': hour,
+		    'baseline': true
+		});
+
+		this.mrl_queue.push({
+		    'kind': 'compute',
+		    'date': hour,
+		    'baseline': true
+		});
+
+		current.setUTCHours(current.getUTCHours() + 1);
+	}
 
 	while (current.getTime() <= this.mrl_end.getTime() +
 	    23 * 60 * 60 * 1000) {
@@ -153,9 +292,19 @@ ReportLister.prototype.listMeteringReports = function (callback)
 			    'summary': null,
 			    'storage': null,
 			    'request': [],
-			    'compute': []
+			    'compute': [],
+			    'hourly': { 'request': {}, 'compute': {} }
 			};
 
+			if (this.mrl_validate) {
+				this.mrl_validation[hour.toISOString()] = {
+				    'summary': emptyValidation(),
+				    'storage': emptyValidation(),
+				    'request': emptyValidation(),
+				    'compute': emptyValidation()
+				};
+			}
+
 			this.mrl_queue.push({
 			    'kind': 'summary',
 			    'date': hour
@@ -196,6 +345,9 @@ ReportLister.prototype.listMeteringReports = function (callback)
  *
  *     "date"		Date for the report.
  *
+ *     "baseline"	If true, this is an hourly report for one of the days
+ *     			before the range, which is only checked for its size.
+ *
  * This function translates this specification into an HTTP request to Manta,
  * makes the request, and saves the result into this.mrl_results.
  *
@@ -205,19 +357,16 @@ ReportLister.prototype.listMeteringReports = function (callback)
  */
 ReportLister.prototype.doMakeRequest = function (rqinfo, callback)
 {
-	var path, method;
+	var path, method, validator;
 	var self = this;
 
 	mod_assertplus.string(rqinfo.kind);
 	mod_assertplus.date(rqinfo.date);
 
-	path = sprintf('%s/%s/%04d/%02d/%02d', this.mrl_meteringroot,
-	    rqinfo.kind, rqinfo.date.getUTCFullYear(),
-	    rqinfo.date.getUTCMonth() + 1, rqinfo.date.getUTCDate());
+	path = reportPath(this.mrl_meteringroot, rqinfo.kind, rqinfo.date);
 	if (rqinfo.kind == 'summary') {
 		/* The path is for a daily file. */
 		method = 'get';
-		path = sprintf('%s/d%02d.json', path, rqinfo.date.getUTCDate());
 	} else {
 		/*
 		 * Although "storage" is only checked daily, the Manta objects
@@ -227,12 +376,11 @@ ReportLister.prototype.doMakeRequest = function (rqinfo, callback)
 		if (rqinfo.kind == 'storage') {
 			mod_assertplus.ok(rqinfo.date.getUTCHours() === 0);
 			method = 'get';
+		} else if (this.mrl_validate && !rqinfo.baseline) {
+			method = 'get';
 		} else {
 			method = 'head';
 		}
-
-		path = sprintf('%s/%02d/h%02d.json', path,
-		    rqinfo.date.getUTCHours(), rqinfo.date.getUTCHours());
 	}
 
 	/*
@@ -242,30 +390,32 @@ ReportLister.prototype.doMakeRequest = function (rqinfo, callback)
 	rqinfo.method = method;
 	rqinfo.path = path;
 
-	if (method == 'get') {
-		this.mrl_manta.get(path, function (err, stream) {
+	if (method == 'get' && this.mrl_validate) {
+		validator = new ReportValidator(rqinfo.kind, rqinfo.date,
+		    rqinfo.path);
+		this.readReport(path, function (line, lineidx) {
+			validator.line(line, lineidx);
+		}, function (err, nlines, nbytes) {
 			if (err) {
 				self.recordError(rqinfo, err);
 				callback();
 				return;
 			}
 
-			var data = '';
-
-			stream.on('error', function (err2) {
-				self.recordError(rqinfo, err2);
+			self.recordValidation(rqinfo, validator.result());
+			self.recordResult(rqinfo, nlines, nbytes);
+			callback();
+		});
+	} else if (method == 'get') {
+		this.fetchLineCount(path, function (err, nlines) {
+			if (err) {
+				self.recordError(rqinfo, err);
 				callback();
-			});
-
-			stream.on('data', function (chunk) {
-				data += chunk.toString('utf8');
-			});
+				return;
+			}
 
-			stream.on('end', function () {
-				var nlines = data.split(/\n/).length - 1;
-				self.recordResult(rqinfo, nlines);
-				callback();
-			});
+			self.recordResult(rqinfo, nlines);
+			callback();
 		});
 	} else {
 		mod_assertplus.equal(method, 'head');
@@ -277,31 +427,110 @@ ReportLister.prototype.doMakeRequest = function (rqinfo, callback)
 			}
 
 			/*
-			 * We don't actually care about the metadata or contents
-			 * of this object, just whether it's present.
+			 * We don't care about the contents of this object, just
+			 * whether it's present and how big it is.
 			 */
-			self.recordResult(rqinfo);
+			self.recordResult(rqinfo, null, objectSize(info));
 			callback();
 		});
 	}
 };
 
 /*
- * Record errors that should be reported to the user.  Not that NotFoundErrors
+ * Returns the Manta path under "meteringRoot" of the metering report of kind
+ * "kind" (e.g., "summary") for the period containing Date "date".  Summary
+ * reports are daily files.  The other kinds are organized hourly, although
+ * only the "00" hour's storage report is used.
+ */
+function reportPath(meteringRoot, kind, date)
+{
+	var path;
+
+	path = sprintf('%s/%s/%04d/%02d/%02d', meteringRoot, kind,
+	    date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate());
+	if (kind == 'summary')
+		return (sprintf('%s/d%02d.json', path, date.getUTCDate()));
+
+	return (sprintf('%s/%02d/h%02d.json', path, date.getUTCHours(),
+	    date.getUTCHours()));
+}
+
+/*
+ * Reads the Manta object "path" a chunk at a time (see lib/linestream.js),
+ * invoking online(line, lineidx) for each line if "online" is not null.
+ * Invokes callback(err, nlines, nbytes) with the number of lines in the object
+ * and its size (before decompression).
+ */
+ReportLister.prototype.readReport = function (path, online, callback)
+{
+	var self = this;
+
+	mod_linestream.readLines({
+	    'manta': this.mrl_manta,
+	    'path': path,
+	    'online': online || undefined
+	}, function (err, result) {
+		if (err) {
+			callback(err);
+			return;
+		}
+
+		self.mrl_log.debug({
+		    'path': path,
+		    'result': result
+		}, 'read report');
+		self.mrl_read.objects++;
+		self.mrl_read.bytes += result.bytes;
+		self.mrl_read.ubytes += result.ubytes;
+		if (result.compressed)
+			self.mrl_read.compressed++;
+		callback(null, result.lines, result.bytes);
+	});
+};
+
+/*
+ * Invokes callback(err, nlines) with the number of lines in the Manta object
+ * "path", using the cache if there is one.
+ */
+ReportLister.prototype.fetchLineCount = function (path, callback)
+{
+	var self = this;
+
+	function fetch(subcallback) {
+		self.readReport(path, null, subcallback);
+	}
+
+	if (this.mrl_cache === null)
+		fetch(callback);
+	else
+		this.mrl_cache.cached('lines', path, fetch, callback);
+};
+
+/*
+ * Record errors that should be reported to the user.  Note that NotFoundErrors
  * (404s) are expected, and will be reported as missing data points.  This is
  * for unexpected operational errors, like other 400s (likely indicating a bug
- * in this program) or failures to contact the server.
+ * in this program) or failures to contact the server.  Each one records its
+ * category (see lib/retry.js).
  *
  * We log these to the bunyan log and then save them onto a global list so that
  * we can print these out to the user later.
  */
 ReportLister.prototype.recordError = function (rqinfo, err)
 {
-	/* XXX These should be the same error. */
-	if (err.name == 'ResourceNotFoundError' || err.name == 'NotFoundError')
+	rqinfo.category = mod_retry.classifyError(err);
+	if (rqinfo.category == 'not-found')
 		return;
 
 	this.mrl_log.warn(err, 'request: error', rqinfo);
+
+	/*
+	 * A failure to check a baseline report only leaves out one sample (see
+	 * checkSuspect()), so it's not worth reporting.
+	 */
+	if (rqinfo.baseline)
+		return;
+
 	/* XXX work around node-manta Errors' lack of messages */
 	if (!err.message)
 		err.message = err.name;
@@ -312,9 +541,11 @@ ReportLister.prototype.recordError = function (rqinfo, err)
 /*
  * Record the results of one of the metering report requests.  See
  * doMakeRequest() above for how this works, and see the comment in
- * listMeteringReports() for how the results are structured.
+ * listMeteringReports() for how the results are structured.  "count" is the
+ * number of lines in the report (or null if it wasn't read), and "nbytes" is
+ * the size of an hourly report (or null if it's not known).
  */
-ReportLister.prototype.recordResult = function (rqinfo, count)
+ReportLister.prototype.recordResult = function (rqinfo, count, nbytes)
 {
 	var daydate, datekey, dateresults;
 
@@ -322,6 +553,16 @@ ReportLister.prototype.recordResult = function (rqinfo, count)
 	daydate.setUTCHours(0, 0, 0, 0);
 	datekey = daydate.toISOString();
 
+	if (rqinfo.baseline) {
+		mod_assertplus.ok(this.mrl_baseline.hasOwnProperty(datekey));
+		this.mrl_baseline[datekey][rqinfo.kind][
+		    rqinfo.date.getUTCHours()] = {
+		    'bytes': typeof (nbytes) == 'number' ? nbytes : null,
+		    'records': null
+		};
+		return;
+	}
+
 	mod_assertplus.ok(this.mrl_results.hasOwnProperty(datekey));
 	dateresults = this.mrl_results[datekey];
 	mod_assertplus.ok(dateresults.hasOwnProperty(rqinfo.kind));
@@ -339,11 +580,55 @@ ReportLister.prototype.recordResult = function (rqinfo, count)
 	}
 
 	/*
-	 * For the other two kinds, we just keep track of the hours for which we
-	 * have reports.
+	 * For the other two kinds, we keep track of the hours for which we
+	 * have reports, and how big each one is.
 	 */
 	mod_assertplus.ok(Array.isArray(dateresults[rqinfo.kind]));
 	dateresults[rqinfo.kind].push(rqinfo.date.getUTCHours());
+	dateresults.hourly[rqinfo.kind][rqinfo.date.getUTCHours()] = {
+	    'bytes': typeof (nbytes) == 'number' ? nbytes : null,
+	    'records': typeof (count) == 'number' ? count : null
+	};
+};
+
+/*
+ * Returns the size of an object given the result of info(), or null if it's
+ * not known.
+ */
+function objectSize(info)
+{
+	var length;
+
+	if (typeof (info.size) == 'number')
+		return (info.size);
+
+	length = info.headers ? parseInt(info.headers['content-length'], 10) :
+	    NaN;
+	return (isNaN(length) ? null : length);
+}
+
+/*
+ * Record the results of validating one of the metering reports.  Results for
+ * the hourly reports are combined for each day.
+ */
+ReportLister.prototype.recordValidation = function (rqinfo, result)
+{
+	var daydate, daily;
+
+	daydate = new Date(rqinfo.date.getTime());
+	daydate.setUTCHours(0, 0, 0, 0);
+	mod_assertplus.ok(this.mrl_validation.hasOwnProperty(
+	    daydate.toISOString()));
+	daily = this.mrl_validation[daydate.toISOString()][rqinfo.kind];
+
+	daily.records += result.records;
+	daily.malformed += result.malformed;
+	daily.duplicates += result.duplicates;
+	daily.outofrange += result.outofrange;
+	result.problems.forEach(function (p) {
+		if (daily.problems.length < maxValidationProblems)
+			daily.problems.push(p);
+	});
 };
 
 ReportLister.prototype.doFinishListing = function (callback)
@@ -353,7 +638,8 @@ ReportLister.prototype.doFinishListing = function (callback)
 
 	rv = {
 	    'byday': {},
-	    'errors': this.mrl_errors.slice(0)
+	    'errors': this.mrl_errors.slice(0),
+	    'read': mod_jsprim.deepCopy(this.mrl_read)
 	};
 
 	mod_jsprim.forEachKey(this.mrl_results,
@@ -363,8 +649,12 @@ ReportLister.prototype.doFinishListing = function (callback)
 		    'storage': dayresults.storage,
 		    'compute': dayresults.compute.length,
 		    'compute_missing': [],
+		    'compute_suspect': [],
 		    'request': dayresults.request.length,
-		    'request_missing': []
+		    'request_missing': [],
+		    'request_suspect': [],
+		    'validation': self.mrl_validate ?
+			self.mrl_validation[daystamp] : null
 		};
 
 		self.checkMissing('compute', dayresults.compute,
@@ -373,9 +663,113 @@ ReportLister.prototype.doFinishListing = function (callback)
 		    rv.byday[daystamp].request_missing);
 	    });
 
+	this.checkSuspect(rv.byday);
 	callback(null, rv);
 };
 
+/*
+ * Compares each hourly report's size (and, if known, its number of records)
+ * with the same kind of report for the same hour on earlier days, including
+ * the baseline days before the scanned range.  Reports far below the median of
+ * those (see the "suspectHourFraction" argument) are moved from the "compute"
+ * or "request" count of present reports in "byday" to the "compute_suspect" or
+ * "request_suspect" list, each entry of which has "hour", "bytes",
+ * "medianBytes", "records", and "medianRecords" (with null for anything not
+ * known).  Since baseline reports are never read, record counts can only be
+ * compared from the fourth day of the range (see suspectHourMinimum).
+ */
+ReportLister.prototype.checkSuspect = function (byday)
+{
+	var self = this;
+	var days, earlier;
+
+	if (this.mrl_suspectfraction === 0)
+		return;
+
+	days = Object.keys(this.mrl_baseline).sort().map(function (daystamp) {
+		return ({ 'hourly': self.mrl_baseline[daystamp], 'day': null });
+	}).concat(Object.keys(this.mrl_results).sort().map(function (daystamp) {
+		return ({
+		    'hourly': self.mrl_results[daystamp].hourly,
+		    'day': byday[daystamp]
+		});
+	}));
+
+	earlier = {};
+	days.forEach(function (d) {
+		mod_jsprim.forEachKey(d.hourly, function (kind, hours) {
+			var suspect = [];
+
+			if (!earlier.hasOwnProperty(kind))
+				earlier[kind] = {};
+
+			mod_jsprim.forEachKey(hours, function (hour, report) {
+				var samples, e;
+
+				if (!earlier[kind].hasOwnProperty(hour))
+					earlier[kind][hour] = [];
+				samples = earlier[kind][hour];
+				e = {
+				    'hour': parseInt(hour, 10),
+				    'bytes': report.bytes,
+				    'medianBytes': medianOf(samples, 'bytes'),
+				    'records': report.records,
+				    'medianRecords': medianOf(samples,
+					'records')
+				};
+
+				/*
+				 * Suspect reports are left out of the
+				 * samples so that a run of them doesn't
+				 * lower the median and hide the next one.
+				 */
+				if (self.isSuspect(e.bytes, e.medianBytes) ||
+				    self.isSuspect(e.records, e.medianRecords))
+					suspect.push(e);
+				else
+					samples.push(report);
+			});
+
+			if (d.day === null)
+				return;
+
+			suspect.sort(function (a, b) {
+				return (a.hour - b.hour);
+			});
+			d.day[kind + '_suspect'] = suspect;
+			d.day[kind] -= suspect.length;
+		});
+	});
+};
+
+/*
+ * Returns the median of the non-null values of property "prop" of "samples",
+ * or null if there are fewer than suspectHourMinimum of them.
+ */
+function medianOf(samples, prop)
+{
+	var values, mid;
+
+	values = samples.map(function (sample) {
+		return (sample[prop]);
+	}).filter(function (value) {
+		return (value !== null);
+	}).sort(function (a, b) { return (a - b); });
+
+	if (values.length < suspectHourMinimum)
+		return (null);
+
+	mid = Math.floor(values.length / 2);
+	return (values.length % 2 == 1 ? values[mid] :
+	    (values[mid - 1] + values[mid]) / 2);
+}
+
+ReportLister.prototype.isSuspect = function (value, median)
+{
+	return (value !== null && median !== null &&
+	    value < median * this.mrl_suspectfraction);
+};
+
 ReportLister.prototype.checkMissing = function (kind, kindresults, missing)
 {
 	var i, next, nexpected;
@@ -395,3 +789,176 @@ ReportLister.prototype.checkMissing = function (kind, kindresults, missing)
 		}
 	}
 };
+
+function emptyValidation()
+{
+	return ({
+	    'records': 0,
+	    'malformed': 0,
+	    'duplicates': 0,
+	    'outofrange': 0,
+	    'problems': []
+	});
+}
+
+/*
+ * Incrementally validates a metering report of kind "kind" for the period
+ * starting at Date "date" and stored at Manta path "path".  Pass each line of
+ * the report to line() in order, then call result() to get an object with:
+ *
+ *     records (number)		number of records in the report
+ *
+ *     malformed (number)	number of lines that could not be parsed or
+ *     				did not match the expected format (see
+ *     				reportSchemas above)
+ *
+ *     duplicates (number)	number of records whose owner already appeared
+ *     				earlier in the same report
+ *
+ *     outofrange (number)	number of records whose "date" is outside the
+ *     				period covered by the report
+ *
+ *     problems (array)		human-readable descriptions of the first few
+ *     				problems found
+ *
+ * Only the set of owners seen so far is kept in memory, so reports need not be
+ * held in memory to be validated.
+ */
+function ReportValidator(kind, date, path)
+{
+	mod_assertplus.ok(reportSchemas.hasOwnProperty(kind));
+	this.rv_schema = reportSchemas[kind];
+	this.rv_path = path;
+	this.rv_start = new Date(date.getTime());
+	if (this.rv_schema.period == 86400 * 1000)
+		this.rv_start.setUTCHours(0, 0, 0, 0);
+	this.rv_end = this.rv_start.getTime() + this.rv_schema.period;
+	this.rv_owners = {};
+	this.rv_result = emptyValidation();
+}
+
+/*
+ * Validates one line of the report, where "i" is its index in the report.
+ */
+ReportValidator.prototype.line = function (line, i)
+{
+	var rv, path, record, problem, when;
+
+	rv = this.rv_result;
+	path = this.rv_path;
+	rv.records++;
+
+	try {
+		record = JSON.parse(line);
+	} catch (ex) {
+		rv.malformed++;
+		addValidationProblem(rv, path, i, 'not valid JSON');
+		return;
+	}
+
+	problem = checkRecord(record, this.rv_schema);
+	if (problem !== null) {
+		rv.malformed++;
+		addValidationProblem(rv, path, i, problem);
+		return;
+	}
+
+	if (this.rv_owners.hasOwnProperty(record.owner)) {
+		rv.duplicates++;
+		addValidationProblem(rv, path, i, sprintf(
+		    'duplicate owner "%s" (first seen on line %d)',
+		    record.owner, this.rv_owners[record.owner] + 1));
+	} else {
+		this.rv_owners[record.owner] = i;
+	}
+
+	when = Date.parse(record.date);
+	if (when < this.rv_start.getTime() || when >= this.rv_end) {
+		rv.outofrange++;
+		addValidationProblem(rv, path, i, sprintf('date ' +
+		    '"%s" is outside the report\'s period (%s to %s)',
+		    record.date, this.rv_start.toISOString(),
+		    new Date(this.rv_end).toISOString()));
+	}
+};
+
+ReportValidator.prototype.result = function ()
+{
+	return (this.rv_result);
+};
+
+/*
+ * Checks a single parsed record against "schema".  Returns a description of
+ * the first problem found, or null if there are no problems.
+ */
+function checkRecord(record, schema)
+{
+	var i, key, problem;
+
+	if (typeof (record) != 'object' || record === null ||
+	    Array.isArray(record))
+		return ('record is not an object');
+
+	if (typeof (record.owner) != 'string' ||
+	    !uuidPattern.test(record.owner))
+		return ('"owner" is not a uuid');
+
+	if (typeof (record.date) != 'string' || isNaN(Date.parse(record.date)))
+		return ('"date" is not a valid timestamp');
+
+	for (i = 0; i < schema.required.length; i++) {
+		key = schema.required[i];
+		if (typeof (record[key]) != 'object' || record[key] === null) {
+			return (sprintf('"%s" is missing or not an object',
+			    key));
+		}
+	}
+
+	for (key in record) {
+		if (key == 'owner' || key == 'date')
+			continue;
+
+		problem = checkNumeric(record[key], key);
+		if (problem !== null)
+			return (problem);
+	}
+
+	return (null);
+}
+
+/*
+ * Checks that "value" is numeric (or an object containing only numeric values,
+ * recursively).  Returns a description of the first problem found, or null.
+ */
+function checkNumeric(value, name)
+{
+	var key, problem;
+
+	if (typeof (value) == 'number')
+		return (isFinite(value) && value >= 0 ? null :
+		    sprintf('"%s" is not a non-negative number', name));
+
+	if (typeof (value) == 'string')
+		return (/^[0-9]+$/.test(value) ? null :
+		    sprintf('"%s" is not numeric', name));
+
+	if (typeof (value) != 'object' || value === null ||
+	    Array.isArray(value))
+		return (sprintf('"%s" is not numeric', name));
+
+	for (key in value) {
+		problem = checkNumeric(value[key], name + '.' + key);
+		if (problem !== null)
+			return (problem);
+	}
+
+	return (null);
+}
+
+function addValidationProblem(result, path, lineidx, problem)
+{
+	if (result.problems.length < maxValidationProblems) {
+		result.problems.push(sprintf('%s line %d: %s', path,
+		    lineidx + 1, problem));
+	}
+}
@@ -0,0 +1,428 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * lib/prune.js: retention policy for database dumps
+ *
+ * Each shard uploads a dump every day, and the dump and the objects unpacked
+ * from it stay in Manta until somebody removes them.  This module decides
+ * which of the dumps found by a DumpLister should be removed under a simple
+ * retention policy, and removes them.  For each shard, a dump is kept if any
+ * of these is true:
+ *
+ *     daily	it's for one of the "keepDaily" days ending on the last day
+ *     		scanned (including additional dumps for those days)
+ *
+ *     monthly	it's the first good dump (see isGoodDump()) of one of the
+ *     		"keepMonthly" calendar months ending with the month of the last
+ *     		day scanned, or the first dump of such a month that has no good
+ *     		dumps
+ *
+ *     latest	it's the shard's most recent good dump
+ *
+ * Everything else that was found is removed, along with the objects unpacked
+ * from it.  Dumps outside the scanned date range are never considered, so the
+ * policy can only remove dumps that were actually examined.  Shards for which
+ * any listing failed are not pruned at all, since the failed listing might
+ * have hidden a dump that the policy would have kept.
+ */
+
+var mod_assertplus = require('assert-plus');
+var mod_jsprim = require('jsprim');
+var mod_path = require('path');
+var mod_vasync = require('vasync');
+var VError = require('verror');
+
+var mod_retry = require('./retry');
+
+/* public interface */
+exports.prunePlan = prunePlan;
+exports.pruneDumps = pruneDumps;
+
+/*
+ * Given a DumpLister whose listDumps() operation has completed and a retention
+ * policy with properties "keepDaily" and "keepMonthly" (see above), returns an
+ * object describing what to keep and what to remove, with properties:
+ *
+ *     endDate (Date)	the last day scanned
+ *
+ *     shards		list of objects, one for each shard (sorted by name),
+ *     			with properties:
+ *
+ *         shard	shard name
+ *         skipped	if the shard is not being pruned, a human-readable
+ *         		explanation (otherwise, null)
+ *         dumps	list of objects, one for each dump found (sorted by
+ *         		day, then scheduled dumps before additional ones), with
+ *         		properties "date" (YYYY-MM-DD), "dump" (as found by the
+ *         		DumpLister), "bytes" (the total size of the dump and
+ *         		the objects unpacked from it), "remove" (boolean), and
+ *         		"reasons" (for dumps being kept, the parts of the policy
+ *         		that keep it: any of "daily", "monthly", and "latest")
+ *         bytes	total size of all of the shard's dumps and their
+ *         		unpacked objects
+ *         nremove	number of dumps to be removed
+ *         removebytes	total size of the dumps to be removed and their
+ *         		unpacked objects
+ *
+ *     directories	list of objects describing what to remove, one for each
+ *     			Manta directory that has something to remove, each
+ *     			with "shard", "date", "path" (the directory), "objects"
+ *     			(Manta paths of the objects to remove, with each dump's
+ *     			unpacked objects listed before the dump itself), and
+ *     			"empty" (whether every dump in the directory is being
+ *     			removed, in which case the directory itself should be
+ *     			removed too)
+ */
+function prunePlan(lister, policy)
+{
+	var endDate, shards, dumps, extras, failed, rv;
+
+	mod_assertplus.object(policy, 'policy');
+	mod_assertplus.number(policy.keepDaily, 'policy.keepDaily');
+	mod_assertplus.number(policy.keepMonthly, 'policy.keepMonthly');
+
+	dumps = lister.dumps();
+	extras = lister.extras();
+	endDate = new Date(Object.keys(dumps).sort().pop());
+	shards = lister.shards().slice(0).sort();
+	failed = {};
+	lister.errors().forEach(function (e) {
+		failed[e.shard] = (failed[e.shard] || 0) + 1;
+	});
+
+	rv = {
+	    'endDate': endDate,
+	    'shards': [],
+	    'directories': []
+	};
+
+	shards.forEach(function (shard) {
+		var entries, splan;
+
+		entries = [];
+		Object.keys(dumps).sort().forEach(function (timestamp) {
+			var day = timestamp.substr(0, '2015-07-10'.length);
+
+			if (dumps[timestamp].hasOwnProperty(shard))
+				entries.push(planEntry(day,
+				    dumps[timestamp][shard]));
+
+			if (extras.hasOwnProperty(timestamp) &&
+			    extras[timestamp].hasOwnProperty(shard)) {
+				extras[timestamp][shard].forEach(function (d) {
+					entries.push(planEntry(day, d));
+				});
+			}
+		});
+
+		splan = {
+		    'shard': shard,
+		    'skipped': null,
+		    'dumps': entries,
+		    'bytes': 0,
+		    'nremove': 0,
+		    'removebytes': 0
+		};
+
+		if (failed.hasOwnProperty(shard)) {
+			splan.skipped = failed[shard] == 1 ?
+			    'a listing failed' :
+			    failed[shard] + ' listings failed';
+		}
+
+		applyPolicy(endDate, policy, entries);
+		entries.forEach(function (e) {
+			splan.bytes += e.bytes;
+			if (splan.skipped !== null)
+				e.remove = false;
+			if (e.remove) {
+				splan.nremove++;
+				splan.removebytes += e.bytes;
+			}
+		});
+
+		rv.shards.push(splan);
+		addDirectories(rv.directories, shard, entries);
+	});
+
+	return (rv);
+}
+
+function planEntry(day, dump)
+{
+	var bytes = dump.size;
+
+	dump.unpackedobjects.forEach(function (obj) {
+		bytes += obj.size;
+	});
+
+	return ({
+	    'date': day,
+	    'dump': dump,
+	    'bytes': bytes,
+	    'remove': false,
+	    'reasons': []
+	});
+}
+
+/*
+ * Returns true if "dump" is good enough to keep as a shard's latest or monthly
+ * dump: its integrity was checked and it passed, and it has been completely
+ * unpacked with no problems found with any of the unpacked objects (see
+ * checkObjects() in lib/dumps.js).  A dump whose integrity wasn't checked is
+ * never good, since it may be the only copy left and it may be corrupt.
+ */
+function isGoodDump(dump)
+{
+	return (dump.integrity !== null &&
+	    dump.integrity.problems.length === 0 &&
+	    dump.unpacked && dump.missingtables.length === 0 &&
+	    dump.unpackedobjects.every(function (obj) {
+		return (obj.issues.length === 0);
+	    }));
+}
+
+/*
+ * Given the entries for one shard's dumps (see prunePlan()), sorted by day,
+ * fills in each one's "reasons" and "remove" according to "policy".
+ */
+function applyPolicy(endDate, policy, entries)
+{
+	var firstday, months, latest, i;
+
+	firstday = new Date(endDate.getTime());
+	firstday.setUTCDate(firstday.getUTCDate() - policy.keepDaily + 1);
+	firstday = firstday.toISOString().substr(0, '2015-07-10'.length);
+
+	months = {};
+	for (i = 0; i < policy.keepMonthly; i++) {
+		months[new Date(Date.UTC(endDate.getUTCFullYear(),
+		    endDate.getUTCMonth() - i, 1)).toISOString().substr(0,
+		    '2015-07'.length)] = null;
+	}
+
+	latest = null;
+	entries.forEach(function (e) {
+		var month = e.date.substr(0, '2015-07'.length);
+
+		if (policy.keepDaily > 0 && e.date >= firstday)
+			e.reasons.push('daily');
+
+		if (isGoodDump(e.dump) && (latest === null ||
+		    e.dump.mtime.getTime() >= latest.dump.mtime.getTime()))
+			latest = e;
+
+		if (months.hasOwnProperty(month) && (months[month] === null ||
+		    (!isGoodDump(months[month].dump) && isGoodDump(e.dump))))
+			months[month] = e;
+	});
+
+	mod_jsprim.forEachKey(months, function (_, e) {
+		if (e !== null)
+			e.reasons.push('monthly');
+	});
+
+	if (latest !== null)
+		latest.reasons.push('latest');
+
+	entries.forEach(function (e) {
+		e.remove = e.reasons.length === 0;
+	});
+}
+
+/*
+ * Appends to "directories" (see prunePlan()) the directories containing the
+ * dumps in "entries" that are being removed.
+ */
+function addDirectories(directories, shard, entries)
+{
+	var bydir = {};
+
+	entries.forEach(function (e) {
+		var dir = mod_path.dirname(e.dump.path);
+
+		if (!bydir.hasOwnProperty(dir)) {
+			bydir[dir] = {
+			    'shard': shard,
+			    'date': e.date,
+			    'path': dir,
+			    'objects': [],
+			    'empty': true
+			};
+		}
+
+		if (!e.remove) {
+			bydir[dir].empty = false;
+			return;
+		}
+
+		e.dump.unpackedobjects.forEach(function (obj) {
+			bydir[dir].objects.push(dir + '/' + obj.name);
+		});
+		bydir[dir].objects.push(e.dump.path);
+	});
+
+	Object.keys(bydir).sort().forEach(function (dir) {
+		if (bydir[dir].objects.length > 0)
+			directories.push(bydir[dir]);
+	});
+}
+
+/*
+ * Removes the dumps described by "plan" (see prunePlan()).  Named arguments in
+ * "args":
+ *
+ *     plan		result of prunePlan()
+ *
+ *     manta		Manta client
+ *
+ *     concurrency	maximum number of directories to work on at once
+ *     (number)
+ *
+ *     log		Bunyan logger.  Every removal is logged at level
+ *     			"info".
+ *
+ * Within each directory, objects are removed one at a time, in the order
+ * given by the plan, so each dump is only removed after all of its unpacked
+ * objects have been.  If any removal in a directory fails, nothing else in that
+ * directory is removed.  Objects that have already been removed are skipped,
+ * and so are directories that turn out to contain other objects.  Once a
+ * directory is removed, its parents (the day, month, and year directories
+ * under the shard's directory) are removed too, as long as they're empty.
+ *
+ * callback() is invoked as callback(result), where "result" has:
+ *
+ *     removed (array)	Manta paths of the objects and directories removed
+ *
+ *     failures (array)	list of objects with "path" and "error" describing
+ *     			the removals that failed
+ */
+function pruneDumps(args, callback)
+{
+	var log, result, queue;
+
+	mod_assertplus.object(args, 'args');
+	mod_assertplus.object(args.plan, 'args.plan');
+	mod_assertplus.object(args.manta, 'args.manta');
+	mod_assertplus.number(args.concurrency, 'args.concurrency');
+	mod_assertplus.object(args.log, 'args.log');
+	mod_assertplus.func(callback, 'callback');
+
+	log = args.log;
+	result = {
+	    'removed': [],
+	    'failures': []
+	};
+
+	function remove(path, dir, subcallback) {
+		args.manta.unlink(path, function (err) {
+			var info = {
+			    'path': path,
+			    'shard': dir.shard,
+			    'date': dir.date
+			};
+
+			if (!err) {
+				log.info(info, 'removed');
+				result.removed.push(path);
+				subcallback();
+				return;
+			}
+
+			if (mod_retry.classifyError(err) == 'not-found') {
+				log.info(info, 'already removed');
+				subcallback();
+				return;
+			}
+
+			log.error(err, 'failed to remove "%s"', path);
+			result.failures.push({
+			    'path': path,
+			    'error': new VError(err, 'remove "%s"', path)
+			});
+			subcallback(err);
+		});
+	}
+
+	/*
+	 * Removes the directory "path" (one of "dir" and its parents), and then
+	 * its parent, stopping at the first one that isn't empty or at "depth"
+	 * levels up.  Directories may contain things other than dumps and the
+	 * objects unpacked from them (e.g., subdirectories, or other days'
+	 * dumps), so each one is only removed if it's now empty.  Another
+	 * worker may empty and remove the same parent at the same time, so a
+	 * directory that's already gone is skipped quietly.
+	 */
+	function removeDirectory(path, dir, depth, subcallback) {
+		args.manta.ls(path, function (err, emitter) {
+			var nentries = 0;
+
+			if (err) {
+				if (mod_retry.classifyError(err) !=
+				    'not-found') {
+					log.warn(err, 'not removing ' +
+					    'directory "%s"', path);
+				}
+				subcallback();
+				return;
+			}
+
+			emitter.on('entry', function () { nentries++; });
+			emitter.on('end', function () {
+				if (nentries > 0) {
+					log.info({
+					    'path': path,
+					    'nentries': nentries
+					}, 'not removing non-empty directory');
+					subcallback();
+					return;
+				}
+
+				remove(path, dir, function (err2) {
+					if (err2 || depth === 0) {
+						subcallback();
+						return;
+					}
+
+					removeDirectory(mod_path.dirname(path),
+					    dir, depth - 1, subcallback);
+				});
+			});
+		});
+	}
+
+	queue = mod_vasync.queuev({
+	    'concurrency': args.concurrency,
+	    'worker': function (dir, qcallback) {
+		mod_vasync.forEachPipeline({
+		    'inputs': dir.objects,
+		    'func': function (path, subcallback) {
+			remove(path, dir, subcallback);
+		    }
+		}, function (err) {
+			if (err || !dir.empty) {
+				qcallback();
+				return;
+			}
+
+			/*
+			 * "dir.path" is SHARD/YYYY/MM/DD/HH, so stop after
+			 * the year directory.
+			 */
+			removeDirectory(dir.path, dir, 3, qcallback);
+		});
+	    }
+	});
+
+	queue.on('end', function () { callback(result); });
+	queue.push(args.plan.directories);
+	queue.close();
+}
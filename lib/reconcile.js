@@ -0,0 +1,517 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * lib/reconcile.js: cross-checking metering reports against each other
+ *
+ * The daily summary report is generated from the storage report and the hourly
+ * request and compute reports for the same day.  Every owner that appears in
+ * any of those reports should appear in the summary, every owner in the
+ * summary should appear in at least one of them, and the summary's request and
+ * compute totals for each owner should match the sum of that owner's hourly
+ * reports.
+ *
+ * Totals are compared field by field.  In the hourly request reports, the
+ * fields are the numeric values nested under each record's "requests" property
+ * (e.g., "type.GET" or "bandwidth.out").  In the hourly compute reports, they
+ * are the numeric values nested under each job in each record's "jobs"
+ * property, summed over all jobs (e.g., "ntasks").  In the summary, the same
+ * fields are found under each record's "request" and "compute" properties.
+ * Only fields that appear in both the summary and the hourly reports are
+ * compared, so differences in the formats of these reports don't show up as
+ * discrepancies.  Values are compared as JavaScript numbers, so very large
+ * values (above 2^53) may not be compared exactly.
+ */
+
+var mod_assertplus = require('assert-plus');
+var mod_extsprintf = require('extsprintf');
+var mod_jsprim = require('jsprim');
+var mod_vasync = require('vasync');
+var VError = require('verror');
+var sprintf = mod_extsprintf.sprintf;
+
+var mod_linestream = require('./linestream');
+var mod_retry = require('./retry');
+
+/* public interface */
+exports.reconcileMeteringReports = reconcileMeteringReports;
+
+/*
+ * For the hourly report kinds, describes where the fields to be totaled are
+ * found in the hourly records ("hourly"), how many levels of keys to skip
+ * below that before the fields themselves ("skip", e.g., job ids), and where
+ * the same totals are found in summary records ("summary").
+ */
+var totalSources = {
+    'request': {
+	'hourly': 'requests',
+	'skip': 0,
+	'summary': 'request'
+    },
+    'compute': {
+	'hourly': 'jobs',
+	'skip': 1,
+	'summary': 'compute'
+    }
+};
+
+/*
+ * Loads and cross-checks metering reports over a date range.  Named arguments
+ * in "args":
+ *
+ *     endDate (Date)	Check reports up to and including the reports for
+ *     			endDate, interpreted in UTC.  The time-of-day part of
+ *     			this Date is ignored.
+ *
+ *     ndays (int > 0)	Check reports for "ndays" leading up to endDate.
+ *
+ *     meteringRoot	Manta path to metering reports
+ *     (string)
+ *
+ *     concurrency	Maximum concurrency for Manta operations
+ *     (number)
+ *
+ *     log		Bunyan logger
+ *
+ *     manta		Manta client
+ *
+ * callback() is invoked as callback(err, result), where "result" has
+ * properties:
+ *
+ *     byday		object mapping each day's timestamp to the results for
+ *     			that day (see Reconciler.reconcileDay())
+ *
+ *     errors		list of non-fatal errors encountered while fetching
+ *     			reports, each with an "error" property (as with
+ *     			listMeteringReports())
+ *
+ * All of a day's reports are held in memory while that day is being checked.
+ */
+function reconcileMeteringReports(args, callback)
+{
+	var reconciler;
+
+	reconciler = new Reconciler(args);
+	reconciler.run(callback);
+	return (reconciler);
+}
+
+function Reconciler(args)
+{
+	mod_assertplus.object(args, 'args');
+	mod_assertplus.date(args.endDate, 'args.endDate');
+	mod_assertplus.number(args.ndays, 'args.ndays');
+	mod_assertplus.ok(args.ndays > 0, 'args.ndays > 0');
+	mod_assertplus.string(args.meteringRoot, 'args.meteringRoot');
+	mod_assertplus.number(args.concurrency, 'args.concurrency');
+	mod_assertplus.ok(args.concurrency > 0, 'args.concurrency > 0');
+	mod_assertplus.object(args.log, 'args.log');
+	mod_assertplus.object(args.manta, 'args.manta');
+
+	/* configuration */
+	this.rc_end = new Date(args.endDate.getTime());
+	this.rc_end.setUTCHours(0, 0, 0, 0);
+	this.rc_ndays = args.ndays;
+	this.rc_meteringroot = args.meteringRoot;
+	this.rc_concurrency = args.concurrency;
+	this.rc_log = args.log;
+	this.rc_manta = args.manta;
+
+	/* results, indexed by daily timestamp */
+	this.rc_results = {};
+
+	/* non-fatal errors */
+	this.rc_errors = [];
+
+	/* day currently being checked (for debugging) */
+	this.rc_current = null;
+}
+
+Reconciler.prototype.run = function (callback)
+{
+	var self = this;
+	var days, current;
+
+	days = [];
+	current = new Date(this.rc_end.getTime());
+	current.setUTCDate(current.getUTCDate() - this.rc_ndays + 1);
+	while (current.getTime() <= this.rc_end.getTime()) {
+		days.push(new Date(current.getTime()));
+		current.setUTCDate(current.getUTCDate() + 1);
+	}
+
+	/*
+	 * Days are checked one at a time to bound the amount of data held in
+	 * memory.  Each day's reports are fetched concurrently.
+	 */
+	mod_vasync.forEachPipeline({
+	    'inputs': days,
+	    'func': function (day, subcallback) {
+		self.rc_current = day;
+		self.fetchDay(day, function (reports) {
+			self.rc_results[day.toISOString()] =
+			    self.reconcileDay(reports);
+			subcallback();
+		});
+	    }
+	}, function (err) {
+		self.rc_current = null;
+		if (err) {
+			callback(new VError(err, 'reconcile metering reports'));
+			return;
+		}
+
+		callback(null, {
+		    'byday': self.rc_results,
+		    'errors': self.rc_errors.slice(0)
+		});
+	});
+};
+
+/*
+ * Fetches all of the reports for the day starting at Date "day".  "callback"
+ * is invoked as callback(reports), where "reports" has properties "summary"
+ * and "storage" (each a list of records, or null if the report was not found)
+ * and "request" and "compute" (each a list of records from all of the hourly
+ * reports that were found, plus "nhours", the number of hourly reports
+ * found).  "reports.nbad" counts lines that could not be parsed.
+ */
+Reconciler.prototype.fetchDay = function (day, callback)
+{
+	var self = this;
+	var reports, queue, hour, prefix;
+
+	reports = {
+	    'summary': null,
+	    'storage': null,
+	    'request': [],
+	    'compute': [],
+	    'nhours': { 'request': 0, 'compute': 0 },
+	    'nbad': 0
+	};
+
+	queue = mod_vasync.queuev({
+	    'concurrency': this.rc_concurrency,
+	    'worker': function (rq, qcallback) {
+		self.fetchReport(rq.path, function (records, nbad) {
+			if (records !== null) {
+				reports.nbad += nbad;
+				if (rq.hourly) {
+					reports.nhours[rq.kind]++;
+					reports[rq.kind] =
+					    reports[rq.kind].concat(records);
+				} else {
+					reports[rq.kind] = records;
+				}
+			}
+
+			qcallback();
+		});
+	    }
+	});
+
+	prefix = function (kind) {
+		return (sprintf('%s/%s/%04d/%02d/%02d', self.rc_meteringroot,
+		    kind, day.getUTCFullYear(), day.getUTCMonth() + 1,
+		    day.getUTCDate()));
+	};
+
+	queue.push({
+	    'kind': 'summary',
+	    'hourly': false,
+	    'path': sprintf('%s/d%02d.json', prefix('summary'),
+		day.getUTCDate())
+	});
+	queue.push({
+	    'kind': 'storage',
+	    'hourly': false,
+	    'path': sprintf('%s/00/h00.json', prefix('storage'))
+	});
+
+	for (hour = 0; hour < 24; hour++) {
+		[ 'request', 'compute' ].forEach(function (kind) {
+			queue.push({
+			    'kind': kind,
+			    'hourly': true,
+			    'path': sprintf('%s/%02d/h%02d.json',
+				prefix(kind), hour, hour)
+			});
+		});
+	}
+
+	queue.on('end', function () { callback(reports); });
+	queue.close();
+};
+
+/*
+ * Fetches and parses the report at "path" (which may be gzip-compressed), a
+ * line at a time.  "callback" is invoked as callback(records, nbad), where
+ * "records" is null if the report does not exist or could not be fetched and
+ * "nbad" is the number of lines that could not be parsed.  Errors other than a
+ * missing report are recorded in this.rc_errors.
+ */
+Reconciler.prototype.fetchReport = function (path, callback)
+{
+	var self = this;
+	var records = [];
+	var nbad = 0;
+
+	mod_linestream.readLines({
+	    'manta': this.rc_manta,
+	    'path': path,
+	    'online': function (line) {
+		var record;
+
+		if (line.length === 0)
+			return;
+
+		try {
+			record = JSON.parse(line);
+		} catch (ex) {
+			nbad++;
+			return;
+		}
+
+		if (typeof (record) != 'object' || record === null ||
+		    typeof (record.owner) != 'string') {
+			nbad++;
+			return;
+		}
+
+		records.push(record);
+	    }
+	}, function (err) {
+		if (err) {
+			self.recordError(path, err);
+			callback(null, 0);
+			return;
+		}
+
+		callback(records, nbad);
+	});
+};
+
+Reconciler.prototype.recordError = function (path, err)
+{
+	var category = mod_retry.classifyError(err);
+
+	if (category == 'not-found')
+		return;
+
+	this.rc_log.warn(err, 'get "%s"', path);
+	if (!err.message)
+		err.message = err.name;
+	this.rc_errors.push({
+	    'method': 'get',
+	    'path': path,
+	    'category': category,
+	    'error': new VError(err, 'get "%s"', path)
+	});
+};
+
+/*
+ * Cross-checks one day's reports (as produced by fetchDay()).  Returns an
+ * object with:
+ *
+ *     summary (boolean)	whether the summary report was found.  If not,
+ *     				nothing else is checked and the remaining
+ *     				properties are empty.
+ *
+ *     storage (boolean)	whether the storage report was found
+ *
+ *     nhours (object)		number of hourly "request" and "compute"
+ *     				reports found
+ *
+ *     nbad (number)		number of lines in all reports that could not
+ *     				be parsed (and were ignored)
+ *
+ *     nowners (number)		number of owners in the summary report
+ *
+ *     notinsummary (array)	owners found in other reports but not the
+ *     				summary, each as an object with "owner" and
+ *     				"kinds" (the kinds of report it was found in)
+ *
+ *     onlyinsummary (array)	owners found in the summary but no other
+ *     of strings)		report
+ *
+ *     totals (array)		for each kind ("request" or "compute") and
+ *     				field compared, an object with "kind",
+ *     				"field", "summary" (the sum over all owners in
+ *     				the summary), "hourly" (the sum over all
+ *     				hourly reports), and "nowners" (the number of
+ *     				owners whose values differ)
+ *
+ *     discrepancies (array)	for each owner and field whose values differ,
+ *     				an object with "owner", "kind", "field",
+ *     				"summary", and "hourly"
+ */
+Reconciler.prototype.reconcileDay = function (reports)
+{
+	var rv, summary, others;
+
+	rv = {
+	    'summary': reports.summary !== null,
+	    'storage': reports.storage !== null,
+	    'nhours': reports.nhours,
+	    'nbad': reports.nbad,
+	    'nowners': 0,
+	    'notinsummary': [],
+	    'onlyinsummary': [],
+	    'totals': [],
+	    'discrepancies': []
+	};
+
+	if (reports.summary === null)
+		return (rv);
+
+	summary = {};
+	reports.summary.forEach(function (record) {
+		summary[record.owner] = record;
+	});
+	rv.nowners = Object.keys(summary).length;
+
+	others = {};
+	[ 'storage', 'request', 'compute' ].forEach(function (kind) {
+		if (reports[kind] === null)
+			return;
+
+		reports[kind].forEach(function (record) {
+			if (!others.hasOwnProperty(record.owner))
+				others[record.owner] = [];
+			if (others[record.owner].indexOf(kind) == -1)
+				others[record.owner].push(kind);
+		});
+	});
+
+	Object.keys(others).sort().forEach(function (owner) {
+		if (!summary.hasOwnProperty(owner)) {
+			rv.notinsummary.push({
+			    'owner': owner,
+			    'kinds': others[owner]
+			});
+		}
+	});
+
+	Object.keys(summary).sort().forEach(function (owner) {
+		if (!others.hasOwnProperty(owner))
+			rv.onlyinsummary.push(owner);
+	});
+
+	[ 'request', 'compute' ].forEach(function (kind) {
+		compareTotals(rv, kind, summary, reports[kind]);
+	});
+
+	return (rv);
+};
+
+/*
+ * Compares the totals in the summary records "summary" (indexed by owner) for
+ * hourly report kind "kind" against the hourly records "hourly", appending the
+ * results to "rv.totals" and "rv.discrepancies".
+ */
+function compareTotals(rv, kind, summary, hourly)
+{
+	var source, sums, hsums, fields, hfields, owners;
+
+	source = totalSources[kind];
+	fields = {};
+	sums = {};
+	mod_jsprim.forEachKey(summary, function (owner, record) {
+		sums[owner] = {};
+		addFields(sums[owner], fields, record[source.summary], '', 0);
+	});
+
+	hfields = {};
+	hsums = {};
+	hourly.forEach(function (record) {
+		if (!hsums.hasOwnProperty(record.owner))
+			hsums[record.owner] = {};
+		addFields(hsums[record.owner], hfields, record[source.hourly],
+		    '', source.skip);
+	});
+
+	owners = Object.keys(sums).concat(Object.keys(hsums).filter(
+	    function (owner) { return (!sums.hasOwnProperty(owner)); })).sort();
+
+	Object.keys(fields).sort().forEach(function (field) {
+		var total;
+
+		if (!hfields.hasOwnProperty(field))
+			return;
+
+		total = {
+		    'kind': kind,
+		    'field': field,
+		    'summary': 0,
+		    'hourly': 0,
+		    'nowners': 0
+		};
+
+		owners.forEach(function (owner) {
+			var s, h;
+
+			s = sums.hasOwnProperty(owner) &&
+			    sums[owner].hasOwnProperty(field) ?
+			    sums[owner][field] : 0;
+			h = hsums.hasOwnProperty(owner) &&
+			    hsums[owner].hasOwnProperty(field) ?
+			    hsums[owner][field] : 0;
+			total.summary += s;
+			total.hourly += h;
+
+			if (s != h) {
+				total.nowners++;
+				rv.discrepancies.push({
+				    'owner': owner,
+				    'kind': kind,
+				    'field': field,
+				    'summary': s,
+				    'hourly': h
+				});
+			}
+		});
+
+		rv.totals.push(total);
+	});
+}
+
+/*
+ * Adds the numeric values nested inside "value" to "sums", using the dotted
+ * path to each value (starting with "prefix") as its field name, and records
+ * each field name in "fields".  The first "skip" levels of keys are omitted
+ * from the field names (so that, e.g., values for different jobs are summed
+ * together).  Non-numeric values are ignored.
+ */
+function addFields(sums, fields, value, prefix, skip)
+{
+	var n;
+
+	if (typeof (value) == 'number' ||
+	    (typeof (value) == 'string' && /^[0-9]+$/.test(value))) {
+		n = Number(value);
+		if (prefix === '' || !isFinite(n))
+			return;
+		fields[prefix] = true;
+		if (!sums.hasOwnProperty(prefix))
+			sums[prefix] = 0;
+		sums[prefix] += n;
+		return;
+	}
+
+	if (typeof (value) != 'object' || value === null ||
+	    Array.isArray(value))
+		return;
+
+	mod_jsprim.forEachKey(value, function (key, subvalue) {
+		addFields(sums, fields, subvalue, skip > 0 ? prefix :
+		    prefix === '' ? key : prefix + '.' + key,
+		    skip > 0 ? skip - 1 : 0);
+	});
+}
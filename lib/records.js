@@ -0,0 +1,317 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * lib/records.js: machine-readable representations of scan results
+ *
+ * The records produced here are the basis of the --json and --ndjson output
+ * modes, which (unlike the default text output) are committed interfaces.
+ * Every record carries a "v" property identifying the version of the schema
+ * it conforms to.  Adding properties to a record type is a compatible change.
+ * Removing or renaming properties, or changing their types or meanings,
+ * requires bumping schemaVersion.
+ */
+
+/* public interface */
+exports.schemaVersion = 1;
+exports.dumpRecords = dumpRecords;
+exports.meteringRecords = meteringRecords;
+exports.shardRecords = shardRecords;
+exports.withRegion = withRegion;
+
+/* properties of dump records copied from the dump lister's results */
+var dumpFields = [ 'path', 'name', 'size', 'sizemb', 'stime', 'mtime',
+    'etime', 'ended', 'unpacked', 'objects', 'unpackedobjects', 'tables',
+    'missingtables', 'extratables', 'waslate', 'integrity' ];
+
+/*
+ * Given a DumpLister whose listDumps() operation has completed, returns a list
+ * of records, one for each shard and day, sorted by day and then by shard.
+ * Each record has properties:
+ *
+ *     v (number)	schema version
+ *     type (string)	"dump"
+ *     date (string)	day of the dump (YYYY-MM-DD)
+ *     shard (string)	shard name
+ *     found (boolean)	whether the dump was found at all
+ *     error (string)	if the dump was not found because listing it failed,
+ *     			a description of the failure (otherwise null)
+ *
+ * The remaining properties are those computed by the dump lister (see
+ * DumpLister.doFetchShardDumpsForDay()).  They're all null if "found" is false.
+ *
+ *     path, name (string)
+ *     size, sizemb (number)
+ *     stime, mtime (string)	ISO 8601 timestamps
+ *     etime, ended (number)	milliseconds
+ *     unpacked (boolean)
+ *     objects (array of string)
+ *     unpackedobjects (array of objects with "name", "table", "size",
+ *         "mtime" (string), "delay" (number), and "issues" (array of
+ *         string))
+ *     tables, missingtables, extratables (array of string)
+ *     waslate (boolean)
+ *     integrity (object): null if the dump's integrity was not checked,
+ *         otherwise an object with "mode" (string), "md5" (string),
+ *         "usize" (number), and "problems" (array of string)
+ *
+ * Additional dumps found for the same shard and day (see
+ * DumpLister.doFetchShardDumpsForDay()) are described by:
+ *
+ *     extras (array)	list of objects with the same properties as above
+ *     			(except "waslate"), plus "hour" (number) and "kind"
+ *     			("ad-hoc" or "duplicate")
+ */
+function dumpRecords(lister)
+{
+	var shards, dumps, extras, rv;
+
+	shards = lister.shards().sort();
+	dumps = lister.dumps();
+	extras = lister.extras();
+	rv = [];
+	Object.keys(dumps).sort().forEach(function (timestamp) {
+		var day = timestamp.substr(0, '2015-07-10'.length);
+
+		shards.forEach(function (shardname) {
+			var dump, error, record;
+
+			record = {
+			    'v': exports.schemaVersion,
+			    'type': 'dump',
+			    'date': day,
+			    'shard': shardname,
+			    'found': dumps[timestamp].hasOwnProperty(shardname)
+			};
+
+			error = record.found ? null :
+			    lister.dumpError(timestamp, shardname);
+			record.error = error === null ? null : error.message;
+
+			dump = record.found ?
+			    dumps[timestamp][shardname] : null;
+			copyDumpFields(record, dump);
+
+			record.extras = [];
+			if (extras.hasOwnProperty(timestamp) &&
+			    extras[timestamp].hasOwnProperty(shardname)) {
+				extras[timestamp][shardname].forEach(
+				    function (extra) {
+					var erecord = {
+					    'hour': extra.hour,
+					    'kind': extra.kind
+					};
+
+					copyDumpFields(erecord, extra);
+					delete (erecord.waslate);
+					record.extras.push(erecord);
+				    });
+			}
+
+			rv.push(record);
+		});
+	});
+
+	return (rv);
+}
+
+/*
+ * Copies the properties in dumpFields from "dump" (which may be null) to
+ * "record", converting them to JSON-friendly forms.
+ */
+function copyDumpFields(record, dump)
+{
+	dumpFields.forEach(function (field) {
+		record[field] = dump === null ? null : dump[field];
+	});
+
+	if (dump !== null) {
+		record.stime = dump.stime.toISOString();
+		record.mtime = dump.mtime.toISOString();
+		record.objects = dump.objects.slice(0);
+		record.unpackedobjects = dump.unpackedobjects.map(
+		    function (obj) {
+			return ({
+			    'name': obj.name,
+			    'table': obj.table,
+			    'size': obj.size,
+			    'mtime': obj.mtime.toISOString(),
+			    'delay': obj.delay,
+			    'issues': obj.issues.slice(0)
+			});
+		    });
+		record.tables = dump.tables.slice(0);
+		record.missingtables = dump.missingtables.slice(0);
+		record.extratables = dump.extratables.slice(0);
+		if (dump.integrity !== null) {
+			record.integrity = {
+			    'mode': dump.integrity.mode,
+			    'md5': dump.integrity.md5,
+			    'usize': dump.integrity.usize,
+			    'problems': dump.integrity.problems.slice(0)
+			};
+		}
+	}
+}
+
+/*
+ * Given the result of listMeteringReports(), returns a list of records, one
+ * for each day and report kind, sorted by day and then by kind.  Each record
+ * has properties:
+ *
+ *     v (number)	schema version
+ *     type (string)	"metering"
+ *     date (string)	day of the report (YYYY-MM-DD)
+ *     kind (string)	"summary", "storage", "compute", or "request"
+ *     present (bool)	whether any report of this kind was found for this day
+ *
+ * For the daily "summary" and "storage" kinds:
+ *
+ *     entries (number)	number of entries in the report, or null if the report
+ *     			was not found
+ *
+ * For the hourly "compute" and "request" kinds:
+ *
+ *     hours (number)	number of hourly reports found
+ *
+ *     missing (array	hours (0 through 23) for which no report was found
+ *     of numbers)
+ *
+ *     suspect (array	hours for which a report was found (and counted in
+ *     of numbers)	"hours"), but was far smaller than usual (see
+ *     			listMeteringReports())
+ *
+ * If the reports' contents were validated (see listMeteringReports()):
+ *
+ *     validation	counts of records checked and found to be invalid,
+ *     (object)		with properties "records", "malformed", "duplicates",
+ *     			and "outofrange" (all numbers)
+ *
+ * Properties that don't apply to a given kind (or weren't computed) are null.
+ */
+function meteringRecords(results)
+{
+	var rv = [];
+
+	Object.keys(results.byday).sort().forEach(function (daystamp) {
+		var day, dayresults;
+
+		day = daystamp.substr(0, '2015-07-10'.length);
+		dayresults = results.byday[daystamp];
+
+		[ 'compute', 'request', 'storage', 'summary' ].forEach(
+		    function (kind) {
+			var record, suspect;
+
+			record = {
+			    'v': exports.schemaVersion,
+			    'type': 'metering',
+			    'date': day,
+			    'kind': kind
+			};
+
+			if (kind == 'summary' || kind == 'storage') {
+				record.present = dayresults[kind] !== null;
+				record.entries = dayresults[kind];
+				record.hours = null;
+				record.missing = null;
+				record.suspect = null;
+			} else {
+				suspect = dayresults[kind + '_suspect'].map(
+				    function (s) { return (s.hour); });
+				record.present =
+				    dayresults[kind] + suspect.length > 0;
+				record.entries = null;
+				record.hours =
+				    dayresults[kind] + suspect.length;
+				record.missing =
+				    dayresults[kind + '_missing'].slice(0);
+				record.suspect = suspect;
+			}
+
+			record.validation = null;
+			if (dayresults.validation !== null) {
+				record.validation = {
+				    'records':
+					dayresults.validation[kind].records,
+				    'malformed':
+					dayresults.validation[kind].malformed,
+				    'duplicates':
+					dayresults.validation[kind].duplicates,
+				    'outofrange':
+					dayresults.validation[kind].outofrange
+				};
+			}
+
+			rv.push(record);
+		    });
+	});
+
+	return (rv);
+}
+
+/*
+ * Given the result of shardRoster() (see lib/roster.js), returns a list of
+ * records, one for each shard, sorted by shard.  Each record has properties:
+ *
+ *     v (number)	schema version
+ *     type (string)	"shard"
+ *     shard (string)	shard name
+ *     expected		whether the shard is on the roster
+ *     (boolean)
+ *     source (string)	where the roster came from ("configured" or
+ *     			"learned")
+ *     first (string)	first day (YYYY-MM-DD) with a dump since the start
+ *     			of the baseline window, or null if there is none
+ *     last (string)	last day with a dump, or null if there is none
+ *     status (string)	"active", "quiet", "new", "retired", or "unknown"
+ */
+function shardRecords(roster)
+{
+	return (roster.shards.map(function (entry) {
+		return ({
+		    'v': exports.schemaVersion,
+		    'type': 'shard',
+		    'shard': entry.shard,
+		    'expected': entry.expected,
+		    'source': roster.source,
+		    'first': formatDay(entry.first),
+		    'last': formatDay(entry.last),
+		    'status': entry.status
+		});
+	}));
+}
+
+function formatDay(date)
+{
+	return (date === null ? null :
+	    date.toISOString().substr(0, '2015-07-10'.length));
+}
+
+/*
+ * Given a list of records produced by one of the functions above for one of
+ * several Manta deployments, returns copies of them that also have:
+ *
+ *     region (string)	name of the deployment (profile) the record describes
+ */
+function withRegion(records, region)
+{
+	return (records.map(function (record) {
+		var rv = {};
+
+		Object.keys(record).forEach(function (key) {
+			rv[key] = record[key];
+			if (key == 'type')
+				rv.region = region;
+		});
+
+		return (rv);
+	}));
+}
@@ -0,0 +1,494 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * lib/retry.js: timeouts, retries, and error classification for Manta requests
+ *
+ * A scan of a long date range makes thousands of Manta requests, so it's
+ * likely that a few of them will fail for reasons that have nothing to do with
+ * the data being examined: the front door is briefly overloaded, a connection
+ * gets reset, or the account is throttled.  This module provides a wrapper
+ * around the Manta client that gives each request a timeout and retries
+ * requests that fail with transient errors (with exponential backoff), up to
+ * a fixed number of times.  Like lib/cache.js, the wrapper implements the same
+ * subset of the client interface as lib/localmanta.js (ls(), get(), info(),
+ * and unlink()).
+ *
+ * Errors are classified into one of these categories (see classifyError()):
+ *
+ *     transient	the request may well succeed if retried (e.g., 503s,
+ *     			throttling, connection resets, and timeouts)
+ *
+ *     auth		the request was not authorized (e.g., bad credentials
+ *     			or insufficient permissions)
+ *
+ *     not-found	the object or directory does not exist.  This is usually
+ *     			expected (e.g., for a missing dump), and it's up to the
+ *     			caller to report it.
+ *
+ *     bug		anything else, most likely a bug in this program or a
+ *     			request that Manta will never accept
+ *
+ * An attempt that times out is abandoned before the request is retried: a
+ * listing's remaining entries are ignored, and a response that arrives late is
+ * destroyed (closing its connection) rather than read.  The Manta client
+ * provides no way to cancel a request that hasn't received a response yet, so
+ * that's the soonest it can be cleaned up.
+ *
+ * The wrapper keeps statistics about how many requests were retried and which
+ * ones failed anyway.  See stats().
+ */
+
+var mod_assertplus = require('assert-plus');
+var mod_events = require('events');
+var mod_stream = require('stream');
+var VError = require('verror');
+
+/* public interface */
+exports.createRetryClient = createRetryClient;
+exports.classifyError = classifyError;
+exports.errorCategories = [ 'transient', 'auth', 'not-found', 'bug' ];
+
+/* delay before the first retry, and the maximum delay between retries */
+var retryMinDelay = 500;
+var retryMaxDelay = 8000;
+
+/*
+ * Maximum number of failed requests remembered for stats().  A long-running
+ * process (see "manta-hk serve") would otherwise accumulate them forever.
+ */
+var maxSavedFailures = 1000;
+
+var notFoundNames = [ 'NotFoundError', 'ResourceNotFoundError',
+    'DirectoryDoesNotExistError' ];
+var authNames = [ 'AuthorizationFailedError', 'AuthorizationRequiredError',
+    'InvalidCredentialsError', 'InvalidKeyIdError', 'InvalidSignatureError',
+    'KeyDoesNotExistError', 'AccountBlockedError', 'NoMatchingRoleTagError',
+    'SigningError' ];
+var transientNames = [ 'ThrottledError', 'ServiceUnavailableError',
+    'RequestTimeoutError', 'ConnectTimeoutError', 'InternalError' ];
+var transientCodes = [ 'ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED',
+    'ETIMEDOUT', 'EPIPE', 'EHOSTUNREACH', 'ENETUNREACH', 'EAI_AGAIN' ];
+var authCodes = [ 'EACCES', 'EPERM' ];
+var transientStatusCodes = [ 429, 500, 502, 503, 504 ];
+
+/*
+ * Returns the category (one of errorCategories) of error "err".  Errors that
+ * wrap other errors (see VError) are classified by the first error in the
+ * chain that's recognized.
+ */
+function classifyError(err)
+{
+	var e;
+
+	for (e = err; e instanceof Error; e = VError.cause(e)) {
+		if (notFoundNames.indexOf(e.name) != -1 || e.statusCode == 404)
+			return ('not-found');
+
+		if (authNames.indexOf(e.name) != -1 ||
+		    authCodes.indexOf(e.code) != -1 ||
+		    e.statusCode == 401 || e.statusCode == 403)
+			return ('auth');
+
+		if (transientNames.indexOf(e.name) != -1 ||
+		    transientCodes.indexOf(e.code) != -1 ||
+		    transientStatusCodes.indexOf(e.statusCode) != -1)
+			return ('transient');
+	}
+
+	return ('bug');
+}
+
+/*
+ * Returns a wrapper around a Manta client that retries failed requests.  Named
+ * arguments in "args":
+ *
+ *     manta		Manta client (or stand-in) to make requests with
+ *
+ *     timeout		milliseconds to wait for each attempt.  For ls(), this
+ *     (number)		covers the whole listing.  For get(), it covers the
+ *     			start of the response, and then separately each wait
+ *     			for more of the contents (see idleTimeoutStream()).
+ *
+ *     retries		maximum number of times to retry a request that failed
+ *     (number)		with a transient error
+ *
+ *     log		Bunyan logger
+ */
+function createRetryClient(args)
+{
+	return (new RetryClient(args));
+}
+
+function RetryClient(args)
+{
+	mod_assertplus.object(args, 'args');
+	mod_assertplus.object(args.manta, 'args.manta');
+	mod_assertplus.number(args.timeout, 'args.timeout');
+	mod_assertplus.number(args.retries, 'args.retries');
+	mod_assertplus.object(args.log, 'args.log');
+
+	this.rt_manta = args.manta;
+	this.rt_timeout = args.timeout;
+	this.rt_retries = args.retries;
+	this.rt_log = args.log;
+
+	/* statistics (see stats()) */
+	this.rt_nrequests = 0;
+	this.rt_nretried = 0;
+	this.rt_nretries = 0;
+	this.rt_nrecovered = 0;
+	this.rt_nfailed = 0;
+	this.rt_failures = [];
+}
+
+/*
+ * Returns an object describing the requests made so far:
+ *
+ *     requests (number)	number of requests made (not counting retries)
+ *
+ *     retried (number)		number of requests that were retried at least
+ *     				once
+ *
+ *     retries (number)		total number of retries
+ *
+ *     recovered (number)	number of retried requests that eventually
+ *     				succeeded
+ *
+ *     failed (number)		number of requests that failed for any reason
+ *     				other than the path not existing
+ *
+ *     failures (array)		the most recent of those requests (up to
+ *     				maxSavedFailures), each with "method", "path",
+ *     				"category" (see classifyError()), "attempts",
+ *     				and "error"
+ */
+RetryClient.prototype.stats = function ()
+{
+	return ({
+	    'requests': this.rt_nrequests,
+	    'retried': this.rt_nretried,
+	    'retries': this.rt_nretries,
+	    'recovered': this.rt_nrecovered,
+	    'failed': this.rt_nfailed,
+	    'failures': this.rt_failures.slice(0)
+	});
+};
+
+/*
+ * Lists the contents of Manta directory "dir".  As with the Manta client,
+ * "callback" is invoked as callback(err, emitter), and "emitter" emits
+ * "object" or "directory" and then "entry" for each directory entry, followed
+ * by "end".  Entries are only emitted once the whole listing has been
+ * received, so that a listing that fails partway through can be retried.
+ */
+RetryClient.prototype.ls = function (dir, callback)
+{
+	var self = this;
+
+	this.request('ls', dir, function (subcallback) {
+		var listing = null;
+		var abandoned = false;
+
+		self.rt_manta.ls(dir, function (err, emitter) {
+			var entries = [];
+
+			if (err) {
+				subcallback(err);
+				return;
+			}
+
+			listing = emitter;
+			if (abandoned) {
+				ignoreListing(listing);
+				return;
+			}
+
+			emitter.on('entry', function (entry) {
+				entries.push(entry);
+			});
+			emitter.on('error', function (err2) {
+				subcallback(err2);
+			});
+			emitter.on('end', function () {
+				subcallback(null, entries);
+			});
+		});
+
+		return (function () {
+			abandoned = true;
+			if (listing !== null)
+				ignoreListing(listing);
+		});
+	}, function (err, entries) {
+		var emitter;
+
+		if (err) {
+			callback(err);
+			return;
+		}
+
+		emitter = new mod_events.EventEmitter();
+		callback(null, emitter);
+		entries.forEach(function (entry) {
+			emitter.emit(entry.type, entry);
+			emitter.emit('entry', entry);
+		});
+		emitter.emit('end');
+	});
+};
+
+/*
+ * Fetches metadata about the Manta object "path".  As with the Manta client,
+ * "callback" is invoked as callback(err, info).
+ */
+RetryClient.prototype.info = function (path, callback)
+{
+	var self = this;
+
+	this.request('info', path, function (subcallback) {
+		self.rt_manta.info(path, subcallback);
+	}, callback);
+};
+
+/*
+ * Fetches the contents of the Manta object "path".  As with the Manta client,
+ * "options" is optional, and "callback" is invoked as callback(err, stream).
+ * Only errors that occur before the response starts are retried.  If the
+ * contents then stop arriving for longer than the timeout, "stream" emits a
+ * RequestTimeoutError.
+ */
+RetryClient.prototype.get = function (path, options, callback)
+{
+	var self = this;
+
+	if (typeof (options) == 'function') {
+		callback = options;
+		options = {};
+	}
+
+	this.request('get', path, function (subcallback) {
+		var abandoned = false;
+
+		self.rt_manta.get(path, options, function (err, stream, res) {
+			if (abandoned) {
+				/* The response arrived too late. */
+				if (!err)
+					destroyResponse(stream, res);
+				return;
+			}
+
+			if (err) {
+				subcallback(err);
+				return;
+			}
+
+			subcallback(null, idleTimeoutStream(stream, res,
+			    self.rt_timeout));
+		});
+
+		return (function () { abandoned = true; });
+	}, callback);
+};
+
+/*
+ * Removes the Manta object or empty directory "path".  As with the Manta
+ * client, "callback" is invoked as callback(err).  If an attempt times out and
+ * is retried, the retry may fail with a "not-found" error because the first
+ * attempt succeeded after all, so callers should treat that error as success.
+ */
+RetryClient.prototype.unlink = function (path, callback)
+{
+	var self = this;
+
+	this.request('unlink', path, function (subcallback) {
+		self.rt_manta.unlink(path, subcallback);
+	}, callback);
+};
+
+RetryClient.prototype.close = function ()
+{
+	this.rt_manta.close();
+};
+
+/*
+ * Makes a request with "func", retrying transient failures.  "func" is invoked
+ * as func(subcallback) for each attempt, and it must invoke subcallback(err,
+ * result).  It may return a function, which is invoked if the attempt times
+ * out to abandon it (releasing whatever the attempt holds, now or when it
+ * completes).  Finally, callback(err, result) is invoked with the result of the
+ * last attempt.
+ */
+RetryClient.prototype.request = function (method, path, func, callback)
+{
+	var self = this;
+	var attempt = 0;
+
+	this.rt_nrequests++;
+
+	function tryOnce() {
+		var timer, done, abandon;
+
+		done = false;
+		timer = setTimeout(function () {
+			var err;
+
+			done = true;
+			if (typeof (abandon) == 'function')
+				abandon();
+			err = new VError('no response after %dms',
+			    self.rt_timeout);
+			err.name = 'RequestTimeoutError';
+			onAttemptDone(err);
+		}, self.rt_timeout);
+
+		abandon = func(function (err, result) {
+			if (done)
+				return;
+
+			done = true;
+			clearTimeout(timer);
+			onAttemptDone(err, result);
+		});
+	}
+
+	function onAttemptDone(err, result) {
+		var category, delay;
+
+		if (!err) {
+			if (attempt > 0)
+				self.rt_nrecovered++;
+			callback(null, result);
+			return;
+		}
+
+		category = classifyError(err);
+		if (category == 'transient' && attempt < self.rt_retries) {
+			delay = Math.min(retryMaxDelay,
+			    retryMinDelay * Math.pow(2, attempt));
+			self.rt_log.warn(err, 'retrying %s "%s" in %dms',
+			    method, path, delay);
+			if (attempt === 0)
+				self.rt_nretried++;
+			self.rt_nretries++;
+			attempt++;
+			setTimeout(tryOnce, delay);
+			return;
+		}
+
+		if (category != 'not-found') {
+			self.rt_log.warn(err, '%s "%s" failed', method, path);
+			self.rt_nfailed++;
+			if (self.rt_failures.length == maxSavedFailures)
+				self.rt_failures.shift();
+			self.rt_failures.push({
+			    'method': method,
+			    'path': path,
+			    'category': category,
+			    'attempts': attempt + 1,
+			    'error': err
+			});
+		}
+
+		callback(err);
+	}
+
+	tryOnce();
+};
+
+/*
+ * Returns a stream that passes through the contents of "stream", the body of a
+ * response "res" (which may be undefined for stand-ins for the Manta client).
+ * If no data arrives for "timeout" milliseconds, the response is destroyed and
+ * the returned stream emits a RequestTimeoutError.  Time spent waiting for the
+ * consumer to read data that has already arrived doesn't count.
+ */
+function idleTimeoutStream(stream, res, timeout)
+{
+	var out, timer, done;
+
+	out = new mod_stream.PassThrough();
+	done = false;
+
+	function arm() {
+		clearTimeout(timer);
+		timer = setTimeout(function () {
+			var err;
+
+			done = true;
+			destroyResponse(stream, res);
+			err = new VError('no data received for %dms', timeout);
+			err.name = 'RequestTimeoutError';
+			out.emit('error', err);
+		}, timeout);
+	}
+
+	stream.on('data', function (chunk) {
+		if (done)
+			return;
+
+		if (out.write(chunk)) {
+			arm();
+			return;
+		}
+
+		clearTimeout(timer);
+		stream.pause();
+		out.once('drain', function () {
+			if (done)
+				return;
+			arm();
+			stream.resume();
+		});
+	});
+
+	stream.on('end', function () {
+		if (done)
+			return;
+		done = true;
+		clearTimeout(timer);
+		out.end();
+	});
+
+	stream.on('error', function (err) {
+		if (done)
+			return;
+		done = true;
+		clearTimeout(timer);
+		out.emit('error', err);
+	});
+
+	arm();
+	return (out);
+}
+
+/*
+ * Stops collecting entries from the abandoned listing "emitter" (see ls()).
+ * Listings can still fail, so this leaves an "error" listener.
+ */
+function ignoreListing(emitter)
+{
+	emitter.removeAllListeners();
+	emitter.on('error', function () {});
+}
+
+/*
+ * Discards the response "res" with body "stream" (see idleTimeoutStream()),
+ * closing its connection.
+ */
+function destroyResponse(stream, res)
+{
+	if (res && typeof (res.destroy) == 'function')
+		res.destroy();
+	if (typeof (stream.destroy) == 'function')
+		stream.destroy();
+	else
+		stream.resume();
+}
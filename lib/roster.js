@@ -0,0 +1,558 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * lib/roster.js: keeping track of which shards are expected to take dumps
+ *
+ * The dump lister only knows about the shard directories that exist under the
+ * dump root when it runs, so a shard that stops taking dumps altogether (or
+ * whose directory is renamed) simply stops being listed.  This module compares
+ * the shards found under the dump root with a roster of the shards that are
+ * expected to be there.  The roster is either configured explicitly (the
+ * "expectedShards" configuration property) or learned from a baseline window:
+ * the "baselineDays" days immediately before the scanned date range.  When
+ * it's learned, a shard is expected if it has a dump during the baseline
+ * window.  A shard whose directory is removed or renamed can only be noticed
+ * with a configured roster, though a renamed directory shows up as a new shard
+ * either way.
+ *
+ * For each shard, we find the last day on or before the end of the scanned
+ * date range for which it has a dump, and the first such day since the start
+ * of the baseline window, by walking only the first and last year, month, and
+ * day directories in those bounds (skipping day directories with no dump in
+ * them).  This is cheap even for shards with years of dumps, and older dumps
+ * don't matter here.  Dumps after the end of the range are ignored, so that
+ * scanning an earlier range reports the shards as they were then.  Each shard
+ * is then classified as one of:
+ *
+ *     active	expected, and has dumped on or after the last day whose
+ *     		dump should exist by now
+ *
+ *     quiet	expected, but has not dumped since before the last day whose
+ *     		dump should exist by now (or has no dumps at all)
+ *
+ *     new	not expected, but has dumped during the scanned date range
+ *
+ *     retired	not expected, and has not dumped during the scanned date
+ *     		range
+ *
+ *     unknown	listing the shard's directories failed
+ */
+
+var mod_assertplus = require('assert-plus');
+var mod_extsprintf = require('extsprintf');
+var mod_vasync = require('vasync');
+var VError = require('verror');
+var sprintf = mod_extsprintf.sprintf;
+
+var mod_dumps = require('./dumps');
+var mod_retry = require('./retry');
+
+/* public interface */
+exports.shardRoster = shardRoster;
+exports.rosterProblems = rosterProblems;
+exports.defaultBaselineDays = 30;
+
+/*
+ * Fetches the first and last dump days of every shard found under the dump
+ * root or named in the configured roster, and classifies each shard as
+ * described above.  Named arguments in "args":
+ *
+ *     endDate (Date)	Last day of the scanned date range, interpreted in
+ *     			UTC.  The time-of-day part of this Date is ignored.
+ *
+ *     ndays (int > 0)	Number of days in the scanned date range.
+ *
+ *     baselineDays	Number of days before the scanned date range from
+ *     (int > 0)	which to learn the roster, if it's not configured.
+ *
+ *     expectedShards	List of shards expected to take dumps, or null to
+ *     (array of string	learn them from the baseline window.
+ *     or null)
+ *
+ *     dumpRoot		Manta path to database dumps
+ *     (string)
+ *
+ *     deadline		Dumps that finish more than this many milliseconds
+ *     (optional	after the start of the day are considered late.  A
+ *     number)		day's dump isn't expected to exist until then.
+ *     			(Default: lib/dumps.js defaultDumpDeadline)
+ *
+ *     now (optional	Current time.
+ *     Date)
+ *
+ *     concurrency	Maximum concurrency for Manta operations
+ *     (number)
+ *
+ *     log		Bunyan logger
+ *
+ *     manta		Manta client
+ *
+ * callback() is invoked as callback(err, result), where "result" has:
+ *
+ *     source		"configured" or "learned"
+ *
+ *     start, end	Dates of the first and last days of the scanned
+ *     (Date)		date range
+ *
+ *     baselineStart,	Dates of the first and last days of the baseline
+ *     baselineEnd	window (null if the roster is configured)
+ *     (Date)
+ *
+ *     since (Date)	the first day examined for each shard's first dump
+ *     			(the start of the baseline window, whether or not the
+ *     			roster is configured)
+ *
+ *     due (Date)	the last day whose dump should exist by now (the
+ *     			last day of the scanned range, or the day before if
+ *     			the deadline for that day's dump hasn't yet passed)
+ *
+ *     shards		list of objects, one for each shard (sorted by name),
+ *     			with properties "shard" (name), "expected" (whether it's
+ *     			on the roster), "first" (Date of the first day with a
+ *     			dump from "since" through the end of the scanned range,
+ *     			or null if there are none), "last" (Date of the last
+ *     			day with a dump up to the end of the scanned range, or
+ *     			null if there are none), and "status" (one of the values
+ *     			above)
+ *
+ *     errors		list of non-fatal errors, each with "shard", "method",
+ *     			"path", "category" (see lib/retry.js), and "error"
+ *
+ * Only a failure to list the shards themselves fails the whole operation.
+ */
+function shardRoster(args, callback)
+{
+	var deadline, now, rv, shards, queue;
+
+	mod_assertplus.object(args, 'args');
+	mod_assertplus.object(args.endDate, 'args.endDate');
+	mod_assertplus.number(args.ndays, 'args.ndays');
+	mod_assertplus.ok(args.ndays > 0, 'args.ndays > 0');
+	mod_assertplus.number(args.baselineDays, 'args.baselineDays');
+	mod_assertplus.ok(args.baselineDays > 0, 'args.baselineDays > 0');
+	if (args.expectedShards !== null)
+		mod_assertplus.arrayOfString(args.expectedShards,
+		    'args.expectedShards');
+	mod_assertplus.string(args.dumpRoot, 'args.dumpRoot');
+	mod_assertplus.optionalNumber(args.deadline, 'args.deadline');
+	mod_assertplus.optionalDate(args.now, 'args.now');
+	mod_assertplus.number(args.concurrency, 'args.concurrency');
+	mod_assertplus.object(args.log, 'args.log');
+	mod_assertplus.object(args.manta, 'args.manta');
+
+	deadline = typeof (args.deadline) == 'number' ?
+	    args.deadline : mod_dumps.defaultDumpDeadline;
+	now = args.now || new Date();
+
+	rv = {
+	    'source': args.expectedShards === null ? 'learned' : 'configured',
+	    'start': null,
+	    'end': new Date(args.endDate.getTime()),
+	    'baselineStart': null,
+	    'baselineEnd': null,
+	    'since': null,
+	    'due': null,
+	    'shards': [],
+	    'errors': []
+	};
+	rv.end.setUTCHours(0, 0, 0, 0);
+	rv.start = addDays(rv.end, 1 - args.ndays);
+	rv.since = addDays(rv.start, -args.baselineDays);
+	if (rv.source == 'learned') {
+		rv.baselineEnd = addDays(rv.start, -1);
+		rv.baselineStart = addDays(rv.start, -args.baselineDays);
+	}
+
+	rv.due = new Date(now.getTime() - deadline);
+	rv.due.setUTCHours(0, 0, 0, 0);
+	if (rv.due.getTime() > rv.end.getTime())
+		rv.due = rv.end;
+
+	shards = {};
+	if (args.expectedShards !== null) {
+		args.expectedShards.forEach(function (shard) {
+			shards[shard] = true;
+		});
+	}
+
+	queue = mod_vasync.queuev({
+	    'concurrency': args.concurrency,
+	    'worker': function (entry, qcallback) {
+		var path = args.dumpRoot + '/' + entry.shard;
+
+		findDumpDays(args.manta, path, rv.since, rv.end,
+		    function (err, days, errpath) {
+			var category;
+
+			category = err ? mod_retry.classifyError(err) : null;
+			if (category == 'not-found') {
+				args.log.warn('no dumps found',
+				    { 'path': errpath });
+			} else if (err) {
+				path = errpath;
+				args.log.warn(err, 'ls ' + path);
+				rv.errors.push({
+				    'shard': entry.shard,
+				    'method': 'ls',
+				    'path': path,
+				    'category': category,
+				    'error': new VError(err, 'ls "%s"', path)
+				});
+			} else {
+				entry.first = days.first;
+				entry.last = days.last;
+			}
+
+			classify(rv, args.expectedShards, entry, err);
+			qcallback();
+		    });
+	    }
+	});
+
+	queue.on('end', function () { callback(null, rv); });
+
+	args.manta.ls(args.dumpRoot, function (err, lister) {
+		if (err) {
+			callback(new VError(err,
+			    'failed to list shards at "%s"', args.dumpRoot));
+			return;
+		}
+
+		lister.on('entry', function (entry) {
+			if (entry.type == 'directory')
+				shards[entry.name] = true;
+		});
+
+		lister.on('end', function () {
+			Object.keys(shards).sort().forEach(function (shard) {
+				var entry = {
+				    'shard': shard,
+				    'expected': false,
+				    'first': null,
+				    'last': null,
+				    'status': null
+				};
+
+				rv.shards.push(entry);
+				queue.push(entry);
+			});
+
+			queue.close();
+		});
+	});
+}
+
+/*
+ * Fills in "expected" and "status" for one shard's entry (see shardRoster()).
+ * "err" is the error from listing the shard's directories, if any.
+ */
+function classify(roster, expectedShards, entry, err)
+{
+	if (expectedShards !== null) {
+		entry.expected = expectedShards.indexOf(entry.shard) != -1;
+	} else {
+		entry.expected = entry.first !== null &&
+		    entry.first.getTime() <= roster.baselineEnd.getTime();
+	}
+
+	if (err && mod_retry.classifyError(err) != 'not-found') {
+		entry.status = 'unknown';
+	} else if (entry.expected) {
+		entry.status = entry.last !== null &&
+		    entry.last.getTime() >= roster.due.getTime() ?
+		    'active' : 'quiet';
+	} else {
+		entry.status = entry.last !== null &&
+		    entry.last.getTime() >= roster.start.getTime() ?
+		    'new' : 'retired';
+	}
+}
+
+/*
+ * Finds the last day up to and including Date "end" for which there's a dump
+ * under "path" (a shard's directory), which is organized by year, month, day,
+ * and hour, and the first such day on or after Date "since".  Invokes
+ * callback(err, days), where "days" has "first" and "last" (Dates, or null if
+ * there are no such days).  If listing any directory fails, the path of that
+ * directory is passed as a third argument.
+ */
+function findDumpDays(manta, path, since, end, callback)
+{
+	var widths = [ 4, 2, 2 ];
+	var lower = formatDay(since).split('-');
+	var upper = formatDay(end).split('-');
+
+	findEdge(manta, path, widths, null, upper, true,
+	    function (err, last, errpath) {
+		if (err) {
+			callback(err, null, errpath);
+			return;
+		}
+
+		if (last === null) {
+			callback(null, { 'first': null, 'last': null });
+			return;
+		}
+
+		/*
+		 * Only look for the first day if there's one to find, since a
+		 * search that finds nothing has to look at every day directory
+		 * in the bounds.
+		 */
+		if (last.join('-') < lower.join('-')) {
+			callback(null, { 'first': null,
+			    'last': partsDate(last) });
+			return;
+		}
+
+		findEdge(manta, path, widths, lower, upper, false,
+		    function (err2, first, errpath2) {
+			if (err2) {
+				callback(err2, null, errpath2);
+				return;
+			}
+
+			callback(null, {
+			    'first': partsDate(first === null ? last : first),
+			    'last': partsDate(last)
+			});
+		    });
+	    });
+}
+
+/*
+ * Walks down from "path" through nested directories whose names are numbers
+ * of the given widths (e.g., [ 4, 2, 2 ] for year, month, and day), following
+ * the first (or, if "last" is true, the last) directory at each level that
+ * has a dump somewhere below it (see hasDump()).  If "lower" or "upper" is not
+ * null, it's a list of names (one for each level) before or after which
+ * directories are ignored.  Invokes callback(err, names) with the names of the
+ * directories followed, or null if there were none.  As with findDumpDays(), a
+ * failure to list a directory is reported with that directory's path as a
+ * third argument.
+ */
+function findEdge(manta, path, widths, lower, upper, last, callback)
+{
+	if (widths.length === 0) {
+		hasDump(manta, path, function (err, found, errpath) {
+			if (err)
+				callback(err, null, errpath);
+			else
+				callback(null, found ? [] : null);
+		});
+		return;
+	}
+
+	manta.ls(path, function (err, emitter) {
+		var names = [];
+
+		if (err) {
+			callback(err, null, path);
+			return;
+		}
+
+		emitter.on('entry', function (entry) {
+			if (entry.type == 'directory' &&
+			    entry.name.length == widths[0] &&
+			    /^\d+$/.test(entry.name) &&
+			    (lower === null || entry.name >= lower[0]) &&
+			    (upper === null || entry.name <= upper[0]))
+				names.push(entry.name);
+		});
+
+		emitter.on('end', function () {
+			names.sort();
+			if (last)
+				names.reverse();
+			tryNext(0);
+		});
+
+		function tryNext(i) {
+			var sublower, subupper;
+
+			if (i >= names.length) {
+				callback(null, null);
+				return;
+			}
+
+			sublower = lower !== null && names[i] == lower[0] ?
+			    lower.slice(1) : null;
+			subupper = upper !== null && names[i] == upper[0] ?
+			    upper.slice(1) : null;
+
+			findEdge(manta, path + '/' + names[i], widths.slice(1),
+			    sublower, subupper, last,
+			    function (suberr, rest, errpath) {
+				if (suberr) {
+					callback(suberr, null, errpath);
+				} else if (rest === null) {
+					tryNext(i + 1);
+				} else {
+					callback(null,
+					    [ names[i] ].concat(rest));
+				}
+			    });
+		}
+	});
+}
+
+/*
+ * Determines whether the day directory "path" contains a dump in any of its
+ * hour directories.  Invokes callback(err, found), with the path of the
+ * directory that couldn't be listed as a third argument on failure.
+ */
+function hasDump(manta, path, callback)
+{
+	manta.ls(path, function (err, emitter) {
+		var hours = [];
+
+		if (err) {
+			callback(err, false, path);
+			return;
+		}
+
+		emitter.on('entry', function (entry) {
+			if (entry.type == 'directory' &&
+			    /^\d{2}$/.test(entry.name) &&
+			    parseInt(entry.name, 10) < 24)
+				hours.push(entry.name);
+		});
+
+		emitter.on('end', function () {
+			hours.sort();
+			tryNext(0);
+		});
+
+		function tryNext(i) {
+			var hourpath;
+
+			if (i >= hours.length) {
+				callback(null, false);
+				return;
+			}
+
+			hourpath = path + '/' + hours[i];
+			manta.ls(hourpath, function (suberr, subemitter) {
+				var found = false;
+
+				if (suberr) {
+					callback(suberr, false, hourpath);
+					return;
+				}
+
+				subemitter.on('entry', function (entry) {
+					if (mod_dumps.isDumpEntry(entry))
+						found = true;
+				});
+
+				subemitter.on('end', function () {
+					if (found)
+						callback(null, true);
+					else
+						tryNext(i + 1);
+				});
+			});
+		}
+	});
+}
+
+/*
+ * Given the result of shardRoster(), returns a list of problems (in the form
+ * described in lib/verify.js, with "stage" "roster") for shards that have gone
+ * quiet and new shards.
+ */
+function rosterProblems(roster)
+{
+	var problems = [];
+
+	roster.shards.forEach(function (entry) {
+		var problem, suggestion;
+
+		if (entry.status == 'quiet') {
+			if (entry.last === null) {
+				problem = 'no dumps found';
+			} else {
+				problem = sprintf('no dump since %s ' +
+				    '(%s behind)', formatDay(entry.last),
+				    formatDays(daysBetween(entry.last,
+				    roster.due)));
+			}
+
+			suggestion = 'check whether the shard is still ' +
+			    'taking dumps and whether its directory under ' +
+			    'the dump root was renamed or removed';
+			if (roster.source == 'configured')
+				suggestion += '; if the shard was retired, ' +
+				    'remove it from "expectedShards"';
+
+			problems.push({
+			    'stage': 'roster',
+			    'condition': 'quiet-shard',
+			    'count': 1,
+			    'date': roster.due,
+			    'what': entry.shard,
+			    'problem': problem,
+			    'suggestion': suggestion
+			});
+		} else if (entry.status == 'new') {
+			problem = sprintf('no dumps from %s until %s',
+			    formatDay(roster.since), formatDay(entry.first));
+			if (roster.source == 'configured')
+				problem += ', and not in the configured roster';
+
+			suggestion = 'check whether the shard replaces one ' +
+			    'that has gone quiet';
+			if (roster.source == 'configured')
+				suggestion += ', and add it to ' +
+				    '"expectedShards"';
+
+			problems.push({
+			    'stage': 'roster',
+			    'condition': 'new-shard',
+			    'count': 1,
+			    'date': entry.first,
+			    'what': entry.shard,
+			    'problem': problem,
+			    'suggestion': suggestion
+			});
+		}
+	});
+
+	return (problems);
+}
+
+function addDays(date, ndays)
+{
+	var rv = new Date(date.getTime());
+	rv.setUTCDate(rv.getUTCDate() + ndays);
+	return (rv);
+}
+
+function daysBetween(d1, d2)
+{
+	return (Math.round((d2.getTime() - d1.getTime()) / 86400000));
+}
+
+function formatDays(ndays)
+{
+	return (sprintf('%d day%s', ndays, ndays == 1 ? '' : 's'));
+}
+
+function formatDay(date)
+{
+	return (date.toISOString().substr(0, '2015-07-10'.length));
+}
+
+function partsDate(parts)
+{
+	return (new Date(Date.UTC(parseInt(parts[0], 10),
+	    parseInt(parts[1], 10) - 1, parseInt(parts[2], 10))));
+}
@@ -0,0 +1,624 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * lib/serve.js: periodic scans with results served over HTTP
+ *
+ * "manta-hk serve" scans the dumps and metering reports every few minutes and
+ * makes the results of the most recent scan available over HTTP, so that a
+ * monitoring system can collect them without running manta-hk itself.  There
+ * are two endpoints:
+ *
+ *     /metrics	metrics in the Prometheus text format (version 0.0.4).  See
+ *     		metricInfo below.
+ *
+ *     /status	a JSON object describing the most recent scan, including the
+ *     		same records as the --json output of the "dumps" and
+ *     		"metering-reports" subcommands.  See status().
+ *
+ * Scans never overlap: the next scan starts "interval" milliseconds after the
+ * previous one finishes.  Until the first scan finishes, neither endpoint
+ * reports anything about dumps or metering reports.
+ */
+
+var mod_assertplus = require('assert-plus');
+var mod_jsprim = require('jsprim');
+var mod_vasync = require('vasync');
+
+var mod_check = require('./check');
+var mod_dumps = require('./dumps');
+var mod_metering = require('./metering');
+var mod_records = require('./records');
+var mod_verify = require('./verify');
+
+/* public interface */
+exports.createStatusServer = createStatusServer;
+
+/*
+ * Metrics exported on /metrics, in the order they're emitted, with their
+ * Prometheus types and help text.  Metrics describing a scan of a named Manta
+ * deployment (profile) have a "region" label.  The per-shard dump metrics
+ * describe each shard's most recent scheduled dump in the scanned range.
+ */
+var metricInfo = {
+    'manta_hk_scans_total': [ 'counter',
+	'Number of scans completed' ],
+    'manta_hk_scanning': [ 'gauge',
+	'Whether a scan is in progress' ],
+    'manta_hk_last_scan_timestamp_seconds': [ 'gauge',
+	'Time the most recent scan finished' ],
+    'manta_hk_scan_duration_seconds': [ 'gauge',
+	'Time taken by the most recent scan' ],
+    'manta_hk_scan_success': [ 'gauge',
+	'Whether the most recent scan completed (1) or failed outright (0)' ],
+    'manta_hk_scan_errors': [ 'gauge',
+	'Number of Manta requests that failed during the most recent scan' ],
+    'manta_hk_problems': [ 'gauge',
+	'Number of problems of each kind found by the most recent scan' ],
+    'manta_hk_dump_size_bytes': [ 'gauge',
+	'Size of the shard\'s most recent dump' ],
+    'manta_hk_dump_elapsed_seconds': [ 'gauge',
+	'Time taken to upload the shard\'s most recent dump' ],
+    'manta_hk_dump_lateness_seconds': [ 'gauge',
+	'Time between the deadline and the end of the shard\'s most recent ' +
+	'dump (negative if it finished before the deadline)' ],
+    'manta_hk_dump_timestamp_seconds': [ 'gauge',
+	'Time the shard\'s most recent dump finished uploading' ],
+    'manta_hk_dump_unpacked_objects': [ 'gauge',
+	'Number of objects unpacked from the shard\'s most recent dump' ],
+    'manta_hk_dump_missing_tables': [ 'gauge',
+	'Number of expected tables not unpacked from the shard\'s most ' +
+	'recent dump' ],
+    'manta_hk_dumps_missing': [ 'gauge',
+	'Number of days in the scanned range whose deadline has passed ' +
+	'with no dump for the shard' ],
+    'manta_hk_metering_hours_present': [ 'gauge',
+	'Number of hourly metering reports present for the day' ],
+    'manta_hk_metering_hours_suspect': [ 'gauge',
+	'Number of hourly metering reports far smaller than usual' ],
+    'manta_hk_metering_report_present': [ 'gauge',
+	'Whether any metering report of this kind is present for the day' ],
+    'manta_hk_metering_report_entries': [ 'gauge',
+	'Number of entries in the daily metering report' ],
+    'manta_hk_manta_requests_total': [ 'counter',
+	'Number of Manta requests made (not counting retries)' ],
+    'manta_hk_manta_retries_total': [ 'counter',
+	'Number of Manta requests retried' ],
+    'manta_hk_manta_failures_total': [ 'counter',
+	'Number of Manta requests that failed after any retries' ]
+};
+
+/*
+ * Returns a StatusServer, which scans periodically and answers HTTP requests
+ * about the most recent scan.  Named arguments in "args":
+ *
+ *     targets		list of objects, one for each Manta deployment, with:
+ *     (array)
+ *         name		name of the deployment (profile), or null
+ *         dumpsConfig	function that, given the Date a scan starts, returns
+ *         		the arguments to listDumps() for that scan
+ *         meteringConfig	likewise for listMeteringReports()
+ *         minEntries	see meteringProblems() in lib/verify.js
+ *         retry	the deployment's retry client (see lib/retry.js)
+ *
+ *     concurrency	maximum number of targets scanned at once
+ *     (number)
+ *
+ *     interval		milliseconds to wait after each scan before starting
+ *     (number)		the next one
+ *
+ *     levels		health check levels (see lib/check.js) used to
+ *     (object)		summarize each scan on /status
+ *
+ *     onScanDone	function invoked after each scan (e.g., to save listing
+ *     (function)	caches)
+ *
+ *     log		Bunyan logger
+ *
+ * The caller is responsible for the HTTP server itself, which should pass each
+ * request to handleRequest().  Scans don't begin until start() is invoked.
+ */
+function createStatusServer(args)
+{
+	return (new StatusServer(args));
+}
+
+function StatusServer(args)
+{
+	mod_assertplus.object(args, 'args');
+	mod_assertplus.arrayOfObject(args.targets, 'args.targets');
+	mod_assertplus.number(args.concurrency, 'args.concurrency');
+	mod_assertplus.number(args.interval, 'args.interval');
+	mod_assertplus.object(args.levels, 'args.levels');
+	mod_assertplus.func(args.onScanDone, 'args.onScanDone');
+	mod_assertplus.object(args.log, 'args.log');
+
+	this.ss_targets = args.targets;
+	this.ss_concurrency = args.concurrency;
+	this.ss_interval = args.interval;
+	this.ss_levels = args.levels;
+	this.ss_onscandone = args.onScanDone;
+	this.ss_log = args.log;
+
+	/* time start() was invoked */
+	this.ss_started = null;
+	/* whether a scan is in progress */
+	this.ss_scanning = false;
+	/* number of scans completed */
+	this.ss_nscans = 0;
+	/* results of the most recent scan (see scan()), or null */
+	this.ss_last = null;
+}
+
+/*
+ * Begins the first scan.  Each scan schedules the next one when it finishes.
+ */
+StatusServer.prototype.start = function ()
+{
+	mod_assertplus.ok(this.ss_started === null, 'already started');
+	this.ss_started = new Date();
+	this.scan();
+};
+
+/*
+ * Scans every target and saves the results in this.ss_last, an object with
+ * "started" and "finished" (Dates) and "targets", which has the result of
+ * scanTarget() for each target (in order).
+ */
+StatusServer.prototype.scan = function ()
+{
+	var self = this;
+	var started, results, queue;
+
+	started = new Date();
+	results = new Array(this.ss_targets.length);
+	this.ss_scanning = true;
+	this.ss_log.info('scan started');
+
+	queue = mod_vasync.queuev({
+	    'concurrency': this.ss_concurrency,
+	    'worker': function (i, qcallback) {
+		self.scanTarget(self.ss_targets[i], started,
+		    function (result) {
+			results[i] = result;
+			qcallback();
+		    });
+	    }
+	});
+
+	queue.on('end', function () {
+		self.ss_last = {
+		    'started': started,
+		    'finished': new Date(),
+		    'targets': results
+		};
+		self.ss_nscans++;
+		self.ss_scanning = false;
+		self.ss_log.info({
+		    'duration': self.ss_last.finished.getTime() -
+			started.getTime()
+		}, 'scan finished');
+
+		self.ss_onscandone();
+		setTimeout(function () { self.scan(); }, self.ss_interval);
+	});
+
+	this.ss_targets.forEach(function (_, i) { queue.push(i); });
+	queue.close();
+};
+
+/*
+ * Scans the dumps and metering reports for one target up to Date "now", and
+ * invokes callback(result), where "result" has "name" (the target's name),
+ * "dumps" and "metering" (see scanResult()), and "requests" (the target's
+ * request statistics; see lib/retry.js).
+ */
+StatusServer.prototype.scanTarget = function (target, now, callback)
+{
+	var self = this;
+	var rv;
+
+	rv = {
+	    'name': target.name,
+	    'dumps': null,
+	    'metering': null,
+	    'requests': null
+	};
+
+	mod_vasync.parallel({
+	    'funcs': [
+		function (subcallback) {
+			var start = Date.now();
+
+			mod_dumps.listDumps(target.dumpsConfig(now),
+			    function (err, lister) {
+				rv.dumps = self.scanResult('DUMPS', target, now,
+				    Date.now() - start, err, lister);
+				subcallback();
+			    });
+		},
+		function (subcallback) {
+			var start = Date.now();
+
+			mod_metering.listMeteringReports(
+			    target.meteringConfig(now),
+			    function (err, result) {
+				rv.metering = self.scanResult('METERING',
+				    target, now, Date.now() - start, err,
+				    result);
+				subcallback();
+			    });
+		}
+	    ]
+	}, function () {
+		var stats = target.retry.stats();
+
+		rv.requests = {
+		    'requests': stats.requests,
+		    'retries': stats.retries,
+		    'failed': stats.failed
+		};
+		callback(rv);
+	});
+};
+
+/*
+ * Summarizes the outcome of one scan ("DUMPS" or "METERING") of "target" up to
+ * Date "now" that took "duration" milliseconds and failed with "err" or else
+ * produced "result" (a DumpLister or the result of listMeteringReports()).
+ * Returns an object with "duration", "error" (or null), "records" (see
+ * lib/records.js), "deadline" (for dumps), "problems" (see lib/verify.js),
+ * "errors" (failed requests), and "check" (see evaluate() in lib/check.js).
+ * The result itself isn't saved, since it can be large.
+ */
+StatusServer.prototype.scanResult = function (name, target, now, duration,
+    err, result)
+{
+	var rv, conditions;
+
+	rv = {
+	    'duration': duration,
+	    'error': err || null,
+	    'records': [],
+	    'deadline': null,
+	    'problems': [],
+	    'errors': [],
+	    'check': null
+	};
+
+	if (rv.error !== null) {
+		this.ss_log.error(err, 'scan failed');
+		rv.check = mod_check.unknown(name, err);
+		return (rv);
+	}
+
+	if (name == 'DUMPS') {
+		conditions = mod_check.conditionsForStages(
+		    [ 'dump', 'unpack' ]);
+		rv.records = mod_records.dumpRecords(result);
+		rv.deadline = result.deadline();
+		rv.problems = mod_verify.dumpProblems(result);
+		rv.errors = result.errors();
+	} else {
+		/* Reports aren't validated, so they can't be invalid. */
+		conditions = mod_check.conditionsForStages(
+		    [ 'metering' ]).filter(function (c) {
+			return (c != 'invalid-report');
+		    });
+		rv.records = mod_records.meteringRecords(result);
+		rv.problems = mod_verify.meteringProblems(result,
+		    target.minEntries, now);
+		rv.errors = result.errors;
+	}
+
+	rv.check = mod_check.evaluate({
+	    'name': name,
+	    'problems': rv.problems,
+	    'conditions': conditions,
+	    'levels': this.ss_levels,
+	    'nerrors': rv.errors.length
+	});
+	return (rv);
+};
+
+/*
+ * Returns the object served on /status, with properties:
+ *
+ *     started (string)		time the server started (ISO 8601)
+ *
+ *     interval (number)	seconds between scans
+ *
+ *     scanning (boolean)	whether a scan is in progress
+ *
+ *     scans (number)		number of scans completed
+ *
+ *     lastScan (object)	null if no scan has completed yet, otherwise an
+ *     				object with "started" and "finished" (ISO 8601),
+ *     				"duration" (seconds), and "targets", a list of
+ *     				objects (one for each Manta deployment) with
+ *     				"region" (the profile name, or null),
+ *     				"requests" (see scanTarget()), and "dumps" and
+ *     				"metering" (see scanStatus())
+ */
+StatusServer.prototype.status = function ()
+{
+	var last = this.ss_last;
+
+	return ({
+	    'started': this.ss_started.toISOString(),
+	    'interval': this.ss_interval / 1000,
+	    'scanning': this.ss_scanning,
+	    'scans': this.ss_nscans,
+	    'lastScan': last === null ? null : {
+		'started': last.started.toISOString(),
+		'finished': last.finished.toISOString(),
+		'duration': (last.finished.getTime() -
+		    last.started.getTime()) / 1000,
+		'targets': last.targets.map(function (t) {
+			return ({
+			    'region': t.name,
+			    'requests': t.requests,
+			    'dumps': scanStatus(t.dumps),
+			    'metering': scanStatus(t.metering)
+			});
+		})
+	    }
+	});
+};
+
+/*
+ * Returns the description on /status of one scan (see scanResult()): an object
+ * with "status" (a one-line health check summary), "exitStatus" (the
+ * corresponding monitoring plugin status), "error" (a message, if the scan
+ * failed outright), "duration" (seconds), "problems" (see lib/verify.js, with
+ * each "date" as YYYY-MM-DD), "errors" (failed requests, with "path",
+ * "category", and "message"), and "records" (see lib/records.js).
+ */
+function scanStatus(scan)
+{
+	return ({
+	    'status': scan.check.brief,
+	    'exitStatus': scan.check.exitStatus,
+	    'error': scan.error === null ? null : scan.error.message,
+	    'duration': scan.duration / 1000,
+	    'problems': scan.problems.map(function (p) {
+		return ({
+		    'stage': p.stage,
+		    'condition': p.condition,
+		    'count': p.count,
+		    'date': p.date.toISOString().substr(0,
+			'2015-07-10'.length),
+		    'what': p.what,
+		    'problem': p.problem,
+		    'suggestion': p.suggestion
+		});
+	    }),
+	    'errors': scan.errors.map(function (e) {
+		return ({
+		    'path': e.path,
+		    'category': e.category,
+		    'message': e.error.message
+		});
+	    }),
+	    'records': scan.records
+	});
+}
+
+/*
+ * Returns the samples for the metrics served on /metrics, as an object mapping
+ * each metric name (see metricInfo) to a list of samples, each with "labels"
+ * (an object) and "value" (a number).
+ */
+StatusServer.prototype.metrics = function ()
+{
+	var last, samples, now;
+
+	samples = {};
+	function add(name, labels, value) {
+		mod_assertplus.ok(metricInfo.hasOwnProperty(name), name);
+		if (!samples.hasOwnProperty(name))
+			samples[name] = [];
+		samples[name].push({ 'labels': labels, 'value': value });
+	}
+
+	add('manta_hk_scans_total', {}, this.ss_nscans);
+	add('manta_hk_scanning', {}, this.ss_scanning ? 1 : 0);
+
+	last = this.ss_last;
+	if (last === null)
+		return (samples);
+
+	now = last.started.getTime();
+	add('manta_hk_last_scan_timestamp_seconds', {},
+	    last.finished.getTime() / 1000);
+	last.targets.forEach(function (t) {
+		function labels(extra) {
+			var rv = t.name === null ? {} : { 'region': t.name };
+			mod_jsprim.forEachKey(extra || {}, function (k, v) {
+				rv[k] = v;
+			});
+			return (rv);
+		}
+
+		[ [ 'dumps', t.dumps ], [ 'metering', t.metering ] ].forEach(
+		    function (entry) {
+			var scanlabels, counts;
+
+			scanlabels = labels({ 'scan': entry[0] });
+			add('manta_hk_scan_duration_seconds', scanlabels,
+			    entry[1].duration / 1000);
+			add('manta_hk_scan_success', scanlabels,
+			    entry[1].error === null ? 1 : 0);
+			add('manta_hk_scan_errors', scanlabels,
+			    entry[1].errors.length);
+
+			if (entry[1].error !== null)
+				return;
+
+			counts = {};
+			mod_check.conditionsForStages(entry[0] == 'dumps' ?
+			    [ 'dump', 'unpack' ] : [ 'metering' ]).forEach(
+			    function (c) { counts[c] = 0; });
+			entry[1].problems.forEach(function (p) {
+				counts[p.condition] += p.count;
+			});
+			mod_jsprim.forEachKey(counts, function (c, count) {
+				add('manta_hk_problems',
+				    labels({ 'condition': c }), count);
+			});
+		    });
+
+		dumpMetrics(t.dumps, now, labels, add);
+		meteringMetrics(t.metering, labels, add);
+
+		add('manta_hk_manta_requests_total', labels(),
+		    t.requests.requests);
+		add('manta_hk_manta_retries_total', labels(),
+		    t.requests.retries);
+		add('manta_hk_manta_failures_total', labels(),
+		    t.requests.failed);
+	});
+
+	return (samples);
+};
+
+/*
+ * Adds the per-shard dump metrics for dump scan "scan" (see scanResult()),
+ * which started at "now" (milliseconds since the epoch).
+ */
+function dumpMetrics(scan, now, labels, add)
+{
+	var latest, nmissing;
+
+	latest = {};
+	nmissing = {};
+	scan.records.forEach(function (r) {
+		if (!nmissing.hasOwnProperty(r.shard))
+			nmissing[r.shard] = 0;
+
+		if (r.found) {
+			latest[r.shard] = r;
+		} else if (r.error === null &&
+		    Date.parse(r.date) + scan.deadline <= now) {
+			nmissing[r.shard]++;
+		}
+	});
+
+	Object.keys(nmissing).sort().forEach(function (shard) {
+		var l, r;
+
+		l = labels({ 'shard': shard });
+		add('manta_hk_dumps_missing', l, nmissing[shard]);
+		if (!latest.hasOwnProperty(shard))
+			return;
+
+		r = latest[shard];
+		add('manta_hk_dump_size_bytes', l, r.size);
+		add('manta_hk_dump_elapsed_seconds', l, r.etime / 1000);
+		add('manta_hk_dump_lateness_seconds', l,
+		    (r.ended - scan.deadline) / 1000);
+		add('manta_hk_dump_timestamp_seconds', l,
+		    Date.parse(r.mtime) / 1000);
+		add('manta_hk_dump_unpacked_objects', l,
+		    r.unpackedobjects.length);
+		add('manta_hk_dump_missing_tables', l, r.missingtables.length);
+	});
+}
+
+/*
+ * Adds the per-day metering report metrics for metering scan "scan" (see
+ * scanResult()).
+ */
+function meteringMetrics(scan, labels, add)
+{
+	scan.records.forEach(function (r) {
+		var l = labels({ 'date': r.date, 'kind': r.kind });
+
+		add('manta_hk_metering_report_present', l, r.present ? 1 : 0);
+		if (r.hours !== null) {
+			add('manta_hk_metering_hours_present', l, r.hours);
+			add('manta_hk_metering_hours_suspect', l,
+			    r.suspect.length);
+		}
+		if (r.entries !== null)
+			add('manta_hk_metering_report_entries', l, r.entries);
+	});
+}
+
+/*
+ * Formats metric samples (see metrics()) in the Prometheus text format.
+ */
+function formatMetrics(samples)
+{
+	var lines = [];
+
+	mod_jsprim.forEachKey(metricInfo, function (name, info) {
+		if (!samples.hasOwnProperty(name))
+			return;
+
+		lines.push('# HELP ' + name + ' ' + info[1]);
+		lines.push('# TYPE ' + name + ' ' + info[0]);
+		samples[name].forEach(function (s) {
+			var labels = Object.keys(s.labels).map(function (k) {
+				return (k + '="' + escapeLabel(s.labels[k]) +
+				    '"');
+			});
+
+			lines.push(name + (labels.length === 0 ? '' :
+			    '{' + labels.join(',') + '}') + ' ' + s.value);
+		});
+	});
+
+	return (lines.join('\n') + '\n');
+}
+
+function escapeLabel(value)
+{
+	return (String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').
+	    replace(/\n/g, '\\n'));
+}
+
+/*
+ * Answers an HTTP request for one of the endpoints described above.  Only GET
+ * and HEAD are supported.
+ */
+StatusServer.prototype.handleRequest = function (request, response)
+{
+	var path, code, headers, body;
+
+	path = request.url.split('?')[0];
+	headers = { 'content-type': 'text/plain; charset=utf-8' };
+	if (request.method != 'GET' && request.method != 'HEAD') {
+		code = 405;
+		headers['allow'] = 'GET, HEAD';
+		body = 'method not allowed\n';
+	} else if (path == '/metrics') {
+		code = 200;
+		headers['content-type'] = 'text/plain; version=0.0.4; ' +
+		    'charset=utf-8';
+		body = formatMetrics(this.metrics());
+	} else if (path == '/status') {
+		code = 200;
+		headers['content-type'] = 'application/json';
+		body = JSON.stringify(this.status(), null, 4) + '\n';
+	} else {
+		code = 404;
+		body = 'not found\n';
+	}
+
+	this.ss_log.debug({
+	    'method': request.method,
+	    'url': request.url,
+	    'code': code
+	}, 'request');
+	headers['content-length'] = Buffer.byteLength(body);
+	response.writeHead(code, headers);
+	response.end(request.method == 'HEAD' ? undefined : body);
+};
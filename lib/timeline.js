@@ -0,0 +1,585 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * lib/timeline.js: when each stage of the pipeline produced its output
+ *
+ * The housekeeping pipeline is driven by the clock rather than by its inputs,
+ * so when one stage runs late, the stages after it run anyway and quietly
+ * produce output from whatever inputs existed at the time.  For each day, the
+ * stages and their inputs are:
+ *
+ *     unpacked objects	written from the shard's dump
+ *
+ *     storage report	computed from the objects unpacked from every shard's
+ *     			dump for the day
+ *
+ *     request and	one for each hour, computed from the logs for that hour
+ *     compute reports
+ *
+ *     summary report	computed from the day's storage report and all of its
+ *     			hourly request and compute reports
+ *
+ * This module puts the modification times of all of these side by side and
+ * points out every output that was written before one of its inputs existed
+ * (or that was written even though one of its inputs still doesn't exist).
+ * Only each shard's scheduled dump is considered, not ad-hoc or duplicate
+ * ones.
+ */
+
+var mod_assertplus = require('assert-plus');
+var mod_extsprintf = require('extsprintf');
+var mod_path = require('path');
+var mod_vasync = require('vasync');
+var VError = require('verror');
+var sprintf = mod_extsprintf.sprintf;
+
+var mod_dumps = require('./dumps');
+var mod_metering = require('./metering');
+var mod_retry = require('./retry');
+
+/* public interface */
+exports.timeline = timeline;
+exports.listReportTimes = listReportTimes;
+exports.stages = [ 'dump', 'unpack', 'metering' ];
+
+var dailyKinds = [ 'storage', 'summary' ];
+var hourlyKinds = [ 'request', 'compute' ];
+
+/*
+ * Examines dumps and metering reports over a date range and reports when each
+ * of them was written.  Named arguments in "args":
+ *
+ *     endDate, ndays, shards, expectedShards, expectedTables, dumpRoot,
+ *     deadline, unpackDelay, meteringRoot, concurrency, log, manta
+ *
+ *     			as for verify() (see lib/verify.js)
+ *
+ * callback() is invoked as callback(err, result), where "result" has
+ * properties:
+ *
+ *     days		list of objects, one for each day (in order), with
+ *     			properties:
+ *
+ *         date		Date of the day
+ *         entries	list of things written for this day's part of the
+ *         		pipeline, sorted by time, each with properties "time"
+ *         		(a Date, or null for things that weren't found), "stage"
+ *         		(one of this_module.stages), "what" (shard name or
+ *         		report kind), "description" (human-readable), and
+ *         		"flagged" (true if it's the output of any of the
+ *         		findings)
+ *         findings	list of outputs written before their inputs existed,
+ *         		each with properties "date" (Date of the day), "stage"
+ *         		and "what" (as for entries, identifying the output),
+ *         		"condition" ("before-input" or "missing-input"), and
+ *         		"problem" (human-readable)
+ *
+ *     errors		list of non-fatal errors encountered while scanning
+ *     			dumps and metering reports (see DumpLister.errors()
+ *     			and listReportTimes()).  Anything whose listing failed
+ *     			is left out of the findings.
+ */
+function timeline(args, callback)
+{
+	var dumpargs, reportargs;
+
+	mod_assertplus.object(args, 'args');
+
+	dumpargs = {
+	    'endDate': args.endDate,
+	    'ndays': args.ndays,
+	    'shards': args.shards,
+	    'expectedShards': args.expectedShards,
+	    'expectedTables': args.expectedTables,
+	    'dumpRoot': args.dumpRoot,
+	    'deadline': args.deadline,
+	    'unpackDelay': args.unpackDelay,
+	    'concurrency': args.concurrency,
+	    'log': args.log,
+	    'manta': args.manta
+	};
+
+	reportargs = {
+	    'endDate': args.endDate,
+	    'ndays': args.ndays,
+	    'meteringRoot': args.meteringRoot,
+	    'concurrency': args.concurrency,
+	    'log': args.log,
+	    'manta': args.manta
+	};
+
+	mod_vasync.parallel({
+	    'funcs': [
+		function (subcallback) {
+			mod_dumps.listDumps(dumpargs, subcallback);
+		},
+		function (subcallback) {
+			listReportTimes(reportargs, subcallback);
+		}
+	    ]
+	}, function (err, results) {
+		var lister, reports;
+
+		if (err) {
+			callback(new VError(err, 'timeline'));
+			return;
+		}
+
+		lister = results.operations[0].result;
+		reports = results.operations[1].result;
+		callback(null, {
+		    'days': Object.keys(reports.byday).sort().map(
+			function (timestamp) {
+			return (dayTimeline(lister, reports, timestamp));
+		    }),
+		    'errors': lister.errors().concat(reports.errors)
+		});
+	});
+}
+
+/*
+ * Fetches the modification times of metering reports.  Named arguments in
+ * "args" are "endDate", "ndays", "meteringRoot", "concurrency", "log", and
+ * "manta", as for listMeteringReports() (see lib/metering.js).  Each report is
+ * found by listing the directory that contains it, since directory entries
+ * carry the full modification time (and can be cached).
+ *
+ * callback() is invoked as callback(err, result), where "result" has:
+ *
+ *     byday		object mapping each day's timestamp to an object
+ *     			mapping each report kind to its modification time (a
+ *     			Date, or null if it wasn't found).  For hourly kinds,
+ *     			the value is an array of 24 of these.
+ *
+ *     errors		list of requests that failed for reasons other than
+ *     			the report not existing, each with "kind", "date"
+ *     			(Date of the hour), "method", "path", "category" (see
+ *     			lib/retry.js), and "error"
+ */
+function listReportTimes(args, callback)
+{
+	var byday, errors, queue, end, current;
+
+	mod_assertplus.object(args, 'args');
+	mod_assertplus.object(args.endDate, 'args.endDate');
+	mod_assertplus.number(args.ndays, 'args.ndays');
+	mod_assertplus.string(args.meteringRoot, 'args.meteringRoot');
+	mod_assertplus.number(args.concurrency, 'args.concurrency');
+	mod_assertplus.object(args.log, 'args.log');
+	mod_assertplus.object(args.manta, 'args.manta');
+
+	byday = {};
+	errors = [];
+	queue = mod_vasync.queuev({
+	    'concurrency': args.concurrency,
+	    'worker': function (rqinfo, qcallback) {
+		var dir = mod_path.dirname(rqinfo.path);
+		var name = mod_path.basename(rqinfo.path);
+
+		args.manta.ls(dir, function (err, emitter) {
+			if (err) {
+				recordError(err);
+				return;
+			}
+
+			emitter.on('entry', function (entry) {
+				if (entry.name == name)
+					rqinfo.save(new Date(entry.mtime));
+			});
+			emitter.on('error', recordError);
+			emitter.on('end', function () { qcallback(); });
+		});
+
+		function recordError(err) {
+			rqinfo.category = mod_retry.classifyError(err);
+			if (rqinfo.category != 'not-found') {
+				args.log.warn(err, 'ls ' + dir);
+				errors.push({
+				    'kind': rqinfo.kind,
+				    'date': rqinfo.date,
+				    'method': 'ls',
+				    'path': dir,
+				    'category': rqinfo.category,
+				    'error': new VError(err, 'ls "%s"', dir)
+				});
+			}
+
+			qcallback();
+		}
+	    }
+	});
+
+	function push(kind, date, save) {
+		queue.push({
+		    'kind': kind,
+		    'date': date,
+		    'path': mod_metering.reportPath(args.meteringRoot, kind,
+			date),
+		    'save': save
+		});
+	}
+
+	end = new Date(args.endDate.getTime());
+	end.setUTCHours(0, 0, 0, 0);
+	current = new Date(end.getTime());
+	current.setUTCDate(current.getUTCDate() - args.ndays + 1);
+	for (; current.getTime() <= end.getTime();
+	    current.setUTCDate(current.getUTCDate() + 1)) {
+		addDay(new Date(current.getTime()));
+	}
+
+	function addDay(day) {
+		var times, hour;
+
+		times = byday[day.toISOString()] = {};
+		dailyKinds.forEach(function (kind) {
+			times[kind] = null;
+			push(kind, day, function (mtime) {
+				times[kind] = mtime;
+			});
+		});
+
+		hourlyKinds.forEach(function (kind) {
+			times[kind] = [];
+			for (hour = 0; hour < 24; hour++) {
+				times[kind].push(null);
+				addHour(kind, hour);
+			}
+		});
+
+		function addHour(kind, h) {
+			push(kind, new Date(day.getTime() + h * 3600 * 1000),
+			    function (mtime) { times[kind][h] = mtime; });
+		}
+	}
+
+	queue.on('end', function () {
+		callback(null, { 'byday': byday, 'errors': errors });
+	});
+	queue.close();
+}
+
+/*
+ * Returns the timeline for the day "timestamp" (see timeline()), given a
+ * DumpLister whose listDumps() operation has completed and the result of
+ * listReportTimes().
+ */
+function dayTimeline(lister, reports, timestamp)
+{
+	var date, day, alldumps, dumps, times, failed, entries, findings;
+	var flagged;
+
+	date = new Date(timestamp);
+	day = timestamp.substr(0, '2015-07-10'.length);
+	alldumps = lister.dumps();
+	dumps = alldumps.hasOwnProperty(timestamp) ? alldumps[timestamp] : {};
+	times = reports.byday[timestamp];
+	entries = [];
+	findings = [];
+	flagged = {};
+
+	/* report kinds for which any request for this day failed */
+	failed = {};
+	reports.errors.forEach(function (e) {
+		if (e.date.toISOString().substr(0, day.length) == day)
+			failed[e.kind] = true;
+	});
+
+	function entry(time, stage, what, description) {
+		entries.push({
+		    'time': time,
+		    'stage': stage,
+		    'what': what,
+		    'description': description,
+		    'flagged': false
+		});
+	}
+
+	function finding(stage, what, condition, problem) {
+		flagged[stage + '/' + what] = true;
+		findings.push({
+		    'date': date,
+		    'stage': stage,
+		    'what': what,
+		    'condition': condition,
+		    'problem': problem
+		});
+	}
+
+	lister.shards().slice(0).sort().forEach(function (shard) {
+		var dump, objects, early, tables;
+
+		if (!dumps.hasOwnProperty(shard)) {
+			entry(null, 'dump', shard,
+			    lister.dumpError(timestamp, shard) !== null ?
+			    'dump could not be listed' : 'no dump found');
+			return;
+		}
+
+		dump = dumps[shard];
+		entry(dump.mtime, 'dump', shard, dump.waslate ?
+		    'dump uploaded (late)' : 'dump uploaded');
+
+		objects = sortedObjects(dump);
+		if (objects.length === 0) {
+			entry(null, 'unpack', shard,
+			    'dump has not been unpacked');
+			return;
+		}
+
+		if (objects.length == 1) {
+			entry(objects[0].mtime, 'unpack', shard,
+			    sprintf('1 object unpacked (%s)',
+			    objects[0].table));
+		} else {
+			entry(objects[0].mtime, 'unpack', shard,
+			    sprintf('first of %d objects unpacked (%s)',
+			    objects.length, objects[0].table));
+			entry(objects[objects.length - 1].mtime, 'unpack',
+			    shard, sprintf('last of %d objects unpacked (%s)',
+			    objects.length, objects[objects.length - 1].table));
+		}
+
+		early = objects.filter(function (obj) {
+			return (obj.mtime.getTime() < dump.mtime.getTime());
+		});
+		if (early.length > 0) {
+			tables = early.map(function (obj) {
+				return (obj.table);
+			});
+			finding('unpack', shard, 'before-input', sprintf(
+			    '%s written before the dump was uploaded at %s ' +
+			    '(%s)', early.length == 1 ?
+			    '1 unpacked object was' :
+			    early.length + ' unpacked objects were',
+			    dump.mtime.toISOString(), tables.join(', ')));
+		}
+	});
+
+	dailyKinds.forEach(function (kind) {
+		if (times[kind] !== null)
+			entry(times[kind], 'metering', kind, 'report written');
+		else
+			entry(null, 'metering', kind, failed[kind] ?
+			    'report could not be listed' : 'report not found');
+	});
+
+	hourlyKinds.forEach(function (kind) {
+		var hours, nmissing;
+
+		hours = [];
+		times[kind].forEach(function (mtime, hour) {
+			if (mtime !== null)
+				hours.push({ 'hour': hour, 'mtime': mtime });
+		});
+		hours.sort(function (h1, h2) {
+			return (h1.mtime.getTime() - h2.mtime.getTime());
+		});
+
+		if (hours.length == 1) {
+			entry(hours[0].mtime, 'metering', kind, sprintf(
+			    '1 hourly report written (hour %02d)',
+			    hours[0].hour));
+		} else if (hours.length > 1) {
+			entry(hours[0].mtime, 'metering', kind, sprintf(
+			    'first of %d hourly reports written (hour %02d)',
+			    hours.length, hours[0].hour));
+			entry(hours[hours.length - 1].mtime, 'metering', kind,
+			    sprintf('last of %d hourly reports written ' +
+			    '(hour %02d)', hours.length,
+			    hours[hours.length - 1].hour));
+		}
+
+		nmissing = 24 - hours.length;
+		if (nmissing > 0) {
+			entry(null, 'metering', kind, sprintf(
+			    '%d hourly report%s %s', nmissing,
+			    nmissing == 1 ? '' : 's', failed[kind] ?
+			    'not found or could not be listed' : 'not found'));
+		}
+
+		hourlyFindings(date, kind, times[kind], finding);
+	});
+
+	if (!failed['storage'])
+		storageFindings(lister, dumps, timestamp, times, finding);
+	if (!failed['summary'])
+		summaryFindings(times, failed, finding);
+
+	entries.forEach(function (e) {
+		e.flagged = e.time !== null &&
+		    flagged.hasOwnProperty(e.stage + '/' + e.what);
+	});
+
+	return ({
+	    'date': date,
+	    'entries': entries.sort(compareEntries),
+	    'findings': findings
+	});
+}
+
+/*
+ * Returns the objects unpacked from dump "dump", sorted by modification time.
+ */
+function sortedObjects(dump)
+{
+	return (dump.unpackedobjects.slice(0).sort(function (o1, o2) {
+		return (o1.mtime.getTime() - o2.mtime.getTime());
+	}));
+}
+
+/*
+ * Reports hourly reports of kind "kind" for the day "date" that were written
+ * before the hour they cover had ended.  "mtimes" contains each hour's report's
+ * modification time (or null).
+ */
+function hourlyFindings(date, kind, mtimes, finding)
+{
+	var early = [];
+
+	mtimes.forEach(function (mtime, hour) {
+		if (mtime !== null && mtime.getTime() <
+		    date.getTime() + (hour + 1) * 3600 * 1000)
+			early.push(sprintf('%02d', hour));
+	});
+
+	if (early.length > 0) {
+		finding('metering', kind, 'before-input', sprintf(
+		    '%s report%s for %s %s written before the hour ended',
+		    kind, early.length == 1 ? '' : 's', hourList(early),
+		    early.length == 1 ? 'was' : 'were'));
+	}
+}
+
+/*
+ * Reports whether the storage report for the day "timestamp" was written
+ * before any shard's dump was uploaded or before the last of its objects was
+ * unpacked.  Shards whose dumps could not be listed are skipped.
+ */
+function storageFindings(lister, dumps, timestamp, times, finding)
+{
+	var written = times['storage'];
+
+	function found(condition, what) {
+		finding('metering', 'storage', condition, sprintf(
+		    'storage report was written at %s, %s',
+		    written.toISOString(), what));
+	}
+
+	if (written === null)
+		return;
+
+	lister.shards().slice(0).sort().forEach(function (shard) {
+		var dump, objects, last;
+
+		if (!dumps.hasOwnProperty(shard)) {
+			if (lister.dumpError(timestamp, shard) === null)
+				found('missing-input', sprintf(
+				    'but no dump was found for %s', shard));
+			return;
+		}
+
+		dump = dumps[shard];
+		objects = sortedObjects(dump);
+		last = objects.length === 0 ? null :
+		    objects[objects.length - 1];
+		if (written.getTime() < dump.mtime.getTime()) {
+			found('before-input', sprintf('before %s\'s dump was ' +
+			    'uploaded at %s', shard, dump.mtime.toISOString()));
+		} else if (last === null) {
+			found('missing-input', sprintf('but %s\'s dump has ' +
+			    'not been unpacked', shard));
+		} else if (written.getTime() < last.mtime.getTime()) {
+			found('before-input', sprintf('before %s\'s dump was ' +
+			    'fully unpacked at %s', shard,
+			    last.mtime.toISOString()));
+		}
+	});
+}
+
+/*
+ * Reports whether the summary report for a day was written before the day's
+ * storage report or any of its hourly reports, given the modification times of
+ * the day's reports (see listReportTimes()).  Kinds of report for
+ * which any request failed are skipped.
+ */
+function summaryFindings(times, failed, finding)
+{
+	var written = times['summary'];
+
+	function found(condition, what) {
+		finding('metering', 'summary', condition, sprintf(
+		    'summary report was written at %s, %s',
+		    written.toISOString(), what));
+	}
+
+	if (written === null)
+		return;
+
+	if (!failed['storage'] && times['storage'] === null) {
+		found('missing-input', 'but no storage report was found');
+	} else if (!failed['storage'] &&
+	    written.getTime() < times['storage'].getTime()) {
+		found('before-input', sprintf('before the storage report ' +
+		    'was written at %s', times['storage'].toISOString()));
+	}
+
+	hourlyKinds.forEach(function (kind) {
+		var missing, later;
+
+		if (failed[kind])
+			return;
+
+		missing = [];
+		later = [];
+		times[kind].forEach(function (mtime, hour) {
+			if (mtime === null)
+				missing.push(sprintf('%02d', hour));
+			else if (written.getTime() < mtime.getTime())
+				later.push(sprintf('%02d', hour));
+		});
+
+		if (missing.length > 0) {
+			found('missing-input', sprintf('but no %s report was ' +
+			    'found for %s', kind, hourList(missing)));
+		}
+
+		if (later.length > 0) {
+			found('before-input', sprintf('before the %s ' +
+			    'report%s for %s', kind, later.length == 1 ? '' :
+			    's', hourList(later)));
+		}
+	});
+}
+
+/*
+ * Given a list of two-digit hours, returns a description like "hours 05, 06".
+ */
+function hourList(hours)
+{
+	return ((hours.length == 1 ? 'hour ' : 'hours ') + hours.join(', '));
+}
+
+/*
+ * Sorts timeline entries by time, with things that weren't found last (in
+ * pipeline order).
+ */
+function compareEntries(e1, e2)
+{
+	if (e1.time !== null && e2.time !== null)
+		return (e1.time.getTime() - e2.time.getTime());
+	if (e1.time !== null)
+		return (-1);
+	if (e2.time !== null)
+		return (1);
+	return (exports.stages.indexOf(e1.stage) -
+	    exports.stages.indexOf(e2.stage));
+}
@@ -0,0 +1,278 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * lib/trends.js: baselines and anomaly detection for database dumps
+ *
+ * Dump sizes and times change slowly as a shard grows, so a dump that is much
+ * smaller than the ones before it probably indicates a truncated dump, and one
+ * that's much larger may indicate a runaway table.  Each dump is compared to
+ * the median of the dumps for the same shard on the preceding days (the
+ * "baseline").  Separately, the time each dump finished is fit to a line over
+ * the whole scan window to project when the shard's dumps will start missing
+ * the deadline after which they're considered late (see "waslate" in
+ * lib/dumps.js).
+ */
+
+var mod_assertplus = require('assert-plus');
+var mod_extsprintf = require('extsprintf');
+var sprintf = mod_extsprintf.sprintf;
+
+/* public interface */
+exports.analyzeTrends = analyzeTrends;
+
+/* number of preceding dumps used as the baseline for each dump */
+var baselineWindow = 7;
+
+/* minimum number of preceding dumps needed to compare against the baseline */
+var baselineMinimum = 3;
+
+/* fractional change from the baseline size that's reported as an anomaly */
+var shrinkThreshold = 0.25;
+var growThreshold = 0.25;
+
+/* fraction of the deadline after which a dump is reported as close to it */
+var deadlineMargin = 0.75;
+
+/* shards projected to reach the deadline within this many days are flagged */
+var deadlineHorizonDays = 30;
+
+/*
+ * Given a DumpLister whose listDumps() operation has completed, returns an
+ * object with:
+ *
+ *     anomalies	object mapping each day's timestamp and then shard name
+ *     (object)		to a list of anomalies found for that dump, each with
+ *     			"kind" (one of "shrank", "grew", or "near-deadline")
+ *     			and "message" (a human-readable description).  Dumps
+ *     			with no anomalies are omitted.
+ *
+ *     shards		object mapping each shard name to a summary of its
+ *     (object)		dumps over the whole scan window, with:
+ *
+ *         ndumps	number of dumps found
+ *         sizemb	median and spread (median absolute deviation) of dump
+ *         		size, as an object with "median" and "spread" (null if
+ *         		no dumps were found)
+ *         etime	same, for how long each dump took (in milliseconds)
+ *         growth	average daily growth in dump size (MB per day), or null
+ *         		if there are too few dumps to tell
+ *         drift	average daily change in when dumps finished
+ *         		(milliseconds per day), or null
+ *         deadline	projected Date when dumps will first finish after the
+ *         		deadline, or null if they're not trending later.  This
+ *         		may be before the last dump if dumps are already late.
+ *         approaching	true if "deadline" is within a few weeks after the
+ *         		last dump
+ */
+function analyzeTrends(lister)
+{
+	var dumps, dates, deadline, rv;
+
+	dumps = lister.dumps();
+	deadline = lister.deadline();
+	dates = Object.keys(dumps).sort();
+	rv = {
+	    'anomalies': {},
+	    'shards': {}
+	};
+
+	lister.shards().forEach(function (shard) {
+		var series = [];
+
+		dates.forEach(function (timestamp) {
+			var dump, anomalies;
+
+			if (!dumps[timestamp].hasOwnProperty(shard))
+				return;
+
+			dump = dumps[timestamp][shard];
+			anomalies = checkDump(dump,
+			    series.slice(-baselineWindow), deadline);
+			if (anomalies.length > 0) {
+				if (!rv.anomalies.hasOwnProperty(timestamp))
+					rv.anomalies[timestamp] = {};
+				rv.anomalies[timestamp][shard] = anomalies;
+			}
+
+			series.push({
+			    'date': new Date(timestamp),
+			    'dump': dump
+			});
+		});
+
+		rv.shards[shard] = summarize(series, deadline);
+	});
+
+	return (rv);
+}
+
+/*
+ * Compares "dump" to the baseline formed by the list of preceding dumps
+ * "previous" and to the "deadline" (see DumpLister.deadline()) and returns a
+ * list of anomalies.
+ */
+function checkDump(dump, previous, deadline)
+{
+	var rv, baseline, change;
+
+	rv = [];
+
+	if (previous.length >= baselineMinimum) {
+		baseline = median(previous.map(function (p) {
+			return (p.dump.sizemb);
+		}));
+
+		change = baseline === 0 ? 0 :
+		    (dump.sizemb - baseline) / baseline;
+		if (change <= -shrinkThreshold) {
+			rv.push({
+			    'kind': 'shrank',
+			    'message': sprintf('dump is %d%% smaller than ' +
+				'the median of the previous %d dumps ' +
+				'(%d MB); it may be truncated',
+				Math.round(-change * 100), previous.length,
+				Math.round(baseline))
+			});
+		} else if (change >= growThreshold) {
+			rv.push({
+			    'kind': 'grew',
+			    'message': sprintf('dump is %d%% larger than ' +
+				'the median of the previous %d dumps (%d MB)',
+				Math.round(change * 100), previous.length,
+				Math.round(baseline))
+			});
+		}
+	}
+
+	if (!dump.waslate &&
+	    dump.ended >= deadlineMargin * deadline) {
+		rv.push({
+		    'kind': 'near-deadline',
+		    'message': sprintf('dump finished only %d minutes ' +
+			'before the deadline', Math.floor(
+			(deadline - dump.ended) / 60000))
+		});
+	}
+
+	return (rv);
+}
+
+/*
+ * Summarizes a series of dumps (as built by analyzeTrends()), projecting when
+ * they'll reach "deadline".
+ */
+function summarize(series, deadline)
+{
+	var rv, sizes, fit, last;
+
+	rv = {
+	    'ndumps': series.length,
+	    'sizemb': null,
+	    'etime': null,
+	    'growth': null,
+	    'drift': null,
+	    'deadline': null,
+	    'approaching': false
+	};
+
+	if (series.length === 0)
+		return (rv);
+
+	sizes = series.map(function (p) { return (p.dump.sizemb); });
+	rv.sizemb = spread(sizes);
+	rv.etime = spread(series.map(function (p) { return (p.dump.etime); }));
+
+	if (series.length < baselineMinimum)
+		return (rv);
+
+	rv.growth = linearFit(series, function (p) {
+		return (p.dump.sizemb);
+	}).slope;
+
+	fit = linearFit(series, function (p) { return (p.dump.ended); });
+	rv.drift = fit.slope;
+	if (fit.slope > 0) {
+		last = fit.origin;
+		rv.deadline = new Date(last + Math.round(
+		    (deadline - fit.at(last)) / fit.slope *
+		    86400000));
+		rv.approaching = rv.deadline.getTime() <=
+		    last + deadlineHorizonDays * 86400000;
+	}
+
+	return (rv);
+}
+
+function median(values)
+{
+	var sorted, mid;
+
+	mod_assertplus.ok(values.length > 0);
+	sorted = values.slice(0).sort(function (a, b) { return (a - b); });
+	mid = Math.floor(sorted.length / 2);
+	return (sorted.length % 2 == 1 ? sorted[mid] :
+	    (sorted[mid - 1] + sorted[mid]) / 2);
+}
+
+/*
+ * Returns the median and median absolute deviation of a list of numbers.
+ */
+function spread(values)
+{
+	var m = median(values);
+
+	return ({
+	    'median': m,
+	    'spread': median(values.map(function (v) {
+		return (Math.abs(v - m));
+	    }))
+	});
+}
+
+/*
+ * Fits a line to the values returned by "valuefunc" for each point in the
+ * series, using least squares with time measured in days.  Returns an object
+ * with "slope" (change per day), "origin" (the time of the last point, in
+ * milliseconds since the epoch), and "at" (a function returning the fitted
+ * value at a given time in milliseconds since the epoch).
+ */
+function linearFit(series, valuefunc)
+{
+	var origin, n, sx, sy, sxx, sxy, slope, yint;
+
+	origin = series[series.length - 1].date.getTime();
+	n = series.length;
+	sx = sy = sxx = sxy = 0;
+	series.forEach(function (p) {
+		var x = (p.date.getTime() - origin) / 86400000;
+		var y = valuefunc(p);
+		sx += x;
+		sy += y;
+		sxx += x * x;
+		sxy += x * y;
+	});
+
+	if (n * sxx - sx * sx === 0) {
+		slope = 0;
+		yint = sy / n;
+	} else {
+		slope = (n * sxy - sx * sy) / (n * sxx - sx * sx);
+		yint = (sy - slope * sx) / n;
+	}
+
+	return ({
+	    'slope': slope,
+	    'origin': origin,
+	    'at': function (t) {
+		return (yint + slope * (t - origin) / 86400000);
+	    }
+	});
+}
@@ -0,0 +1,482 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * lib/verify.js: checking the housekeeping pipeline for common problems
+ */
+
+var mod_assertplus = require('assert-plus');
+var mod_extsprintf = require('extsprintf');
+var mod_jsprim = require('jsprim');
+var mod_vasync = require('vasync');
+var VError = require('verror');
+var sprintf = mod_extsprintf.sprintf;
+
+var mod_dumps = require('./dumps');
+var mod_metering = require('./metering');
+
+/* public interface */
+exports.verify = verify;
+exports.dumpProblems = dumpProblems;
+exports.meteringProblems = meteringProblems;
+exports.validationSummary = validationSummary;
+exports.stages = [ 'dump', 'unpack', 'metering' ];
+exports.stageLabels = {
+    'dump': 'Manatee dumps',
+    'unpack': 'Unpacked dump objects',
+    'metering': 'Metering reports'
+};
+
+/*
+ * Examines dumps and metering reports over a date range and reports problems
+ * with each stage of the pipeline.  Named arguments in "args":
+ *
+ *     endDate (Date)	Examine data up to and including endDate, interpreted
+ *     			in UTC.  The time-of-day part of this Date is ignored.
+ *
+ *     ndays (int > 0)	Examine data for "ndays" leading up to endDate.
+ *
+ *     shards (optional	Only examine dumps for named shards.  The default is
+ *     array of string)	to examine dumps for all shards.
+ *
+ *     expectedShards	Shards expected to take dumps.  See listDumps().
+ *     (optional
+ *     array of string)
+ *
+ *     expectedTables	Tables expected in each shard's dumps.  See
+ *     (optional	listDumps().
+ *     object)
+ *
+ *     dumpRoot		Manta path to database dumps
+ *     (string)
+ *
+ *     deadline		Dumps that finish more than this many milliseconds
+ *     (optional	after the start of the day are considered late.  See
+ *     number)		listDumps().
+ *
+ *     unpackDelay	Objects unpacked from a dump more than this many
+ *     (optional	milliseconds after the dump was uploaded are
+ *     number)		considered late.  See listDumps().
+ *
+ *     integrity	If specified, check the integrity of each dump using
+ *     (optional	this mode.  See listDumps().
+ *     string)
+ *
+ *     meteringRoot	Manta path to metering reports
+ *     (string)
+ *
+ *     minEntries	Daily reports with fewer entries than this are
+ *     (number)		reported as incomplete.
+ *
+ *     suspectHourFraction	See listMeteringReports().
+ *     (optional number)
+ *
+ *     concurrency	Maximum concurrency for Manta operations (for each of
+ *     (number)		the two scans)
+ *
+ *     log		Bunyan logger
+ *
+ *     manta		Manta client
+ *
+ *     cache		Listing cache for metering reports (see
+ *     (optional	listMeteringReports())
+ *     object)
+ *
+ *     now (optional	Current time.  Hourly reports for hours that have not
+ *     Date)		yet finished are not expected to exist.
+ *
+ * callback() is invoked as callback(err, result), where "result" has
+ * properties:
+ *
+ *     problems		list of problems found, each with properties:
+ *
+ *         stage	one of the values in this_module.stages
+ *         condition	short name for the kind of problem (e.g.,
+ *         		"missing-dump" or "missing-hours")
+ *         count	number of affected items (e.g., missing hours)
+ *         date		Date of the affected day
+ *         what		shard name or metering report kind
+ *         problem	human-readable description of the problem
+ *         suggestion	human-readable description of what to do next
+ *
+ *     errors		list of non-fatal errors encountered while scanning
+ *     			dumps and metering reports (see DumpLister.errors()
+ *     			and listMeteringReports())
+ *
+ * Problems are sorted by stage, then by date, then by shard or report kind.
+ */
+function verify(args, callback)
+{
+	var now, dumpargs, meteringargs;
+
+	mod_assertplus.object(args, 'args');
+	mod_assertplus.number(args.minEntries, 'args.minEntries');
+	mod_assertplus.optionalDate(args.now, 'args.now');
+	now = args.now || new Date();
+
+	dumpargs = {
+	    'endDate': args.endDate,
+	    'ndays': args.ndays,
+	    'shards': args.shards,
+	    'expectedShards': args.expectedShards,
+	    'expectedTables': args.expectedTables,
+	    'dumpRoot': args.dumpRoot,
+	    'deadline': args.deadline,
+	    'unpackDelay': args.unpackDelay,
+	    'integrity': args.integrity,
+	    'concurrency': args.concurrency,
+	    'log': args.log,
+	    'manta': args.manta
+	};
+
+	meteringargs = {
+	    'endDate': args.endDate,
+	    'ndays': args.ndays,
+	    'meteringRoot': args.meteringRoot,
+	    'suspectHourFraction': args.suspectHourFraction,
+	    'concurrency': args.concurrency,
+	    'log': args.log,
+	    'manta': args.manta,
+	    'cache': args.cache
+	};
+
+	mod_vasync.parallel({
+	    'funcs': [
+		function (subcallback) {
+			mod_dumps.listDumps(dumpargs, subcallback);
+		},
+		function (subcallback) {
+			mod_metering.listMeteringReports(meteringargs,
+			    subcallback);
+		}
+	    ]
+	}, function (err, results) {
+		var problems;
+
+		if (err) {
+			callback(new VError(err, 'verify'));
+			return;
+		}
+
+		problems = dumpProblems(results.operations[0].result).concat(
+		    meteringProblems(results.operations[1].result,
+		    args.minEntries, now));
+		problems.sort(compareProblems);
+		callback(null, {
+		    'problems': problems,
+		    'errors': results.operations[0].result.errors().concat(
+			results.operations[1].result.errors)
+		});
+	});
+}
+
+/*
+ * Given a DumpLister whose listDumps() operation has completed, returns a list
+ * of problems (as described above) for missing and late dumps, dumps that were
+ * never (fully) unpacked, and unpacked objects that look unhealthy (see
+ * objectProblems()).  Dumps that couldn't be found because listing them
+ * failed are not reported as missing, since the listing errors are reported
+ * separately.
+ */
+function dumpProblems(lister)
+{
+	var shards, dumps, problems;
+
+	shards = lister.shards();
+	dumps = lister.dumps();
+	problems = [];
+	mod_jsprim.forEachKey(dumps, function (timestamp, dayresults) {
+		var date, day;
+
+		date = new Date(timestamp);
+		day = timestamp.substr(0, '2015-07-10'.length);
+		shards.forEach(function (shardname) {
+			var dump;
+
+			if (!dayresults.hasOwnProperty(shardname)) {
+				if (lister.dumpError(timestamp, shardname) !==
+				    null)
+					return;
+
+				addProblem(problems, 'dump', 'missing-dump',
+				    date, shardname, 'dump is missing',
+				    sprintf('check the dump cron job on the ' +
+				    'Manatee async peer for this shard and ' +
+				    're-run the dump upload for %s, then ' +
+				    'unpack it and re-run the jobs that ' +
+				    'consume it', day));
+				return;
+			}
+
+			dump = dayresults[shardname];
+			if (dump.waslate) {
+				addProblem(problems, 'dump', 'late-dump',
+				    date, shardname, sprintf('dump finished ' +
+				    'late (at %s)', dump.mtime.toISOString()),
+				    sprintf('check whether the unpack and ' +
+				    'downstream jobs for %s ran before the ' +
+				    'dump was uploaded and re-run them if so',
+				    day));
+			}
+
+			if (dump.integrity !== null &&
+			    dump.integrity.problems.length > 0) {
+				addProblem(problems, 'dump', 'corrupt-dump',
+				    date, shardname, sprintf('dump failed ' +
+				    'integrity check: %s',
+				    dump.integrity.problems.join('; ')),
+				    sprintf('re-run the dump upload for %s ' +
+				    'before the unpack job runs (or, if it ' +
+				    'already ran, re-run it and the jobs ' +
+				    'that consume it)', day));
+			}
+
+			if (!dump.unpacked) {
+				addProblem(problems, 'unpack', 'not-unpacked',
+				    date, shardname,
+				    'dump has not been unpacked', sprintf(
+				    're-run the Mola unpack job for "%s", ' +
+				    'then re-run the jobs that consume it',
+				    dump.path));
+			} else if (dump.missingtables.length > 0) {
+				addProblem(problems, 'unpack', 'partial-unpack',
+				    date, shardname, sprintf('dump was only ' +
+				    'partially unpacked (missing table%s: %s)',
+				    dump.missingtables.length == 1 ? '' : 's',
+				    dump.missingtables.join(', ')), sprintf(
+				    're-run the Mola unpack job for "%s", ' +
+				    'then re-run the jobs that consume it',
+				    dump.path), dump.missingtables.length);
+			}
+
+			objectProblems(problems, date, shardname, dump,
+			    lister.unpackDelay());
+		});
+	});
+
+	return (problems.sort(compareProblems));
+}
+
+/*
+ * Adds problems for the objects unpacked from dump "dump" (for shard
+ * "shardname" on Date "date") that were flagged by the dump lister: empty or
+ * undersized tables, tables unpacked more than "unpackdelay" milliseconds after
+ * the dump was uploaded, and tables written before the dump was uploaded.
+ */
+function objectProblems(problems, date, shardname, dump, unpackdelay)
+{
+	var day, flagged;
+
+	day = date.toISOString().substr(0, '2015-07-10'.length);
+	flagged = function (issue) {
+		return (dump.unpackedobjects.filter(function (obj) {
+			return (obj.issues.indexOf(issue) != -1);
+		}).map(function (obj) {
+			return (obj.table);
+		}));
+	};
+
+	objectProblem(problems, date, shardname, 'empty-table',
+	    flagged('empty'), 'empty unpacked table%s: %s',
+	    sprintf('re-run the Mola unpack job for "%s", then re-run the ' +
+	    'jobs that consume it', dump.path));
+	objectProblem(problems, date, shardname, 'small-table',
+	    flagged('small'), 'unusually small unpacked table%s: %s',
+	    sprintf('check whether the unpack job for "%s" failed partway ' +
+	    'through and re-run it if so', dump.path));
+	objectProblem(problems, date, shardname, 'late-unpack',
+	    flagged('late'), 'table%s unpacked more than ' +
+	    Math.round(unpackdelay / 60000) + ' minutes after the dump: %s',
+	    sprintf('check whether the jobs that consume the unpacked ' +
+	    'tables for %s ran before they were unpacked and re-run them if ' +
+	    'so', day));
+	objectProblem(problems, date, shardname, 'early-unpack',
+	    flagged('early'), 'table%s written before the dump was ' +
+	    'uploaded: %s', sprintf('these objects were most likely left ' +
+	    'over from an earlier dump; re-run the Mola unpack job for "%s"',
+	    dump.path));
+}
+
+/*
+ * Adds a single problem for the list of tables "tables" (if any) that all have
+ * the same condition.  The problem is described by "fmt", which is given a
+ * plural suffix and the list of tables.
+ */
+function objectProblem(problems, date, shardname, condition, tables, fmt,
+    suggestion)
+{
+	if (tables.length === 0)
+		return;
+
+	addProblem(problems, 'unpack', condition, date, shardname,
+	    sprintf(fmt, tables.length == 1 ? '' : 's', tables.join(', ')),
+	    suggestion, tables.length);
+}
+
+/*
+ * Given the result of listMeteringReports(), returns a list of problems (as
+ * described above) for missing or incomplete metering reports.  Daily reports
+ * with fewer than "minentries" entries are reported as incomplete, and so are
+ * hourly reports that are far smaller than usual (see listMeteringReports()).
+ * Hourly reports for hours that have not finished as of "now" are not reported
+ * as missing.  If the reports' contents were validated, reports with invalid
+ * records are reported too.
+ */
+function meteringProblems(results, minentries, now)
+{
+	var problems = [];
+
+	mod_jsprim.forEachKey(results.byday, function (timestamp, dayresults) {
+		var date, day;
+
+		date = new Date(timestamp);
+		day = timestamp.substr(0, '2015-07-10'.length);
+
+		[ 'summary', 'storage' ].forEach(function (kind) {
+			var count = dayresults[kind];
+
+			if (count === null) {
+				addProblem(problems, 'metering',
+				    'missing-report', date, kind,
+				    sprintf('%s report is missing', kind),
+				    meteringSuggestion(kind, day));
+			} else if (count < minentries) {
+				addProblem(problems, 'metering',
+				    'small-report', date, kind,
+				    sprintf('%s report has only %d entries ' +
+				    '(expected at least %d)', kind, count,
+				    minentries), meteringSuggestion(kind, day));
+			}
+		});
+
+		[ 'compute', 'request' ].forEach(function (kind) {
+			var missing, suspect;
+
+			suspect = dayresults[kind + '_suspect'].map(
+			    function (s) { return (s.hour); });
+			if (suspect.length > 0) {
+				addProblem(problems, 'metering',
+				    'suspect-hours', date, kind, sprintf(
+				    '%s reports far smaller than usual for ' +
+				    'hour%s %s', kind, suspect.length == 1 ?
+				    '' : 's', suspect.join(', ')), sprintf(
+				    'check whether all of the logs for the ' +
+				    'affected hours were uploaded, then ' +
+				    're-run the metering "%s" job for each ' +
+				    'affected hour', kind), suspect.length);
+			}
+
+			missing = dayresults[kind + '_missing'].filter(
+			    function (hour) {
+				return (date.getTime() +
+				    (hour + 1) * 3600 * 1000 <= now.getTime());
+			    });
+			if (missing.length === 0)
+				return;
+
+			addProblem(problems, 'metering', 'missing-hours',
+			    date, kind, sprintf('%s reports missing for ' +
+			    'hour%s %s', kind, missing.length == 1 ? '' : 's',
+			    missing.join(', ')), meteringSuggestion(kind, day),
+			    missing.length);
+		});
+
+		if (dayresults.validation === null)
+			return;
+
+		[ 'summary', 'storage', 'compute', 'request' ].forEach(
+		    function (kind) {
+			var v, nbad;
+
+			v = dayresults.validation[kind];
+			nbad = v.malformed + v.duplicates + v.outofrange;
+			if (nbad === 0)
+				return;
+
+			addProblem(problems, 'metering', 'invalid-report',
+			    date, kind, sprintf('%s report%s contain %d ' +
+			    'invalid record%s (%s)', kind,
+			    kind == 'summary' || kind == 'storage' ? '' : 's',
+			    nbad, nbad == 1 ? '' : 's',
+			    validationSummary(v)),
+			    meteringSuggestion(kind, day), nbad);
+		    });
+	});
+
+	return (problems.sort(compareProblems));
+}
+
+function addProblem(problems, stage, condition, date, what, problem,
+    suggestion, count)
+{
+	mod_assertplus.ok(exports.stages.indexOf(stage) != -1);
+	mod_assertplus.optionalNumber(count, 'count');
+	problems.push({
+	    'stage': stage,
+	    'condition': condition,
+	    'count': count === undefined ? 1 : count,
+	    'date': date,
+	    'what': what,
+	    'problem': problem,
+	    'suggestion': suggestion
+	});
+}
+
+/*
+ * Returns a short description of the counts of invalid records in a
+ * validation result (see ReportValidator in lib/metering.js).
+ */
+function validationSummary(v)
+{
+	var parts = [];
+
+	if (v.malformed > 0)
+		parts.push(sprintf('%d malformed', v.malformed));
+	if (v.duplicates > 0)
+		parts.push(sprintf('%d with duplicate owners', v.duplicates));
+	if (v.outofrange > 0)
+		parts.push(sprintf('%d dated outside the report period',
+		    v.outofrange));
+	return (parts.join(', '));
+}
+
+function meteringSuggestion(kind, day)
+{
+	switch (kind) {
+	case 'summary':
+		return (sprintf('once the other metering reports for %s are ' +
+		    'complete, re-run the metering "summarizeDaily" job for ' +
+		    'that day', day));
+	case 'storage':
+		return (sprintf('make sure all dumps for %s have been ' +
+		    'unpacked, then re-run the metering "storage" job for ' +
+		    'that day', day));
+	default:
+		mod_assertplus.ok(kind == 'compute' || kind == 'request');
+		return (sprintf('make sure the logs for the affected hours ' +
+		    'have been uploaded, then re-run the metering "%s" job ' +
+		    'for each missing hour', kind));
+	}
+}
+
+function compareProblems(p1, p2)
+{
+	var s1, s2;
+
+	s1 = exports.stages.indexOf(p1.stage);
+	s2 = exports.stages.indexOf(p2.stage);
+	if (s1 != s2)
+		return (s1 - s2);
+
+	if (p1.date.getTime() != p2.date.getTime())
+		return (p1.date.getTime() - p2.date.getTime());
+
+	return (p1.what < p2.what ? -1 : p1.what > p2.what ? 1 : 0);
+}
@@ -0,0 +1,499 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * lib/watch.js: report changes in the status of dumps and metering reports
+ *
+ * A scan run periodically (e.g., from cron) reports the same late dumps and
+ * missing reports every time until they fall out of its date range.  "manta-hk
+ * watch" instead remembers the problems found by the previous run in a local
+ * state file and reports only what changed.  The state is a set of "items",
+ * each of which is one of:
+ *
+ *     a shard's dump for one day, whose possible problems are:
+ *
+ *         missing	no dump was found, and the deadline has passed
+ *         late		the dump finished after the deadline
+ *         not-unpacked	the dump has not been (fully) unpacked, and the unpack
+ *         		delay has passed since it was uploaded
+ *
+ *     a daily metering report (summary or storage) for one day, or an hourly
+ *     report (compute or request) for one hour, whose only possible problem
+ *     is that it's "missing" after the end of the period it covers
+ *
+ * Comparing the problems found by a scan with the saved ones yields a list of
+ * events (see compareStates()): the name of each new problem ("missing",
+ * "late", or "not-unpacked"), "unpacked" when a dump's unpack problem is
+ * resolved, and "recovered" when any other problem is resolved.  Items that
+ * couldn't be examined because a request failed keep their saved problems, and
+ * items that fall out of the scanned range are forgotten without any event.
+ */
+
+var mod_assertplus = require('assert-plus');
+var mod_extsprintf = require('extsprintf');
+var mod_fs = require('fs');
+var mod_http = require('http');
+var mod_https = require('https');
+var mod_jsprim = require('jsprim');
+var mod_path = require('path');
+var mod_url = require('url');
+var VError = require('verror');
+var sprintf = mod_extsprintf.sprintf;
+
+var mod_cache = require('./cache');
+
+/* public interface */
+exports.currentState = currentState;
+exports.compareStates = compareStates;
+exports.loadState = loadState;
+exports.saveState = saveState;
+exports.postEvents = postEvents;
+
+/* version of the state file format */
+var stateVersion = 1;
+
+/*
+ * Maximum number of events saved for delivery to the webhook after a failed
+ * attempt (see postEvents()).  Older ones are dropped.
+ */
+var maxPendingEvents = 1000;
+
+/*
+ * Given a DumpLister whose listDumps() operation has completed and the result
+ * of listMeteringReports() over the same days, returns the current state as of
+ * Date "now", an object with:
+ *
+ *     items	object mapping a key for each item that has problems to an
+ *     		object with "type" ("dump" or "metering"), "what" (the shard
+ *     		name or report kind), "date" (YYYY-MM-DD), "hour" (for hourly
+ *     		reports, otherwise null), and "problems" (an object mapping the
+ *     		name of each problem to a human-readable description)
+ *
+ *     unknown	object whose keys are the keys of items that couldn't be
+ *     		examined because a request failed
+ *
+ *     dates	object whose keys are the days scanned (YYYY-MM-DD)
+ *
+ *     shards	object whose keys are the shards scanned
+ *
+ *     errors	the requests that failed (see printErrors() in bin/manta-hk)
+ */
+function currentState(lister, metering, now)
+{
+	var rv, shards, deadline, unpackdelay, failed;
+
+	rv = {
+	    'items': {},
+	    'unknown': {},
+	    'dates': {},
+	    'shards': {},
+	    'errors': lister.errors().concat(metering.errors)
+	};
+
+	shards = lister.shards();
+	shards.forEach(function (shard) { rv.shards[shard] = true; });
+	deadline = lister.deadline();
+	unpackdelay = lister.unpackDelay();
+	mod_jsprim.forEachKey(lister.dumps(), function (timestamp, dayresults) {
+		var day, start;
+
+		day = timestamp.substr(0, '2015-07-10'.length);
+		start = Date.parse(timestamp);
+		rv.dates[day] = true;
+		shards.forEach(function (shard) {
+			var item;
+
+			item = newItem('dump', shard, day, null);
+			if (lister.dumpError(timestamp, shard) !== null) {
+				rv.unknown[itemKey(item)] = true;
+				return;
+			}
+
+			if (!dayresults.hasOwnProperty(shard)) {
+				if (start + deadline <= now.getTime())
+					item.problems['missing'] =
+					    'dump is missing';
+			} else {
+				dumpItemProblems(item, dayresults[shard],
+				    unpackdelay, now);
+			}
+
+			addItem(rv, item);
+		});
+	});
+
+	failed = {};
+	metering.errors.forEach(function (e) {
+		failed[itemKey(newItem('metering', e.kind,
+		    e.date.toISOString().substr(0, '2015-07-10'.length),
+		    e.kind == 'summary' || e.kind == 'storage' ?
+		    null : e.date.getUTCHours()))] = true;
+	});
+
+	mod_jsprim.forEachKey(metering.byday,
+	    function (timestamp, dayresults) {
+		var day, start;
+
+		day = timestamp.substr(0, '2015-07-10'.length);
+		start = Date.parse(timestamp);
+		rv.dates[day] = true;
+
+		[ 'summary', 'storage' ].forEach(function (kind) {
+			var item = newItem('metering', kind, day, null);
+
+			if (failed.hasOwnProperty(itemKey(item))) {
+				rv.unknown[itemKey(item)] = true;
+				return;
+			}
+
+			if (dayresults[kind] === null &&
+			    start + 86400 * 1000 <= now.getTime())
+				item.problems['missing'] = itemName(item) +
+				    ' is missing';
+			addItem(rv, item);
+		});
+
+		[ 'compute', 'request' ].forEach(function (kind) {
+			var missing, hour, item;
+
+			missing = dayresults[kind + '_missing'];
+			for (hour = 0; hour < 24; hour++) {
+				item = newItem('metering', kind, day, hour);
+				if (failed.hasOwnProperty(itemKey(item))) {
+					rv.unknown[itemKey(item)] = true;
+					continue;
+				}
+
+				if (missing.indexOf(hour) != -1 &&
+				    start + (hour + 1) * 3600 * 1000 <=
+				    now.getTime())
+					item.problems['missing'] =
+					    itemName(item) + ' is missing';
+				addItem(rv, item);
+			}
+		});
+	    });
+
+	return (rv);
+}
+
+/*
+ * Records in "item" the problems with dump "dump" as of Date "now", given that
+ * dumps are expected to be unpacked within "unpackdelay" milliseconds.
+ */
+function dumpItemProblems(item, dump, unpackdelay, now)
+{
+	if (dump.waslate) {
+		item.problems['late'] = sprintf('dump finished late (at %s)',
+		    dump.mtime.toISOString());
+	}
+
+	if (dump.mtime.getTime() + unpackdelay > now.getTime())
+		return;
+
+	if (!dump.unpacked) {
+		item.problems['not-unpacked'] = 'dump has not been unpacked';
+	} else if (dump.missingtables.length > 0) {
+		item.problems['not-unpacked'] = sprintf('dump was only ' +
+		    'partially unpacked (missing table%s: %s)',
+		    dump.missingtables.length == 1 ? '' : 's',
+		    dump.missingtables.join(', '));
+	}
+}
+
+function newItem(type, what, date, hour)
+{
+	return ({
+	    'type': type,
+	    'what': what,
+	    'date': date,
+	    'hour': hour,
+	    'problems': {}
+	});
+}
+
+/*
+ * Only items with problems are saved, since an item with no saved problems is
+ * treated the same as one that hasn't been seen before.
+ */
+function addItem(state, item)
+{
+	if (Object.keys(item.problems).length > 0)
+		state.items[itemKey(item)] = item;
+}
+
+function itemKey(item)
+{
+	return (item.hour === null ?
+	    sprintf('%s/%s/%s', item.type, item.what, item.date) :
+	    sprintf('%s/%s/%s/%02d', item.type, item.what, item.date,
+	    item.hour));
+}
+
+/*
+ * Returns a human-readable name for an item, used as the subject of the
+ * descriptions of its problems and events.
+ */
+function itemName(item)
+{
+	if (item.type == 'dump')
+		return ('dump');
+	if (item.hour === null)
+		return (item.what + ' report');
+	return (sprintf('%s report for hour %02d', item.what, item.hour));
+}
+
+/*
+ * Returns true if the item "item" was covered by the scan that produced
+ * "current" (see currentState()).
+ */
+function inScope(current, item)
+{
+	return (current.dates.hasOwnProperty(item.date) &&
+	    (item.type != 'dump' || current.shards.hasOwnProperty(item.what)));
+}
+
+/*
+ * Given the items saved by the previous run ("previous", in the same form as
+ * the "items" returned by currentState()) and the current state ("current";
+ * see currentState()), returns an object with:
+ *
+ *     items	the items to save for the next run: the current ones, plus the
+ *     		previous ones that couldn't be examined this time
+ *
+ *     events	list of changes, sorted by date, each with "event" (see
+ *     		above), "type", "what", "date", and "hour" (as for items), and
+ *     		"message" (a human-readable description)
+ *
+ * Resolved problems of an item that's now missing aren't reported, since the
+ * "missing" event covers them.
+ */
+function compareStates(previous, current)
+{
+	var items, events;
+
+	items = {};
+	events = [];
+	mod_jsprim.forEachKey(current.items, function (key, item) {
+		var old;
+
+		old = previous.hasOwnProperty(key) ? previous[key] : null;
+		mod_jsprim.forEachKey(item.problems, function (name, message) {
+			if (old === null || !old.problems.hasOwnProperty(name))
+				events.push(newEvent(name, item, message));
+		});
+		items[key] = item;
+	});
+
+	mod_jsprim.forEachKey(previous, function (key, old) {
+		var item;
+
+		if (current.unknown.hasOwnProperty(key)) {
+			items[key] = old;
+			return;
+		}
+
+		if (!inScope(current, old))
+			return;
+
+		item = current.items.hasOwnProperty(key) ?
+		    current.items[key] : null;
+		if (item !== null && item.problems.hasOwnProperty('missing'))
+			return;
+
+		mod_jsprim.forEachKey(old.problems, function (name) {
+			if (item !== null && item.problems.hasOwnProperty(name))
+				return;
+
+			if (name == 'missing') {
+				events.push(newEvent('recovered', old,
+				    itemName(old) + ' was found'));
+			} else if (name == 'late') {
+				events.push(newEvent('recovered', old,
+				    itemName(old) + ' is no longer late'));
+			} else {
+				mod_assertplus.equal(name, 'not-unpacked');
+				events.push(newEvent('unpacked', old,
+				    itemName(old) + ' has been unpacked'));
+			}
+		});
+	});
+
+	return ({
+	    'items': items,
+	    'events': events.sort(compareEvents)
+	});
+}
+
+function newEvent(name, item, message)
+{
+	return ({
+	    'event': name,
+	    'type': item.type,
+	    'what': item.what,
+	    'date': item.date,
+	    'hour': item.hour,
+	    'message': message
+	});
+}
+
+function compareEvents(e1, e2)
+{
+	var k1, k2;
+
+	k1 = sprintf('%s %02d %s %s %s', e1.date,
+	    e1.hour === null ? -1 : e1.hour, e1.type, e1.what, e1.event);
+	k2 = sprintf('%s %02d %s %s %s', e2.date,
+	    e2.hour === null ? -1 : e2.hour, e2.type, e2.what, e2.event);
+	return (k1 < k2 ? -1 : k1 > k2 ? 1 : 0);
+}
+
+/*
+ * Loads the state file at "path", returning an object with:
+ *
+ *     targets (object)	maps a key identifying each Manta deployment (see
+ *     			createTarget() in bin/manta-hk) to an object with
+ *     			"updated" (ISO 8601 timestamp of the last run) and
+ *     			"items" (see compareStates())
+ *
+ *     pending (array)	events that could not be delivered to the webhook
+ *
+ * If the file does not exist, returns an empty state.  Throws an error if the
+ * file cannot be read or is not a valid state file.
+ */
+function loadState(path)
+{
+	var contents, parsed;
+
+	try {
+		contents = mod_fs.readFileSync(path, 'utf8');
+	} catch (ex) {
+		if (ex.code == 'ENOENT')
+			return ({ 'targets': {}, 'pending': [] });
+		throw (new VError(ex, 'read state "%s"', path));
+	}
+
+	try {
+		parsed = JSON.parse(contents);
+	} catch (ex) {
+		throw (new VError(ex, 'parse state "%s"', path));
+	}
+
+	if (typeof (parsed) != 'object' || parsed === null ||
+	    parsed.v !== stateVersion || typeof (parsed.targets) != 'object' ||
+	    parsed.targets === null || !Array.isArray(parsed.pending)) {
+		throw (new VError('state "%s": not a valid state file ' +
+		    '(version %d)', path, stateVersion));
+	}
+
+	return ({
+	    'targets': parsed.targets,
+	    'pending': parsed.pending
+	});
+}
+
+/*
+ * Saves "state" (see loadState()) to the file at "path", creating its parent
+ * directory if needed.  The file is replaced atomically, so a run that's
+ * interrupted leaves the previous state intact.
+ */
+function saveState(path, state)
+{
+	var tmppath = path + '.' + process.pid;
+
+	try {
+		mod_cache.mkdirp(mod_path.dirname(path));
+		mod_fs.writeFileSync(tmppath, JSON.stringify({
+		    'v': stateVersion,
+		    'targets': state.targets,
+		    'pending': state.pending.slice(-maxPendingEvents)
+		}));
+		mod_fs.renameSync(tmppath, path);
+	} catch (ex) {
+		throw (new VError(ex, 'write state "%s"', path));
+	}
+}
+
+/*
+ * Delivers events to a webhook by POSTing them as a JSON object with property
+ * "events".  Named arguments in "args":
+ *
+ *     url (string)	http or https URL of the webhook
+ *
+ *     events (array)	events to deliver
+ *
+ *     timeout		milliseconds to wait for the webhook to respond
+ *     (number)
+ *
+ *     log		Bunyan logger
+ *
+ * callback() is invoked as callback(err), where "err" is set if the request
+ * failed or the webhook responded with anything other than a 2xx status.
+ */
+function postEvents(args, callback)
+{
+	var parsed, body, request, timer, done;
+
+	mod_assertplus.object(args, 'args');
+	mod_assertplus.string(args.url, 'args.url');
+	mod_assertplus.arrayOfObject(args.events, 'args.events');
+	mod_assertplus.number(args.timeout, 'args.timeout');
+	mod_assertplus.object(args.log, 'args.log');
+	mod_assertplus.func(callback, 'callback');
+
+	function finish(err) {
+		if (done)
+			return;
+
+		done = true;
+		clearTimeout(timer);
+		if (err)
+			err = new VError(err, 'webhook');
+		callback(err || null);
+	}
+
+	done = false;
+	parsed = mod_url.parse(args.url);
+	body = JSON.stringify({ 'events': args.events });
+	request = (parsed.protocol == 'https:' ? mod_https : mod_http).request({
+	    'method': 'POST',
+	    'hostname': parsed.hostname,
+	    'port': parsed.port,
+	    'path': parsed.path,
+	    'auth': parsed.auth,
+	    'headers': {
+		'content-type': 'application/json',
+		'content-length': Buffer.byteLength(body)
+	    }
+	});
+
+	timer = setTimeout(function () {
+		request.abort();
+		finish(new VError('no response after %dms', args.timeout));
+	}, args.timeout);
+
+	request.on('error', function (err) { finish(err); });
+	request.on('response', function (response) {
+		args.log.debug({
+		    'statusCode': response.statusCode,
+		    'nevents': args.events.length
+		}, 'webhook responded');
+		response.resume();
+		if (response.statusCode < 200 || response.statusCode >= 300) {
+			finish(new VError('unexpected response status %d',
+			    response.statusCode));
+			return;
+		}
+
+		response.on('end', function () { finish(); });
+	});
+
+	request.end(body);
+}
@@ -0,0 +1,182 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * test/backfill.test.js: tests for "manta-hk backfill" (see test/common.js)
+ *
+ * Each case selects a single shard and day from the fixture, so that the plan
+ * covers exactly one kind of problem.
+ */
+
+var mod_tape = require('tape');
+
+var common = require('./common');
+
+var dumpCmd = '/opt/smartdc/manatee/pg_dump/pg_dump.sh';
+
+function unpackCmd(shard, day)
+{
+	return ('/opt/smartdc/mola/bin/kick_off_pg_transform.js -b ' +
+	    '"/poseidon/stor/manatee_backups/' + shard + '/' +
+	    day.replace(/-/g, '/') + '/00"');
+}
+
+function downstreamCmds(day)
+{
+	return ([
+	    '/opt/smartdc/mola/bin/kick_off_gc.js -d ' + day,
+	    '/opt/smartdc/mola/bin/kick_off_audit.js -d ' + day,
+	    '/opt/smartdc/mola/bin/kick_off_cruft.js -d ' + day,
+	    '/opt/smartdc/mackerel/bin/meter -j storage -d ' + day,
+	    '/opt/smartdc/mackerel/bin/meter -j summarizeDaily -d ' + day
+	]);
+}
+
+/*
+ * Returns the commands in a generated script (everything but comments and
+ * blank lines).
+ */
+function scriptCommands(script)
+{
+	return (script.split('\n').filter(function (line) {
+		return (line.length > 0 && line.charAt(0) != '#');
+	}));
+}
+
+var cases = [ {
+    'name': 'missing dump',
+    'day': '2015-07-13',
+    'shard': '2.moray',
+    'args': [],
+    'commands': [ dumpCmd, unpackCmd('2.moray', '2015-07-13') ].concat(
+	downstreamCmds('2015-07-13'))
+}, {
+    'name': 'corrupt dump',
+    'day': '2015-07-13',
+    'shard': '3.moray',
+    'args': [ '--verify-integrity' ],
+    'commands': [ dumpCmd, unpackCmd('3.moray', '2015-07-13') ].concat(
+	downstreamCmds('2015-07-13'))
+}, {
+    'name': 'dump not unpacked',
+    'day': '2015-07-11',
+    'shard': '2.moray',
+    'args': [],
+    'commands': [ unpackCmd('2.moray', '2015-07-11') ].concat(
+	downstreamCmds('2015-07-11'))
+}, {
+    'name': 'dump partially unpacked',
+    'day': '2015-07-12',
+    'shard': '3.moray',
+    'args': [ '--expected-tables', common.tablesFile ],
+    'commands': [ unpackCmd('3.moray', '2015-07-12') ].concat(
+	downstreamCmds('2015-07-12'))
+}, {
+    'name': 'late dump',
+    'day': '2015-07-12',
+    'shard': '2.moray',
+    'args': [],
+    'commands': downstreamCmds('2015-07-12')
+}, {
+    'name': 'tables unpacked late',
+    'day': '2015-07-10',
+    'shard': '2.moray',
+    'args': [],
+    'commands': downstreamCmds('2015-07-10')
+}, {
+    'name': 'tables written before the dump',
+    'day': '2015-07-11',
+    'shard': '3.moray',
+    'args': [],
+    'commands': [ unpackCmd('3.moray', '2015-07-11') ].concat(
+	downstreamCmds('2015-07-11'))
+}, {
+    'name': 'empty table',
+    'day': '2015-07-12',
+    'shard': '3.moray',
+    'args': [],
+    'commands': [ unpackCmd('3.moray', '2015-07-12') ].concat(
+	downstreamCmds('2015-07-12'))
+}, {
+    'name': 'no problems',
+    'day': '2015-07-13',
+    'shard': '1.moray',
+    'args': [],
+    'commands': []
+} ];
+
+cases.forEach(function (c) {
+	mod_tape('backfill: ' + c.name, function (t) {
+		common.runHk([ 'backfill', '-d', c.day, '-D', '1', '-s',
+		    c.shard ].concat(c.args), function (result) {
+			t.equal(result.status, 0);
+			t.equal(result.stderr, '');
+			t.deepEqual(scriptCommands(result.stdout), c.commands);
+			t.end();
+		    });
+	});
+
+	mod_tape('backfill --dry-run: ' + c.name, function (t) {
+		common.runHk([ 'backfill', '-d', c.day, '-D', '1', '-s',
+		    c.shard, '--dry-run' ].concat(c.args), function (result) {
+			var commands;
+
+			t.equal(result.status, 0);
+			t.equal(result.stderr, '');
+			commands = result.stdout.split('\n').filter(
+			    function (line) {
+				return (/^  command: /.test(line));
+			    }).map(function (line) {
+				return (line.substr('  command: '.length));
+			    });
+			t.deepEqual(commands, c.commands);
+			t.end();
+		    });
+	});
+});
+
+mod_tape('backfill --dry-run explains each step', function (t) {
+	common.runHk([ 'backfill', '-d', '2015-07-13', '-D', '1', '-s',
+	    '2.moray', '--dry-run' ], function (result) {
+		var lines = result.stdout.split('\n');
+
+		t.equal(result.status, 0);
+		t.equal(lines[0], 'Steps to repair 2015-07-13:');
+		t.equal(lines[1], '   1. re-run dump upload for 2.moray');
+		t.ok(/^      why: no dump was found, /.test(lines[2]));
+		t.equal(lines[3],
+		    '    where: on the Manatee async peer for 2.moray');
+		t.ok(/^      why: the garbage collection job for 2015-07-13 /
+		    .test(lines[10]));
+		t.end();
+	    });
+});
+
+mod_tape('backfill: whole fixture', function (t) {
+	common.runHk([ 'backfill', '-d', '2015-07-13', '-D', '4' ],
+	    function (result) {
+		var commands;
+
+		t.equal(result.status, 0);
+		commands = scriptCommands(result.stdout);
+		t.equal(commands.filter(function (cmd) {
+			return (cmd == dumpCmd);
+		}).length, 1, 'one dump re-run');
+		t.deepEqual(commands.filter(function (cmd) {
+			return (/kick_off_gc/.test(cmd));
+		}), [
+		    '/opt/smartdc/mola/bin/kick_off_gc.js -d 2015-07-10',
+		    '/opt/smartdc/mola/bin/kick_off_gc.js -d 2015-07-11',
+		    '/opt/smartdc/mola/bin/kick_off_gc.js -d 2015-07-12',
+		    '/opt/smartdc/mola/bin/kick_off_gc.js -d 2015-07-13'
+		], 'downstream jobs re-run once for each affected day');
+		t.end();
+	    });
+});
@@ -0,0 +1,95 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * test/cache.test.js: tests for the listing cache (see test/common.js)
+ */
+
+var mod_fs = require('fs');
+var mod_os = require('os');
+var mod_path = require('path');
+var mod_tape = require('tape');
+
+var common = require('./common');
+
+/*
+ * Runs "manta-hk dumps" for the fixture's days using the cache in "cachedir"
+ * and invokes callback(result, lsstats), where "lsstats" is the line of
+ * --cache-stats output for directory listings.
+ */
+function runCached(cachedir, callback)
+{
+	common.runHk([ '--cache-dir', cachedir, '--cache-stats', 'dumps',
+	    '-d', '2015-07-13', '-D', '4' ], function (result) {
+		var lines = result.stderr.split('\n').filter(function (line) {
+			return (/^    ls /.test(line));
+		});
+
+		callback(result, lines.length == 1 ? lines[0] : null);
+	});
+}
+
+function makeCacheDir()
+{
+	return (mod_fs.mkdtempSync(mod_path.join(mod_os.tmpdir(),
+	    'manta-hk-test-')));
+}
+
+mod_tape('cache: repeat runs hit the cache', function (t) {
+	var cachedir = makeCacheDir();
+
+	runCached(cachedir, function (result, lsstats) {
+		t.equal(result.status, 0);
+		t.ok(/^    ls +0 hits +24 misses/.test(lsstats), lsstats);
+		t.equal(mod_fs.readdirSync(cachedir).length, 1, 'cache saved');
+
+		runCached(cachedir, function (result2, lsstats2) {
+			t.equal(result2.status, 0);
+			t.equal(result2.stdout, result.stdout,
+			    'same output from the cache');
+			t.ok(/^    ls +24 hits +0 misses/.test(lsstats2),
+			    lsstats2);
+			common.removeTree(cachedir);
+			t.end();
+		});
+	});
+});
+
+mod_tape('cache: a damaged cache file is ignored', function (t) {
+	var cachedir = makeCacheDir();
+
+	runCached(cachedir, function (result) {
+		var path, contents;
+
+		t.equal(result.status, 0);
+
+		/*
+		 * Truncate the cache file partway through, as if the disk had
+		 * filled up while it was being written.
+		 */
+		path = mod_path.join(cachedir,
+		    mod_fs.readdirSync(cachedir)[0]);
+		contents = mod_fs.readFileSync(path, 'utf8');
+		mod_fs.writeFileSync(path, contents.substr(0, 40));
+
+		runCached(cachedir, function (result2, lsstats2) {
+			t.equal(result2.status, 0, 'command still works');
+			t.equal(result2.stdout, result.stdout);
+			t.ok(/^    ls +0 hits +24 misses/.test(lsstats2),
+			    lsstats2);
+			t.deepEqual(Object.keys(JSON.parse(
+			    mod_fs.readFileSync(path, 'utf8')).entries).sort(),
+			    Object.keys(JSON.parse(contents).entries).sort(),
+			    'cache file rewritten');
+			common.removeTree(cachedir);
+			t.end();
+		});
+	});
+});
@@ -0,0 +1,116 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * test/check.test.js: tests for evaluating health checks
+ */
+
+var mod_tape = require('tape');
+
+var mod_check = require('../lib/check');
+
+var levels = mod_check.parseLevels([]);
+
+function evaluate(problems, nerrors)
+{
+	return (mod_check.evaluate({
+	    'name': 'TEST',
+	    'problems': problems,
+	    'conditions': [ 'missing-dump', 'late-dump' ],
+	    'levels': levels,
+	    'nerrors': nerrors
+	}));
+}
+
+mod_tape('no problems', function (t) {
+	var result = evaluate([], 0);
+	t.equal(result.exitStatus, 0);
+	t.equal(result.summary, 'TEST OK - no problems found | ' +
+	    'missing-dump=0;;0;0 late-dump=0;0;;0');
+	t.end();
+});
+
+mod_tape('warning', function (t) {
+	var result = evaluate([ { 'condition': 'late-dump', 'count': 2 } ], 0);
+	t.equal(result.exitStatus, 1);
+	t.equal(result.summary, 'TEST WARNING - 2 late dumps | ' +
+	    'missing-dump=0;;0;0 late-dump=2;0;;0');
+	t.end();
+});
+
+mod_tape('critical', function (t) {
+	var result = evaluate([
+	    { 'condition': 'missing-dump', 'count': 1 },
+	    { 'condition': 'late-dump', 'count': 1 }
+	], 0);
+	t.equal(result.exitStatus, 2);
+	t.ok(/^TEST CRITICAL - 1 missing dump, 1 late dump \|/.test(
+	    result.summary));
+	t.end();
+});
+
+mod_tape('errors', function (t) {
+	var result = evaluate([], 1);
+	t.equal(result.exitStatus, 3);
+	t.ok(/^TEST UNKNOWN - 1 error \|/.test(result.summary));
+	t.end();
+});
+
+mod_tape('errors and warnings', function (t) {
+	var result = evaluate([ { 'condition': 'late-dump', 'count': 1 } ], 2);
+	t.equal(result.exitStatus, 3, 'errors outrank warnings');
+	t.ok(/^TEST UNKNOWN - 1 late dump, 2 errors \|/.test(result.summary));
+	t.end();
+});
+
+mod_tape('errors and critical problems', function (t) {
+	var result = evaluate([
+	    { 'condition': 'missing-dump', 'count': 1 },
+	    { 'condition': 'late-dump', 'count': 1 }
+	], 2);
+	t.equal(result.exitStatus, 2, 'critical problems outrank errors');
+	t.ok(/^TEST CRITICAL - 1 missing dump, 1 late dump, 2 errors \|/.test(
+	    result.summary));
+	t.end();
+});
+
+mod_tape('plural labels', function (t) {
+	var result = mod_check.evaluate({
+	    'name': 'TEST',
+	    'problems': [
+		{ 'condition': 'not-unpacked', 'count': 2 },
+		{ 'condition': 'partial-unpack', 'count': 1 }
+	    ],
+	    'conditions': [],
+	    'levels': levels,
+	    'nerrors': 0
+	});
+	t.ok(/^TEST CRITICAL - 2 dumps not unpacked, 1 table not unpacked \|/
+	    .test(result.summary));
+	t.end();
+});
+
+mod_tape('ignored conditions', function (t) {
+	var result = mod_check.evaluate({
+	    'name': 'TEST',
+	    'problems': [ { 'condition': 'missing-dump', 'count': 1 } ],
+	    'conditions': [],
+	    'levels': mod_check.parseLevels([ 'missing-dump=ignore' ]),
+	    'nerrors': 0
+	});
+	t.equal(result.exitStatus, 0);
+	t.end();
+});
+
+mod_tape('bad levels', function (t) {
+	t.ok(mod_check.parseLevels([ 'missing-dump=bogus' ]) instanceof Error);
+	t.ok(mod_check.parseLevels([ 'bogus=warning' ]) instanceof Error);
+	t.end();
+});
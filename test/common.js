@@ -0,0 +1,194 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * test/common.js: common facilities for the manta-hk tests
+ *
+ * The tests run bin/manta-hk against the local directory tree in
+ * test/fixtures/local (see lib/localmanta.js), which holds dumps for three
+ * shards and metering reports for 2015-07-10 through 2015-07-13:
+ *
+ *     1.moray		every dump present, on time, and fully unpacked
+ *
+ *     2.moray		2015-07-10: tables unpacked late
+ *     			2015-07-11: dump not unpacked
+ *     			2015-07-12: dump finished late
+ *     			2015-07-13: dump missing (though a stray unpacked
+ *     			table is left in its directory)
+ *
+ *     3.moray		2015-07-11: tables written before the dump
+ *     			2015-07-12: empty "manta_storage" table
+ *     			2015-07-13: dump corrupt (bad gzip header)
+ *
+ *     metering		2015-07-10: storage report written before 2.moray's
+ *     			tables were unpacked
+ *     			2015-07-11: summary report with only 1 entry
+ *     			2015-07-12: compute report missing for hour 5
+ *     			2015-07-13: request report far too small for hour 7
+ *
+ * The fixture also holds archived jobs: gc jobs created on 2015-07-12 and
+ * 2015-07-13 (the second with 7 errors), a metering job created on 2015-07-13,
+ * and a gc job created on 2015-07-01.
+ *
+ * test/fixtures/tables.json lists an extra table expected from 3.moray's dumps,
+ * for use with --expected-tables.
+ * test/fixtures/config.json is a configuration file (for use with --config)
+ * suited to the fixture's tiny metering reports, with later deadlines for
+ * dumps and for unpacking them.
+ *
+ * Otherwise, each hourly report is written 10 minutes after the end of the
+ * hour it covers, each storage report once all of the day's dumps have been
+ * unpacked, and each summary report at 01:00 the next day.  Object sizes and
+ * modification times come from the fixture's manifest.
+ */
+
+var mod_child = require('child_process');
+var mod_fs = require('fs');
+var mod_os = require('os');
+var mod_path = require('path');
+var mod_zlib = require('zlib');
+
+/* public interface */
+exports.fixtureRoot = mod_path.join(__dirname, 'fixtures', 'local');
+exports.tablesFile = mod_path.join(__dirname, 'fixtures', 'tables.json');
+exports.configFile = mod_path.join(__dirname, 'fixtures', 'config.json');
+exports.runHk = runHk;
+exports.runHkAt = runHkAt;
+exports.copyFixture = copyFixture;
+exports.removeTree = removeTree;
+exports.compressReports = compressReports;
+exports.parseNdjson = parseNdjson;
+
+var hkPath = mod_path.join(__dirname, '..', 'bin', 'manta-hk');
+
+/*
+ * Runs manta-hk against the fixture with the given command-line arguments
+ * (following the global options) and invokes callback(result), where "result"
+ * has "status" (the exit status), "stdout", and "stderr".
+ */
+function runHk(args, callback)
+{
+	runHkAt(exports.fixtureRoot, args, callback);
+}
+
+/*
+ * Like runHk(), but runs manta-hk against the local directory "root" (e.g., a
+ * modified copy of the fixture made with copyFixture()).  If "root" is null,
+ * no --local-root option is given at all (e.g., for profiles that specify
+ * their own).
+ */
+function runHkAt(root, args, callback)
+{
+	var argv, env;
+
+	argv = [ hkPath ];
+	if (root !== null)
+		argv.push('--local-root', root);
+	argv = argv.concat(args);
+	env = {};
+	Object.keys(process.env).forEach(function (key) {
+		if (key.substr(0, 'MANTA_'.length) != 'MANTA_')
+			env[key] = process.env[key];
+	});
+
+	mod_child.execFile(process.execPath, argv, { 'env': env },
+	    function (err, stdout, stderr) {
+		callback({
+		    'status': err ? err.code : 0,
+		    'stdout': stdout,
+		    'stderr': stderr
+		});
+	    });
+}
+
+/*
+ * Copies the fixture into a new temporary directory and returns the path of the
+ * copy, for tests that need to modify it.  The caller should remove the copy
+ * with removeTree() when it's done.
+ */
+function copyFixture()
+{
+	var root = mod_fs.mkdtempSync(mod_path.join(mod_os.tmpdir(),
+	    'manta-hk-test-'));
+
+	copyTree(exports.fixtureRoot, root);
+	return (root);
+}
+
+function copyTree(src, dst)
+{
+	mod_fs.readdirSync(src).forEach(function (name) {
+		var srcpath = mod_path.join(src, name);
+		var dstpath = mod_path.join(dst, name);
+
+		if (mod_fs.statSync(srcpath).isDirectory()) {
+			mod_fs.mkdirSync(dstpath);
+			copyTree(srcpath, dstpath);
+		} else {
+			mod_fs.writeFileSync(dstpath,
+			    mod_fs.readFileSync(srcpath));
+		}
+	});
+}
+
+/*
+ * Removes the directory tree "root".
+ */
+function removeTree(root)
+{
+	mod_fs.readdirSync(root).forEach(function (name) {
+		var path = mod_path.join(root, name);
+
+		if (mod_fs.lstatSync(path).isDirectory())
+			removeTree(path);
+		else
+			mod_fs.unlinkSync(path);
+	});
+
+	mod_fs.rmdirSync(root);
+}
+
+/*
+ * Compresses with gzip (in place, without renaming them) all of the metering
+ * reports for "day" (e.g., "2015/07/13") in the fixture copy at "root".
+ */
+function compressReports(root, day)
+{
+	var usage = mod_path.join(root, 'poseidon', 'stor', 'usage');
+
+	mod_fs.readdirSync(usage).forEach(function (kind) {
+		compressTree(mod_path.join(usage, kind, day));
+	});
+}
+
+function compressTree(dir)
+{
+	mod_fs.readdirSync(dir).forEach(function (name) {
+		var path = mod_path.join(dir, name);
+
+		if (mod_fs.statSync(path).isDirectory())
+			compressTree(path);
+		else
+			mod_fs.writeFileSync(path, mod_zlib.gzipSync(
+			    mod_fs.readFileSync(path)));
+	});
+}
+
+/*
+ * Parses newline-separated JSON records (as emitted with --ndjson).
+ */
+function parseNdjson(text)
+{
+	return (text.split('\n').filter(function (line) {
+		return (line.length > 0);
+	}).map(function (line) {
+		return (JSON.parse(line));
+	}));
+}
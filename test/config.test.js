@@ -0,0 +1,199 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * test/config.test.js: tests for the configuration file and "manta-hk config"
+ * (see test/common.js)
+ */
+
+var mod_fs = require('fs');
+var mod_os = require('os');
+var mod_path = require('path');
+var mod_tape = require('tape');
+
+var common = require('./common');
+
+/*
+ * Writes "contents" to a temporary configuration file, runs manta-hk with it
+ * and the given arguments, removes the file, and invokes callback(result).
+ */
+function runWithConfig(contents, args, callback)
+{
+	var dir, path;
+
+	dir = mod_fs.mkdtempSync(mod_path.join(mod_os.tmpdir(),
+	    'manta-hk-test-'));
+	path = mod_path.join(dir, 'config.json');
+	mod_fs.writeFileSync(path, contents);
+	common.runHk([ '--config', path ].concat(args), function (result) {
+		common.removeTree(dir);
+		callback(result);
+	});
+}
+
+mod_tape('config', function (t) {
+	common.runHk([ '--config', common.configFile, 'config' ],
+	    function (result) {
+		t.equal(result.status, 0);
+		t.equal(result.stdout, [
+		    'Configuration file: ' + common.configFile,
+		    '',
+		    'PROPERTY              SOURCE   VALUE',
+		    'dumpRoot              default  ' +
+			'/poseidon/stor/manatee_backups',
+		    'meteringRoot          default  /poseidon/stor/usage',
+		    'jobsRoot              default  /poseidon/jobs',
+		    'dumpDeadlineMinutes   file     240',
+		    'unpackDelayMinutes    file     120',
+		    'keepDailyDumps        default  30',
+		    'keepMonthlyDumps      default  12',
+		    'minExpectedEntries    file     3',
+		    'maxMissingHours       default  4',
+		    'suspectHourFraction   default  0.1',
+		    'concurrency           default  10',
+		    'requestTimeout        default  60',
+		    'requestRetries        default  3',
+		    'expectedTables        default  none (inferred from dumps)',
+		    'expectedShards        default  none (learned from dumps)',
+		    'rosterBaselineDays    default  30',
+		    'profiles              default  none',
+		    'profileConcurrency    default  2',
+		    'webhookUrl            default  none',
+		    ''
+		].join('\n'));
+		t.end();
+	    });
+});
+
+mod_tape('config --json', function (t) {
+	common.runHk([ '--config', common.configFile, 'config', '--json' ],
+	    function (result) {
+		t.equal(result.status, 0);
+		t.deepEqual(JSON.parse(result.stdout), {
+		    'dumpRoot': '/poseidon/stor/manatee_backups',
+		    'meteringRoot': '/poseidon/stor/usage',
+		    'jobsRoot': '/poseidon/jobs',
+		    'dumpDeadlineMinutes': 240,
+		    'unpackDelayMinutes': 120,
+		    'keepDailyDumps': 30,
+		    'keepMonthlyDumps': 12,
+		    'minExpectedEntries': 3,
+		    'maxMissingHours': 4,
+		    'suspectHourFraction': 0.1,
+		    'concurrency': 10,
+		    'requestTimeout': 60,
+		    'requestRetries': 3,
+		    'expectedTables': null,
+		    'expectedShards': null,
+		    'rosterBaselineDays': 30,
+		    'profiles': {},
+		    'profileConcurrency': 2,
+		    'webhookUrl': null
+		});
+		t.end();
+	    });
+});
+
+mod_tape('verify with a configuration file', function (t) {
+	common.runHk([ '--config', common.configFile, 'verify',
+	    '-d', '2015-07-13', '-D', '4' ], function (result) {
+		t.equal(result.status, 0);
+		t.deepEqual(result.stdout.split('\n').filter(function (line) {
+			return (!/^ +suggestion:/.test(line));
+		}), [
+		    'Manatee dumps: 1 problem',
+		    '    2015-07-13  2.moray: dump is missing',
+		    'Unpacked dump objects: 3 problems',
+		    '    2015-07-11  2.moray: dump has not been unpacked',
+		    '    2015-07-11  3.moray: tables written before the dump ' +
+			'was uploaded: manta, manta_delete_log, manta_storage',
+		    '    2015-07-12  3.moray: empty unpacked table: ' +
+			'manta_storage',
+		    'Metering reports: 3 problems',
+		    '    2015-07-11  summary: summary report has only 1 ' +
+			'entries (expected at least 3)',
+		    '    2015-07-12  compute: compute reports missing for ' +
+			'hour 5',
+		    '    2015-07-13  request: request reports far smaller ' +
+			'than usual for hour 7',
+		    ''
+		], 'later deadlines and fewer expected entries');
+		t.end();
+	    });
+});
+
+mod_tape('config expectedTables', function (t) {
+	var tables = mod_fs.readFileSync(common.tablesFile, 'utf8');
+
+	runWithConfig('{ "expectedTables": ' + tables + ' }',
+	    [ 'dumps', '-d', '2015-07-13', '-D', '2' ], function (result) {
+		common.runHk([ 'dumps', '-d', '2015-07-13', '-D', '2',
+		    '--expected-tables', common.tablesFile ],
+		    function (result2) {
+			t.equal(result.status, 0);
+			t.equal(result.stdout, result2.stdout,
+			    'same as --expected-tables');
+			t.end();
+		    });
+	    });
+});
+
+mod_tape('config with an unknown property', function (t) {
+	runWithConfig('{ "minExpectedEntries": 3, "dumpdeadline": 60 }',
+	    [ 'config' ], function (result) {
+		t.equal(result.status, 1);
+		t.ok(/unknown property "dumpdeadline"/.test(result.stderr),
+		    result.stderr);
+		t.end();
+	    });
+});
+
+mod_tape('config with an invalid value', function (t) {
+	runWithConfig('{ "concurrency": 0 }', [ 'dumps' ], function (result) {
+		t.equal(result.status, 1);
+		t.ok(/property "concurrency": expected a positive integer/.test(
+		    result.stderr), result.stderr);
+		t.end();
+	});
+});
+
+mod_tape('config suspectHourFraction', function (t) {
+	runWithConfig('{ "suspectHourFraction": 0 }', [ 'metering-reports',
+	    '-d', '2015-07-13', '-D', '1', '--check' ], function (result) {
+		t.equal(result.status, 1);
+		t.ok(/ suspect-hours=0;0;;0$/m.test(result.stdout),
+		    'check disabled');
+
+		runWithConfig('{ "suspectHourFraction": 1 }', [ 'dumps' ],
+		    function (result2) {
+			t.equal(result2.status, 1);
+			t.ok(/property "suspectHourFraction": expected a /.test(
+			    result2.stderr), result2.stderr);
+			t.end();
+		    });
+	});
+});
+
+mod_tape('config that is not valid JSON', function (t) {
+	runWithConfig('{ "concurrency": ', [ 'dumps' ], function (result) {
+		t.equal(result.status, 1);
+		t.ok(/parse config/.test(result.stderr), result.stderr);
+		t.end();
+	});
+});
+
+mod_tape('config that does not exist', function (t) {
+	common.runHk([ '--config', common.configFile + '.missing', 'dumps' ],
+	    function (result) {
+		t.equal(result.status, 1);
+		t.ok(/read config/.test(result.stderr), result.stderr);
+		t.end();
+	    });
+});
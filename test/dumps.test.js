@@ -0,0 +1,436 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * test/dumps.test.js: tests for "manta-hk dumps" (see test/common.js)
+ */
+
+var mod_fs = require('fs');
+var mod_path = require('path');
+var mod_tape = require('tape');
+
+var common = require('./common');
+
+/*
+ * Returns the dump record for "shard" on "day" from a list of records.
+ */
+function findDump(records, day, shard)
+{
+	var matches = records.filter(function (r) {
+		return (r.type == 'dump' && r.date == day && r.shard == shard);
+	});
+
+	return (matches.length == 1 ? matches[0] : null);
+}
+
+mod_tape('dumps', function (t) {
+	common.runHk([ 'dumps', '-d', '2015-07-13', '-D', '4' ],
+	    function (result) {
+		var header = 'SHARD            MB  ELAPSED          ENDED  ' +
+		    '#UNPACKED';
+
+		t.equal(result.status, 0);
+		t.deepEqual(result.stdout.split('\n'), [
+		    'Dumps for 2015-07-10     ' + header,
+		    '      1.moray      1   10m00s  00:10:00.000Z  3',
+		    '!     2.moray      1   10m00s  00:10:00.000Z  3',
+		    '              warn: tables unpacked late: manta, ' +
+			'manta_delete_log, manta_storage',
+		    '      3.moray      1   10m00s  00:10:00.000Z  3',
+		    'Dumps for 2015-07-11     ' + header,
+		    '      1.moray      1   10m00s  00:10:00.000Z  3',
+		    '!     2.moray      1   10m00s  00:10:00.000Z  0',
+		    '!     3.moray      1   10m00s  00:10:00.000Z  3',
+		    '              warn: tables written before the dump was ' +
+			'uploaded: manta, manta_delete_log, manta_storage',
+		    'Dumps for 2015-07-12     ' + header,
+		    '      1.moray      1   10m00s  00:10:00.000Z  3',
+		    '*     2.moray      1  180m00s  03:00:00.000Z  3',
+		    '!     3.moray      1   10m00s  00:10:00.000Z  3',
+		    '              warn: empty unpacked tables: manta_storage',
+		    'Dumps for 2015-07-13     ' + header,
+		    '      1.moray      1   10m00s  00:10:00.000Z  3',
+		    '*     2.moray  MISSING',
+		    '      3.moray      1   10m00s  00:10:00.000Z  3',
+		    ''
+		]);
+		t.end();
+	    });
+});
+
+mod_tape('dumps --ndjson', function (t) {
+	common.runHk([ 'dumps', '-d', '2015-07-13', '-D', '4', '--ndjson' ],
+	    function (result) {
+		var records, dump;
+
+		t.equal(result.status, 0);
+		records = common.parseNdjson(result.stdout);
+		t.equal(records.length, 12, 'one record per shard and day');
+
+		[ '2015-07-10', '2015-07-11', '2015-07-12', '2015-07-13' ].
+		    forEach(function (day) {
+			dump = findDump(records, day, '1.moray');
+			t.equal(dump.v, 1);
+			t.ok(dump.found, '1.moray ' + day + ' found');
+			t.ok(dump.unpacked, '1.moray ' + day + ' unpacked');
+			t.notOk(dump.waslate, '1.moray ' + day + ' on time');
+			t.equal(dump.objects.length, 3);
+		    });
+
+		dump = findDump(records, '2015-07-11', '2.moray');
+		t.ok(dump.found);
+		t.notOk(dump.unpacked, 'not unpacked');
+
+		dump = findDump(records, '2015-07-12', '2.moray');
+		t.ok(dump.waslate, 'late dump');
+		t.equal(dump.mtime, '2015-07-12T03:00:00.000Z');
+
+		dump = findDump(records, '2015-07-13', '2.moray');
+		t.notOk(dump.found, 'missing dump');
+
+		dump = findDump(records, '2015-07-13', '3.moray');
+		t.deepEqual(dump.tables,
+		    [ 'manta', 'manta_delete_log', 'manta_storage' ]);
+		t.deepEqual(dump.missingtables, [],
+		    'expected tables are inferred');
+		t.deepEqual(dump.extratables, []);
+		t.end();
+	    });
+});
+
+mod_tape('dumps --expected-tables', function (t) {
+	common.runHk([ 'dumps', '-d', '2015-07-13', '-D', '2',
+	    '--expected-tables', common.tablesFile ], function (result) {
+		t.equal(result.status, 0);
+		t.deepEqual(result.stdout.split('\n').filter(function (line) {
+			return (/3\.moray|warn:/.test(line));
+		}), [
+		    '!     3.moray      1   10m00s  00:10:00.000Z  3',
+		    '              warn: tables not unpacked: manta_uploads',
+		    '              warn: empty unpacked tables: manta_storage',
+		    '!     3.moray      1   10m00s  00:10:00.000Z  3',
+		    '              warn: tables not unpacked: manta_uploads'
+		]);
+		t.end();
+	    });
+});
+
+mod_tape('dumps --expected-tables --ndjson', function (t) {
+	common.runHk([ 'dumps', '-d', '2015-07-13', '-D', '1',
+	    '--expected-tables', common.tablesFile, '--ndjson' ],
+	    function (result) {
+		var records, dump;
+
+		t.equal(result.status, 0);
+		records = common.parseNdjson(result.stdout);
+		dump = findDump(records, '2015-07-13', '3.moray');
+		t.deepEqual(dump.missingtables, [ 'manta_uploads' ]);
+		dump = findDump(records, '2015-07-13', '1.moray');
+		t.deepEqual(dump.missingtables, [],
+		    'other shards\' tables are inferred');
+		t.end();
+	    });
+});
+
+mod_tape('dumps --expected-tables --check', function (t) {
+	common.runHk([ 'dumps', '-d', '2015-07-13', '-D', '2',
+	    '--expected-tables', common.tablesFile, '--check' ],
+	    function (result) {
+		t.equal(result.status, 2, 'critical');
+		t.ok(/^DUMPS CRITICAL - 1 missing dump, 1 late dump, 2 tables /
+		    .test(result.stdout), 'summary line');
+		t.ok(/ partial-unpack=2;;0;0 /.test(result.stdout),
+		    'perfdata');
+		t.end();
+	    });
+});
+
+mod_tape('dumps --expected-tables with a bad file', function (t) {
+	common.runHk([ 'dumps', '-d', '2015-07-13',
+	    '--expected-tables', common.fixtureRoot + '/.manifest.json' ],
+	    function (result) {
+		t.equal(result.status, 1);
+		t.ok(/expected an object mapping shard names to arrays/.test(
+		    result.stderr));
+		t.end();
+	    });
+});
+
+mod_tape('dumps --json', function (t) {
+	common.runHk([ 'dumps', '-d', '2015-07-13', '-D', '4', '--json' ],
+	    function (result) {
+		var records;
+
+		t.equal(result.status, 0);
+		records = JSON.parse(result.stdout);
+		t.ok(Array.isArray(records));
+		t.equal(records.length, 12);
+		t.end();
+	    });
+});
+
+mod_tape('dumps --gnuplot', function (t) {
+	common.runHk([ 'dumps', '-d', '2015-07-13', '-D', '2', '--gnuplot' ],
+	    function (result) {
+		t.equal(result.status, 0);
+		t.ok(/^# == Shard 2\.moray\n2015-07-12  10800\n/m.test(
+		    result.stdout), 'dump time for 2.moray');
+		t.end();
+	    });
+});
+
+mod_tape('dumps --check', function (t) {
+	common.runHk([ 'dumps', '-d', '2015-07-13', '-D', '4', '--check' ],
+	    function (result) {
+		t.equal(result.status, 2, 'critical');
+		t.equal(result.stdout, 'DUMPS CRITICAL - 1 missing dump, ' +
+		    '1 late dump, 1 dump not unpacked, 1 empty unpacked ' +
+		    'table, 3 late unpacked tables, 3 stale unpacked ' +
+		    'tables | missing-dump=1;;0;0 late-dump=1;0;;0 ' +
+		    'corrupt-dump=0;;0;0 not-unpacked=1;;0;0 ' +
+		    'partial-unpack=0;;0;0 ' +
+		    'empty-table=1;;0;0 small-table=0;0;;0 ' +
+		    'late-unpack=3;0;;0 early-unpack=3;0;;0\n');
+		t.end();
+	    });
+});
+
+mod_tape('dumps --check (no problems)', function (t) {
+	common.runHk([ 'dumps', '-d', '2015-07-13', '-D', '4', '-s',
+	    '1.moray', '--check' ], function (result) {
+		t.equal(result.status, 0, 'ok');
+		t.ok(/^DUMPS OK - no problems found \|/.test(result.stdout));
+		t.end();
+	    });
+});
+
+mod_tape('dumps --check with --check-level', function (t) {
+	common.runHk([ 'dumps', '-d', '2015-07-13', '-D', '4', '--check',
+	    '--check-level', 'missing-dump=warning',
+	    '--check-level', 'not-unpacked=ignore',
+	    '--check-level', 'empty-table=warning' ], function (result) {
+		t.equal(result.status, 1, 'warning');
+		t.ok(/^DUMPS WARNING - 1 missing dump, 1 late dump, /.test(
+		    result.stdout));
+		t.ok(/ not-unpacked=1;;;0 /.test(result.stdout),
+		    'ignored conditions are still reported as perfdata');
+		t.end();
+	    });
+});
+
+mod_tape('dumps --check with a bad --check-level', function (t) {
+	common.runHk([ 'dumps', '-d', '2015-07-13', '--check',
+	    '--check-level', 'bogus' ], function (result) {
+		t.equal(result.status, 3, 'usage errors are UNKNOWN');
+		t.end();
+	    });
+});
+
+mod_tape('dumps --check with another output mode', function (t) {
+	common.runHk([ 'dumps', '-d', '2015-07-13', '--check', '--json' ],
+	    function (result) {
+		t.equal(result.status, 3, 'usage errors are UNKNOWN');
+		t.end();
+	    });
+});
+
+mod_tape('dumps with conflicting output modes', function (t) {
+	common.runHk([ 'dumps', '-d', '2015-07-13', '--json', '--ndjson' ],
+	    function (result) {
+		t.equal(result.status, 2);
+		t.end();
+	    });
+});
+
+mod_tape('dumps with ad-hoc and duplicate dumps', function (t) {
+	var root, manifest, dir;
+
+	/*
+	 * Add a second dump to 1.moray's 00 hour directory and an ad-hoc dump
+	 * in hour 14, neither of them unpacked.
+	 */
+	root = common.copyFixture();
+	dir = '/poseidon/stor/manatee_backups/1.moray/2015/07/13';
+	manifest = JSON.parse(mod_fs.readFileSync(
+	    mod_path.join(root, '.manifest.json')));
+	mod_fs.mkdirSync(mod_path.join(root, dir, '14'));
+	[ [ '00', '00-40-00', '2015-07-13T00:50:00.000Z' ],
+	  [ '14', '14-02-00', '2015-07-13T14:20:00.000Z' ] ].forEach(
+	    function (extra) {
+		var path = dir + '/' + extra[0] + '/moray-2015-07-13-' +
+		    extra[1] + '.gz';
+		mod_fs.writeFileSync(mod_path.join(root, path), 'dump');
+		manifest[path] = { 'mtime': extra[2] };
+	    });
+	mod_fs.writeFileSync(mod_path.join(root, '.manifest.json'),
+	    JSON.stringify(manifest));
+
+	common.runHkAt(root, [ 'dumps', '-d', '2015-07-13', '-D', '1',
+	    '-s', '1.moray' ], function (result) {
+		var lines;
+
+		t.equal(result.status, 0);
+		lines = result.stdout.split('\n');
+		t.deepEqual(lines.slice(-6), [
+		    '      1.moray      1   10m00s  00:10:00.000Z  3',
+		    '+!    1.moray      1   50m00s  00:50:00.000Z  0',
+		    '              note: duplicate dump ' +
+			'"moray-2015-07-13-00-40-00.gz" (hour 00), ' +
+			'not unpacked',
+		    '+!    1.moray      1   20m00s  14:20:00.000Z  0',
+		    '              note: ad-hoc dump ' +
+			'"moray-2015-07-13-14-02-00.gz" (hour 14), ' +
+			'not unpacked',
+		    ''
+		]);
+
+		common.runHkAt(root, [ 'dumps', '-d', '2015-07-13', '-D',
+		    '1', '-s', '1.moray', '--ndjson' ], function (result2) {
+			var dump;
+
+			t.equal(result2.status, 0);
+			dump = findDump(common.parseNdjson(result2.stdout),
+			    '2015-07-13', '1.moray');
+			t.equal(dump.name, 'moray-2015-07-13-00-00-01.gz',
+			    'the 00 hour dump is still the primary one');
+			t.deepEqual(dump.extras.map(function (e) {
+				return ([ e.hour, e.kind, e.name, e.unpacked ]);
+			}), [
+			    [ 0, 'duplicate',
+				'moray-2015-07-13-00-40-00.gz', false ],
+			    [ 14, 'ad-hoc',
+				'moray-2015-07-13-14-02-00.gz', false ]
+			]);
+
+			common.runHkAt(root, [ 'dumps', '-d', '2015-07-13',
+			    '-D', '1', '-s', '1.moray', '--check' ],
+			    function (result3) {
+				t.equal(result3.status, 0,
+				    'extra dumps are not problems');
+				common.removeTree(root);
+				t.end();
+			    });
+		    });
+	    });
+});
+
+mod_tape('dumps --verbose', function (t) {
+	common.runHk([ 'dumps', '-d', '2015-07-12', '-D', '1', '-s',
+	    '3.moray', '--verbose' ], function (result) {
+		t.equal(result.status, 0);
+		t.deepEqual(result.stdout.split('\n').slice(1), [
+		    '!     3.moray      1   10m00s  00:10:00.000Z  3',
+		    '              warn: empty unpacked tables: manta_storage',
+		    '              TABLE                   BYTES        ' +
+			'WRITTEN     DELAY  ISSUES',
+		    '              manta                     200  ' +
+			'00:30:00.000Z    20m00s  -',
+		    '              manta_delete_log          200  ' +
+			'00:30:00.000Z    20m00s  -',
+		    '              manta_storage               0  ' +
+			'00:30:00.000Z    20m00s  empty',
+		    ''
+		]);
+		t.end();
+	    });
+});
+
+mod_tape('dumps --ndjson unpacked objects', function (t) {
+	common.runHk([ 'dumps', '-d', '2015-07-11', '-D', '2', '-s',
+	    '3.moray', '--ndjson' ], function (result) {
+		var records;
+
+		t.equal(result.status, 0);
+		records = common.parseNdjson(result.stdout);
+		t.deepEqual(findDump(records, '2015-07-11', '3.moray')
+		    .unpackedobjects.map(function (obj) {
+			return ([ obj.table, obj.delay, obj.issues ]);
+		    }), [
+		    [ 'manta', -4200000, [ 'early' ] ],
+		    [ 'manta_delete_log', -4200000, [ 'early' ] ],
+		    [ 'manta_storage', -4200000, [ 'early' ] ]
+		]);
+		t.deepEqual(findDump(records, '2015-07-10', '3.moray')
+		    .unpackedobjects.map(function (obj) {
+			return (obj.issues);
+		    }), [ [], [], [] ], 'no issues');
+		t.end();
+	    });
+});
+
+mod_tape('dumps with a small unpacked table', function (t) {
+	var root, manifest, path;
+
+	/*
+	 * Shrink 1.moray's last "manta" table to well under the usual size.
+	 */
+	root = common.copyFixture();
+	manifest = JSON.parse(mod_fs.readFileSync(
+	    mod_path.join(root, '.manifest.json')));
+	path = '/poseidon/stor/manatee_backups/1.moray/2015/07/13/00/' +
+	    'manta-2015-07-13-00-00-01.gz';
+	manifest[path].size = 10;
+	mod_fs.writeFileSync(mod_path.join(root, '.manifest.json'),
+	    JSON.stringify(manifest));
+
+	common.runHkAt(root, [ 'dumps', '-d', '2015-07-13', '-D', '4',
+	    '-s', '1.moray' ], function (result) {
+		t.equal(result.status, 0);
+		t.deepEqual(result.stdout.split('\n').slice(-3), [
+		    '!     1.moray      1   10m00s  00:10:00.000Z  3',
+		    '              warn: unusually small unpacked tables: ' +
+			'manta',
+		    ''
+		]);
+
+		common.runHkAt(root, [ 'dumps', '-d', '2015-07-13', '-D',
+		    '4', '-s', '1.moray', '--check' ], function (result2) {
+			t.equal(result2.status, 1, 'warning');
+			t.ok(/^DUMPS WARNING - 1 undersized unpacked table \|/
+			    .test(result2.stdout), result2.stdout);
+			t.ok(/ small-table=1;0;;0 /.test(result2.stdout));
+			common.removeTree(root);
+			t.end();
+		    });
+	    });
+});
+
+mod_tape('dumps --html', function (t) {
+	common.runHk([ 'dumps', '-d', '2015-07-13', '-D', '4', '--html' ],
+	    function (result) {
+		var out = result.stdout;
+
+		t.equal(result.status, 0);
+		t.ok(/^<!DOCTYPE html>/i.test(out), 'standalone document');
+		t.ok(/<\/html>\n$/.test(out), 'complete document');
+		t.equal(out.match(/<svg/g).length, 4, 'charts are inline SVG');
+		t.equal(out.indexOf('<script'), -1, 'no scripts');
+		t.equal(out.indexOf(' src='), -1, 'no external resources');
+		t.ok(out.indexOf('<title>2.moray 2015-07-11: ' +
+		    'dump has not been unpacked</title>') != -1,
+		    'dump status for 2.moray');
+		t.ok(out.indexOf('<title>2015-07-12 compute report ' +
+		    'for hour 05: missing</title>') != -1,
+		    'metering report status');
+		t.ok(out.indexOf('<td>2015-07-13</td><td>2.moray</td>' +
+		    '<td>dump is missing</td>') != -1, 'problems');
+		t.equal(out.match(/<tr><td>/g).length, 16,
+		    'same problems as "verify"');
+		t.end();
+	    });
+});
+
+mod_tape('dumps --html with another output mode', function (t) {
+	common.runHk([ 'dumps', '-d', '2015-07-13', '--html', '--json' ],
+	    function (result) {
+		t.equal(result.status, 2);
+		t.end();
+	    });
+});
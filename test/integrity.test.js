@@ -0,0 +1,157 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * test/integrity.test.js: tests for "manta-hk dumps --verify-integrity" (see
+ * test/common.js)
+ *
+ * In the fixture, 3.moray's dump for 2015-07-13 has a damaged gzip header.
+ */
+
+var mod_crypto = require('crypto');
+var mod_fs = require('fs');
+var mod_path = require('path');
+var mod_tape = require('tape');
+var mod_zlib = require('zlib');
+
+var common = require('./common');
+
+var dumpPath = '/poseidon/stor/manatee_backups/1.moray/2015/07/13/00/' +
+    'moray-2015-07-13-00-00-01.gz';
+
+/*
+ * Returns the integrity results from "dumps --ndjson" output, keyed by shard.
+ */
+function integrityByShard(output)
+{
+	var rv = {};
+
+	common.parseNdjson(output).forEach(function (record) {
+		rv[record.shard] = record.integrity;
+	});
+
+	return (rv);
+}
+
+/*
+ * Makes a copy of the fixture in which 1.moray's dump for 2015-07-13 has the
+ * contents "contents" and invokes callback(root).
+ */
+function withDump(contents, callback)
+{
+	var root = common.copyFixture();
+
+	mod_fs.writeFileSync(mod_path.join(root, dumpPath), contents);
+	callback(root);
+}
+
+mod_tape('dumps --verify-integrity', function (t) {
+	common.runHk([ 'dumps', '-d', '2015-07-13', '-D', '1',
+	    '--verify-integrity' ], function (result) {
+		t.equal(result.status, 0);
+		t.deepEqual(result.stdout.split('\n').slice(-3), [
+		    '!     3.moray      1   10m00s  00:10:00.000Z  3',
+		    '              warn: integrity: object does not start ' +
+			'with the gzip magic number',
+		    ''
+		]);
+		t.end();
+	    });
+});
+
+mod_tape('dumps --verify-integrity --ndjson', function (t) {
+	common.runHk([ 'dumps', '-d', '2015-07-13', '-D', '1',
+	    '--verify-integrity', '--ndjson' ], function (result) {
+		var integrity;
+
+		t.equal(result.status, 0);
+		integrity = integrityByShard(result.stdout);
+		t.equal(integrity['1.moray'].mode, 'header');
+		t.equal(integrity['1.moray'].usize, 31,
+		    'uncompressed size from the trailer');
+		t.equal(typeof (integrity['1.moray'].md5), 'string');
+		t.deepEqual(integrity['1.moray'].problems, []);
+		t.equal(integrity['2.moray'], null, 'missing dump');
+		t.deepEqual(integrity['3.moray'].problems, [
+		    'object does not start with the gzip magic number'
+		]);
+		t.end();
+	    });
+});
+
+mod_tape('dumps --decompress', function (t) {
+	common.runHk([ 'dumps', '-d', '2015-07-13', '-D', '1',
+	    '--decompress', '--ndjson' ], function (result) {
+		var integrity;
+
+		t.equal(result.status, 0);
+		integrity = integrityByShard(result.stdout);
+		t.equal(integrity['1.moray'].mode, 'full');
+		t.equal(integrity['1.moray'].usize, 31);
+		t.deepEqual(integrity['1.moray'].problems, []);
+		t.deepEqual(integrity['3.moray'].problems, [
+		    'object does not start with the gzip magic number',
+		    'decompression failed: incorrect header check'
+		]);
+		t.end();
+	    });
+});
+
+mod_tape('dumps --verify-integrity --check', function (t) {
+	common.runHk([ 'dumps', '-d', '2015-07-13', '-D', '1', '-s',
+	    '3.moray', '--verify-integrity', '--check' ], function (result) {
+		t.equal(result.status, 2, 'critical');
+		t.ok(/^DUMPS CRITICAL - 1 corrupt dump \|/.test(result.stdout),
+		    result.stdout);
+		t.ok(/ corrupt-dump=1;;0;0 /.test(result.stdout));
+		t.end();
+	    });
+});
+
+mod_tape('dumps --verify-integrity: trailer size wrapped around', function (t) {
+	var dump;
+
+	/*
+	 * The trailer records the uncompressed size modulo 2^32, so a healthy
+	 * dump of more than 4GB of data can record less than its compressed
+	 * size.  Simulate that with incompressible data.
+	 */
+	dump = mod_zlib.gzipSync(mod_crypto.randomBytes(4096));
+	dump.writeUInt32LE(1, dump.length - 4);
+	withDump(dump, function (root) {
+		common.runHkAt(root, [ 'dumps', '-d', '2015-07-13', '-D', '1',
+		    '-s', '1.moray', '--verify-integrity', '--ndjson' ],
+		    function (result) {
+			var integrity;
+
+			t.equal(result.status, 0);
+			integrity = integrityByShard(result.stdout)['1.moray'];
+			t.equal(integrity.usize, 1);
+			t.deepEqual(integrity.problems, [], 'not a problem');
+			common.removeTree(root);
+			t.end();
+		    });
+	});
+});
+
+mod_tape('dumps --verify-integrity: empty trailer size', function (t) {
+	withDump(mod_zlib.gzipSync(new Buffer(0)), function (root) {
+		common.runHkAt(root, [ 'dumps', '-d', '2015-07-13', '-D', '1',
+		    '-s', '1.moray', '--verify-integrity', '--ndjson' ],
+		    function (result) {
+			t.equal(result.status, 0);
+			t.deepEqual(integrityByShard(result.stdout)['1.moray']
+			    .problems, [ 'gzip trailer records no ' +
+			    'uncompressed data' ]);
+			common.removeTree(root);
+			t.end();
+		    });
+	});
+});
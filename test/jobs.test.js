@@ -0,0 +1,88 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * test/jobs.test.js: tests for the subcommands that report on housekeeping
+ * jobs (see test/common.js)
+ */
+
+var mod_tape = require('tape');
+
+var common = require('./common');
+
+var header = '    JOBID                                     START        END' +
+    '   ELAPSED  STATE         IN    OUT    ERR  NAME';
+
+mod_tape('gc', function (t) {
+	common.runHk([ 'gc', '-d', '2015-07-13', '-D', '2' ],
+	    function (result) {
+		t.equal(result.status, 0);
+		t.deepEqual(result.stdout.split('\n'), [
+		    'gc jobs created on 2015-07-12',
+		    header,
+		    '    0a1b2c3d-1111-4444-8888-000000000001  01:00:00Z  ' +
+			'01:12:33Z    12m33s  done          14      3' +
+			'      0  manta_gc_2015-07-12',
+		    'gc jobs created on 2015-07-13',
+		    header,
+		    '    0a1b2c3d-1111-4444-8888-000000000002  01:00:02Z  ' +
+			'01:31:10Z    31m08s  done          14      3' +
+			'      7  manta_gc_2015-07-13',
+		    '                                          error: user ' +
+			'command exited with code 1',
+		    '                                          error: user ' +
+			'command exited with code 2',
+		    '                                          error: user ' +
+			'command exited with code 3',
+		    '                                          error: user ' +
+			'command exited with code 4',
+		    '                                          error: user ' +
+			'command exited with code 5',
+		    '                                          and 2 more ' +
+			'errors',
+		    ''
+		]);
+		t.end();
+	    });
+});
+
+mod_tape('gc (old jobs)', function (t) {
+	common.runHk([ 'gc', '-d', '2015-07-01', '-D', '1' ],
+	    function (result) {
+		t.equal(result.status, 0);
+		t.ok(/^    0a1b2c3d-1111-4444-8888-000000000004 /m.test(
+		    result.stdout), 'found by its directory\'s mtime');
+		t.end();
+	    });
+});
+
+mod_tape('metering', function (t) {
+	common.runHk([ 'metering', '-d', '2015-07-13', '-D', '2' ],
+	    function (result) {
+		t.equal(result.status, 0);
+		t.deepEqual(result.stdout.split('\n').slice(0, 3), [
+		    'metering jobs created on 2015-07-12: none found',
+		    'metering jobs created on 2015-07-13',
+		    header
+		]);
+		t.ok(/  metering-storage-2015-07-13$/m.test(result.stdout));
+		t.end();
+	    });
+});
+
+mod_tape('audit (no jobs)', function (t) {
+	common.runHk([ 'audit', '-d', '2015-07-13', '-D', '1' ],
+	    function (result) {
+		t.equal(result.status, 0);
+		t.equal(result.stdout,
+		    'audit jobs created on 2015-07-13: none found\n');
+		t.end();
+	    });
+});
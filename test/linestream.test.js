@@ -0,0 +1,166 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * test/linestream.test.js: tests for lib/linestream.js
+ */
+
+var mod_stream = require('stream');
+var mod_tape = require('tape');
+var mod_zlib = require('zlib');
+
+var mod_linestream = require('../lib/linestream');
+
+/*
+ * Returns a stand-in for a Manta client whose get() returns a stream that
+ * emits "chunks" (an array of Buffers) as separate chunks.
+ */
+function fakeManta(chunks)
+{
+	return ({
+	    'get': function (path, callback) {
+		var stream = new mod_stream.PassThrough();
+
+		callback(null, stream);
+		chunks.forEach(function (chunk) {
+			stream.write(chunk);
+		});
+		stream.end();
+	    }
+	});
+}
+
+/*
+ * Splits the Buffer "buf" into chunks of "size" bytes.
+ */
+function splitBuffer(buf, size)
+{
+	var chunks = [];
+	var i;
+
+	for (i = 0; i < buf.length; i += size)
+		chunks.push(buf.slice(i, i + size));
+	return (chunks);
+}
+
+/*
+ * Reads "chunks" with readLines() and invokes callback(err, result, lines).
+ */
+function read(chunks, callback)
+{
+	var lines = [];
+
+	mod_linestream.readLines({
+	    'manta': fakeManta(chunks),
+	    'path': '/poseidon/stor/usage/test.json',
+	    'online': function (line, i) {
+		lines.push([ i, line ]);
+	    }
+	}, function (err, result) {
+		callback(err, result, lines);
+	});
+}
+
+mod_tape('lines split across chunks', function (t) {
+	var text = 'first line\nsecond line\n\nlast line\n';
+
+	read(splitBuffer(new Buffer(text), 3), function (err, result, lines) {
+		t.error(err);
+		t.deepEqual(result, {
+		    'lines': 4,
+		    'bytes': text.length,
+		    'ubytes': text.length,
+		    'compressed': false
+		});
+		t.deepEqual(lines, [
+		    [ 0, 'first line' ],
+		    [ 1, 'second line' ],
+		    [ 2, '' ],
+		    [ 3, 'last line' ]
+		]);
+		t.end();
+	});
+});
+
+mod_tape('final line without a newline', function (t) {
+	read([ new Buffer('one\ntwo') ], function (err, result, lines) {
+		t.error(err);
+		t.equal(result.lines, 1, 'only complete lines are counted');
+		t.deepEqual(lines, [ [ 0, 'one' ], [ 1, 'two' ] ]);
+		t.end();
+	});
+});
+
+mod_tape('multi-byte characters split across chunks', function (t) {
+	var text = '{"owner":"été ☃ 😀"}\nnext\n';
+	var buf = new Buffer(text, 'utf8');
+
+	/* Chunks of 1 byte split every multi-byte character. */
+	read(splitBuffer(buf, 1), function (err, result, lines) {
+		t.error(err);
+		t.equal(result.bytes, buf.length);
+		t.deepEqual(lines, [
+		    [ 0, '{"owner":"été ☃ 😀"}' ],
+		    [ 1, 'next' ]
+		]);
+		t.end();
+	});
+});
+
+mod_tape('gzip-compressed object', function (t) {
+	var text = 'alpha\nbeta\ngamma\n';
+	var gz = mod_zlib.gzipSync(new Buffer(text));
+
+	/* A 1-byte first chunk exercises detection of the gzip header. */
+	read([ gz.slice(0, 1) ].concat(splitBuffer(gz.slice(1), 7)),
+	    function (err, result, lines) {
+		t.error(err);
+		t.deepEqual(result, {
+		    'lines': 3,
+		    'bytes': gz.length,
+		    'ubytes': text.length,
+		    'compressed': true
+		});
+		t.deepEqual(lines, [
+		    [ 0, 'alpha' ], [ 1, 'beta' ], [ 2, 'gamma' ]
+		]);
+		t.end();
+	    });
+});
+
+mod_tape('corrupt gzip-compressed object', function (t) {
+	var gz = mod_zlib.gzipSync(new Buffer('alpha\nbeta\n'));
+
+	gz[12] ^= 0xff;
+	read([ gz ], function (err) {
+		t.ok(err, 'error');
+		t.ok(/decompress "\/poseidon\/stor\/usage\/test.json"/.test(
+		    err.message), err.message);
+		t.end();
+	});
+});
+
+mod_tape('object shorter than the gzip header', function (t) {
+	read([ new Buffer('x') ], function (err, result, lines) {
+		t.error(err);
+		t.equal(result.compressed, false);
+		t.deepEqual(lines, [ [ 0, 'x' ] ]);
+		t.end();
+	});
+});
+
+mod_tape('empty object', function (t) {
+	read([], function (err, result, lines) {
+		t.error(err);
+		t.equal(result.lines, 0);
+		t.deepEqual(lines, []);
+		t.end();
+	});
+});
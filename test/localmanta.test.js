@@ -0,0 +1,128 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * test/localmanta.test.js: tests for the local Manta stand-in
+ */
+
+var mod_bunyan = require('bunyan');
+var mod_tape = require('tape');
+
+var common = require('./common');
+var mod_localmanta = require('../lib/localmanta');
+
+var client = mod_localmanta.createClient({
+    'root': common.fixtureRoot,
+    'log': mod_bunyan.createLogger({ 'name': 'test', 'level': 'fatal' })
+});
+
+var hourdir = '/poseidon/stor/usage/request/2015/07/13/07';
+
+mod_tape('ls', function (t) {
+	client.ls(hourdir, function (err, emitter) {
+		var entries = [];
+
+		t.error(err);
+		emitter.on('entry', function (entry) { entries.push(entry); });
+		emitter.on('end', function () {
+			t.deepEqual(entries, [ {
+			    'name': 'h07.json',
+			    'parent': hourdir,
+			    'type': 'object',
+			    'size': 5,
+			    'mtime': '2015-07-13T08:10:00.000Z'
+			} ], 'size and mtime come from the manifest');
+			t.end();
+		});
+	});
+});
+
+mod_tape('ls (directories)', function (t) {
+	client.ls('/poseidon/stor/manatee_backups', function (err, emitter) {
+		var names = [];
+
+		t.error(err);
+		emitter.on('directory', function (entry) {
+			names.push(entry.name);
+		});
+		emitter.on('end', function () {
+			t.deepEqual(names, [ '1.moray', '2.moray', '3.moray' ]);
+			t.end();
+		});
+	});
+});
+
+mod_tape('ls (directory mtimes)', function (t) {
+	client.ls('/poseidon/jobs', function (err, emitter) {
+		var mtimes = {};
+
+		t.error(err);
+		emitter.on('directory', function (entry) {
+			mtimes[entry.name] = entry.mtime;
+		});
+		emitter.on('end', function () {
+			t.equal(mtimes['0a1b2c3d-1111-4444-8888-000000000001'],
+			    '2015-07-12T01:13:33.000Z');
+			t.end();
+		});
+	});
+});
+
+mod_tape('ls (not found)', function (t) {
+	client.ls('/poseidon/stor/nonexistent', function (err) {
+		t.equal(err.name, 'NotFoundError');
+		t.end();
+	});
+});
+
+mod_tape('get', function (t) {
+	client.get(hourdir + '/h07.json', function (err, stream) {
+		var data = '';
+
+		t.error(err);
+		stream.on('data', function (chunk) { data += chunk; });
+		stream.on('end', function () {
+			t.equal(data.split('\n').length, 4,
+			    'contents come from the local file');
+			t.end();
+		});
+	});
+});
+
+mod_tape('get (not found)', function (t) {
+	client.get(hourdir + '/h08.json', function (err) {
+		t.equal(err.name, 'ResourceNotFoundError');
+		t.end();
+	});
+});
+
+mod_tape('get (directory)', function (t) {
+	client.get(hourdir, function (err) {
+		t.equal(err.name, 'NotAnObjectError');
+		t.end();
+	});
+});
+
+mod_tape('info', function (t) {
+	client.info(hourdir + '/h07.json', function (err, info) {
+		t.error(err);
+		t.equal(info.size, 5);
+		t.equal(info.headers['last-modified'],
+		    'Mon, 13 Jul 2015 08:10:00 GMT');
+		t.end();
+	});
+});
+
+mod_tape('info (not found)', function (t) {
+	client.info(hourdir + '/h08.json', function (err) {
+		t.equal(err.name, 'NotFoundError');
+		t.end();
+	});
+});
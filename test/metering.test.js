@@ -0,0 +1,193 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * test/metering.test.js: tests for "manta-hk metering-reports" (see
+ * test/common.js)
+ */
+
+var mod_fs = require('fs');
+var mod_path = require('path');
+var mod_tape = require('tape');
+
+var common = require('./common');
+
+/*
+ * Returns the record for reports of kind "kind" on "day" from a list of
+ * records.
+ */
+function findReport(records, day, kind)
+{
+	var matches = records.filter(function (r) {
+		return (r.type == 'metering' && r.date == day &&
+		    r.kind == kind);
+	});
+
+	return (matches.length == 1 ? matches[0] : null);
+}
+
+mod_tape('metering-reports', function (t) {
+	common.runHk([ 'metering-reports', '-d', '2015-07-12', '-D', '1' ],
+	    function (result) {
+		t.equal(result.status, 0);
+		t.deepEqual(result.stdout.split('\n'), [
+		    'Metering reports for 2015-07-12',
+		    '     summary report:  3 entries (looks too small)',
+		    '     storage report:  3 entries (looks too small)',
+		    '    compute reports:  23/24 present (hours missing: 5)',
+		    '    request reports:  24/24 present',
+		    ''
+		]);
+		t.end();
+	    });
+});
+
+mod_tape('metering-reports --ndjson', function (t) {
+	common.runHk([ 'metering-reports', '-d', '2015-07-13', '-D', '4',
+	    '--ndjson' ], function (result) {
+		var records, report;
+
+		t.equal(result.status, 0);
+		records = common.parseNdjson(result.stdout);
+		t.equal(records.length, 16, 'one record per kind and day');
+
+		report = findReport(records, '2015-07-11', 'summary');
+		t.ok(report.present);
+		t.equal(report.entries, 1);
+
+		report = findReport(records, '2015-07-12', 'compute');
+		t.equal(report.hours, 23);
+		t.deepEqual(report.missing, [ 5 ]);
+
+		report = findReport(records, '2015-07-13', 'request');
+		t.equal(report.hours, 24);
+		t.deepEqual(report.missing, []);
+		t.deepEqual(report.suspect, [ 7 ]);
+		t.end();
+	    });
+});
+
+mod_tape('metering-reports (suspect hour)', function (t) {
+	/*
+	 * In the fixture, the request report for 2015-07-13 hour 07 is only 5
+	 * bytes.  It's compared with the same hour on the days before the
+	 * range.
+	 */
+	common.runHk([ 'metering-reports', '-d', '2015-07-13', '-D', '1',
+	    '--verbose' ], function (result) {
+		t.equal(result.status, 0);
+		t.deepEqual(result.stdout.split('\n').slice(3, 6), [
+		    '    compute reports:  24/24 present',
+		    '    request reports:  23/24 present',
+		    '                      hour 07 - suspect (5 bytes, ' +
+			'usually 492 bytes)'
+		]);
+		t.end();
+	    });
+});
+
+mod_tape('metering-reports --check', function (t) {
+	common.runHk([ 'metering-reports', '-d', '2015-07-13', '-D', '4',
+	    '--check' ], function (result) {
+		t.equal(result.status, 1, 'warning');
+		t.ok(/^METERING WARNING - 8 undersized daily reports, /.test(
+		    result.stdout));
+		t.end();
+	    });
+});
+
+mod_tape('metering-reports (nonexistent days)', function (t) {
+	common.runHk([ 'metering-reports', '-d', '2015-07-20', '-D', '1',
+	    '--check' ], function (result) {
+		t.equal(result.status, 2, 'critical');
+		t.ok(/^METERING CRITICAL - 2 missing daily reports, /.test(
+		    result.stdout));
+		t.end();
+	    });
+});
+
+mod_tape('metering-reports --validate', function (t) {
+	common.runHk([ 'metering-reports', '-d', '2015-07-13', '-D', '1',
+	    '--validate' ], function (result) {
+		t.equal(result.status, 0);
+		t.deepEqual(result.stdout.split('\n').slice(5), [
+		    '   summary contents:  3 records valid',
+		    '   storage contents:  3 records valid',
+		    '   compute contents:  72 records valid',
+		    '   request contents:  72 records valid',
+		    ''
+		]);
+		t.end();
+	    });
+});
+
+mod_tape('metering-reports --validate (compressed reports)', function (t) {
+	var root = common.copyFixture();
+
+	common.compressReports(root, '2015/07/13');
+	common.runHkAt(root, [ 'metering-reports', '-d', '2015-07-13', '-D',
+	    '1', '--validate' ], function (result) {
+		t.equal(result.status, 0);
+		t.deepEqual(result.stdout.split('\n').slice(5), [
+		    '   summary contents:  3 records valid',
+		    '   storage contents:  3 records valid',
+		    '   compute contents:  72 records valid',
+		    '   request contents:  72 records valid',
+		    ''
+		]);
+		common.removeTree(root);
+		t.end();
+	    });
+});
+
+mod_tape('metering-reports --validate (invalid records)', function (t) {
+	var root, path, lines;
+
+	/*
+	 * Damage the request report for 2015-07-13 hour 02: the first record
+	 * is not JSON, the second has a bogus owner, and the third has the
+	 * first record's owner and a date outside the hour.
+	 */
+	root = common.copyFixture();
+	path = mod_path.join(root,
+	    'poseidon/stor/usage/request/2015/07/13/02/h02.json');
+	lines = mod_fs.readFileSync(path, 'utf8').split('\n');
+	lines.pop();
+	lines[0] = lines[0].substr(1);
+	lines[1] = lines[1].replace(/"owner":"[^"]*"/, '"owner":"nobody"');
+	lines[2] = lines[2].replace(/"owner":"[^"]*"/,
+	    '"owner":"a0000000-0000-4000-8000-000000000001"').replace(
+	    /"date":"[^"]*"/, '"date":"2015-07-13T03:00:00.000Z"');
+	lines.push(lines[2]);
+	mod_fs.writeFileSync(path, lines.join('\n') + '\n');
+
+	common.runHkAt(root, [ 'metering-reports', '-d', '2015-07-13', '-D',
+	    '1', '--validate', '--ndjson' ], function (result) {
+		var report;
+
+		t.equal(result.status, 0);
+		report = findReport(common.parseNdjson(result.stdout),
+		    '2015-07-13', 'request');
+		t.deepEqual(report.validation, {
+		    'records': 73,
+		    'malformed': 2,
+		    'duplicates': 1,
+		    'outofrange': 2
+		});
+
+		common.runHkAt(root, [ 'metering-reports', '-d', '2015-07-13',
+		    '-D', '1', '--validate', '--check' ], function (result2) {
+			t.equal(result2.status, 2, 'critical');
+			t.ok(/ invalid-report=5;;0;0/.test(result2.stdout));
+			common.removeTree(root);
+			t.end();
+		    });
+	    });
+});
@@ -0,0 +1,195 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * test/profiles.test.js: tests for deployment profiles (see test/common.js)
+ *
+ * Both profiles ("east" and "west") use the fixture, but "west" has a later
+ * dump deadline, so 2.moray's dump on 2015-07-12 is only late in "east".
+ */
+
+var mod_fs = require('fs');
+var mod_os = require('os');
+var mod_path = require('path');
+var mod_tape = require('tape');
+
+var common = require('./common');
+
+var configDir, configPath;
+
+/*
+ * Runs manta-hk with the profiles configuration and the given arguments.
+ */
+function runProfiles(args, callback)
+{
+	common.runHkAt(null, [ '--config', configPath ].concat(args),
+	    callback);
+}
+
+mod_tape('setup', function (t) {
+	configDir = mod_fs.mkdtempSync(mod_path.join(mod_os.tmpdir(),
+	    'manta-hk-test-'));
+	configPath = mod_path.join(configDir, 'config.json');
+	mod_fs.writeFileSync(configPath, JSON.stringify({
+	    'minExpectedEntries': 3,
+	    'profiles': {
+		'east': {
+		    'localRoot': common.fixtureRoot
+		},
+		'west': {
+		    'localRoot': common.fixtureRoot,
+		    'dumpDeadlineMinutes': 240
+		}
+	    }
+	}));
+	t.end();
+});
+
+mod_tape('dumps with several profiles', function (t) {
+	runProfiles([ '--all-profiles', 'dumps', '-d', '2015-07-12',
+	    '-D', '1' ], function (result) {
+		t.equal(result.status, 0);
+		t.equal(result.stdout, [
+		    'Dumps for 2015-07-12     REGION  SHARD     MB  ELAPSED' +
+			'          ENDED  #UNPACKED',
+		    '      east  1.moray      1   10m00s  00:10:00.000Z  3',
+		    '*     east  2.moray      1  180m00s  03:00:00.000Z  3',
+		    '!     east  3.moray      1   10m00s  00:10:00.000Z  3',
+		    '                    warn: empty unpacked tables: ' +
+			'manta_storage',
+		    '      west  1.moray      1   10m00s  00:10:00.000Z  3',
+		    '      west  2.moray      1  180m00s  03:00:00.000Z  3',
+		    '                    warn: dump finished only 60 ' +
+			'minutes before the deadline',
+		    '!     west  3.moray      1   10m00s  00:10:00.000Z  3',
+		    '                    warn: empty unpacked tables: ' +
+			'manta_storage',
+		    '',
+		    'Summary by region:',
+		    '    east  DUMPS CRITICAL - 1 late dump, ' +
+			'1 empty unpacked table',
+		    '    west  DUMPS CRITICAL - 1 empty unpacked table',
+		    ''
+		].join('\n'));
+		t.end();
+	    });
+});
+
+mod_tape('dumps with several profiles --ndjson', function (t) {
+	runProfiles([ '--profile', 'east', '--profile', 'west', 'dumps',
+	    '-d', '2015-07-12', '-D', '1', '--ndjson' ], function (result) {
+		var records;
+
+		t.equal(result.status, 0);
+		records = common.parseNdjson(result.stdout);
+		t.deepEqual(records.map(function (r) {
+			return ([ r.region, r.shard, r.waslate ]);
+		}), [
+		    [ 'east', '1.moray', false ],
+		    [ 'east', '2.moray', true ],
+		    [ 'east', '3.moray', false ],
+		    [ 'west', '1.moray', false ],
+		    [ 'west', '2.moray', false ],
+		    [ 'west', '3.moray', false ]
+		]);
+		t.end();
+	    });
+});
+
+mod_tape('dumps with several profiles --check', function (t) {
+	runProfiles([ '--all-profiles', 'dumps', '-d', '2015-07-13',
+	    '-D', '2', '--check' ], function (result) {
+		t.equal(result.status, 2, 'critical');
+		t.ok(/^DUMPS CRITICAL - 2 missing dumps, 1 late dump, 2 empty /
+		    .test(result.stdout), 'problems are combined');
+		t.end();
+	    });
+});
+
+mod_tape('metering-reports with several profiles', function (t) {
+	runProfiles([ '--all-profiles', 'metering-reports', '-d',
+	    '2015-07-12', '-D', '2' ], function (result) {
+		t.equal(result.status, 0);
+		t.equal(result.stdout, [
+		    'DATE        REGION   SUMMARY   STORAGE  COMPUTE  REQUEST',
+		    '2015-07-11  east          1*         3    24/24    24/24',
+		    '2015-07-11  west          1*         3    24/24    24/24',
+		    '2015-07-12  east           3         3    23/24    24/24',
+		    '2015-07-12  west           3         3    23/24    24/24',
+		    '',
+		    'Summary by region:',
+		    '    east  METERING WARNING - 1 undersized daily report, ' +
+			'1 missing hourly report',
+		    '    west  METERING WARNING - 1 undersized daily report, ' +
+			'1 missing hourly report',
+		    ''
+		].join('\n'));
+		t.end();
+	    });
+});
+
+mod_tape('verify with several profiles', function (t) {
+	runProfiles([ '--all-profiles', 'verify', '-d', '2015-07-13',
+	    '-D', '1' ], function (result) {
+		t.equal(result.status, 0);
+		t.deepEqual(result.stdout.split('\n').filter(function (line) {
+			return (!/^ +suggestion:/.test(line));
+		}), [
+		    'Manatee dumps: 2 problems',
+		    '    2015-07-13  east  2.moray: dump is missing',
+		    '    2015-07-13  west  2.moray: dump is missing',
+		    'Metering reports: 2 problems',
+		    '    2015-07-13  east  request: request reports far ' +
+			'smaller than usual for hour 7',
+		    '    2015-07-13  west  request: request reports far ' +
+			'smaller than usual for hour 7',
+		    '',
+		    'Summary by region:',
+		    '    east  VERIFY CRITICAL - 1 missing dump, ' +
+			'1 undersized hourly report',
+		    '    west  VERIFY CRITICAL - 1 missing dump, ' +
+			'1 undersized hourly report',
+		    ''
+		]);
+		t.end();
+	    });
+});
+
+mod_tape('profile with overridden properties', function (t) {
+	runProfiles([ '--profile', 'west', 'dumps', '-d', '2015-07-12',
+	    '-D', '1', '-s', '2.moray', '--check' ], function (result) {
+		t.equal(result.status, 0, 'dump is not late for "west"');
+		t.end();
+	    });
+});
+
+mod_tape('unknown profile', function (t) {
+	runProfiles([ '--profile', 'north', 'dumps' ], function (result) {
+		t.equal(result.status, 1);
+		t.ok(/unknown profile "north" \(expected one of: east, west\)/
+		    .test(result.stderr), result.stderr);
+		t.end();
+	});
+});
+
+mod_tape('--gnuplot with several profiles', function (t) {
+	runProfiles([ '--all-profiles', 'dumps', '--gnuplot' ],
+	    function (result) {
+		t.equal(result.status, 2);
+		t.ok(/cannot be used with more than one profile/.test(
+		    result.stderr), result.stderr);
+		t.end();
+	    });
+});
+
+mod_tape('teardown', function (t) {
+	common.removeTree(configDir);
+	t.end();
+});
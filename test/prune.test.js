@@ -0,0 +1,169 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * test/prune.test.js: tests for "manta-hk prune-dumps" (see test/common.js)
+ *
+ * With --verify-integrity, the only good dumps in the fixture are all of
+ * 1.moray's, 2.moray's dump for 2015-07-12, and 3.moray's dump for 2015-07-10.
+ * Every run here keeps just one day of dumps, so the retention policy mostly
+ * comes down to each shard's latest good dump.
+ */
+
+var mod_fs = require('fs');
+var mod_path = require('path');
+var mod_tape = require('tape');
+
+var common = require('./common');
+
+var shardRoot = '/poseidon/stor/manatee_backups';
+var pruneArgs = [ 'prune-dumps', '-d', '2015-07-13', '-D', '4',
+    '--keep-daily', '1', '--keep-monthly', '0' ];
+
+/*
+ * Returns the "keep" or "remove" decision and the reasons for it for each dump
+ * listed by "prune-dumps --verbose", as "DATE SHARD DECISION [(REASONS)]".
+ */
+function decisions(output)
+{
+	return (output.split('\n').filter(function (line) {
+		return (/^    \d{4}-\d{2}-\d{2}  /.test(line));
+	}).map(function (line) {
+		var fields = line.trim().split(/ +/);
+		return ([ fields[0], fields[1], fields[2] ].concat(
+		    fields.slice(6)).join(' '));
+	}));
+}
+
+function exists(root, path)
+{
+	return (mod_fs.existsSync(mod_path.join(root, path)));
+}
+
+mod_tape('prune-dumps --verbose', function (t) {
+	common.runHk(pruneArgs.concat([ '--verify-integrity', '--verbose' ]),
+	    function (result) {
+		t.equal(result.status, 0);
+		t.equal(result.stdout.split('\n')[0], 'Dump retention as of ' +
+		    '2015-07-13: keeping 1 daily, 0 monthly, and each ' +
+		    'shard\'s latest good dump');
+		t.deepEqual(decisions(result.stdout), [
+		    '2015-07-10 1.moray remove',
+		    '2015-07-11 1.moray remove',
+		    '2015-07-12 1.moray remove',
+		    '2015-07-13 1.moray keep (daily, latest)',
+		    '2015-07-10 2.moray remove',
+		    '2015-07-11 2.moray remove',
+		    '2015-07-12 2.moray keep (latest)',
+		    '2015-07-10 3.moray keep (latest)',
+		    '2015-07-11 3.moray remove',
+		    '2015-07-12 3.moray remove',
+		    '2015-07-13 3.moray keep (daily)'
+		]);
+		t.ok(/\nNothing was removed\.  Re-run with --confirm /.test(
+		    result.stdout));
+		t.end();
+	    });
+});
+
+mod_tape('prune-dumps without --verify-integrity', function (t) {
+	common.runHk(pruneArgs.concat([ '-s', '3.moray', '--verbose' ]),
+	    function (result) {
+		t.equal(result.status, 0);
+		t.deepEqual(decisions(result.stdout), [
+		    '2015-07-10 3.moray remove',
+		    '2015-07-11 3.moray remove',
+		    '2015-07-12 3.moray remove',
+		    '2015-07-13 3.moray keep (daily)'
+		], 'unverified dumps are never good');
+		t.end();
+	    });
+});
+
+mod_tape('prune-dumps --confirm without --verify-integrity', function (t) {
+	common.runHk(pruneArgs.concat([ '--confirm' ]), function (result) {
+		t.equal(result.status, 2);
+		t.ok(/--confirm requires --verify-integrity/.test(
+		    result.stderr), result.stderr);
+		t.end();
+	});
+});
+
+mod_tape('prune-dumps --confirm', function (t) {
+	var root = common.copyFixture();
+
+	common.runHkAt(root, pruneArgs.concat([ '-s', '3.moray',
+	    '--verify-integrity', '--confirm' ]), function (result) {
+		var dir = shardRoot + '/3.moray/2015/07';
+
+		t.equal(result.status, 0);
+		t.ok(/\nRemoved 8 objects and 4 directories\.\n$/.test(
+		    result.stdout), result.stdout);
+		t.ok(exists(root, dir + '/10/00/moray-2015-07-10-00-00-01.gz'),
+		    'latest verified-good dump kept');
+		t.ok(exists(root, dir + '/10/00/manta-2015-07-10-00-00-01.gz'),
+		    'and its unpacked objects');
+		t.ok(exists(root, dir + '/13/00/moray-2015-07-13-00-00-01.gz'),
+		    'daily dump kept');
+		t.notOk(exists(root, dir + '/11'), 'day directory removed');
+		t.notOk(exists(root, dir + '/12'), 'day directory removed');
+		t.ok(/"msg":"removed"/.test(result.stdout), 'removals logged');
+
+		common.runHkAt(root, pruneArgs.concat([ '-s', '3.moray',
+		    '--verify-integrity' ]), function (result2) {
+			t.equal(result2.status, 0);
+			t.ok(/^3\.moray +2 +1 +0 +0$/m.test(result2.stdout),
+			    'nothing left to remove');
+			common.removeTree(root);
+			t.end();
+		    });
+	    });
+});
+
+mod_tape('prune-dumps --confirm removes empty parents', function (t) {
+	var root, manifest;
+
+	/*
+	 * Add never-unpacked dumps for 1.moray at the end of 2014 and of June
+	 * 2015, each alone in its year or month.
+	 */
+	root = common.copyFixture();
+	manifest = JSON.parse(mod_fs.readFileSync(
+	    mod_path.join(root, '.manifest.json')));
+	[ '2014-12-31', '2015-06-30' ].forEach(function (day) {
+		var dir, path;
+
+		dir = shardRoot + '/1.moray/' + day.replace(/-/g, '/') +
+		    '/00';
+		path = dir + '/moray-' + day + '-00-00-01.gz';
+		mod_fs.mkdirSync(mod_path.join(root, dir),
+		    { 'recursive': true });
+		mod_fs.writeFileSync(mod_path.join(root, path), 'dump');
+		manifest[path] = { 'mtime': day + 'T00:10:00.000Z' };
+	});
+	mod_fs.writeFileSync(mod_path.join(root, '.manifest.json'),
+	    JSON.stringify(manifest));
+
+	common.runHkAt(root, [ 'prune-dumps', '-d', '2015-07-13', '-D', '200',
+	    '-s', '1.moray', '--keep-daily', '4', '--keep-monthly', '0',
+	    '--verify-integrity', '--confirm' ], function (result) {
+		t.equal(result.status, 0);
+		t.ok(/\nRemoved 2 objects and 7 directories\.\n$/.test(
+		    result.stdout), result.stdout);
+		t.notOk(exists(root, shardRoot + '/1.moray/2014'),
+		    'year directory removed');
+		t.notOk(exists(root, shardRoot + '/1.moray/2015/06'),
+		    'month directory removed');
+		t.ok(exists(root, shardRoot + '/1.moray/2015/07/10/00'),
+		    'other days kept');
+		common.removeTree(root);
+		t.end();
+	    });
+});
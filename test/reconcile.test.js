@@ -0,0 +1,116 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * test/reconcile.test.js: tests for "manta-hk metering-reports --reconcile"
+ * (see test/common.js)
+ */
+
+var mod_tape = require('tape');
+
+var common = require('./common');
+
+mod_tape('--reconcile (reports agree)', function (t) {
+	common.runHk([ 'metering-reports', '-d', '2015-07-13', '-D', '1',
+	    '--reconcile' ], function (result) {
+		t.equal(result.status, 0);
+		t.deepEqual(result.stdout.split('\n'), [
+		    'Metering reconciliation for 2015-07-13',
+		    '     summary report:  3 owners',
+		    '      compared with:  storage, 24/24 request, ' +
+			'24/24 compute',
+		    '     not in summary:  0 owners',
+		    '    only in summary:  0 owners',
+		    '     request totals:  4 fields match',
+		    '     compute totals:  2 fields match',
+		    ''
+		]);
+		t.end();
+	    });
+});
+
+mod_tape('--reconcile (compressed reports)', function (t) {
+	var root = common.copyFixture();
+
+	common.compressReports(root, '2015/07/13');
+	common.runHkAt(root, [ 'metering-reports', '-d', '2015-07-13', '-D',
+	    '1', '--reconcile' ], function (result) {
+		common.runHk([ 'metering-reports', '-d', '2015-07-13', '-D',
+		    '1', '--reconcile' ], function (result2) {
+			t.equal(result.status, 0);
+			t.equal(result.stdout, result2.stdout,
+			    'same as the uncompressed reports');
+			common.removeTree(root);
+			t.end();
+		});
+	    });
+});
+
+mod_tape('--reconcile (owners missing from the summary)', function (t) {
+	common.runHk([ 'metering-reports', '-d', '2015-07-11', '-D', '1',
+	    '--reconcile' ], function (result) {
+		var lines;
+
+		t.equal(result.status, 0);
+		lines = result.stdout.split('\n');
+		t.deepEqual(lines.slice(3, 7), [
+		    '     not in summary:  2 owners',
+		    '                      ' +
+			'b0000000-0000-4000-8000-000000000002 ' +
+			'(in storage, request, compute)',
+		    '                      ' +
+			'c0000000-0000-4000-8000-000000000003 ' +
+			'(in storage, request, compute)',
+		    '    only in summary:  0 owners'
+		]);
+		t.equal(lines[7], '     request totals:  4 of 4 fields differ');
+		t.end();
+	    });
+});
+
+mod_tape('--reconcile (missing hourly report)', function (t) {
+	common.runHk([ 'metering-reports', '-d', '2015-07-12', '-D', '1',
+	    '--reconcile' ], function (result) {
+		var lines;
+
+		t.equal(result.status, 0);
+		lines = result.stdout.split('\n');
+		t.equal(lines[2], '      compared with:  storage, 24/24 ' +
+		    'request, 23/24 compute');
+		t.deepEqual(lines.slice(5), [
+		    '     request totals:  4 fields match',
+		    '     compute totals:  2 of 2 fields differ',
+		    '                      ntasks: summary 5148, hourly 4992 ' +
+			'(3 owners)',
+		    '                      seconds: summary 5220, hourly ' +
+			'5061 (3 owners)',
+		    ''
+		]);
+		t.end();
+	    });
+});
+
+mod_tape('--reconcile (no reports)', function (t) {
+	common.runHk([ 'metering-reports', '-d', '2015-07-20', '-D', '1',
+	    '--reconcile' ], function (result) {
+		t.equal(result.status, 0);
+		t.ok(/MISSING \(nothing to reconcile\)/.test(result.stdout));
+		t.end();
+	    });
+});
+
+mod_tape('--reconcile with another output mode', function (t) {
+	common.runHk([ 'metering-reports', '-d', '2015-07-13', '--reconcile',
+	    '--json' ], function (result) {
+		t.equal(result.status, 2);
+		t.ok(/--reconcile cannot be combined/.test(result.stderr));
+		t.end();
+	    });
+});
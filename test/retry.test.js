@@ -0,0 +1,270 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * test/retry.test.js: tests for lib/retry.js
+ */
+
+var mod_bunyan = require('bunyan');
+var mod_events = require('events');
+var mod_stream = require('stream');
+var mod_tape = require('tape');
+
+var mod_retry = require('../lib/retry');
+
+var log = new mod_bunyan({ 'name': 'retry.test', 'level': 'fatal' });
+
+/*
+ * Returns an error with the given name and properties.
+ */
+function makeError(name, props)
+{
+	var err = new Error(name);
+
+	err.name = name;
+	Object.keys(props || {}).forEach(function (key) {
+		err[key] = props[key];
+	});
+	return (err);
+}
+
+/*
+ * Returns a stand-in for an HTTP response: an object with destroy() that
+ * records whether it was called.
+ */
+function fakeResponse()
+{
+	var res = new mod_events.EventEmitter();
+
+	res.destroyed = false;
+	res.destroy = function () { res.destroyed = true; };
+	return (res);
+}
+
+/*
+ * Returns a retry client for stand-in Manta client "manta" with a short
+ * timeout.
+ */
+function makeClient(manta)
+{
+	return (mod_retry.createRetryClient({
+	    'manta': manta,
+	    'timeout': 100,
+	    'retries': 2,
+	    'log': log
+	}));
+}
+
+mod_tape('classifyError', function (t) {
+	t.equal(mod_retry.classifyError(makeError('NotFoundError')),
+	    'not-found');
+	t.equal(mod_retry.classifyError(makeError('Error',
+	    { 'code': 'EACCES' })), 'auth');
+	t.equal(mod_retry.classifyError(makeError('Error',
+	    { 'statusCode': 503 })), 'transient');
+	t.equal(mod_retry.classifyError(makeError('Error',
+	    { 'code': 'ECONNRESET' })), 'transient');
+	t.equal(mod_retry.classifyError(makeError('InvalidArgumentError')),
+	    'bug');
+	t.end();
+});
+
+mod_tape('transient errors are retried', function (t) {
+	var attempts = 0;
+	var client = makeClient({
+	    'info': function (path, callback) {
+		if (++attempts < 3) {
+			callback(makeError('ServiceUnavailableError'));
+			return;
+		}
+		callback(null, { 'size': 3 });
+	    }
+	});
+
+	client.info('/poseidon/stor/x', function (err, info) {
+		t.error(err);
+		t.deepEqual(info, { 'size': 3 });
+		t.equal(attempts, 3);
+		t.deepEqual(client.stats(), {
+		    'requests': 1,
+		    'retried': 1,
+		    'retries': 2,
+		    'recovered': 1,
+		    'failed': 0,
+		    'failures': []
+		});
+		t.end();
+	});
+});
+
+mod_tape('other errors are not retried', function (t) {
+	var attempts = 0;
+	var client = makeClient({
+	    'info': function (path, callback) {
+		attempts++;
+		callback(makeError(path == '/a' ? 'NotFoundError' :
+		    'AuthorizationFailedError'));
+	    }
+	});
+
+	client.info('/a', function (err) {
+		t.equal(err.name, 'NotFoundError');
+		client.info('/b', function (err2) {
+			var stats = client.stats();
+
+			t.equal(err2.name, 'AuthorizationFailedError');
+			t.equal(attempts, 2);
+			t.equal(stats.failed, 1,
+			    'missing paths are not failures');
+			t.equal(stats.failures.length, 1);
+			t.equal(stats.failures[0].path, '/b');
+			t.equal(stats.failures[0].category, 'auth');
+			t.equal(stats.failures[0].attempts, 1);
+			t.end();
+		});
+	});
+});
+
+mod_tape('get: late responses are destroyed', function (t) {
+	var responses = [];
+	var client = makeClient({
+	    'get': function (path, options, callback) {
+		var res = fakeResponse();
+		var stream = new mod_stream.PassThrough();
+		var delay = responses.length === 0 ? 200 : 0;
+
+		responses.push(res);
+		setTimeout(function () {
+			callback(null, stream, res);
+			stream.end('contents\n');
+		}, delay);
+	    }
+	});
+
+	client.get('/a', function (err, stream) {
+		var data = '';
+
+		t.error(err);
+		t.equal(responses.length, 2, 'retried after the timeout');
+		stream.on('data', function (chunk) { data += chunk; });
+		stream.on('end', function () {
+			t.equal(data, 'contents\n');
+			t.equal(client.stats().retries, 1);
+
+			/* Wait for the first attempt's response to arrive. */
+			setTimeout(function () {
+				t.ok(responses[0].destroyed,
+				    'late response destroyed');
+				t.notOk(responses[1].destroyed);
+				t.end();
+			}, 200);
+		});
+	});
+});
+
+mod_tape('get: stalled responses time out', function (t) {
+	var res = fakeResponse();
+	var client = makeClient({
+	    'get': function (path, options, callback) {
+		var stream = new mod_stream.PassThrough();
+
+		callback(null, stream, res);
+		stream.write('partial ');
+		/* Nothing else ever arrives. */
+	    }
+	});
+
+	client.get('/a', function (err, stream) {
+		var data = '';
+
+		t.error(err);
+		stream.on('data', function (chunk) { data += chunk; });
+		stream.on('end', function () { t.fail('stream ended'); });
+		stream.on('error', function (err2) {
+			t.equal(err2.name, 'RequestTimeoutError');
+			t.equal(mod_retry.classifyError(err2), 'transient');
+			t.equal(data, 'partial ');
+			t.ok(res.destroyed, 'response destroyed');
+			t.end();
+		});
+	});
+});
+
+mod_tape('get: a slow reader is not a stalled response', function (t) {
+	var client = makeClient({
+	    'get': function (path, options, callback) {
+		var stream = new mod_stream.PassThrough();
+		var i;
+
+		callback(null, stream, fakeResponse());
+		for (i = 0; i < 64; i++)
+			stream.write(new Buffer(1024));
+		stream.end();
+	    }
+	});
+
+	client.get('/a', function (err, stream) {
+		var nbytes = 0;
+
+		t.error(err);
+
+		/* Don't start reading until well after the timeout. */
+		setTimeout(function () {
+			stream.on('data', function (chunk) {
+				nbytes += chunk.length;
+			});
+			stream.on('error', function (err2) {
+				t.error(err2);
+			});
+			stream.on('end', function () {
+				t.equal(nbytes, 64 * 1024);
+				t.end();
+			});
+		}, 300);
+	});
+});
+
+mod_tape('ls: abandoned listings are ignored', function (t) {
+	var listings = [];
+	var client = makeClient({
+	    'ls': function (dir, callback) {
+		var emitter = new mod_events.EventEmitter();
+		var n = listings.length;
+		var delay = n === 0 ? 200 : 0;
+
+		listings.push(emitter);
+		callback(null, emitter);
+		emitter.emit('entry', { 'type': 'object', 'name': 'a' + n });
+		setTimeout(function () {
+			emitter.emit('entry',
+			    { 'type': 'object', 'name': 'b' + n });
+			emitter.emit('end');
+		}, delay);
+	    }
+	});
+
+	client.ls('/dir', function (err, emitter) {
+		var names = [];
+
+		t.error(err);
+		emitter.on('entry', function (entry) {
+			names.push(entry.name);
+		});
+		emitter.on('end', function () {
+			t.deepEqual(names, [ 'a1', 'b1' ]);
+			t.equal(listings[0].listeners('entry').length, 0,
+			    'stopped collecting the first listing');
+
+			/* A late failure must not throw. */
+			listings[0].emit('error', new Error('late'));
+			t.end();
+		});
+	});
+});
@@ -0,0 +1,153 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * test/serve.test.js: tests for "manta-hk serve" (see test/common.js)
+ *
+ * The server always scans the days up to the current one, which the fixture
+ * doesn't cover, so these tests check the shape of what's served rather than
+ * particular problems.
+ */
+
+var mod_child = require('child_process');
+var mod_http = require('http');
+var mod_net = require('net');
+var mod_path = require('path');
+var mod_tape = require('tape');
+
+var common = require('./common');
+
+var server = null;
+var port;
+
+/*
+ * Makes a request with "method" for "path" on the server and invokes
+ * callback(err, response, body).
+ */
+function fetch(method, path, callback)
+{
+	var request = mod_http.request({
+	    'host': '127.0.0.1',
+	    'port': port,
+	    'method': method,
+	    'path': path
+	}, function (response) {
+		var body = '';
+
+		response.setEncoding('utf8');
+		response.on('data', function (chunk) { body += chunk; });
+		response.on('end', function () {
+			callback(null, response, body);
+		});
+	});
+
+	request.on('error', callback);
+	request.end();
+}
+
+mod_tape('setup', function (t) {
+	/* Find a free port by letting the system pick one. */
+	var probe = mod_net.createServer();
+
+	probe.listen(0, '127.0.0.1', function () {
+		var env, output;
+
+		port = probe.address().port;
+		probe.close();
+
+		env = {};
+		Object.keys(process.env).forEach(function (key) {
+			if (key.substr(0, 'MANTA_'.length) != 'MANTA_')
+				env[key] = process.env[key];
+		});
+
+		server = mod_child.spawn(process.execPath, [
+		    mod_path.join(__dirname, '..', 'bin', 'manta-hk'),
+		    '--local-root', common.fixtureRoot, 'serve',
+		    '-a', '127.0.0.1', '-p', String(port), '-D', '1' ],
+		    { 'env': env, 'stdio': [ 'ignore', 'pipe', 'inherit' ] });
+
+		/* Wait for the first scan to finish. */
+		output = '';
+		server.stdout.setEncoding('utf8');
+		server.stdout.on('data', function onData(chunk) {
+			output += chunk;
+			if (/"msg":"scan finished"/.test(output)) {
+				server.stdout.removeListener('data', onData);
+				server.stdout.resume();
+				t.end();
+			}
+		});
+	});
+});
+
+mod_tape('serve: /metrics', function (t) {
+	fetch('GET', '/metrics', function (err, response, body) {
+		t.error(err);
+		t.equal(response.statusCode, 200);
+		t.ok(/^text\/plain; version=0\.0\.4/.test(
+		    response.headers['content-type']));
+		t.ok(/^manta_hk_scans_total 1$/m.test(body), 'one scan');
+		t.ok(/^manta_hk_scanning 0$/m.test(body), 'not scanning');
+		[ 'dumps', 'metering' ].forEach(function (scan) {
+			t.ok(new RegExp('^manta_hk_scan_success\\{scan="' +
+			    scan + '"\\} 1$', 'm').test(body), scan);
+		});
+		t.ok(/^# TYPE manta_hk_problems gauge$/m.test(body));
+		[ 'missing-dump', 'corrupt-dump', 'early-unpack',
+		    'missing-report' ].forEach(function (cond) {
+			t.ok(new RegExp('^manta_hk_problems\\{condition="' +
+			    cond + '"\\} \\d+$', 'm').test(body), cond);
+		});
+		t.end();
+	});
+});
+
+mod_tape('serve: /status', function (t) {
+	fetch('GET', '/status', function (err, response, body) {
+		var status, target;
+
+		t.error(err);
+		t.equal(response.statusCode, 200);
+		status = JSON.parse(body);
+		t.equal(status.scans, 1);
+		t.equal(status.scanning, false);
+		t.equal(status.lastScan.targets.length, 1);
+		target = status.lastScan.targets[0];
+		t.equal(target.region, null);
+		t.equal(target.dumps.error, null);
+		t.equal(target.metering.error, null);
+		t.deepEqual(target.dumps.records.map(function (r) {
+			return (r.shard);
+		}), [ '1.moray', '2.moray', '3.moray' ], 'dump records');
+		t.end();
+	});
+});
+
+mod_tape('serve: unknown path', function (t) {
+	fetch('GET', '/other', function (err, response) {
+		t.error(err);
+		t.equal(response.statusCode, 404);
+		t.end();
+	});
+});
+
+mod_tape('serve: other methods', function (t) {
+	fetch('POST', '/metrics', function (err, response) {
+		t.error(err);
+		t.equal(response.statusCode, 405);
+		t.end();
+	});
+});
+
+mod_tape('teardown', function (t) {
+	server.on('exit', function () { t.end(); });
+	server.kill();
+});
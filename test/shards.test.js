@@ -0,0 +1,146 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * test/shards.test.js: tests for "manta-hk shards" (see test/common.js)
+ *
+ * In the fixture, every shard has dumps from 2015-07-10 on, except that
+ * 2.moray has none for 2015-07-13 (only a day directory).
+ */
+
+var mod_fs = require('fs');
+var mod_path = require('path');
+var mod_tape = require('tape');
+
+var common = require('./common');
+
+var shardRoot = '/poseidon/stor/manatee_backups';
+
+function summarize(records)
+{
+	return (records.map(function (r) {
+		return ([ r.shard, r.first, r.last, r.status ].join(' '));
+	}));
+}
+
+mod_tape('shards: dumps after the range are ignored', function (t) {
+	common.runHk([ 'shards', '-d', '2015-07-12', '-D', '2', '--ndjson' ],
+	    function (result) {
+		t.equal(result.status, 0);
+		t.deepEqual(summarize(common.parseNdjson(result.stdout)), [
+		    '1.moray 2015-07-10 2015-07-12 active',
+		    '2.moray 2015-07-10 2015-07-12 active',
+		    '3.moray 2015-07-10 2015-07-12 active'
+		]);
+		t.end();
+	    });
+});
+
+mod_tape('shards: a day directory with no dump is ignored', function (t) {
+	common.runHk([ 'shards', '-d', '2015-07-13', '-D', '1', '--ndjson' ],
+	    function (result) {
+		t.equal(result.status, 0);
+		t.deepEqual(summarize(common.parseNdjson(result.stdout)), [
+		    '1.moray 2015-07-10 2015-07-13 active',
+		    '2.moray 2015-07-10 2015-07-12 quiet',
+		    '3.moray 2015-07-10 2015-07-13 active'
+		]);
+		t.end();
+	    });
+});
+
+mod_tape('shards: no baseline', function (t) {
+	common.runHk([ 'shards', '-d', '2015-07-11', '-D', '2', '--ndjson' ],
+	    function (result) {
+		t.equal(result.status, 0);
+		t.deepEqual(summarize(common.parseNdjson(result.stdout)), [
+		    '1.moray 2015-07-10 2015-07-11 new',
+		    '2.moray 2015-07-10 2015-07-11 new',
+		    '3.moray 2015-07-10 2015-07-11 new'
+		]);
+		t.end();
+	    });
+});
+
+mod_tape('shards: new shard', function (t) {
+	common.runHk([ 'shards', '-d', '2015-07-11', '-D', '2' ],
+	    function (result) {
+		t.equal(result.status, 0);
+		t.ok(/^New shards: 3$/m.test(result.stdout), result.stdout);
+		t.ok(/^    1\.moray: no dumps from 2015-06-10 until /m.test(
+		    result.stdout));
+		t.end();
+	    });
+});
+
+mod_tape('shards: first dump since the baseline window', function (t) {
+	common.runHk([ 'shards', '-d', '2015-07-13', '-D', '1',
+	    '--baseline-days', '1', '--ndjson' ], function (result) {
+		t.equal(result.status, 0);
+		t.deepEqual(summarize(common.parseNdjson(result.stdout)), [
+		    '1.moray 2015-07-12 2015-07-13 active',
+		    '2.moray 2015-07-12 2015-07-12 quiet',
+		    '3.moray 2015-07-12 2015-07-13 active'
+		]);
+		t.end();
+	    });
+});
+
+mod_tape('shards: old dumps', function (t) {
+	var root, manifest;
+
+	/*
+	 * Give 1.moray a dump long before the baseline window, and add a
+	 * 4.moray whose only dump is from before the window.
+	 */
+	root = common.copyFixture();
+	manifest = JSON.parse(mod_fs.readFileSync(
+	    mod_path.join(root, '.manifest.json')));
+	[ [ '1.moray', '2015-01-02' ], [ '4.moray', '2015-05-30' ] ].forEach(
+	    function (dump) {
+		var dir, path;
+
+		dir = shardRoot + '/' + dump[0] + '/' +
+		    dump[1].replace(/-/g, '/') + '/00';
+		path = dir + '/moray-' + dump[1] + '-00-00-01.gz';
+		mod_fs.mkdirSync(mod_path.join(root, dir),
+		    { 'recursive': true });
+		mod_fs.writeFileSync(mod_path.join(root, path), 'dump');
+		manifest[path] = { 'mtime': dump[1] + 'T00:10:00.000Z' };
+	    });
+	mod_fs.writeFileSync(mod_path.join(root, '.manifest.json'),
+	    JSON.stringify(manifest));
+
+	common.runHkAt(root, [ 'shards', '-d', '2015-07-13', '-D', '1',
+	    '--ndjson' ], function (result) {
+		var records;
+
+		t.equal(result.status, 0);
+		records = common.parseNdjson(result.stdout);
+		t.deepEqual(summarize(records), [
+		    '1.moray 2015-07-10 2015-07-13 active',
+		    '2.moray 2015-07-10 2015-07-12 quiet',
+		    '3.moray 2015-07-10 2015-07-13 active',
+		    '4.moray  2015-05-30 retired'
+		], 'first dumps are only looked for since the window');
+		t.equal(records[3].first, null);
+		common.removeTree(root);
+		t.end();
+	    });
+});
+
+mod_tape('shards --check', function (t) {
+	common.runHk([ 'shards', '-d', '2015-07-13', '-D', '1', '--check' ],
+	    function (result) {
+		t.equal(result.status, 2, 'critical');
+		t.ok(/^SHARDS CRITICAL - 1 quiet shard \|/.test(result.stdout));
+		t.end();
+	    });
+});
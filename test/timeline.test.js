@@ -0,0 +1,134 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * test/timeline.test.js: tests for "manta-hk timeline" (see test/common.js)
+ *
+ * In the fixture, 3.moray's objects for 2015-07-11 were unpacked before its
+ * dump was uploaded, and the storage reports for 2015-07-10, 2015-07-11, and
+ * 2015-07-13 were written before some shard's dump was unpacked (or while one
+ * was missing).
+ */
+
+var mod_fs = require('fs');
+var mod_path = require('path');
+var mod_tape = require('tape');
+
+var common = require('./common');
+
+/*
+ * Returns the findings printed by "timeline" as "WHAT: PROBLEM".
+ */
+function findings(output)
+{
+	return (output.split('\n').filter(function (line) {
+		return (/^    [^ ]+: /.test(line));
+	}).map(function (line) {
+		return (line.trim());
+	}));
+}
+
+mod_tape('timeline', function (t) {
+	common.runHk([ 'timeline', '-d', '2015-07-13', '-D', '4' ],
+	    function (result) {
+		t.equal(result.status, 0);
+		t.equal(result.stderr, '');
+		t.deepEqual(findings(result.stdout), [
+		    'storage: storage report was written at ' +
+			'2015-07-10T01:00:00.000Z, before 2.moray\'s dump ' +
+			'was fully unpacked at 2015-07-10T02:00:00.000Z',
+		    '3.moray: 3 unpacked objects were written before the ' +
+			'dump was uploaded at 2015-07-11T00:10:00.000Z ' +
+			'(manta, manta_delete_log, manta_storage)',
+		    'storage: storage report was written at ' +
+			'2015-07-11T04:00:00.000Z, but 2.moray\'s dump has ' +
+			'not been unpacked',
+		    'summary: summary report was written at ' +
+			'2015-07-13T01:00:00.000Z, but no compute report was ' +
+			'found for hour 05',
+		    'storage: storage report was written at ' +
+			'2015-07-13T04:00:00.000Z, but no dump was found for ' +
+			'2.moray'
+		]);
+		t.end();
+	    });
+});
+
+mod_tape('timeline: unpacked before the dump', function (t) {
+	common.runHk([ 'timeline', '-d', '2015-07-11', '-D', '1', '-s',
+	    '3.moray' ], function (result) {
+		t.equal(result.status, 0);
+		t.deepEqual(result.stdout.split('\n').slice(0, 4), [
+		    '2015-07-11',
+		    '  ! 2015-07-10T23:00:00.000Z  unpack    3.moray   ' +
+			'first of 3 objects unpacked (manta)',
+		    '  ! 2015-07-10T23:00:00.000Z  unpack    3.moray   ' +
+			'last of 3 objects unpacked (manta_storage)',
+		    '    2015-07-11T00:10:00.000Z  dump      3.moray   ' +
+			'dump uploaded'
+		]);
+		t.end();
+	});
+});
+
+mod_tape('timeline: nothing out of order', function (t) {
+	common.runHk([ 'timeline', '-d', '2015-07-10', '-D', '1', '-s',
+	    '1.moray' ], function (result) {
+		t.equal(result.status, 0);
+		t.deepEqual(result.stdout.split('\n'), [
+		    '2015-07-10',
+		    '    2015-07-10T00:10:00.000Z  dump      1.moray   ' +
+			'dump uploaded',
+		    '    2015-07-10T00:30:00.000Z  unpack    1.moray   ' +
+			'first of 3 objects unpacked (manta)',
+		    '    2015-07-10T00:30:00.000Z  unpack    1.moray   ' +
+			'last of 3 objects unpacked (manta_storage)',
+		    '    2015-07-10T01:00:00.000Z  metering  storage   ' +
+			'report written',
+		    '    2015-07-10T01:10:00.000Z  metering  request   ' +
+			'first of 24 hourly reports written (hour 00)',
+		    '    2015-07-10T01:10:00.000Z  metering  compute   ' +
+			'first of 24 hourly reports written (hour 00)',
+		    '    2015-07-11T00:10:00.000Z  metering  request   ' +
+			'last of 24 hourly reports written (hour 23)',
+		    '    2015-07-11T00:10:00.000Z  metering  compute   ' +
+			'last of 24 hourly reports written (hour 23)',
+		    '    2015-07-11T01:00:00.000Z  metering  summary   ' +
+			'report written',
+		    '',
+		    'No outputs were written before their inputs existed.',
+		    ''
+		]);
+		t.end();
+	});
+});
+
+mod_tape('timeline: hourly report written early', function (t) {
+	var root, manifest, path;
+
+	root = common.copyFixture();
+	manifest = JSON.parse(mod_fs.readFileSync(
+	    mod_path.join(root, '.manifest.json')));
+	path = '/poseidon/stor/usage/request/2015/07/10/05/h05.json';
+	manifest[path] = { 'mtime': '2015-07-10T05:30:00.000Z' };
+	mod_fs.writeFileSync(mod_path.join(root, '.manifest.json'),
+	    JSON.stringify(manifest));
+
+	common.runHkAt(root, [ 'timeline', '-d', '2015-07-10', '-D', '1',
+	    '-s', '1.moray' ], function (result) {
+		t.equal(result.status, 0);
+		t.deepEqual(findings(result.stdout), [
+		    'request: request report for hour 05 was written before ' +
+			'the hour ended'
+		]);
+		common.removeTree(root);
+		t.end();
+	    });
+});
@@ -0,0 +1,169 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * test/trends.test.js: tests for dump size and time trends
+ */
+
+var mod_fs = require('fs');
+var mod_path = require('path');
+var mod_tape = require('tape');
+
+var common = require('./common');
+var mod_trends = require('../lib/trends');
+
+/*
+ * Returns a stand-in for a DumpLister with one dump for shard "1.moray" on
+ * each of several consecutive days, starting on 2015-07-01.  Each dump is
+ * described by its size (in MB) and when it finished (in minutes after the
+ * start of the day).
+ */
+function fakeLister(dumps)
+{
+	var bydate = {};
+
+	dumps.forEach(function (d, i) {
+		var date = new Date(Date.UTC(2015, 6, 1 + i));
+
+		bydate[date.toISOString()] = {
+		    '1.moray': {
+			'sizemb': d[0],
+			'ended': d[1] * 60000,
+			'etime': d[1] * 60000 - 1000,
+			'waslate': d[1] >= 120
+		    }
+		};
+	});
+
+	return ({
+	    'shards': function () { return ([ '1.moray' ]); },
+	    'dumps': function () { return (bydate); },
+	    'deadline': function () { return (120 * 60000); }
+	});
+}
+
+mod_tape('steady dumps', function (t) {
+	var result = mod_trends.analyzeTrends(fakeLister([
+	    [ 100, 10 ], [ 101, 10 ], [ 102, 10 ], [ 103, 10 ], [ 104, 10 ]
+	]));
+
+	t.deepEqual(result.anomalies, {});
+	t.equal(result.shards['1.moray'].ndumps, 5);
+	t.deepEqual(result.shards['1.moray'].sizemb,
+	    { 'median': 102, 'spread': 1 });
+	t.equal(result.shards['1.moray'].growth, 1);
+	t.equal(result.shards['1.moray'].drift, 0);
+	t.equal(result.shards['1.moray'].deadline, null);
+	t.notOk(result.shards['1.moray'].approaching);
+	t.end();
+});
+
+mod_tape('shrinking and growing dumps', function (t) {
+	var result = mod_trends.analyzeTrends(fakeLister([
+	    [ 100, 10 ], [ 100, 10 ], [ 100, 10 ], [ 70, 10 ], [ 130, 10 ]
+	]));
+
+	t.deepEqual(Object.keys(result.anomalies).sort(), [
+	    '2015-07-04T00:00:00.000Z', '2015-07-05T00:00:00.000Z' ]);
+	t.deepEqual(result.anomalies['2015-07-04T00:00:00.000Z']['1.moray'],
+	    [ {
+		'kind': 'shrank',
+		'message': 'dump is 30% smaller than the median of the ' +
+		    'previous 3 dumps (100 MB); it may be truncated'
+	    } ]);
+	t.deepEqual(result.anomalies['2015-07-05T00:00:00.000Z']['1.moray'],
+	    [ {
+		'kind': 'grew',
+		'message': 'dump is 30% larger than the median of the ' +
+		    'previous 4 dumps (100 MB)'
+	    } ]);
+	t.end();
+});
+
+mod_tape('too few dumps for a baseline', function (t) {
+	var result = mod_trends.analyzeTrends(fakeLister([
+	    [ 100, 10 ], [ 100, 10 ], [ 10, 10 ]
+	]));
+
+	t.deepEqual(result.anomalies, {});
+	result = mod_trends.analyzeTrends(fakeLister([
+	    [ 100, 10 ], [ 10, 10 ]
+	]));
+
+	t.deepEqual(result.anomalies, {});
+	t.equal(result.shards['1.moray'].growth, null);
+	t.end();
+});
+
+mod_tape('dumps approaching the deadline', function (t) {
+	var result = mod_trends.analyzeTrends(fakeLister([
+	    [ 100, 60 ], [ 100, 70 ], [ 100, 80 ], [ 100, 90 ], [ 100, 100 ]
+	]));
+	var shard = result.shards['1.moray'];
+
+	t.deepEqual(result.anomalies['2015-07-05T00:00:00.000Z']['1.moray'],
+	    [ {
+		'kind': 'near-deadline',
+		'message': 'dump finished only 20 minutes before the deadline'
+	    } ]);
+	t.equal(shard.drift, 600000, '10 minutes later every day');
+	t.equal(shard.deadline.toISOString(), '2015-07-07T00:00:00.000Z');
+	t.ok(shard.approaching);
+	t.end();
+});
+
+mod_tape('dumps --trends', function (t) {
+	var root, manifest, sizes;
+
+	/*
+	 * Give 1.moray's dumps sizes that shrink sharply on the last day.
+	 */
+	root = common.copyFixture();
+	manifest = JSON.parse(mod_fs.readFileSync(
+	    mod_path.join(root, '.manifest.json')));
+	sizes = { '10': 100, '11': 102, '12': 104, '13': 60 };
+	Object.keys(manifest).forEach(function (path) {
+		var match = /\/1\.moray\/2015\/07\/(\d\d)\/00\/moray-/.exec(
+		    path);
+		if (match !== null)
+			manifest[path].size = sizes[match[1]] * 1024 * 1024;
+	});
+	mod_fs.writeFileSync(mod_path.join(root, '.manifest.json'),
+	    JSON.stringify(manifest));
+
+	common.runHkAt(root, [ 'dumps', '-d', '2015-07-13', '-D', '4',
+	    '--trends' ], function (result) {
+		var lines, i;
+
+		t.equal(result.status, 0);
+		lines = result.stdout.split('\n');
+		for (i = 0; lines[i].indexOf('Dumps for 2015-07-13') !== 0; i++)
+			continue;
+		t.deepEqual(lines.slice(i + 1, i + 3), [
+		    '      1.moray     60   10m00s  00:10:00.000Z  3',
+		    '              warn: dump is 41% smaller than the median ' +
+			'of the previous 3 dumps (102 MB); it may be truncated'
+		]);
+		t.deepEqual(lines.slice(-6), [
+		    '',
+		    'SHARD    DUMPS      MEDIAN MB    MB/DAY           ' +
+			'ELAPSED  SEC/DAY  DEADLINE',
+		    '1.moray      4      101 +/- 2     -11.8      ' +
+			'9m59s +/- 0m        0  not trending later',
+		    '2.moray      3        1 +/- 0      +0.0      ' +
+			'9m59s +/- 0m    +5100  2015-07-11 (soon)',
+		    '3.moray      4        1 +/- 0      +0.0      ' +
+			'9m59s +/- 0m        0  not trending later',
+		    ''
+		]);
+		common.removeTree(root);
+		t.end();
+	    });
+});
@@ -0,0 +1,112 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * test/verify.test.js: tests for "manta-hk verify" (see test/common.js)
+ */
+
+var mod_tape = require('tape');
+
+var common = require('./common');
+
+/*
+ * Returns the problem lines (without suggestions) from the output of "verify".
+ */
+function problemLines(output)
+{
+	return (output.split('\n').filter(function (line) {
+		return (/^    \d{4}-\d{2}-\d{2}  /.test(line));
+	}).map(function (line) {
+		return (line.trim());
+	}));
+}
+
+mod_tape('verify', function (t) {
+	common.runHk([ 'verify', '-d', '2015-07-13', '-D', '4', '-s',
+	    '2.moray' ], function (result) {
+		t.equal(result.status, 0);
+		t.deepEqual(problemLines(result.stdout).filter(
+		    function (line) {
+			return (/ 2\.moray: /.test(line));
+		    }), [
+		    '2015-07-12  2.moray: dump finished late ' +
+			'(at 2015-07-12T03:00:00.000Z)',
+		    '2015-07-13  2.moray: dump is missing',
+		    '2015-07-10  2.moray: tables unpacked more than 60 ' +
+			'minutes after the dump: manta, manta_delete_log, ' +
+			'manta_storage',
+		    '2015-07-11  2.moray: dump has not been unpacked'
+		]);
+		t.ok(/^Manatee dumps: 2 problems$/m.test(result.stdout));
+		t.ok(/^Unpacked dump objects: 2 problems$/m.test(
+		    result.stdout));
+		t.ok(/^Metering reports: 10 problems$/m.test(result.stdout));
+		t.end();
+	    });
+});
+
+mod_tape('verify (metering)', function (t) {
+	common.runHk([ 'verify', '-d', '2015-07-12', '-D', '1' ],
+	    function (result) {
+		t.equal(result.status, 0);
+		t.deepEqual(problemLines(result.stdout), [
+		    '2015-07-12  2.moray: dump finished late ' +
+			'(at 2015-07-12T03:00:00.000Z)',
+		    '2015-07-12  3.moray: empty unpacked table: manta_storage',
+		    '2015-07-12  compute: compute reports missing for hour 5',
+		    '2015-07-12  storage: storage report has only 3 entries ' +
+			'(expected at least 500)',
+		    '2015-07-12  summary: summary report has only 3 entries ' +
+			'(expected at least 500)'
+		]);
+		t.ok(/^                suggestion: make sure the logs for the /m
+		    .test(result.stdout), 'suggestions');
+		t.end();
+	    });
+});
+
+mod_tape('verify (single shard with no dump problems)', function (t) {
+	common.runHk([ 'verify', '-d', '2015-07-10', '-D', '1', '-s',
+	    '1.moray' ], function (result) {
+		t.equal(result.status, 0);
+		t.notOk(/^Manatee dumps/m.test(result.stdout));
+		t.notOk(/^Unpacked dump objects/m.test(result.stdout));
+		t.ok(/^Metering reports: 2 problems$/m.test(result.stdout));
+		t.end();
+	    });
+});
+
+mod_tape('verify --expected-tables', function (t) {
+	common.runHk([ 'verify', '-d', '2015-07-13', '-D', '1', '-s',
+	    '3.moray', '--expected-tables', common.tablesFile ],
+	    function (result) {
+		t.equal(result.status, 0);
+		t.notEqual(problemLines(result.stdout).indexOf(
+		    '2015-07-13  3.moray: dump was only partially unpacked ' +
+		    '(missing table: manta_uploads)'), -1);
+		t.end();
+	    });
+});
+
+mod_tape('verify --verify-integrity', function (t) {
+	common.runHk([ 'verify', '-d', '2015-07-13', '-D', '1', '-s',
+	    '3.moray', '--verify-integrity' ], function (result) {
+		t.equal(result.status, 0);
+		t.deepEqual(problemLines(result.stdout).filter(
+		    function (line) {
+			return (/ 3\.moray: /.test(line));
+		    }), [
+		    '2015-07-13  3.moray: dump failed integrity check: ' +
+			'object does not start with the gzip magic number'
+		]);
+		t.ok(/^Manatee dumps: 1 problem$/m.test(result.stdout));
+		t.end();
+	    });
+});
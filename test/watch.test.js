@@ -0,0 +1,154 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * test/watch.test.js: tests for "manta-hk watch" (see test/common.js)
+ *
+ * Each test works on its own copy of the fixture and keeps its state file (and
+ * any configuration file) at the top of the copy, outside of the Manta paths
+ * that get scanned.
+ */
+
+var mod_fs = require('fs');
+var mod_http = require('http');
+var mod_path = require('path');
+var mod_tape = require('tape');
+
+var common = require('./common');
+
+var watchArgs = [ 'watch', '-d', '2015-07-13', '-D', '4' ];
+var dumpDir = '/poseidon/stor/manatee_backups/1.moray/2015/07/13';
+
+/*
+ * Returns the changes printed by "watch", skipping the log records.
+ */
+function changes(output)
+{
+	return (output.split('\n').filter(function (line) {
+		return (line.length > 0 && line.charAt(0) != '{');
+	}));
+}
+
+/*
+ * Runs "watch" on the fixture copy at "root" with the state file there, plus
+ * any "extra" arguments, and invokes callback(result).
+ */
+function runWatch(root, extra, callback)
+{
+	common.runHkAt(root, extra.concat(watchArgs).concat([ '--state-file',
+	    mod_path.join(root, 'state.json') ]), callback);
+}
+
+mod_tape('watch: first and second runs', function (t) {
+	var root = common.copyFixture();
+
+	runWatch(root, [], function (result) {
+		t.equal(result.status, 0);
+		t.deepEqual(changes(result.stdout), [
+		    '2015-07-11        2.moray   not-unpacked  ' +
+			'dump has not been unpacked',
+		    '2015-07-12        2.moray   late          ' +
+			'dump finished late (at 2015-07-12T03:00:00.000Z)',
+		    '2015-07-12 05:00  compute   missing       ' +
+			'compute report for hour 05 is missing',
+		    '2015-07-13        2.moray   missing       dump is missing'
+		], 'every problem is new');
+		t.ok(mod_fs.existsSync(mod_path.join(root, 'state.json')),
+		    'state saved');
+
+		runWatch(root, [], function (result2) {
+			t.equal(result2.status, 0);
+			t.deepEqual(changes(result2.stdout), [],
+			    'nothing changed');
+			common.removeTree(root);
+			t.end();
+		});
+	});
+});
+
+mod_tape('watch: a dump goes missing', function (t) {
+	var root = common.copyFixture();
+
+	runWatch(root, [], function (result) {
+		t.equal(result.status, 0);
+		common.removeTree(mod_path.join(root, dumpDir));
+
+		runWatch(root, [], function (result2) {
+			t.equal(result2.status, 0);
+			t.deepEqual(changes(result2.stdout), [
+			    '2015-07-13        1.moray   missing       ' +
+				'dump is missing'
+			]);
+			common.removeTree(root);
+			t.end();
+		});
+	});
+});
+
+mod_tape('watch: bad state file', function (t) {
+	var root = common.copyFixture();
+
+	mod_fs.writeFileSync(mod_path.join(root, 'state.json'), '{');
+	runWatch(root, [], function (result) {
+		t.equal(result.status, 1);
+		t.ok(/parse state ".*state\.json"/.test(result.stderr),
+		    result.stderr);
+		common.removeTree(root);
+		t.end();
+	});
+});
+
+mod_tape('watch: webhook', function (t) {
+	var root, config, server, bodies;
+
+	root = common.copyFixture();
+	config = mod_path.join(root, 'config.json');
+	bodies = [];
+	server = mod_http.createServer(function (request, response) {
+		var body = '';
+
+		request.setEncoding('utf8');
+		request.on('data', function (chunk) { body += chunk; });
+		request.on('end', function () {
+			bodies.push({ 'method': request.method, 'body': body });
+			response.writeHead(204);
+			response.end();
+		});
+	});
+
+	server.listen(0, '127.0.0.1', function () {
+		mod_fs.writeFileSync(config, JSON.stringify({
+		    'webhookUrl': 'http://127.0.0.1:' +
+			server.address().port + '/hook'
+		}));
+
+		runWatch(root, [ '--config', config ], function (result) {
+			var events;
+
+			t.equal(result.status, 0);
+			t.equal(bodies.length, 1, 'one request');
+			t.equal(bodies[0].method, 'POST');
+			events = JSON.parse(bodies[0].body).events;
+			t.deepEqual(events.map(function (e) {
+				return (e.what + ' ' + e.event);
+			}), [ '2.moray not-unpacked', '2.moray late',
+			    'compute missing', '2.moray missing' ]);
+
+			runWatch(root, [ '--config', config ],
+			    function (result2) {
+				t.equal(result2.status, 0);
+				t.equal(bodies.length, 1, 'no changes to send');
+				server.close();
+				common.removeTree(root);
+				t.end();
+			    });
+		});
+	});
+});